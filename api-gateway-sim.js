@@ -1,12 +1,245 @@
+const cluster = require('cluster');
+const { resolveWorkerCount, checkSharedStorage, registerCommands, broadcast, sumStats, runPrimary } = require('./gateway/cluster');
+
+// Cluster mode: CLUSTER_WORKERS (a number, or "auto" for one per CPU) forks that many workers, each
+// running this file, and leaves the primary to supervise them. Workers keep their own download cache,
+// throttle buckets and fault rules; the admin routes apply to all of them.
+const workerCount = resolveWorkerCount(process.env.CLUSTER_WORKERS);
+checkSharedStorage(workerCount, process.env.STORAGE_BACKEND);
+const shutdownTimeoutMs = parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 25000;
+if (cluster.isPrimary && workerCount > 1) {
+  runPrimary({ workers: workerCount, shutdownTimeoutMs });
+  return;
+}
+
 const express = require('express');
 const bodyParser = require('body-parser');
 const multer = require('multer');
+const crypto = require('crypto');
+const path = require('path');
 const upload = multer();
 const lambda = require('./lambda/index');
+const { getBackendName } = require('./lambda/storage');
+const { S3Service } = require('./services/lambda-s3/src/services/s3-service');
+const { ValidationService } = require('./services/lambda-s3/src/services/validation-service');
+const { ErrorHandler } = require('./services/shared/utils/error-handler');
+const { MetricsCollector } = require('./services/shared/utils/metrics');
+const { Logger } = require('./services/shared/utils/logger');
+const { startOtlpExport } = require('./services/shared/utils/otel');
+const { Histogram } = require('./services/shared/utils/histogram');
+const tracing = require('./services/shared/utils/tracing');
+const { buildProxyEvent } = require('./gateway/events');
+const { createLambdaContext, invokeHandler } = require('./gateway/lambda-runtime');
+const { loadRouteTable, splitStage, matchRoute } = require('./gateway/routes');
+const { loadAuthConfig, authorizeRequest } = require('./gateway/authorizer');
+const { createThrottler } = require('./gateway/throttle');
+const { createFaultInjector, loadFaultConfig, runWithRoute, validateRule } = require('./gateway/faults');
+const { createDrainer } = require('./gateway/shutdown');
+const { createRegistry, mergeSnapshots, renderSnapshot, bridgeMetricsCollector } = require('./gateway/prometheus');
+const { createTraceStore } = require('./gateway/traces');
+const { monitorEventLoopDelay } = require('perf_hooks');
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { SFNClient } = require('@aws-sdk/client-sfn');
+const { createReadinessProbe, s3Check, dynamoTableCheck, stateMachineCheck } = require('./gateway/readiness');
+
+const validationService = new ValidationService();
+const logger = new Logger('api-gateway-sim');
+
+// Gateway-side metrics; the legacy lambda reports its cache hits, misses and evictions here
+const metrics = new MetricsCollector();
+lambda.attachMetrics(metrics);
+
+// Prometheus metrics served on GET /metrics: requests, latency and in-flight requests, event loop lag,
+// and every MetricsCollector metric recorded in this process - the gateway's and the handlers'
+const prometheus = createRegistry();
+MetricsCollector.subscribe(bridgeMetricsCollector(prometheus));
+// The same metrics, and handler log entries, to an OpenTelemetry collector when OTEL_EXPORTER_OTLP_ENDPOINT is set
+const otlp = startOtlpExport({ periodic: true });
+const requestCount = prometheus.counter('gateway_requests_total', 'Requests by method, route and status code');
+const requestDuration = prometheus.histogram('gateway_request_duration_seconds', 'Request latency by method and route');
+const EVENT_LOOP_RESOLUTION_MS = 20;
+const eventLoopDelay = monitorEventLoopDelay({ resolution: EVENT_LOOP_RESOLUTION_MS });
+eventLoopDelay.enable();
+prometheus.gauge('nodejs_eventloop_lag_seconds', 'Event loop delay since the last scrape', () => {
+  // The samples are whole timer intervals; the lag is what exceeds the sampling resolution
+  const toSeconds = (ns) => (Number.isFinite(ns) ? Math.max(0, ns / 1e9 - EVENT_LOOP_RESOLUTION_MS / 1000) : 0);
+  const series = [
+    { labels: { stat: 'mean' }, value: toSeconds(eventLoopDelay.mean) },
+    { labels: { stat: 'p99' }, value: toSeconds(eventLoopDelay.percentile(99)) },
+    { labels: { stat: 'max' }, value: toSeconds(eventLoopDelay.max) }
+  ];
+  eventLoopDelay.reset();
+  return series;
+});
+
+// Lambda routes: GATEWAY_ROUTES selects the route table, GATEWAY_STAGE overrides its default stage
+const routeTable = loadRouteTable(
+  process.env.GATEWAY_ROUTES || path.join(__dirname, 'config', 'gateway-routes.json'),
+  { defaultStage: process.env.GATEWAY_STAGE }
+);
+
+// Authorizers: routes set apiKeyRequired / authorizer themselves; GATEWAY_AUTH ("api_key", "jwt"
+// or both, comma-separated) applies to routes that leave them unset
+const authConfig = loadAuthConfig(
+  process.env.GATEWAY_AUTH_CONFIG || path.join(__dirname, 'config', 'gateway-auth.json')
+);
+const defaultAuth = (process.env.GATEWAY_AUTH || '').split(',').map(mode => mode.trim().toLowerCase());
+const authRequirements = (route) => ({
+  apiKeyRequired: route.apiKeyRequired ?? defaultAuth.includes('api_key'),
+  authorizer: route.authorizer || (defaultAuth.includes('jwt') ? 'jwt' : 'none'),
+  stage: route.stage
+});
+
+// Throttling: route limits come from the route table, or GATEWAY_THROTTLE_RATE / GATEWAY_THROTTLE_BURST
+// for routes without one; API key limits and daily quotas come from the key's usage plan.
+// Cluster workers each enforce their share of every limit.
+const throttler = createThrottler({
+  usagePlans: authConfig.usagePlans,
+  shares: cluster.isWorker ? Number(process.env.CLUSTER_WORKER_COUNT) : 1,
+  defaultRouteThrottle: process.env.GATEWAY_THROTTLE_RATE && {
+    rateLimit: Number(process.env.GATEWAY_THROTTLE_RATE),
+    burstLimit: Number(process.env.GATEWAY_THROTTLE_BURST || process.env.GATEWAY_THROTTLE_RATE)
+  }
+});
+
+// Fault injection: rules from GATEWAY_FAULTS (off unless the file enables them or FAULTS_ENABLED=true),
+// changed at runtime through /admin/faults. S3 faults hit both lambdas' clients and the stream route's.
+const faultConfig = loadFaultConfig(
+  process.env.GATEWAY_FAULTS || path.join(__dirname, 'config', 'gateway-faults.json')
+);
+const faults = createFaultInjector({
+  ...faultConfig,
+  enabled: process.env.FAULTS_ENABLED ? process.env.FAULTS_ENABLED === 'true' : faultConfig.enabled
+});
+// Tracing goes first so the S3 spans include injected latency and errors
+lambda.useS3Middleware(tracing.awsTracingMiddleware());
+lambda.useS3Middleware(faults.s3Middleware('legacy-lambda'));
+S3Service.useMiddleware(faults.s3Middleware('s3-service'));
+
+// Streaming and batch routes bypass the lambda and use S3 directly; created on first use
+let s3Service;
+const getS3Service = () => {
+  if (!s3Service) {
+    s3Service = new S3Service();
+  }
+  return s3Service;
+};
+
+// Readiness: READINESS_CHECKS picks the dependencies /health/ready checks - s3 (the bucket),
+// dynamodb (the workflow-results table) and stepfunctions (the workflow state machine). All three
+// by default with the S3 storage backend, none with the local backends.
+const awsClientConfig = {
+  region: process.env.AWS_REGION || 'us-east-1',
+  endpoint: process.env.ENDPOINT || 'http://localhost:4566',
+  credentials: {
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID || 'test',
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY || 'test'
+  },
+  // Fail fast; the probe is polled
+  maxAttempts: 1
+};
+const readinessChecks = {
+  s3: () => s3Check(getS3Service),
+  dynamodb: () => dynamoTableCheck(
+    new DynamoDBClient(awsClientConfig),
+    process.env.WORKFLOW_TABLE || 'workflow-results'
+  ),
+  stepfunctions: () => stateMachineCheck(
+    new SFNClient(awsClientConfig),
+    process.env.SFN_ARN ||
+      `arn:aws:states:${awsClientConfig.region}:000000000000:stateMachine:${process.env.STEP_FUNCTION_NAME || 'MyStateMachine'}`
+  )
+};
+const readinessNames = (process.env.READINESS_CHECKS ??
+  (getBackendName() === 's3' ? 's3,dynamodb,stepfunctions' : ''))
+  .split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+readinessNames.forEach(name => {
+  if (!readinessChecks[name]) {
+    throw new Error(`Unknown readiness check "${name}" (expected one of: ${Object.keys(readinessChecks).join(', ')})`);
+  }
+});
+const checkReadiness = createReadinessProbe(
+  Object.fromEntries(readinessNames.map(name => [name, readinessChecks[name]()])),
+  { timeoutMs: parseInt(process.env.READINESS_TIMEOUT_MS, 10) || 2000 }
+);
 
-// Use a single process for API Gateway simulation to avoid port binding conflicts
 const app = express();
 
+// Graceful shutdown: on SIGTERM / SIGINT stop accepting connections and let in-flight
+// requests finish, for up to SHUTDOWN_TIMEOUT_MS
+const drainer = createDrainer({ timeoutMs: shutdownTimeoutMs });
+app.use(drainer.middleware);
+prometheus.gauge('gateway_requests_in_flight', 'Requests being served', () => [
+  { labels: {}, value: drainer.getInFlight() }
+]);
+
+// Name the worker that served each response, e.g. to tell per-worker cache hits apart
+app.use((req, res, next) => {
+  res.set('X-Gateway-Worker', String(process.pid));
+  next();
+});
+
+// Correlate each request's log entries, here and in the Lambda handlers it invokes, by the
+// client's X-Correlation-Id header or a new ID, echoed on the response
+app.use((req, res, next) => {
+  const supplied = req.get('x-correlation-id');
+  req.correlationId = supplied && supplied.length <= 128 ? supplied : crypto.randomUUID();
+  res.set('X-Correlation-Id', req.correlationId);
+  next();
+});
+
+// Spans that ended in this worker, looked up through /admin/traces
+const traces = createTraceStore({ maxSpans: parseInt(process.env.TRACE_BUFFER_SPANS, 10) || 10000 });
+tracing.subscribe(span => traces.record(span));
+
+// Health checks, scrapes and admin calls are not traced
+const UNTRACED_PATHS = /^\/(health|metrics|admin)(\/|$)/;
+
+// Each request is a SERVER span: a child of the client's traceparent header (k6 sends one), else
+// the root of a new trace. The traceresponse header names it, so the client can find the trace.
+// Integrations run in it (see runTraced), so handler, S3 and Lambda spans become its descendants.
+app.use((req, res, next) => {
+  if (UNTRACED_PATHS.test(req.path)) {
+    return next();
+  }
+
+  req.span = tracing.startSpan(`${req.method} ${req.path}`, {
+    parent: tracing.parseTraceparent(req.headers.traceparent),
+    kind: 'SERVER',
+    attributes: {
+      'http.request.method': req.method,
+      'url.path': req.path,
+      'gateway.worker': process.pid
+    }
+  });
+  res.set('traceresponse', req.span.traceparent);
+
+  // close also fires for requests the client abandoned, which never finish
+  res.on('close', () => {
+    const route = req.gatewayRoute || (req.route ? `${req.baseUrl}${req.route.path}` : null);
+    if (route) {
+      req.span.name = `${req.method} ${route}`;
+    }
+    req.span.setAttributes({
+      'http.route': route || undefined,
+      'http.response.status_code': res.statusCode,
+      'gateway.stage': req.gatewayStage
+    });
+    if (!res.writableFinished) {
+      req.span.setError('Client closed the connection before the response was sent');
+    } else if (res.statusCode >= 500) {
+      req.span.setError(`HTTP ${res.statusCode}`);
+    }
+    req.span.end();
+  });
+  next();
+});
+
+// Run an integration in the request's span, log context and fault injection scope. Each is
+// applied here rather than in a middleware, as body parsers lose asynchronous context.
+const runTraced = (req, scope, fn) => Logger.runWithContext({ correlationId: req.correlationId }, () =>
+  tracing.withSpan(req.span, () => runWithRoute(scope, fn)));
+
 // Add request timeout middleware
 const requestTimeout = 30000; // 30 seconds
 app.use((req, res, next) => {
@@ -37,6 +270,195 @@ app.use(bodyParser.json({
 }));
 app.use(bodyParser.urlencoded({ extended: true, limit: '50mb' }));
 
+// Large streaming uploads need far longer than the default request timeout
+const streamUploadTimeout = parseInt(process.env.STREAM_UPLOAD_TIMEOUT, 10) || 10 * 60 * 1000; // 10 minutes
+
+// Pass a request body through while enforcing the configured maximum file size
+async function* limitStream(stream, maxBytes) {
+  let received = 0;
+  for await (const chunk of stream) {
+    received += chunk.length;
+    if (received > maxBytes) {
+      validationService.validateContentLength(received);
+    }
+    yield chunk;
+  }
+}
+
+// Copy the named headers (matched case-insensitively) from a header map
+const pickHeaders = (headers = {}, names) => {
+  const picked = {};
+  Object.keys(headers).forEach(key => {
+    if (names.includes(key.toLowerCase())) {
+      picked[key] = headers[key];
+    }
+  });
+  return picked;
+};
+
+// Admin routes are disabled unless ADMIN_TOKEN is set
+const adminToken = process.env.ADMIN_TOKEN;
+
+// Require the admin token as `Authorization: Bearer <token>` or `X-Admin-Token`
+const requireAdminToken = (req, res, next) => {
+  if (!adminToken) {
+    return res.status(403).json({ error: 'Admin API disabled - set ADMIN_TOKEN to enable it' });
+  }
+
+  const bearer = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+  const supplied = Buffer.from(req.headers['x-admin-token'] || bearer);
+  const expected = Buffer.from(adminToken);
+
+  if (supplied.length !== expected.length || !crypto.timingSafeEqual(supplied, expected)) {
+    return res.status(401).json({ error: 'Invalid or missing admin token' });
+  }
+  next();
+};
+
+// Invoke a handler as a Lambda proxy integration would: a full proxy event
+// (payload format from API_GATEWAY_PAYLOAD_VERSION) plus a Lambda context with a deadline
+const invokeLambda = (handler, req, options = {}) => {
+  const event = buildProxyEvent(req, options);
+  const context = createLambdaContext({ functionName: options.functionName });
+  return invokeHandler(handler, event, context);
+};
+
+// Write a Lambda proxy response (statusCode, headers, body) to the Express response,
+// defaulting to JSON like API Gateway does when the handler sets no content type.
+// Bodies flagged isBase64Encoded are decoded to raw bytes, as API Gateway does.
+const sendLambdaResponse = (res, result) => {
+  res.status(result.statusCode);
+  res.set({ 'Content-Type': 'application/json', ...result.headers, ...result.multiValueHeaders });
+  // Payload format 2.0 returns cookies separately
+  if (result.cookies?.length) {
+    res.append('Set-Cookie', result.cookies);
+  }
+  // res.send would replace the handler's Content-Length with the empty body's
+  if (res.req.method === 'HEAD') {
+    return res.end();
+  }
+  res.send(result.isBase64Encoded ? Buffer.from(result.body || '', 'base64') : result.body);
+};
+
+// Parse a multipart upload with a single "file" field
+const parseMultipartFile = (req, res) => new Promise((resolve, reject) => {
+  upload.single('file')(req, res, err => (err ? reject(err) : resolve(req.file)));
+});
+
+// Parse a batch upload: every file part whatever its field name (clients such as k6 cannot
+// repeat one), at most maxBatchFiles of them
+const batchUpload = multer({ limits: { files: validationService.maxBatchFiles } });
+const parseMultipartFiles = (req, res) => new Promise((resolve, reject) => {
+  batchUpload.any()(req, res, err => {
+    if (err) {
+      // Too many files is the client's mistake
+      return reject(err.name === 'MulterError' ? ErrorHandler.createValidationError(err.message) : err);
+    }
+    resolve(req.files || []);
+  });
+});
+
+// Validate batch items one by one, reporting invalid ones as results instead of failing the batch
+const partitionBatch = (items, validate) => {
+  const results = new Array(items.length);
+  const valid = [];
+  items.forEach((item, index) => {
+    try {
+      validate(item);
+      valid.push({ index, item });
+    } catch (err) {
+      results[index] = { filename: item.filename, status: 'invalid', error: err.message };
+    }
+  });
+  return { results, valid };
+};
+
+// Send per-file batch results: 200 when every file succeeded, 207 Multi-Status otherwise
+const sendBatchResults = (res, results, succeededStatus) => {
+  const succeeded = results.filter(result => result.status === succeededStatus).length;
+  res.status(succeeded === results.length ? 200 : 207).json({
+    succeeded,
+    failed: results.length - succeeded,
+    results
+  });
+};
+
+// Map the client request onto what the route's handler accepts, as an API Gateway
+// mapping template would. Returns null when a multipart route receives no file.
+const buildIntegrationRequest = async (req, res, route) => {
+  if (route.request === 'proxy') {
+    return {};
+  }
+
+  const file = await parseMultipartFile(req, res);
+  if (!file || !file.buffer) {
+    return null;
+  }
+  console.log(`Processing upload for ${file.originalname}`);
+
+  // The legacy lambda takes JSON, so the upload is re-encoded as { filename, content }
+  if (route.request === 'multipart-json') {
+    return {
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        filename: file.originalname,
+        content: file.buffer.toString('base64')
+      })
+    };
+  }
+
+  // multipart-binary: the file bytes as the body, the filename as a query parameter
+  return {
+    headers: { 'Content-Type': file.mimetype || 'application/octet-stream' },
+    query: { filename: file.originalname },
+    body: file.buffer.toString('base64'),
+    isBase64Encoded: true
+  };
+};
+
+// Send a download response as a file attachment. Handles binary (isBase64Encoded)
+// responses and handlers that wrap base64 content in JSON.
+const sendAttachment = (res, result, filename) => {
+  // Caching and range headers set by the lambda are passed through to the client
+  const passthrough = pickHeaders(result.headers, ['etag', 'last-modified', 'content-range', 'accept-ranges', 'x-cache', 'x-amz-version-id']);
+  res.set(passthrough);
+
+  if (result.statusCode === 304) {
+    return res.status(304).end();
+  }
+
+  // Binary response: the body is the file itself, base64-encoded for transport
+  if (result.isBase64Encoded) {
+    const contentType = pickHeaders(result.headers, ['content-type']);
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.set('Content-Type', Object.values(contentType)[0] || 'application/octet-stream');
+    return res.status(result.statusCode).send(Buffer.from(result.body || '', 'base64'));
+  }
+
+  // Handle potential errors in result parsing
+  let body;
+  try {
+    body = JSON.parse(result.body);
+  } catch (parseError) {
+    console.error(`Error parsing Lambda response: ${parseError.message}`, result.body);
+    return res.status(500).json({ error: 'Invalid response from Lambda' });
+  }
+
+  if (result.statusCode !== 200 && result.statusCode !== 206) {
+    return res.status(result.statusCode).json(body);
+  }
+
+  // JSON-wrapped base64 content from handlers without binary support
+  if (!body.content) {
+    console.error('Missing content in successful response:', body);
+    return res.status(500).json({ error: 'Missing content in response' });
+  }
+
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  res.set('Content-Type', 'application/octet-stream');
+  res.status(result.statusCode).send(Buffer.from(body.content, 'base64'));
+};
+
 // Enhanced error handling middleware
 const errorHandler = (err, req, res, _next) => {
   console.error('API Error:', err);
@@ -49,6 +471,14 @@ const errorHandler = (err, req, res, _next) => {
     });
   }
   
+  // Handler ran out of time - API Gateway reports a failed invocation as 502
+  if (err.name === 'LambdaTimeoutError') {
+    return res.status(502).json({
+      message: 'Internal server error',
+      error: err.message
+    });
+  }
+
   if (err.code === 'ECONNRESET' || err.code === 'EPIPE') {
     return res.status(500).json({ 
       error: 'Connection lost during request processing',
@@ -71,12 +501,44 @@ const errorHandler = (err, req, res, _next) => {
   });
 };
 
-  // Health check endpoint
+  // Strip a stage prefix (/<stage>/...) so every route, not only Lambda routes, works under it;
+  // the stage is kept on the request for route matching
+  app.use((req, res, next) => {
+    const { stage, prefixed } = splitStage(routeTable, req.path);
+    req.gatewayStage = stage;
+    if (prefixed) {
+      req.url = req.url.slice(stage.length + 1).replace(/^(?!\/)/, '/');
+    }
+    next();
+  });
+
+  const processHealth = () => ({
+    status: drainer.isDraining() ? 'draining' : 'ok',
+    timestamp: new Date().toISOString(),
+    service: 'api-gateway-simulation',
+    uptime: process.uptime(),
+    worker: process.pid,
+    inFlight: drainer.getInFlight()
+  });
+
+  // Health check endpoint; a draining worker reports 503 so load balancers stop sending it traffic
   app.get('/health', (req, res) => {
-    res.status(200).json({ 
-      status: 'ok', 
-      timestamp: new Date().toISOString(),
-      service: 'api-gateway-simulation'
+    res.status(drainer.isDraining() ? 503 : 200).json(processHealth());
+  });
+
+  // Liveness: the process is up and serving, draining or not
+  app.get('/health/live', (req, res) => {
+    res.json(processHealth());
+  });
+
+  // Readiness: not draining, and every configured dependency reachable
+  app.get('/health/ready', async (req, res) => {
+    const { ready, checks } = await checkReadiness();
+    const serving = ready && !drainer.isDraining();
+    res.status(serving ? 200 : 503).json({
+      ...processHealth(),
+      status: drainer.isDraining() ? 'draining' : (ready ? 'ready' : 'not_ready'),
+      checks
     });
   });
 
@@ -88,139 +550,570 @@ const errorHandler = (err, req, res, _next) => {
     res.on('finish', () => {
       const [seconds, nanoseconds] = process.hrtime(start);
       const duration = seconds * 1000 + nanoseconds / 1e6; // Convert to milliseconds
-    
-      console.log({
+
+      // Label by route template rather than path, so file names don't become series
+      const route = req.gatewayRoute || (req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched');
+      requestCount.inc({ method: req.method, route, status: String(res.statusCode) });
+      requestDuration.observe({ method: req.method, route }, duration / 1000);
+      // Exact percentiles to set against k6's, see GET /metrics/latency
+      MetricsCollector.observe('gateway.request.duration', duration, { method: req.method, route });
+      // Written with LOG_LEVEL=debug only, as a line per request would weigh on load tests
+      logger.debug('Request completed', {
         method: req.method,
         path: req.path,
         statusCode: res.statusCode,
-        duration: `${duration.toFixed(2)}ms`
+        durationMs: Number(duration.toFixed(2))
       });
     });
     
     next();
   });
 
-  // Health check endpoint
-  app.get('/health', (req, res) => {
-    res.json({ 
-      status: 'healthy', 
-      timestamp: new Date().toISOString(),
-      uptime: process.uptime(),
-      worker: process.pid
-    });
+  // Admin: inspect and control the legacy lambda's download cache, the throttler and fault injection.
+  // Each is per process, so every command runs in all cluster workers and the routes combine the results.
+  app.use('/admin', requireAdminToken);
+
+  registerCommands({
+    'throttle.stats': () => throttler.getStats(),
+    'throttle.reset': () => throttler.reset(),
+    'cache.stats': () => lambda.getCacheStats(),
+    'cache.clear': () => {
+      const cleared = lambda.cache.size;
+      lambda.cache.clear();
+      return cleared;
+    },
+    'cache.evict': (key) => lambda.cache.delete(key),
+    'cache.enabled': (enabled) => lambda.setCacheEnabled(enabled),
+    'faults.state': () => faults.getState(),
+    'faults.replace': ({ rules, enabled }) => {
+      faults.replaceRules(rules);
+      if (typeof enabled === 'boolean') {
+        faults.setEnabled(enabled);
+      }
+    },
+    'faults.enabled': (enabled) => faults.setEnabled(enabled),
+    'faults.add': (rule) => faults.addRule(rule),
+    'faults.update': ({ id, changes }) => faults.updateRule(id, changes),
+    'faults.remove': (id) => faults.removeRule(id),
+    'metrics.snapshot': () => prometheus.snapshot(),
+    'metrics.histograms': () => MetricsCollector.getHistograms().map(entry => ({
+      ...entry,
+      total: entry.total.toJSON(),
+      window: entry.window.toJSON()
+    })),
+    'metrics.histograms.reset': () => MetricsCollector.resetHistograms(),
+    'traces.list': (options) => traces.list(options),
+    'traces.get': (traceId) => traces.get(traceId),
+    'traces.clear': () => traces.clear()
   });
 
-  // POST /upload
-  app.post('/upload', upload.single('file'), async (req, res, next) => {
+  // Run an admin command in every worker, raising the first worker's error
+  const runAdminCommand = async (command, payload) => {
+    const outcomes = await broadcast(command, payload);
+    const failed = outcomes.find(outcome => outcome.error);
+    if (failed) {
+      throw Object.assign(new Error(failed.error.message), { name: failed.error.name });
+    }
+    return outcomes;
+  };
+
+  // Totals across workers, with each worker's own figures under `workers`
+  const combineStats = (outcomes) => ({
+    ...sumStats(outcomes.map(outcome => outcome.result)),
+    workers: outcomes.map(outcome => ({ worker: outcome.worker, ...outcome.result }))
+  });
+
+  // Admin errors keep their message, unlike Lambda error responses
+  const sendAdminError = (res, err) => {
+    const { statusCode } = ErrorHandler.handleError(err);
+    res.status(statusCode).json({ error: err.message });
+  };
+
+  const getFaultState = async () => {
+    const outcomes = await runAdminCommand('faults.state');
+    return {
+      ...outcomes[0].result,
+      injected: sumStats(outcomes.map(outcome => outcome.result.injected))
+    };
+  };
+
+  app.get('/admin/throttle', async (req, res) => {
     try {
-      const file = req.file;
-      if (!file) {
-        return res.status(400).json({ error: 'No file uploaded' });
+      res.json(combineStats(await runAdminCommand('throttle.stats')));
+    } catch (err) {
+      sendAdminError(res, err);
+    }
+  });
+
+  // Refill all buckets and restart quotas, e.g. between k6 runs
+  app.delete('/admin/throttle', async (req, res) => {
+    try {
+      await runAdminCommand('throttle.reset');
+      console.log('Admin: reset throttle buckets and quotas');
+      res.json({ reset: true });
+    } catch (err) {
+      sendAdminError(res, err);
+    }
+  });
+
+  // Clear the latency histograms behind GET /metrics/latency, e.g. before a k6 run
+  app.delete('/admin/metrics/latency', async (req, res) => {
+    try {
+      const outcomes = await runAdminCommand('metrics.histograms.reset');
+      const cleared = outcomes.reduce((total, outcome) => total + outcome.result, 0);
+      console.log(`Admin: cleared ${cleared} latency histograms`);
+      res.json({ cleared });
+    } catch (err) {
+      sendAdminError(res, err);
+    }
+  });
+
+  // GET /admin/traces?minDurationMs=500&limit=20 - the slowest recent traces, slowest first
+  app.get('/admin/traces', async (req, res) => {
+    try {
+      const options = {
+        minDurationMs: parseFloat(req.query.minDurationMs) || 0,
+        limit: parseInt(req.query.limit, 10) || 20
+      };
+      const outcomes = await runAdminCommand('traces.list', options);
+      const slowest = outcomes
+        .flatMap(({ worker, result }) => result.map(summary => ({ ...summary, worker })))
+        .sort((a, b) => b.durationMs - a.durationMs)
+        .slice(0, options.limit);
+      res.json({ traces: slowest });
+    } catch (err) {
+      sendAdminError(res, err);
+    }
+  });
+
+  // GET /admin/traces/{traceId} - every span of a trace in start order, each with its depth in the tree
+  app.get('/admin/traces/:traceId', async (req, res) => {
+    try {
+      const outcomes = await runAdminCommand('traces.get', req.params.traceId);
+      const spans = outcomes
+        .flatMap(({ result }) => result)
+        .sort((a, b) => a.startTime.localeCompare(b.startTime));
+      if (spans.length === 0) {
+        return res.status(404).json({ error: `Trace ${req.params.traceId} not found, or no longer kept` });
       }
 
-      console.log(`Processing upload for ${file.originalname}`);
-      
-      // Ensure the file has a buffer
-      if (!file.buffer) {
-        return res.status(400).json({ error: 'Invalid file format or empty file' });
+      const byId = new Map(spans.map(span => [span.spanId, span]));
+      const depth = (span) => (byId.has(span.parentSpanId) ? depth(byId.get(span.parentSpanId)) + 1 : 0);
+      res.json({
+        traceId: spans[0].traceId,
+        spans: spans.map(span => ({ depth: depth(span), ...span }))
+      });
+    } catch (err) {
+      sendAdminError(res, err);
+    }
+  });
+
+  app.delete('/admin/traces', async (req, res) => {
+    try {
+      const outcomes = await runAdminCommand('traces.clear');
+      res.json({ cleared: outcomes.reduce((total, outcome) => total + outcome.result, 0) });
+    } catch (err) {
+      sendAdminError(res, err);
+    }
+  });
+
+  app.get('/admin/cache', async (req, res) => {
+    try {
+      const stats = combineStats(await runAdminCommand('cache.stats'));
+      const lookups = stats.hits + stats.misses;
+      res.json({ ...stats, hitRatio: lookups ? stats.hits / lookups : 0 });
+    } catch (err) {
+      sendAdminError(res, err);
+    }
+  });
+
+  app.delete('/admin/cache', async (req, res) => {
+    try {
+      const outcomes = await runAdminCommand('cache.clear');
+      const cleared = outcomes.reduce((total, outcome) => total + outcome.result, 0);
+      console.log(`Admin: cleared ${cleared} cache entries`);
+      res.json({ cleared });
+    } catch (err) {
+      sendAdminError(res, err);
+    }
+  });
+
+  // Keys may contain slashes, so match the rest of the path
+  app.delete('/admin/cache/keys/*', async (req, res) => {
+    const key = req.params[0];
+    try {
+      const outcomes = await runAdminCommand('cache.evict', key);
+      if (!outcomes.some(outcome => outcome.result)) {
+        return res.status(404).json({ error: 'Key not cached', key });
       }
-      
-      const event = {
-        httpMethod: 'POST',
-        body: JSON.stringify({
-          filename: file.originalname,
-          content: file.buffer.toString('base64')
-        })
-      };
+      console.log(`Admin: evicted cache entry ${key}`);
+      res.json({ evicted: key });
+    } catch (err) {
+      sendAdminError(res, err);
+    }
+  });
+
+  app.put('/admin/cache/enabled', async (req, res) => {
+    if (typeof req.body?.enabled !== 'boolean') {
+      return res.status(400).json({ error: 'Body must be { "enabled": true | false }' });
+    }
+    try {
+      await runAdminCommand('cache.enabled', req.body.enabled);
+      console.log(`Admin: caching ${req.body.enabled ? 'enabled' : 'disabled'}`);
+      res.json({ enabled: req.body.enabled });
+    } catch (err) {
+      sendAdminError(res, err);
+    }
+  });
+
+  app.get('/admin/faults', async (req, res) => {
+    try {
+      res.json(await getFaultState());
+    } catch (err) {
+      sendAdminError(res, err);
+    }
+  });
+
+  // Replace the whole rule set, optionally switching injection on or off. Rules are validated
+  // here first so every worker gets the same rules, generated ids included.
+  app.put('/admin/faults', async (req, res) => {
+    if (!Array.isArray(req.body?.rules)) {
+      return res.status(400).json({ error: 'Body must be { "rules": [...], "enabled"?: boolean }' });
+    }
+    try {
+      const rules = req.body.rules.map(validateRule);
+      await runAdminCommand('faults.replace', { rules, enabled: req.body.enabled });
+      console.log(`Admin: loaded ${rules.length} fault rules`);
+      res.json(await getFaultState());
+    } catch (err) {
+      sendAdminError(res, err);
+    }
+  });
+
+  app.put('/admin/faults/enabled', async (req, res) => {
+    if (typeof req.body?.enabled !== 'boolean') {
+      return res.status(400).json({ error: 'Body must be { "enabled": true | false }' });
+    }
+    try {
+      await runAdminCommand('faults.enabled', req.body.enabled);
+      console.log(`Admin: fault injection ${req.body.enabled ? 'enabled' : 'disabled'}`);
+      res.json({ enabled: req.body.enabled });
+    } catch (err) {
+      sendAdminError(res, err);
+    }
+  });
+
+  app.post('/admin/faults/rules', async (req, res) => {
+    try {
+      const [{ result: rule }] = await runAdminCommand('faults.add', validateRule(req.body || {}));
+      console.log(`Admin: added fault rule ${rule.id}`);
+      res.status(201).json(rule);
+    } catch (err) {
+      sendAdminError(res, err);
+    }
+  });
+
+  // Partial update, e.g. { "enabled": false } or { "probability": 0.2 }
+  app.patch('/admin/faults/rules/:id', async (req, res) => {
+    try {
+      const [{ result: rule }] = await runAdminCommand('faults.update', { id: req.params.id, changes: req.body || {} });
+      res.json(rule);
+    } catch (err) {
+      sendAdminError(res, err);
+    }
+  });
+
+  app.delete('/admin/faults/rules/:id', async (req, res) => {
+    try {
+      await runAdminCommand('faults.remove', req.params.id);
+      console.log(`Admin: removed fault rule ${req.params.id}`);
+      res.json({ removed: req.params.id });
+    } catch (err) {
+      sendAdminError(res, err);
+    }
+  });
+
+  // Prometheus scrape endpoint, outside /admin so it needs no token. Cluster workers' counters
+  // and histograms are added up; gauges are labelled with the worker's PID.
+  app.get('/metrics', async (req, res) => {
+    try {
+      const outcomes = await runAdminCommand('metrics.snapshot');
+      const families = mergeSnapshots(outcomes.map(({ worker, result }) => ({ worker, families: result })));
+      res.type('text/plain; version=0.0.4').send(renderSnapshot(families));
+    } catch (err) {
+      sendAdminError(res, err);
+    }
+  });
 
-      try {
-        const result = await lambda.handler(event);
-        
-        // Check if result has proper structure
-        if (!result || !result.body) {
-          console.error('Invalid Lambda response structure:', result);
-          return res.status(500).json({ error: 'Invalid Lambda response' });
+  // Latency percentiles of every MetricsCollector latency, including the gateway's own request
+  // latency, per name and tag set: since the last reset (with the histogram, which can be
+  // diffed against an earlier response) and over the last METRICS_HISTOGRAM_WINDOW_MS
+  app.get('/metrics/latency', async (req, res) => {
+    try {
+      const outcomes = await runAdminCommand('metrics.histograms');
+      const merged = new Map();
+      outcomes.forEach(({ result }) => result.forEach(entry => {
+        const key = `${entry.name}${JSON.stringify(entry.tags)}`;
+        const total = Histogram.fromJSON(entry.total);
+        const window = Histogram.fromJSON(entry.window);
+        if (!merged.has(key)) {
+          merged.set(key, { ...entry, total, window });
+          return;
         }
-        
-        let body;
-        try {
-          body = JSON.parse(result.body);
-        } catch (parseError) {
-          console.error(`Error parsing Lambda response: ${parseError.message}`, result.body);
-          return res.status(500).json({ error: 'Invalid JSON response from Lambda' });
+        const existing = merged.get(key);
+        existing.total.merge(total);
+        existing.window.merge(window);
+        existing.since = entry.since < existing.since ? entry.since : existing.since;
+      }));
+
+      res.json({
+        metrics: [...merged.values()].map(({ name, tags, since, windowMs, total, window }) => ({
+          name,
+          tags,
+          since,
+          total: { ...total.summary(), histogram: total.toJSON() },
+          window: { windowMs, ...window.summary() }
+        }))
+      });
+    } catch (err) {
+      sendAdminError(res, err);
+    }
+  });
+
+  // PUT /upload/stream?filename=...[&uploadId=...][&resumable=true]
+  // Streams the raw request body to S3 as a multipart upload
+  app.put('/upload/stream', async (req, res) => {
+    res.setTimeout(streamUploadTimeout);
+
+    const { filename, uploadId } = req.query;
+    const contentLength = req.headers['content-length'] !== undefined
+      ? parseInt(req.headers['content-length'], 10)
+      : undefined;
+
+    const scope = { stage: req.gatewayStage, method: 'PUT', path: '/upload/stream' };
+    try {
+      if (await faults.httpFaults(req, res, scope)) {
+        return;
+      }
+      validationService.validateStreamUpload(filename, contentLength);
+
+      console.log(`Processing streaming upload for ${filename}${uploadId ? ` (resuming ${uploadId})` : ''}`);
+
+      const result = await runTraced(req, scope, () => getS3Service().uploadMultipart(
+        filename,
+        limitStream(req, validationService.maxFileSize),
+        {
+          uploadId,
+          contentLength,
+          leavePartsOnError: req.query.resumable === 'true'
         }
-        
-        res.status(result.statusCode).json(body);
-      } catch (lambdaError) {
-        console.error('Error invoking Lambda:', lambdaError);
-        res.status(500).json({ 
-          error: 'Error invoking Lambda function', 
-          details: lambdaError.message 
-        });
+      ));
+
+      res.status(200).json({
+        message: 'File uploaded',
+        filename,
+        uploadId: result.UploadId,
+        etag: result.ETag
+      });
+    } catch (err) {
+      const response = ErrorHandler.handleError(err);
+      const body = JSON.parse(response.body);
+      if (err.uploadId) {
+        body.uploadId = err.uploadId;
       }
+      res.status(response.statusCode).json(body);
+    }
+  });
+
+  // POST /upload/batch - multipart with one part per file, written to S3 concurrently
+  // (S3_BATCH_CONCURRENCY at a time). Files failing validation are reported without being sent.
+  app.post('/upload/batch', async (req, res) => {
+    const scope = { stage: req.gatewayStage, method: 'POST', path: '/upload/batch' };
+    try {
+      if (await faults.httpFaults(req, res, scope)) {
+        return;
+      }
+      const files = (await parseMultipartFiles(req, res))
+        .map(file => ({ filename: file.originalname, content: file.buffer }));
+      validationService.validateBatchSize(files, validationService.maxBatchFiles, 'files');
+
+      const { results, valid } = partitionBatch(files, file =>
+        validationService.validateUploadRequest(file.filename, file.content));
+      console.log(`Processing batch upload of ${files.length} files (${valid.length} valid)`);
+
+      const uploaded = await runTraced(req, scope, () =>
+        getS3Service().uploadFiles(valid.map(({ item }) => item)));
+      uploaded.forEach((result, i) => { results[valid[i].index] = result; });
+
+      sendBatchResults(res, results, 'uploaded');
     } catch (err) {
-      console.error('Error in upload handler:', err);
-      next(err);
+      sendLambdaResponse(res, ErrorHandler.handleError(err));
     }
   });
 
-  // GET /download?filename=...
-  app.get('/download', async (req, res, next) => {
+  // POST /delete/batch { "filenames": [...] } - deleted with S3 DeleteObjects, 1000 keys per call
+  app.post('/delete/batch', async (req, res) => {
+    const scope = { stage: req.gatewayStage, method: 'POST', path: '/delete/batch' };
     try {
-      const filename = req.query.filename;
-      if (!filename) {
-        return res.status(400).json({ error: 'Missing filename parameter' });
+      if (await faults.httpFaults(req, res, scope)) {
+        return;
       }
+      const filenames = req.body?.filenames;
+      validationService.validateBatchSize(filenames, validationService.maxBatchDeleteKeys, 'filenames');
 
-      console.log(`Processing download for ${filename}`);
-      
-      const event = {
-        httpMethod: 'GET',
-        queryStringParameters: { filename }
-      };
+      const { results, valid } = partitionBatch(filenames.map(filename => ({ filename })), ({ filename }) =>
+        validationService.validateDeleteRequest(filename));
+
+      const deleted = await runTraced(req, scope, () =>
+        getS3Service().deleteFiles(valid.map(({ item }) => item.filename)));
+      deleted.forEach((result, i) => { results[valid[i].index] = result; });
+
+      sendBatchResults(res, results, 'deleted');
+    } catch (err) {
+      sendLambdaResponse(res, ErrorHandler.handleError(err));
+    }
+  });
+
+  // Lambda proxy routes from the route table, under /<stage> and, for the default stage, unprefixed
+  const routeRequest = async (req, res, next) => {
+    let match;
+    try {
+      match = matchRoute(routeTable, req.method, req.path, req.gatewayStage);
+    } catch (err) {
+      // A malformed escape such as /files/%ZZ is the client's mistake
+      return sendLambdaResponse(res, ErrorHandler.handleError(err));
+    }
+    if (!match) {
+      return next();
+    }
 
-      const result = await lambda.handler(event);
-      
-      // Handle potential errors in result parsing
-      let body;
-      try {
-        body = JSON.parse(result.body);
-      } catch (parseError) {
-        console.error(`Error parsing Lambda response: ${parseError.message}`, result.body);
-        return res.status(500).json({ error: 'Invalid response from Lambda' });
+    const { route, stage } = match;
+    res.set('X-Gateway-Stage', stage);
+    req.gatewayRoute = route.path;
+
+    // Authorize before touching the body, as API Gateway rejects requests ahead of the integration
+    let authorizer;
+    let authError;
+    const authStart = process.hrtime.bigint();
+    try {
+      authorizer = authorizeRequest(authConfig, req, authRequirements(route));
+    } catch (err) {
+      authError = err;
+    }
+    const authLatency = Number(process.hrtime.bigint() - authStart) / 1e6;
+    res.set('X-Gateway-Authorizer-Latency', authLatency.toFixed(3));
+    metrics.recordLatency('gateway.authorizer.duration', authLatency, { stage });
+    if (authError) {
+      metrics.recordCount('gateway.authorizer.rejections', 1, { stage, errorType: authError.name });
+      return sendLambdaResponse(res, ErrorHandler.handleError(authError));
+    }
+    if (authorizer) {
+      authorizer.integrationLatency = Math.round(authLatency);
+    }
+
+    const throttle = throttler.check(route, authorizer);
+    if (!throttle.allowed) {
+      metrics.recordCount('gateway.throttled', 1, { stage, scope: throttle.scope, reason: throttle.reason });
+      const message = throttle.reason === 'quota' ? 'Limit Exceeded' : 'Too Many Requests';
+      return sendLambdaResponse(res, ErrorHandler.handleError(
+        ErrorHandler.createThrottlingError(message, throttle.retryAfterSeconds)
+      ));
+    }
+
+    const scope = { stage, method: route.method, path: route.path };
+    try {
+      if (await faults.httpFaults(req, res, scope)) {
+        return;
       }
 
-      if (result.statusCode === 200) {
-        // Validate that content exists before attempting to use it
-        if (!body.content) {
-          console.error('Missing content in successful response:', body);
-          return res.status(500).json({ error: 'Missing content in response' });
-        }
-        
-        try {
-          const buffer = Buffer.from(body.content, 'base64');
-          res.set('Content-Disposition', `attachment; filename="${filename}"`);
-          res.set('Content-Type', 'application/octet-stream');
-          res.send(buffer);
-        } catch (bufferError) {
-          console.error(`Error creating buffer from content: ${bufferError.message}`);
-          return res.status(500).json({ error: 'Invalid content format' });
+      const integration = await buildIntegrationRequest(req, res, route);
+      if (!integration) {
+        return res.status(400).json({ error: 'No file uploaded' });
+      }
+
+      // The invocation is a CLIENT span, whose traceparent the handler receives in place of the client's
+      const functionName = route.functionName || route.handler;
+      const result = await runTraced(req, scope, () => tracing.startActiveSpan(`Lambda.Invoke ${functionName}`, {
+        kind: 'CLIENT',
+        attributes: { 'faas.invoked_name': functionName, 'gateway.stage': stage }
+      }, span => invokeLambda(route.invoke, req, {
+        functionName: route.functionName,
+        version: route.payloadFormatVersion,
+        resource: route.path,
+        path: match.path,
+        pathParameters: match.pathParameters,
+        stage,
+        authorizer,
+        ...integration,
+        headers: {
+          ...route.headers,
+          ...integration.headers,
+          traceparent: span.traceparent,
+          'x-correlation-id': req.correlationId
         }
-      } else {
-        res.status(result.statusCode).json(body);
+      })));
+
+      if (route.response === 'attachment') {
+        return sendAttachment(res, result, req.query.filename);
       }
+      sendLambdaResponse(res, result);
     } catch (err) {
-      console.error('Error in download handler:', err);
+      console.error(`Error in ${route.method} ${route.path} (${stage}):`, err);
       next(err);
     }
-  });
+  };
+  // Express 4 does not catch rejected promises, so a failure anywhere in routeRequest is passed on
+  app.use((req, res, next) => routeRequest(req, res, next).catch(next));
 
   // Add error handling middleware
   app.use(errorHandler);
 
   const PORT = process.env.PORT || 3000;
-  app.listen(PORT, () => {
-    console.log(`🚀 API Gateway simulation running on port ${PORT}`);
-    console.log(`POST /upload   - Upload files`);
-    console.log(`GET /download  - Download files`);
+  const server = app.listen(PORT, () => {
+    // Cluster workers after the first only announce themselves
+    if (cluster.isWorker && cluster.worker.id > 1) {
+      console.log(`Worker ${process.pid} listening on port ${PORT}`);
+      return;
+    }
+    console.log(`🚀 API Gateway simulation running on port ${PORT}${cluster.isWorker ? ` (${workerCount} workers)` : ''}`);
+    Object.entries(routeTable.stages).forEach(([stage, routes]) => {
+      const prefix = stage === routeTable.defaultStage ? `/${stage} (default)` : `/${stage}`;
+      console.log(`Stage ${prefix}:`);
+      routes.forEach(route => {
+        const { apiKeyRequired, authorizer } = authRequirements(route);
+        const notes = [
+          apiKeyRequired && 'api key',
+          authorizer !== 'none' && authorizer,
+          route.throttle && `${route.throttle.rateLimit}/s, burst ${route.throttle.burstLimit}`
+        ].filter(Boolean);
+        console.log(`  ${route.method.padEnd(7)} ${route.path} -> ${route.handler}${notes.length ? ` [${notes.join(', ')}]` : ''}`);
+      });
+    });
+    console.log(`PUT /upload/stream - Stream large files to S3 in parts`);
+    console.log(`POST /upload/batch, /delete/batch - Upload or delete many files in one request`);
+    console.log(`GET /metrics - Prometheus metrics`);
+    console.log(`GET /health/live, /health/ready - Liveness and readiness (${readinessNames.join(', ') || 'no dependency checks'})`);
+    console.log(`/admin/cache, /admin/throttle, /admin/faults, /admin/traces - Cache, throttle and fault injection control, recent traces (${adminToken ? 'token required' : 'disabled, set ADMIN_TOKEN'})`);
+    const { enabled, rules } = faults.getState();
+    if (rules.length > 0) {
+      console.log(`Fault injection ${enabled ? 'ENABLED' : 'disabled'}: ${rules.map(rule => rule.id).join(', ')}`);
+    }
   });
+  drainer.attach(server);
+
+  const shutdown = async (signal) => {
+    if (drainer.isDraining()) {
+      return;
+    }
+    console.log(`${signal} received, worker ${process.pid} draining ${drainer.getInFlight()} in-flight requests`);
+    const { drained, abandoned } = await drainer.drain();
+    if (!drained) {
+      console.error(`Shutdown timeout after ${shutdownTimeoutMs}ms, dropped ${abandoned} requests`);
+    }
+    // Send metrics still queued for PutMetricData
+    await MetricsCollector.flush({ force: true });
+    await otlp?.shutdown();
+    process.exit(drained ? 0 : 1);
+  };
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
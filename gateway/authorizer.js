@@ -0,0 +1,210 @@
+/**
+ * Request authorizer for the gateway simulator - API keys with usage plans,
+ * and HS256/RS256 JWTs validated against a shared secret or a local JWKS file
+ * @module gateway/authorizer
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ErrorHandler } = require('../services/shared/utils/error-handler');
+
+const PROJECT_ROOT = path.resolve(__dirname, '..');
+
+/**
+ * Load the authorizer configuration, resolving API keys and JWKS signing keys
+ * @param {string} filePath - Auth config JSON file
+ * @returns {Object} { apiKeys: Map, usagePlans, jwt: { ..., keys: Map } }
+ */
+function loadAuthConfig(filePath) {
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  const apiKeys = new Map();
+  (config.apiKeys || []).forEach(apiKey => {
+    if (!apiKey.id || !apiKey.value) {
+      throw new Error(`API keys in ${filePath} need an id and a value`);
+    }
+    if (apiKey.usagePlan && !config.usagePlans?.[apiKey.usagePlan]) {
+      throw new Error(`API key ${apiKey.id} refers to unknown usage plan ${apiKey.usagePlan}`);
+    }
+    apiKeys.set(apiKey.value, { enabled: true, ...apiKey });
+  });
+
+  const jwt = { clockToleranceSeconds: 0, ...config.jwt };
+  jwt.secret = process.env.JWT_HS256_SECRET || jwt.hs256Secret;
+  jwt.keys = new Map();
+
+  // RS256 keys are optional - the JWKS file is generated locally by scripts/generate-jwt.js
+  const jwksFile = jwt.jwksFile && path.resolve(PROJECT_ROOT, jwt.jwksFile);
+  if (jwksFile && fs.existsSync(jwksFile)) {
+    JSON.parse(fs.readFileSync(jwksFile, 'utf8')).keys
+      .filter(jwk => jwk.kty === 'RSA' && (!jwk.use || jwk.use === 'sig'))
+      .forEach(jwk => jwt.keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })));
+  }
+
+  return { apiKeys, usagePlans: config.usagePlans || {}, jwt };
+}
+
+/**
+ * Encode a JSON object as a base64url JWT segment
+ * @param {Object} value - Header or claims
+ * @returns {string} Encoded segment
+ */
+function encodeSegment(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+/**
+ * Sign a JWT
+ * @param {Object} claims - Token claims
+ * @param {Object} options - { alg: 'HS256' | 'RS256', secret, privateKey, kid }
+ * @returns {string} Compact JWT
+ */
+function signJwt(claims, { alg = 'HS256', secret, privateKey, kid } = {}) {
+  const header = { alg, typ: 'JWT', ...(kid && { kid }) };
+  const signingInput = `${encodeSegment(header)}.${encodeSegment(claims)}`;
+
+  const signature = alg === 'HS256'
+    ? crypto.createHmac('sha256', secret).update(signingInput).digest()
+    : crypto.sign('RSA-SHA256', Buffer.from(signingInput), privateKey);
+
+  return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+/**
+ * Verify a JWT's signature and registered claims
+ * @param {string} token - Compact JWT
+ * @param {Object} jwtConfig - jwt section from loadAuthConfig
+ * @returns {Object} Token claims
+ * @throws {Error} UnauthorizedError when the token is malformed, badly signed or expired
+ */
+function verifyJwt(token, jwtConfig) {
+  const unauthorized = (reason) => ErrorHandler.createUnauthorizedError(`Invalid token: ${reason}`);
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw unauthorized('malformed');
+  }
+
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch {
+    throw unauthorized('malformed');
+  }
+
+  const signingInput = Buffer.from(`${parts[0]}.${parts[1]}`);
+  const signature = Buffer.from(parts[2], 'base64url');
+  let valid = false;
+
+  if (header.alg === 'HS256' && jwtConfig.secret) {
+    const expected = crypto.createHmac('sha256', jwtConfig.secret).update(signingInput).digest();
+    valid = expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  } else if (header.alg === 'RS256') {
+    // Without a kid, a single-key JWKS is unambiguous
+    const key = header.kid ? jwtConfig.keys.get(header.kid)
+      : jwtConfig.keys.size === 1 ? [...jwtConfig.keys.values()][0] : undefined;
+    if (!key) {
+      throw unauthorized('unknown signing key');
+    }
+    valid = crypto.verify('RSA-SHA256', signingInput, key, signature);
+  } else {
+    throw unauthorized(`unsupported algorithm ${header.alg}`);
+  }
+
+  if (!valid) {
+    throw unauthorized('bad signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const tolerance = jwtConfig.clockToleranceSeconds;
+  if (typeof claims.exp === 'number' && now - tolerance >= claims.exp) {
+    throw unauthorized('expired');
+  }
+  if (typeof claims.nbf === 'number' && now + tolerance < claims.nbf) {
+    throw unauthorized('not yet valid');
+  }
+  if (jwtConfig.issuer && claims.iss !== jwtConfig.issuer) {
+    throw unauthorized('wrong issuer');
+  }
+  if (jwtConfig.audience) {
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(jwtConfig.audience)) {
+      throw unauthorized('wrong audience');
+    }
+  }
+
+  return claims;
+}
+
+/**
+ * Read a request header case-insensitively
+ * @param {Object} headers - Node request headers (lowercase names)
+ * @param {string} name - Header name
+ * @returns {string|undefined} Header value
+ */
+function header(headers, name) {
+  const value = headers[name.toLowerCase()];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Authorize a request against a route's requirements
+ * @param {Object} config - Config from loadAuthConfig
+ * @param {Object} req - Express request
+ * @param {Object} requirements - { apiKeyRequired, authorizer ('jwt' or 'none'), stage }
+ * @returns {Object|null} Authorizer context ({ principalId, apiKeyId, apiKey, usagePlan, claims, scopes }),
+ *   or null when the route requires neither
+ * @throws {Error} ForbiddenError for API key failures, UnauthorizedError for JWT failures
+ */
+function authorizeRequest(config, req, { apiKeyRequired, authorizer, stage }) {
+  if (!apiKeyRequired && authorizer !== 'jwt') {
+    return null;
+  }
+
+  const context = { principalId: 'anonymous' };
+
+  if (apiKeyRequired) {
+    const apiKey = config.apiKeys.get(header(req.headers, 'x-api-key') || '');
+    if (!apiKey || !apiKey.enabled) {
+      throw ErrorHandler.createForbiddenError('Missing or invalid API key');
+    }
+
+    const plan = apiKey.usagePlan && config.usagePlans[apiKey.usagePlan];
+    if (!plan || (plan.stages && !plan.stages.includes(stage))) {
+      throw ErrorHandler.createForbiddenError(`API key ${apiKey.id} has no usage plan for stage ${stage}`);
+    }
+
+    Object.assign(context, {
+      principalId: apiKey.id,
+      apiKeyId: apiKey.id,
+      apiKey: apiKey.value,
+      usagePlan: apiKey.usagePlan
+    });
+  }
+
+  if (authorizer === 'jwt') {
+    const token = (header(req.headers, 'authorization') || '').replace(/^Bearer\s+/i, '');
+    if (!token) {
+      throw ErrorHandler.createUnauthorizedError('Missing bearer token');
+    }
+
+    const claims = verifyJwt(token, config.jwt);
+    const scope = claims.scope || claims.scp || '';
+    Object.assign(context, {
+      principalId: claims.sub || context.principalId,
+      claims,
+      scopes: Array.isArray(scope) ? scope : scope.split(' ').filter(Boolean)
+    });
+  }
+
+  return context;
+}
+
+module.exports = {
+  loadAuthConfig,
+  authorizeRequest,
+  verifyJwt,
+  signJwt
+};
@@ -0,0 +1,230 @@
+/**
+ * Cluster mode for the gateway simulator - a primary process that supervises workers, and
+ * an IPC fan-out so admin commands reach the in-process state (caches, throttles, fault rules)
+ * of every worker rather than only the one that received the request
+ * @module gateway/cluster
+ */
+
+const cluster = require('cluster');
+const crypto = require('crypto');
+const os = require('os');
+
+const COMMAND_TIMEOUT_MS = 5000;
+const RESTART_DELAY_MS = 1000;
+
+// Commands this process answers, registered with registerCommands
+const commandHandlers = {};
+
+/**
+ * Parse the worker count setting
+ * @param {string|undefined} value - CLUSTER_WORKERS: unset for a single process, a number, or "auto"
+ * @returns {number} Number of workers, 1 meaning no cluster
+ */
+function resolveWorkerCount(value) {
+  if (!value) {
+    return 1;
+  }
+  if (value === 'auto') {
+    return os.availableParallelism();
+  }
+
+  const count = parseInt(value, 10);
+  if (!(count >= 1)) {
+    throw new Error(`CLUSTER_WORKERS must be a positive number or "auto", got "${value}"`);
+  }
+  return count;
+}
+
+/**
+ * Check that every worker would see the same files. The memory storage backend keeps objects in
+ * the worker that stored them, so a file uploaded through one worker would be missing from the others.
+ * @param {number} workers - Worker count from resolveWorkerCount
+ * @param {string|undefined} storageBackend - STORAGE_BACKEND
+ * @throws {Error} When more than one worker would use the memory backend
+ */
+function checkSharedStorage(workers, storageBackend) {
+  if (workers > 1 && String(storageBackend || '').toLowerCase() === 'memory') {
+    throw new Error(
+      `STORAGE_BACKEND=memory cannot be shared by ${workers} workers - use filesystem or s3, or a single worker`
+    );
+  }
+}
+
+/**
+ * Register the commands this process runs for broadcast()
+ * @param {Object} handlers - Map of command name to (payload) => result
+ */
+function registerCommands(handlers) {
+  Object.assign(commandHandlers, handlers);
+}
+
+/**
+ * Run a registered command locally, capturing errors as data so they survive IPC
+ * @param {string} command - Command name
+ * @param {*} payload - Command payload
+ * @returns {Promise<Object>} { worker, result } or { worker, error: { name, message } }
+ */
+async function runCommand(command, payload) {
+  try {
+    const handler = commandHandlers[command];
+    if (!handler) {
+      throw new Error(`Unknown command ${command}`);
+    }
+    return { worker: process.pid, result: await handler(payload) };
+  } catch (error) {
+    return { worker: process.pid, error: { name: error.name, message: error.message } };
+  }
+}
+
+// Pending broadcasts started by this worker, by id
+const pendingBroadcasts = new Map();
+
+if (cluster.isWorker) {
+  process.on('message', async (message) => {
+    if (message?.type === 'gateway:command') {
+      const outcome = await runCommand(message.command, message.payload);
+      process.send({ type: 'gateway:command-result', id: message.id, ...outcome });
+    } else if (message?.type === 'gateway:broadcast-result') {
+      pendingBroadcasts.get(message.id)?.(message.results);
+    }
+  });
+}
+
+/**
+ * Run a command in every worker - or just this process when not clustered
+ * @param {string} command - Registered command name
+ * @param {*} payload - JSON-serializable payload
+ * @returns {Promise<Array>} One { worker, result } or { worker, error } per worker
+ */
+function broadcast(command, payload) {
+  if (!cluster.isWorker) {
+    return runCommand(command, payload).then(outcome => [outcome]);
+  }
+
+  const id = crypto.randomUUID();
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      pendingBroadcasts.delete(id);
+      reject(new Error(`Broadcast ${command} timed out`));
+    }, COMMAND_TIMEOUT_MS * 2);
+
+    pendingBroadcasts.set(id, (results) => {
+      clearTimeout(timer);
+      pendingBroadcasts.delete(id);
+      resolve(results);
+    });
+    process.send({ type: 'gateway:broadcast', id, command, payload });
+  });
+}
+
+/**
+ * Combine per-worker stats: numbers are summed, nested objects merged the same way,
+ * anything else is taken from the first worker
+ * @param {Array<Object>} values - Stats objects
+ * @returns {Object} Combined stats
+ */
+function sumStats(values) {
+  const [first = {}] = values;
+  return Object.fromEntries(Object.keys(Object.assign({}, ...values)).map(key => {
+    const items = values.map(value => value[key]).filter(item => item !== undefined);
+    if (items.every(item => typeof item === 'number')) {
+      return [key, items.reduce((total, item) => total + item, 0)];
+    }
+    if (items.every(item => item && typeof item === 'object' && !Array.isArray(item))) {
+      return [key, sumStats(items)];
+    }
+    return [key, first[key] !== undefined ? first[key] : items[0]];
+  }));
+}
+
+/**
+ * Run the cluster primary: fork the workers (each runs the main script), restart any that
+ * die, relay broadcasts between them, and on SIGTERM/SIGINT let every worker drain and exit
+ * @param {Object} options - { workers, shutdownTimeoutMs }
+ */
+function runPrimary({ workers, shutdownTimeoutMs }) {
+  let shuttingDown = false;
+
+  console.log(`🚀 API Gateway simulation primary ${process.pid} starting ${workers} workers`);
+
+  const fork = () => cluster.fork({ CLUSTER_WORKER_COUNT: String(workers) });
+  for (let i = 0; i < workers; i++) {
+    fork();
+  }
+
+  cluster.on('exit', (worker, code, signal) => {
+    if (shuttingDown) {
+      if (Object.keys(cluster.workers).length === 0) {
+        console.log('All workers stopped');
+        process.exit(0);
+      }
+      return;
+    }
+    console.error(`Worker ${worker.process.pid} exited (${signal || code}), restarting`);
+    setTimeout(fork, RESTART_DELAY_MS);
+  });
+
+  // Fan a broadcast out to every live worker and send the collected results back
+  cluster.on('message', (origin, message) => {
+    if (message?.type !== 'gateway:broadcast') {
+      return;
+    }
+
+    const targets = Object.values(cluster.workers).filter(worker => worker.isConnected());
+    const results = [];
+    const finish = () => {
+      clearTimeout(timer);
+      targets.forEach(worker => worker.off('message', collect));
+      if (origin.isConnected()) {
+        origin.send({ type: 'gateway:broadcast-result', id: message.id, results });
+      }
+    };
+    const collect = (reply) => {
+      if (reply?.type === 'gateway:command-result' && reply.id === message.id) {
+        const { type, id, ...outcome } = reply; // eslint-disable-line no-unused-vars
+        results.push(outcome);
+        if (results.length === targets.length) {
+          finish();
+        }
+      }
+    };
+    // Answer with whatever arrived if a worker is stuck
+    const timer = setTimeout(finish, COMMAND_TIMEOUT_MS);
+
+    targets.forEach(worker => {
+      worker.on('message', collect);
+      worker.send({ type: 'gateway:command', id: message.id, command: message.command, payload: message.payload });
+    });
+  });
+
+  const shutdown = (signal) => {
+    if (shuttingDown) {
+      return;
+    }
+    shuttingDown = true;
+    console.log(`${signal} received, draining ${Object.keys(cluster.workers).length} workers`);
+
+    Object.values(cluster.workers).forEach(worker => worker.process.kill('SIGTERM'));
+
+    // Workers enforce the drain timeout themselves; this only catches a hung worker
+    setTimeout(() => {
+      Object.values(cluster.workers).forEach(worker => {
+        console.error(`Worker ${worker.process.pid} did not stop, killing it`);
+        worker.process.kill('SIGKILL');
+      });
+      process.exit(1);
+    }, shutdownTimeoutMs + 5000).unref();
+  };
+
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+}
+
+module.exports = {
+  resolveWorkerCount,
+  checkSharedStorage,
+  registerCommands,
+  broadcast,
+  sumStats,
+  runPrimary
+};
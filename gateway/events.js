@@ -0,0 +1,300 @@
+/**
+ * API Gateway proxy event builders - turn an Express request into the event
+ * a Lambda proxy integration receives
+ * @module gateway/events
+ */
+
+const crypto = require('crypto');
+
+const ACCOUNT_ID = '000000000000';
+const API_ID = process.env.API_GATEWAY_ID || 'local';
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Format a time the way requestContext.requestTime / time does: 19/Oct/2026:18:31:00 +0000
+ * @param {Date} date - Time to format
+ * @returns {string} CLF-style timestamp
+ */
+function formatRequestTime(date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${pad(date.getUTCDate())}/${MONTHS[date.getUTCMonth()]}/${date.getUTCFullYear()}:` +
+    `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} +0000`;
+}
+
+/**
+ * Collect request headers as name -> values, keeping the client's casing
+ * @param {Object} req - Express request
+ * @param {Object} overrides - Headers to replace (matched case-insensitively)
+ * @returns {Object} Header name to array of values
+ */
+function collectHeaders(req, overrides = {}) {
+  const headers = {};
+  const raw = req.rawHeaders || [];
+  for (let i = 0; i < raw.length; i += 2) {
+    (headers[raw[i]] = headers[raw[i]] || []).push(raw[i + 1]);
+  }
+
+  Object.entries(overrides).forEach(([name, value]) => {
+    Object.keys(headers)
+      .filter(key => key.toLowerCase() === name.toLowerCase())
+      .forEach(key => delete headers[key]);
+    if (value !== undefined && value !== null) {
+      headers[name] = [String(value)];
+    }
+  });
+
+  return headers;
+}
+
+/**
+ * Collect query parameters as name -> values
+ * @param {Object} req - Express request
+ * @param {Object} extra - Parameters to set in addition to the request's own
+ * @returns {Object} { rawQueryString, params: name to array of values }
+ */
+function collectQuery(req, extra = {}) {
+  const url = new URL(req.originalUrl || req.url || '/', 'http://localhost');
+  Object.entries(extra).forEach(([name, value]) => url.searchParams.set(name, value));
+  const params = {};
+  url.searchParams.forEach((value, name) => {
+    (params[name] = params[name] || []).push(value);
+  });
+  return { rawQueryString: url.search.replace(/^\?/, ''), params };
+}
+
+/**
+ * Resolve the event body from an explicit override or the parsed request body
+ * @param {Object} req - Express request
+ * @param {Object} options - { body, isBase64Encoded }
+ * @returns {Object} { body, isBase64Encoded }
+ */
+function resolveBody(req, options) {
+  if (options.body !== undefined) {
+    return { body: options.body, isBase64Encoded: !!options.isBase64Encoded };
+  }
+
+  const body = req.body;
+  if (Buffer.isBuffer(body)) {
+    return { body: body.toString('base64'), isBase64Encoded: true };
+  }
+  if (typeof body === 'string') {
+    return { body, isBase64Encoded: false };
+  }
+  if (body && typeof body === 'object' && Object.keys(body).length > 0) {
+    return { body: JSON.stringify(body), isBase64Encoded: false };
+  }
+  return { body: null, isBase64Encoded: false };
+}
+
+/**
+ * Shared pieces of both payload versions
+ * @param {Object} req - Express request
+ * @param {Object} options - Builder options
+ * @returns {Object} Normalized request parts
+ */
+function describeRequest(req, options) {
+  const headers = collectHeaders(req, options.headers);
+  // A replaced body no longer matches the client's length
+  if (options.body !== undefined) {
+    Object.keys(headers)
+      .filter(key => key.toLowerCase() === 'content-length')
+      .forEach(key => delete headers[key]);
+  }
+
+  const header = (name) => {
+    const key = Object.keys(headers).find(candidate => candidate.toLowerCase() === name);
+    return key ? headers[key][headers[key].length - 1] : undefined;
+  };
+  const now = new Date();
+
+  return {
+    method: options.method || req.method,
+    path: options.path || req.path,
+    // Express routes registered with several paths expose an array here
+    resource: options.resource || (typeof req.route?.path === 'string' ? req.route.path : req.path),
+    headers,
+    header,
+    query: collectQuery(req, options.query),
+    pathParameters: options.pathParameters && Object.keys(options.pathParameters).length > 0
+      ? options.pathParameters
+      : null,
+    stageVariables: options.stageVariables || null,
+    requestId: options.requestId || crypto.randomUUID(),
+    sourceIp: (req.ip || req.socket?.remoteAddress || '127.0.0.1').replace(/^::ffff:/, ''),
+    userAgent: header('user-agent') || '',
+    domainName: header('host') || 'localhost',
+    protocol: `HTTP/${req.httpVersion || '1.1'}`,
+    now,
+    ...resolveBody(req, options)
+  };
+}
+
+/**
+ * Shape an authorizer result as a REST API exposes it in requestContext.authorizer
+ * @param {Object} authorizer - { principalId, apiKeyId, usagePlan, claims, scopes, integrationLatency }
+ * @returns {Object} REST API authorizer context
+ */
+function restAuthorizer({ principalId, apiKeyId, usagePlan, claims, scopes, integrationLatency = 0 }) {
+  return {
+    principalId,
+    integrationLatency,
+    ...(claims && { claims, scopes }),
+    ...(apiKeyId && { apiKeyId, usagePlan })
+  };
+}
+
+/**
+ * Shape an authorizer result as an HTTP API exposes it: JWT claims under `jwt`,
+ * everything else under `lambda`
+ * @param {Object} authorizer - Same fields as restAuthorizer
+ * @returns {Object} HTTP API authorizer context
+ */
+function httpAuthorizer({ principalId, apiKeyId, usagePlan, claims, scopes, integrationLatency = 0 }) {
+  return {
+    ...(claims && { jwt: { claims, scopes } }),
+    lambda: { principalId, ...(apiKeyId && { apiKeyId, usagePlan }) },
+    integrationLatency
+  };
+}
+
+/**
+ * Build a REST API (payload format 1.0) proxy event
+ * @param {Object} req - Express request
+ * @param {Object} options - { resource, path, method, pathParameters, stage, stageVariables, headers, query, body, isBase64Encoded, requestId, authorizer }
+ * @returns {Object} Proxy event
+ */
+function buildRestEvent(req, options = {}) {
+  const request = describeRequest(req, options);
+  const stage = options.stage || 'local';
+  const single = (values) => values[values.length - 1];
+  const mapValues = (source, fn) => Object.fromEntries(
+    Object.entries(source).map(([key, values]) => [key, fn(values)])
+  );
+  const hasQuery = Object.keys(request.query.params).length > 0;
+
+  return {
+    resource: request.resource,
+    path: request.path,
+    httpMethod: request.method,
+    headers: mapValues(request.headers, single),
+    multiValueHeaders: request.headers,
+    queryStringParameters: hasQuery ? mapValues(request.query.params, single) : null,
+    multiValueQueryStringParameters: hasQuery ? request.query.params : null,
+    pathParameters: request.pathParameters,
+    stageVariables: request.stageVariables,
+    requestContext: {
+      accountId: ACCOUNT_ID,
+      apiId: API_ID,
+      resourceId: crypto.createHash('md5').update(request.resource).digest('hex').slice(0, 6),
+      resourcePath: request.resource,
+      httpMethod: request.method,
+      path: `/${stage}${request.path}`,
+      stage,
+      protocol: request.protocol,
+      requestId: request.requestId,
+      extendedRequestId: request.requestId,
+      requestTime: formatRequestTime(request.now),
+      requestTimeEpoch: request.now.getTime(),
+      domainName: request.domainName,
+      domainPrefix: request.domainName.split('.')[0],
+      identity: {
+        sourceIp: request.sourceIp,
+        userAgent: request.userAgent,
+        accountId: null,
+        apiKey: options.authorizer?.apiKey || null,
+        apiKeyId: options.authorizer?.apiKeyId || null,
+        caller: null,
+        cognitoAuthenticationProvider: null,
+        cognitoAuthenticationType: null,
+        cognitoIdentityId: null,
+        cognitoIdentityPoolId: null,
+        principalOrgId: null,
+        user: null,
+        userArn: null
+      },
+      ...(options.authorizer && { authorizer: restAuthorizer(options.authorizer) })
+    },
+    body: request.body,
+    isBase64Encoded: request.isBase64Encoded
+  };
+}
+
+/**
+ * Build an HTTP API (payload format 2.0) proxy event
+ * @param {Object} req - Express request
+ * @param {Object} options - Same options as buildRestEvent
+ * @returns {Object} Proxy event
+ */
+function buildHttpEvent(req, options = {}) {
+  const request = describeRequest(req, options);
+  const stage = options.stage || '$default';
+  const routeKey = `${request.method} ${request.resource}`;
+
+  // HTTP APIs lowercase header names, join repeated values with commas and move cookies out
+  const headers = {};
+  let cookies;
+  Object.entries(request.headers).forEach(([name, values]) => {
+    const key = name.toLowerCase();
+    if (key === 'cookie') {
+      cookies = values.join('; ').split(/;\s*/).filter(Boolean);
+      return;
+    }
+    headers[key] = headers[key] ? `${headers[key]},${values.join(',')}` : values.join(',');
+  });
+
+  const query = Object.fromEntries(
+    Object.entries(request.query.params).map(([name, values]) => [name, values.join(',')])
+  );
+
+  return {
+    version: '2.0',
+    routeKey,
+    rawPath: stage === '$default' ? request.path : `/${stage}${request.path}`,
+    rawQueryString: request.query.rawQueryString,
+    ...(cookies && { cookies }),
+    headers,
+    ...(Object.keys(query).length > 0 && { queryStringParameters: query }),
+    ...(request.pathParameters && { pathParameters: request.pathParameters }),
+    ...(request.stageVariables && { stageVariables: request.stageVariables }),
+    requestContext: {
+      accountId: ACCOUNT_ID,
+      apiId: API_ID,
+      domainName: request.domainName,
+      domainPrefix: request.domainName.split('.')[0],
+      http: {
+        method: request.method,
+        path: request.path,
+        protocol: request.protocol,
+        sourceIp: request.sourceIp,
+        userAgent: request.userAgent
+      },
+      requestId: request.requestId,
+      routeKey,
+      stage,
+      time: formatRequestTime(request.now),
+      timeEpoch: request.now.getTime(),
+      ...(options.authorizer && { authorizer: httpAuthorizer(options.authorizer) })
+    },
+    ...(request.body !== null && { body: request.body }),
+    isBase64Encoded: request.isBase64Encoded
+  };
+}
+
+/**
+ * Build a proxy event in the configured payload format
+ * (options.version, else API_GATEWAY_PAYLOAD_VERSION, else 1.0)
+ * @param {Object} req - Express request
+ * @param {Object} options - Builder options plus version ('1.0' or '2.0')
+ * @returns {Object} Proxy event
+ */
+function buildProxyEvent(req, options = {}) {
+  const version = options.version || process.env.API_GATEWAY_PAYLOAD_VERSION || '1.0';
+  return version === '2.0' ? buildHttpEvent(req, options) : buildRestEvent(req, options);
+}
+
+module.exports = {
+  buildProxyEvent,
+  buildRestEvent,
+  buildHttpEvent,
+  formatRequestTime
+};
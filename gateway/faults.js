@@ -0,0 +1,365 @@
+/**
+ * Fault injection for the gateway simulator - added latency, error statuses, connection resets
+ * and slow bodies on routed requests, and latency, errors and network failures in S3 clients
+ * @module gateway/faults
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { AsyncLocalStorage } = require('async_hooks');
+const { ErrorHandler } = require('../services/shared/utils/error-handler');
+
+const TARGETS = ['http', 's3'];
+const TYPES_BY_TARGET = {
+  http: ['latency', 'status', 'reset', 'slow-body'],
+  s3: ['latency', 'status', 'reset', 'network-error']
+};
+const DISTRIBUTIONS = ['fixed', 'uniform', 'normal', 'exponential'];
+const NETWORK_ERRORS = {
+  ECONNREFUSED: 'connect',
+  ECONNRESET: 'read',
+  ETIMEDOUT: 'connect',
+  EAI_AGAIN: 'getaddrinfo',
+  ENOTFOUND: 'getaddrinfo'
+};
+// Names S3 (and the SDK's retry strategy) use for each status
+const S3_ERROR_NAMES = {
+  429: 'TooManyRequestsException',
+  500: 'InternalError',
+  502: 'BadGateway',
+  503: 'SlowDown',
+  504: 'GatewayTimeout'
+};
+
+// Route being served, so S3 faults can be scoped per route like HTTP faults
+const routeContext = new AsyncLocalStorage();
+
+/**
+ * Run a function with the route it serves as the S3 fault scope
+ * @param {Object} route - { stage, method, path }
+ * @param {Function} fn - Function to run
+ * @returns {*} fn's return value
+ */
+function runWithRoute(route, fn) {
+  return routeContext.run(route, fn);
+}
+
+/**
+ * Validate a fault rule and fill in its defaults
+ * @param {Object} rule - Rule from the config or the admin API
+ * @returns {Object} Normalized rule
+ * @throws {Error} ValidationError describing the first problem
+ */
+function validateRule(rule) {
+  const label = rule.id ? `Fault rule ${rule.id}` : 'Fault rule';
+  const invalid = (message) => ErrorHandler.createValidationError(`${label}: ${message}`);
+  const target = rule.target || 'http';
+
+  if (!TARGETS.includes(target)) {
+    throw invalid(`target must be one of ${TARGETS.join(', ')}`);
+  }
+  if (!TYPES_BY_TARGET[target].includes(rule.type)) {
+    throw invalid(`type for ${target} faults must be one of ${TYPES_BY_TARGET[target].join(', ')}`);
+  }
+
+  const probability = rule.probability ?? 1;
+  if (!(probability >= 0 && probability <= 1)) {
+    throw invalid('probability must be between 0 and 1');
+  }
+
+  if (rule.type === 'latency') {
+    const { distribution = 'fixed', ms, minMs, maxMs, meanMs, stddevMs } = rule;
+    const valid = {
+      fixed: ms >= 0,
+      uniform: minMs >= 0 && maxMs >= minMs,
+      normal: meanMs >= 0 && stddevMs >= 0,
+      exponential: meanMs > 0
+    }[distribution];
+    if (!DISTRIBUTIONS.includes(distribution) || !valid) {
+      throw invalid('latency needs distribution fixed (ms), uniform (minMs, maxMs), normal (meanMs, stddevMs) or exponential (meanMs)');
+    }
+  }
+  if (rule.type === 'status' && !(Number.isInteger(rule.status) && rule.status >= 400 && rule.status <= 599)) {
+    throw invalid('status must be an HTTP error status (400-599)');
+  }
+  if (rule.type === 'slow-body' && !(rule.bytesPerSecond > 0)) {
+    throw invalid('slow-body needs a positive bytesPerSecond');
+  }
+  if (rule.type === 'network-error' && !NETWORK_ERRORS[rule.code]) {
+    throw invalid(`network-error code must be one of ${Object.keys(NETWORK_ERRORS).join(', ')}`);
+  }
+
+  return {
+    ...rule,
+    id: rule.id || `fault-${crypto.randomBytes(4).toString('hex')}`,
+    target,
+    probability,
+    enabled: rule.enabled ?? true,
+    ...(rule.method && { method: rule.method.toUpperCase() })
+  };
+}
+
+/**
+ * Draw a delay from a latency rule's distribution
+ * @param {Object} rule - Latency rule
+ * @param {Function} random - Uniform random source in [0, 1)
+ * @returns {number} Delay in ms
+ */
+function sampleLatency(rule, random = Math.random) {
+  switch (rule.distribution || 'fixed') {
+    case 'uniform':
+      return rule.minMs + random() * (rule.maxMs - rule.minMs);
+    case 'normal': {
+      // Box-Muller transform; negative draws are clamped to no delay
+      const gaussian = Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+      return Math.max(0, rule.meanMs + gaussian * rule.stddevMs);
+    }
+    case 'exponential':
+      return -Math.log(1 - random()) * rule.meanMs;
+    default:
+      return rule.ms;
+  }
+}
+
+/**
+ * Create an error shaped like a Node.js socket or DNS failure
+ * @param {string} code - Error code, e.g. ECONNREFUSED
+ * @returns {Error} Error with code, errno and syscall
+ */
+function networkError(code) {
+  const syscall = NETWORK_ERRORS[code];
+  const error = new Error(`${syscall} ${code} (injected fault)`);
+  return Object.assign(error, { code, errno: code, syscall });
+}
+
+/**
+ * Create an error shaped like an S3 service error
+ * @param {number} status - HTTP status
+ * @returns {Error} Error with name, $fault and $metadata
+ */
+function s3Error(status) {
+  const error = new Error(`Injected S3 fault (${status})`);
+  return Object.assign(error, {
+    name: S3_ERROR_NAMES[status] || (status >= 500 ? 'InternalError' : 'BadRequest'),
+    $fault: status >= 500 ? 'server' : 'client',
+    $metadata: { httpStatusCode: status, attempts: 1 }
+  });
+}
+
+/**
+ * Make a response trickle its body out at a fixed rate
+ * @param {Object} res - Express response
+ * @param {number} bytesPerSecond - Transfer rate
+ */
+function throttleResponseBody(res, bytesPerSecond) {
+  const write = res.write.bind(res);
+  const end = res.end.bind(res);
+  const TICK_MS = 100;
+  const sliceSize = Math.max(1, Math.ceil(bytesPerSecond * TICK_MS / 1000));
+
+  res.end = (chunk, encoding, callback) => {
+    if (!chunk || typeof chunk === 'function') {
+      return end(chunk, encoding, callback);
+    }
+
+    const body = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+    let offset = 0;
+    const pump = () => {
+      if (res.destroyed) {
+        return;
+      }
+      if (offset >= body.length) {
+        end(typeof encoding === 'function' ? encoding : callback);
+        return;
+      }
+      write(body.subarray(offset, offset + sliceSize));
+      offset += sliceSize;
+      setTimeout(pump, TICK_MS);
+    };
+    pump();
+    return res;
+  };
+}
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Create a fault injector
+ * @param {Object} config - { enabled, rules }
+ * @param {Object} options - { random } uniform random source, for tests
+ * @returns {Object} Injector with sample, httpFaults, s3Middleware, getState, setEnabled,
+ *   replaceRules, addRule, updateRule and removeRule
+ */
+function createFaultInjector(config = {}, { random = Math.random } = {}) {
+  let enabled = Boolean(config.enabled);
+  let rules = (config.rules || []).map(validateRule);
+  let stats = {};
+
+  const countInjection = (rule) => {
+    stats[rule.id] = (stats[rule.id] || 0) + 1;
+  };
+
+  const matches = (rule, target, scope) =>
+    rule.enabled && rule.target === target &&
+    (!rule.stage || rule.stage === scope.stage) &&
+    (!rule.method || rule.method === scope.method) &&
+    (!rule.path || rule.path === scope.path) &&
+    (!rule.operation || rule.operation === scope.operation) &&
+    (!rule.client || rule.client === scope.client);
+
+  /**
+   * Decide which faults hit one request. Every matching rule rolls its probability
+   * independently; latencies add up and the first failure wins.
+   * @param {string} target - 'http' or 's3'
+   * @param {Object} scope - { stage, method, path } plus { operation, client } for S3
+   * @returns {Object} { latencyMs, failure, slowBody, rules }
+   */
+  const sample = (target, scope) => {
+    const result = { latencyMs: 0, failure: null, slowBody: null, rules: [] };
+    if (!enabled) {
+      return result;
+    }
+
+    rules.filter(rule => matches(rule, target, scope)).forEach(rule => {
+      if (random() >= rule.probability) {
+        return;
+      }
+      if (rule.type === 'latency') {
+        result.latencyMs += sampleLatency(rule, random);
+      } else if (rule.type === 'slow-body') {
+        result.slowBody = result.slowBody || rule;
+      } else if (!result.failure) {
+        result.failure = rule;
+      } else {
+        return;
+      }
+      countInjection(rule);
+      result.rules.push(rule.id);
+    });
+
+    return result;
+  };
+
+  /**
+   * Apply HTTP faults to a routed request before its integration runs
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Object} scope - { stage, method, path } of the matched route
+   * @returns {Promise<boolean>} true when the fault already answered (or dropped) the request
+   */
+  const httpFaults = async (req, res, scope) => {
+    const faults = sample('http', scope);
+    if (faults.rules.length === 0) {
+      return false;
+    }
+
+    res.set('X-Fault-Injected', faults.rules.join(','));
+    if (faults.latencyMs > 0) {
+      await delay(faults.latencyMs);
+    }
+    if (faults.slowBody) {
+      throttleResponseBody(res, faults.slowBody.bytesPerSecond);
+    }
+
+    const failure = faults.failure;
+    if (failure?.type === 'reset') {
+      req.socket.destroy();
+      return true;
+    }
+    if (failure?.type === 'status') {
+      res.status(failure.status);
+      if (failure.status === 429 || failure.status === 503) {
+        res.set('Retry-After', String(failure.retryAfter ?? 1));
+      }
+      res.json({ error: { code: 'INJECTED_FAULT', message: failure.message || `Injected fault (${failure.status})` } });
+      return true;
+    }
+    return false;
+  };
+
+  /**
+   * Build AWS SDK middleware that injects S3 faults, scoped by the route being served
+   * @param {string} client - Client name rules can select, e.g. legacy-lambda
+   * @returns {Function} SDK middleware for the finalizeRequest step
+   */
+  const s3Middleware = (client) => (next, context) => async (args) => {
+    const faults = sample('s3', { ...routeContext.getStore(), operation: context.commandName, client });
+
+    if (faults.latencyMs > 0) {
+      await delay(faults.latencyMs);
+    }
+
+    const failure = faults.failure;
+    if (failure?.type === 'network-error') {
+      throw networkError(failure.code);
+    }
+    if (failure?.type === 'reset') {
+      throw networkError('ECONNRESET');
+    }
+    if (failure?.type === 'status') {
+      throw s3Error(failure.status);
+    }
+    return next(args);
+  };
+
+  const findRule = (id) => {
+    const rule = rules.find(candidate => candidate.id === id);
+    if (!rule) {
+      throw ErrorHandler.createNotFoundError(`Fault rule ${id} not found`);
+    }
+    return rule;
+  };
+
+  return {
+    sample,
+    httpFaults,
+    s3Middleware,
+    getState: () => ({ enabled, rules, injected: { ...stats } }),
+    setEnabled: (value) => {
+      enabled = Boolean(value);
+    },
+    replaceRules: (newRules) => {
+      // Validate everything before replacing anything
+      rules = newRules.map(validateRule);
+      stats = {};
+    },
+    addRule: (rule) => {
+      const validated = validateRule(rule);
+      if (rules.some(existing => existing.id === validated.id)) {
+        throw ErrorHandler.createConflictError(`Fault rule ${validated.id} already exists`);
+      }
+      rules.push(validated);
+      return validated;
+    },
+    updateRule: (id, changes) => {
+      const updated = validateRule({ ...findRule(id), ...changes, id });
+      rules = rules.map(rule => (rule.id === id ? updated : rule));
+      return updated;
+    },
+    removeRule: (id) => {
+      findRule(id);
+      rules = rules.filter(rule => rule.id !== id);
+    }
+  };
+}
+
+/**
+ * Load a fault configuration file
+ * @param {string} filePath - JSON file with { enabled, rules }
+ * @returns {Object} Config, or { enabled: false, rules: [] } when the file does not exist
+ */
+function loadFaultConfig(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return { enabled: false, rules: [] };
+  }
+  const { enabled, rules } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return { enabled, rules };
+}
+
+module.exports = {
+  createFaultInjector,
+  loadFaultConfig,
+  runWithRoute,
+  validateRule,
+  sampleLatency
+};
@@ -0,0 +1,79 @@
+/**
+ * Lambda runtime emulation - invocation context and timeouts for handlers
+ * invoked in-process by the gateway simulator
+ * @module gateway/lambda-runtime
+ */
+
+const crypto = require('crypto');
+
+const REGION = process.env.AWS_REGION || 'us-east-1';
+// Kept below API Gateway's 29s integration limit plus the simulator's 30s request timeout
+const DEFAULT_TIMEOUT_MS = (parseInt(process.env.LAMBDA_TIMEOUT_SECONDS, 10) || 29) * 1000;
+
+/**
+ * Error raised when a handler runs past its timeout
+ */
+class LambdaTimeoutError extends Error {
+  constructor(timeoutMs) {
+    super(`Task timed out after ${(timeoutMs / 1000).toFixed(2)} seconds`);
+    this.name = 'LambdaTimeoutError';
+  }
+}
+
+/**
+ * Create a context object shaped like the one the Node.js Lambda runtime passes
+ * @param {Object} options - Context options
+ * @param {string} options.functionName - Function name
+ * @param {string} options.requestId - awsRequestId, generated if omitted
+ * @param {number} options.timeoutMs - Function timeout in milliseconds
+ * @param {number} options.memoryLimitInMB - Configured memory
+ * @returns {Object} Lambda context
+ */
+function createLambdaContext({
+  functionName = 'api-gateway-sim',
+  requestId = crypto.randomUUID(),
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  memoryLimitInMB = 128
+} = {}) {
+  const deadline = Date.now() + timeoutMs;
+  const today = new Date().toISOString().slice(0, 10).replace(/-/g, '/');
+
+  return {
+    callbackWaitsForEmptyEventLoop: true,
+    functionName,
+    functionVersion: '$LATEST',
+    invokedFunctionArn: `arn:aws:lambda:${REGION}:000000000000:function:${functionName}`,
+    memoryLimitInMB: String(memoryLimitInMB),
+    awsRequestId: requestId,
+    logGroupName: `/aws/lambda/${functionName}`,
+    logStreamName: `${today}/[$LATEST]${crypto.randomBytes(16).toString('hex')}`,
+    timeoutMs,
+    getRemainingTimeInMillis: () => Math.max(deadline - Date.now(), 0)
+  };
+}
+
+/**
+ * Invoke a handler, failing with LambdaTimeoutError once the context's time runs out
+ * @param {Function} handler - async (event, context) handler
+ * @param {Object} event - Proxy event
+ * @param {Object} context - Context from createLambdaContext
+ * @returns {Promise<Object>} Handler result
+ */
+async function invokeHandler(handler, event, context) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new LambdaTimeoutError(context.timeoutMs)), context.getRemainingTimeInMillis());
+  });
+
+  try {
+    return await Promise.race([handler(event, context), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+module.exports = {
+  createLambdaContext,
+  invokeHandler,
+  LambdaTimeoutError
+};
@@ -0,0 +1,317 @@
+/**
+ * Prometheus metrics for the gateway simulator - counters, gauges and histograms rendered
+ * in the text exposition format, plus a parser so reports can read a scrape back
+ * @module gateway/prometheus
+ */
+
+// Latency buckets in seconds, the Prometheus client defaults
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// MetricsCollector tags that are the same on every metric, left out of the labels
+const CONSTANT_TAGS = ['service', 'environment', 'region', 'unit'];
+
+const sanitizeName = (name) => name.replace(/[^a-zA-Z0-9_:]/g, '_');
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+const parseValue = (value) => ({ '+Inf': Infinity, '-Inf': -Infinity }[value] ?? Number(value));
+const labelKey = (labels) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+
+/**
+ * Format a label set as {name="value",...}
+ * @param {Object} labels - Label names to values
+ * @returns {string} Label block, empty when there are no labels
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+/**
+ * Create a metrics registry
+ * @returns {Object} { counter, gauge, histogram, snapshot, render }
+ */
+function createRegistry() {
+  const families = new Map();
+
+  const family = (name, type, help, extra = {}) => {
+    if (families.has(name)) {
+      const existing = families.get(name);
+      if (existing.type !== type) {
+        throw new Error(`Metric ${name} is already registered as a ${existing.type}`);
+      }
+      return existing;
+    }
+    const created = { name, type, help, series: new Map(), ...extra };
+    families.set(name, created);
+    return created;
+  };
+
+  const seriesFor = (metric, labels, create) => {
+    const key = labelKey(labels);
+    if (!metric.series.has(key)) {
+      metric.series.set(key, { labels: { ...labels }, ...create() });
+    }
+    return metric.series.get(key);
+  };
+
+  return {
+    /**
+     * @param {string} name - Metric name, conventionally ending in _total
+     * @param {string} help - Help text
+     * @returns {Object} { inc(labels, value) }
+     */
+    counter(name, help) {
+      const metric = family(name, 'counter', help);
+      return {
+        inc: (labels = {}, value = 1) => {
+          seriesFor(metric, labels, () => ({ value: 0 })).value += value;
+        }
+      };
+    },
+
+    /**
+     * @param {string} name - Metric name
+     * @param {string} help - Help text
+     * @param {Function} collect - Optional () => [{ labels, value }] read at every snapshot
+     * @returns {Object} { set(labels, value) }
+     */
+    gauge(name, help, collect) {
+      const metric = family(name, 'gauge', help, { collect });
+      return {
+        set: (labels = {}, value) => {
+          seriesFor(metric, labels, () => ({ value: 0 })).value = value;
+        }
+      };
+    },
+
+    /**
+     * @param {string} name - Metric name, with its unit, e.g. _seconds
+     * @param {string} help - Help text
+     * @param {Array<number>} buckets - Upper bounds, ascending
+     * @returns {Object} { observe(labels, value) }
+     */
+    histogram(name, help, buckets = DEFAULT_BUCKETS) {
+      const metric = family(name, 'histogram', help, { buckets });
+      return {
+        observe: (labels = {}, value) => {
+          const series = seriesFor(metric, labels, () => ({
+            counts: metric.buckets.map(() => 0),
+            sum: 0,
+            count: 0
+          }));
+          metric.buckets.forEach((bound, index) => {
+            if (value <= bound) {
+              series.counts[index] += 1;
+            }
+          });
+          series.sum += value;
+          series.count += 1;
+        }
+      };
+    },
+
+    /**
+     * Copy every metric into plain data, e.g. to send to another process
+     * @returns {Array<Object>} Families with their series
+     */
+    snapshot() {
+      return [...families.values()].map(({ series, collect, ...metric }) => ({
+        ...metric,
+        series: collect
+          ? collect()
+          : [...series.values()].map(entry => JSON.parse(JSON.stringify(entry)))
+      }));
+    },
+
+    render() {
+      return renderSnapshot(this.snapshot());
+    }
+  };
+}
+
+/**
+ * Merge snapshots from several processes: counters and histograms are added up,
+ * gauges are kept apart by a `worker` label
+ * @param {Array<Object>} snapshots - [{ worker, families }]
+ * @returns {Array<Object>} Merged families
+ */
+function mergeSnapshots(snapshots) {
+  const merged = new Map();
+
+  snapshots.forEach(({ worker, families }) => {
+    families.forEach(metric => {
+      if (!merged.has(metric.name)) {
+        merged.set(metric.name, { ...metric, series: new Map() });
+      }
+      const target = merged.get(metric.name);
+
+      metric.series.forEach(entry => {
+        const labels = metric.type === 'gauge' ? { ...entry.labels, worker: String(worker) } : entry.labels;
+        const key = labelKey(labels);
+        const existing = target.series.get(key);
+        if (!existing) {
+          target.series.set(key, { ...entry, labels, ...(entry.counts && { counts: [...entry.counts] }) });
+        } else if (metric.type === 'histogram') {
+          entry.counts.forEach((count, index) => { existing.counts[index] += count; });
+          existing.sum += entry.sum;
+          existing.count += entry.count;
+        } else {
+          existing.value += entry.value;
+        }
+      });
+    });
+  });
+
+  return [...merged.values()].map(metric => ({ ...metric, series: [...metric.series.values()] }));
+}
+
+/**
+ * Render families in the Prometheus text exposition format
+ * @param {Array<Object>} families - Snapshot or merged snapshots
+ * @returns {string} Exposition text
+ */
+function renderSnapshot(families) {
+  const lines = [];
+
+  families.forEach(({ name, type, help, buckets, series }) => {
+    if (series.length === 0) {
+      return;
+    }
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+
+    series.forEach(({ labels, value, counts, sum, count }) => {
+      if (type !== 'histogram') {
+        lines.push(`${name}${formatLabels(labels)} ${value}`);
+        return;
+      }
+      buckets.forEach((bound, index) => {
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+      });
+      lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+    });
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Build a MetricsCollector.subscribe listener that mirrors collector metrics into a registry:
+ * counts as app_<name>_total counters, gauges as app_<name> gauges and latencies as
+ * app_<name>_seconds histograms. Tags other than the constant ones become labels.
+ * @param {Object} registry - Registry from createRegistry
+ * @returns {Function} Listener taking (metric, collector)
+ */
+function bridgeMetricsCollector(registry) {
+  return (metric, collector) => {
+    const base = `app_${sanitizeName(metric.name.replace(`${collector.namespace}.`, ''))}`;
+    const labels = Object.fromEntries(
+      Object.entries(metric.tags)
+        .filter(([name]) => !CONSTANT_TAGS.includes(name))
+        .map(([name, value]) => [sanitizeName(name), String(value)])
+    );
+
+    if (metric.type === 'count') {
+      registry.counter(`${base}_total`, `MetricsCollector count ${metric.name}`).inc(labels, metric.value);
+    } else if (metric.type === 'gauge') {
+      registry.gauge(base, `MetricsCollector gauge ${metric.name}`).set(labels, metric.value);
+    } else if (metric.type === 'histogram') {
+      registry.histogram(`${base}_seconds`, `MetricsCollector latency ${metric.name}`).observe(labels, metric.value / 1000);
+    }
+  };
+}
+
+/**
+ * Parse Prometheus exposition text into samples
+ * @param {string} text - Scrape output
+ * @returns {Array<Object>} [{ name, labels, value }]
+ */
+function parsePrometheusText(text) {
+  return text.split('\n')
+    .map(line => line.match(/^([a-zA-Z_:][a-zA-Z0-9_:]*)(?:\{(.*)\})?\s+(\S+)/))
+    .filter(Boolean)
+    .map(([, name, rawLabels = '', value]) => {
+      const labels = {};
+      for (const [, label, labelValue] of rawLabels.matchAll(/(\w+)="((?:[^"\\]|\\.)*)"/g)) {
+        labels[label] = labelValue.replace(/\\n/g, '\n').replace(/\\(["\\])/g, '$1');
+      }
+      return { name, labels, value: parseValue(value) };
+    });
+}
+
+/**
+ * Estimate a quantile from cumulative histogram buckets, interpolating linearly
+ * within a bucket as Prometheus' histogram_quantile does
+ * @param {Array<Object>} buckets - [{ le, count }] cumulative, ascending, ending with le Infinity
+ * @param {number} quantile - Between 0 and 1
+ * @returns {number} Estimated value, NaN without observations
+ */
+function histogramQuantile(buckets, quantile) {
+  const total = buckets[buckets.length - 1]?.count || 0;
+  if (total === 0) {
+    return NaN;
+  }
+
+  const rank = quantile * total;
+  const index = buckets.findIndex(bucket => bucket.count >= rank);
+  const bucket = buckets[index];
+  if (bucket.le === Infinity) {
+    // Open-ended: the best estimate is the highest finite bound
+    return buckets[index - 1]?.le ?? 0;
+  }
+
+  const lowerBound = index > 0 ? buckets[index - 1].le : 0;
+  const lowerCount = index > 0 ? buckets[index - 1].count : 0;
+  const inBucket = bucket.count - lowerCount;
+  return inBucket === 0
+    ? bucket.le
+    : lowerBound + (bucket.le - lowerBound) * ((rank - lowerCount) / inBucket);
+}
+
+/**
+ * Summarize a histogram across its series, optionally as the change since an earlier scrape
+ * @param {string} name - Histogram name, without _bucket
+ * @param {Array<Object>} samples - Samples from parsePrometheusText
+ * @param {Object} options - { before: samples from an earlier scrape to subtract,
+ *   filter: (labels) => boolean selecting the series to include }
+ * @returns {Object} { count, sum, mean, p50, p90, p95, p99 } in the histogram's unit
+ */
+function summarizeHistogram(name, samples, { before = [], filter = () => true } = {}) {
+  const total = (list, suffix, le) => list
+    .filter(sample => sample.name === `${name}${suffix}` && filter(sample.labels) &&
+      (le === undefined || sample.labels.le === le))
+    .reduce((sum, sample) => sum + sample.value, 0);
+
+  const bounds = [...new Set(samples
+    .filter(sample => sample.name === `${name}_bucket`)
+    .map(sample => sample.labels.le))];
+  const buckets = bounds
+    .map(le => ({ le: parseValue(le), count: total(samples, '_bucket', le) - total(before, '_bucket', le) }))
+    .sort((a, b) => a.le - b.le);
+
+  const count = total(samples, '_count') - total(before, '_count');
+  const sum = total(samples, '_sum') - total(before, '_sum');
+  return {
+    count,
+    sum,
+    mean: count ? sum / count : NaN,
+    p50: histogramQuantile(buckets, 0.5),
+    p90: histogramQuantile(buckets, 0.9),
+    p95: histogramQuantile(buckets, 0.95),
+    p99: histogramQuantile(buckets, 0.99)
+  };
+}
+
+module.exports = {
+  DEFAULT_BUCKETS,
+  createRegistry,
+  mergeSnapshots,
+  renderSnapshot,
+  bridgeMetricsCollector,
+  parsePrometheusText,
+  histogramQuantile,
+  summarizeHistogram
+};
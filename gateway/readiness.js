@@ -0,0 +1,129 @@
+/**
+ * Readiness checks for the gateway simulator - probe the AWS dependencies the handlers
+ * need and report each one's status and latency
+ * @module gateway/readiness
+ */
+
+const { DescribeTableCommand } = require('@aws-sdk/client-dynamodb');
+const { DescribeStateMachineCommand } = require('@aws-sdk/client-sfn');
+
+/**
+ * Reject after a timeout
+ * @param {Promise} promise - Work to wait for
+ * @param {number} ms - Timeout
+ * @returns {Promise} The work's result, or a rejection when it takes too long
+ */
+function withTimeout(promise, ms) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+    })
+  ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Check S3 bucket access through S3Service.healthCheck
+ * @param {Function} getS3Service - Returns the S3Service to use
+ * @returns {Function} Check returning { bucket }
+ */
+function s3Check(getS3Service) {
+  return async () => {
+    const s3Service = getS3Service();
+    const { healthy, error } = await s3Service.healthCheck();
+    if (!healthy) {
+      throw new Error(error);
+    }
+    return { bucket: s3Service.bucketName };
+  };
+}
+
+/**
+ * Check that a DynamoDB table exists and is ACTIVE
+ * @param {Object} client - DynamoDBClient
+ * @param {string} tableName - Table name
+ * @returns {Function} Check returning { table, tableStatus }
+ */
+function dynamoTableCheck(client, tableName) {
+  return async () => {
+    const { Table } = await client.send(new DescribeTableCommand({ TableName: tableName }));
+    if (Table.TableStatus !== 'ACTIVE') {
+      throw new Error(`Table ${tableName} is ${Table.TableStatus}`);
+    }
+    return { table: tableName, tableStatus: Table.TableStatus };
+  };
+}
+
+/**
+ * Check that a Step Functions state machine exists and is ACTIVE
+ * @param {Object} client - SFNClient
+ * @param {string} stateMachineArn - State machine ARN
+ * @returns {Function} Check returning { stateMachineArn }
+ */
+function stateMachineCheck(client, stateMachineArn) {
+  return async () => {
+    const { status } = await client.send(new DescribeStateMachineCommand({ stateMachineArn }));
+    // status is optional in the response
+    if (status && status !== 'ACTIVE') {
+      throw new Error(`State machine is ${status}`);
+    }
+    return { stateMachineArn };
+  };
+}
+
+/**
+ * Create a readiness probe over a set of checks. Checks run in parallel; a result is reused
+ * for cacheMs so frequent probes don't load the dependencies.
+ * @param {Object} checks - Map of name to async () => details, throwing when the dependency is unavailable
+ * @param {Object} options - { timeoutMs per check, cacheMs, now }
+ * @returns {Function} () => Promise<{ ready, checks: { name: { status, latencyMs, ...details, error } } }>
+ */
+function createReadinessProbe(checks, { timeoutMs = 2000, cacheMs = 1000, now = Date.now } = {}) {
+  let cached = null;
+  let cachedAt = 0;
+  let pending = null;
+
+  const runCheck = async ([name, check]) => {
+    const start = process.hrtime.bigint();
+    const latency = () => Number((Number(process.hrtime.bigint() - start) / 1e6).toFixed(1));
+    try {
+      const details = await withTimeout(Promise.resolve().then(check), timeoutMs);
+      return [name, { status: 'up', latencyMs: latency(), ...details }];
+    } catch (error) {
+      return [name, { status: 'down', latencyMs: latency(), error: error.message || error.name }];
+    }
+  };
+
+  const run = async () => {
+    const results = Object.fromEntries(await Promise.all(Object.entries(checks).map(runCheck)));
+    return {
+      ready: Object.values(results).every(result => result.status === 'up'),
+      checks: results
+    };
+  };
+
+  return () => {
+    if (cached && now() - cachedAt < cacheMs) {
+      return Promise.resolve(cached);
+    }
+    // Concurrent probes share one run
+    if (!pending) {
+      pending = run()
+        .then(result => {
+          cached = result;
+          cachedAt = now();
+          return result;
+        })
+        .finally(() => { pending = null; });
+    }
+    return pending;
+  };
+}
+
+module.exports = {
+  createReadinessProbe,
+  s3Check,
+  dynamoTableCheck,
+  stateMachineCheck
+};
@@ -0,0 +1,184 @@
+/**
+ * Route table for the gateway simulator - maps method + path to a Lambda handler
+ * @module gateway/routes
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateThrottle } = require('./throttle');
+const { ErrorHandler } = require('../services/shared/utils/error-handler');
+
+// Handler module paths in the route table are relative to the repository root
+const PROJECT_ROOT = path.resolve(__dirname, '..');
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS', 'ANY'];
+const REQUEST_MODES = ['proxy', 'multipart-json', 'multipart-binary'];
+const RESPONSE_MODES = ['proxy', 'attachment'];
+const AUTHORIZERS = ['none', 'jwt'];
+
+/**
+ * Compile an API Gateway resource path ("/files/{name}", "/{proxy+}") into a matcher
+ * @param {string} resource - Resource path
+ * @returns {Object} { regex, params }
+ */
+function compilePath(resource) {
+  const params = [];
+  const pattern = resource
+    .split('/')
+    .map(segment => {
+      const param = /^\{(\w+)(\+)?\}$/.exec(segment);
+      if (!param) {
+        return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      }
+      params.push(param[1]);
+      // Greedy parameters swallow the rest of the path
+      return param[2] ? '(.+)' : '([^/]+)';
+    })
+    .join('/');
+
+  return { regex: new RegExp(`^${pattern}/?$`), params };
+}
+
+/**
+ * Load the exported handler named by "module/path.exportName"
+ * @param {string} spec - Handler spec, e.g. lambda/index.handler
+ * @returns {Function} Handler function
+ */
+function resolveHandler(spec) {
+  const separator = spec.lastIndexOf('.');
+  if (separator <= 0) {
+    throw new Error(`Invalid handler "${spec}" - expected <module>.<export>`);
+  }
+
+  const modulePath = path.resolve(PROJECT_ROOT, spec.slice(0, separator));
+  const exportName = spec.slice(separator + 1);
+  const handler = require(modulePath)[exportName];
+
+  if (typeof handler !== 'function') {
+    throw new Error(`Handler "${spec}" does not export a function named ${exportName}`);
+  }
+  return handler;
+}
+
+/**
+ * Validate one route entry and attach its matcher and handler
+ * @param {Object} route - Route entry from the table
+ * @param {string} stage - Stage the route belongs to
+ * @returns {Object} Compiled route
+ */
+function compileRoute(route, stage) {
+  const method = String(route.method || '').toUpperCase();
+  const where = `${stage}: ${method} ${route.path}`;
+
+  if (!METHODS.includes(method)) {
+    throw new Error(`Unsupported method in route ${where}`);
+  }
+  if (typeof route.path !== 'string' || !route.path.startsWith('/')) {
+    throw new Error(`Route path must start with "/" in route ${where}`);
+  }
+  if (route.request && !REQUEST_MODES.includes(route.request)) {
+    throw new Error(`Unknown request mode "${route.request}" in route ${where}`);
+  }
+  if (route.response && !RESPONSE_MODES.includes(route.response)) {
+    throw new Error(`Unknown response mode "${route.response}" in route ${where}`);
+  }
+  if (route.authorizer && !AUTHORIZERS.includes(route.authorizer)) {
+    throw new Error(`Unknown authorizer "${route.authorizer}" in route ${where}`);
+  }
+
+  return {
+    ...route,
+    method,
+    stage,
+    request: route.request || 'proxy',
+    response: route.response || 'proxy',
+    functionName: route.functionName || route.handler.replace(/[^\w-]+/g, '-'),
+    ...(route.throttle && { throttle: validateThrottle(route.throttle, `route ${where}`) }),
+    matcher: compilePath(route.path),
+    invoke: resolveHandler(route.handler)
+  };
+}
+
+/**
+ * Load and compile a route table
+ *
+ * The table has a `stages` map of stage name to route list and an optional `defaultStage`.
+ * Every stage is served under its own prefix (/<stage>/...); the default stage is also
+ * served without one.
+ * @param {string} filePath - Route table JSON file
+ * @param {Object} options - { defaultStage } overriding the table's default stage
+ * @returns {Object} { defaultStage, stages: { name: [compiled routes] } }
+ */
+function loadRouteTable(filePath, options = {}) {
+  const table = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const stageNames = Object.keys(table.stages || {});
+
+  if (stageNames.length === 0) {
+    throw new Error(`Route table ${filePath} defines no stages`);
+  }
+
+  const defaultStage = options.defaultStage || table.defaultStage || stageNames[0];
+  if (!stageNames.includes(defaultStage)) {
+    throw new Error(`Default stage "${defaultStage}" is not defined in ${filePath}`);
+  }
+
+  const stages = {};
+  stageNames.forEach(stage => {
+    stages[stage] = table.stages[stage].map(route => compileRoute(route, stage));
+  });
+
+  return { defaultStage, stages };
+}
+
+/**
+ * Split a stage prefix off a request path
+ * @param {Object} table - Table from loadRouteTable
+ * @param {string} requestPath - Request path, possibly starting with /<stage>
+ * @returns {Object} { stage, path, prefixed } - the default stage when there is no prefix
+ */
+function splitStage(table, requestPath) {
+  const [, firstSegment, rest] = /^\/([^/]+)(\/.*)?$/.exec(requestPath) || [];
+  if (firstSegment && table.stages[firstSegment]) {
+    return { stage: firstSegment, path: rest || '/', prefixed: true };
+  }
+  return { stage: table.defaultStage, path: requestPath, prefixed: false };
+}
+
+/**
+ * Find the route serving a path within a stage
+ * @param {Object} table - Table from loadRouteTable
+ * @param {string} method - HTTP method
+ * @param {string} routePath - Request path without the stage prefix
+ * @param {string} stage - Stage name, defaults to the table's default stage
+ * @returns {Object|null} { route, stage, path, pathParameters } or null when nothing matches
+ * @throws {Error} ValidationError when a path parameter is not valid percent-encoding
+ */
+function matchRoute(table, method, routePath, stage = table.defaultStage) {
+  for (const route of table.stages[stage] || []) {
+    if (route.method !== 'ANY' && route.method !== method.toUpperCase()) {
+      continue;
+    }
+
+    const match = route.matcher.regex.exec(routePath);
+    if (match) {
+      const pathParameters = {};
+      route.matcher.params.forEach((name, index) => {
+        try {
+          pathParameters[name] = decodeURIComponent(match[index + 1]);
+        } catch {
+          throw ErrorHandler.createValidationError(`Malformed percent-encoding in path parameter ${name}`);
+        }
+      });
+      return { route, stage, path: routePath, pathParameters };
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  loadRouteTable,
+  splitStage,
+  matchRoute,
+  compilePath,
+  resolveHandler
+};
@@ -0,0 +1,85 @@
+/**
+ * Graceful shutdown for the gateway simulator - track in-flight requests and,
+ * on a stop signal, finish them before the process exits
+ * @module gateway/shutdown
+ */
+
+/**
+ * Create a drainer for an HTTP server
+ * @param {Object} options - { timeoutMs } how long in-flight requests get before their connections are cut
+ * @returns {Object} { middleware, attach, drain, isDraining, getInFlight }
+ */
+function createDrainer({ timeoutMs = 25000 } = {}) {
+  let server = null;
+  let draining = false;
+  let inFlight = 0;
+  let onIdle = null;
+
+  /**
+   * Express middleware counting requests until their response finishes or the client goes away
+   */
+  const middleware = (req, res, next) => {
+    if (draining) {
+      // Clients on keep-alive connections should reconnect elsewhere
+      res.set('Connection', 'close');
+    }
+
+    inFlight++;
+    let done = false;
+    const finish = () => {
+      if (done) {
+        return;
+      }
+      done = true;
+      inFlight--;
+      if (inFlight === 0 && onIdle) {
+        onIdle();
+      }
+    };
+    res.on('finish', finish);
+    res.on('close', finish);
+    next();
+  };
+
+  /**
+   * Stop accepting connections and wait for in-flight requests
+   * @returns {Promise<Object>} { drained, abandoned } - abandoned counts requests cut off by the timeout
+   */
+  const drain = () => {
+    draining = true;
+    if (server) {
+      server.close();
+      server.closeIdleConnections();
+    }
+
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        onIdle = null;
+        const abandoned = inFlight;
+        server?.closeAllConnections();
+        resolve({ drained: false, abandoned });
+      }, timeoutMs);
+
+      onIdle = () => {
+        clearTimeout(timer);
+        onIdle = null;
+        resolve({ drained: true, abandoned: 0 });
+      };
+      if (inFlight === 0) {
+        onIdle();
+      }
+    });
+  };
+
+  return {
+    middleware,
+    attach: (httpServer) => { server = httpServer; },
+    drain,
+    isDraining: () => draining,
+    getInFlight: () => inFlight
+  };
+}
+
+module.exports = {
+  createDrainer
+};
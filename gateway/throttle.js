@@ -0,0 +1,176 @@
+/**
+ * Request throttling for the gateway simulator - token-bucket rate and burst limits per
+ * route and per API key, and daily quotas per API key, as API Gateway usage plans apply them
+ * @module gateway/throttle
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validate a { rateLimit, burstLimit } setting
+ * @param {Object} throttle - Throttle setting
+ * @param {string} where - Where the setting came from, for error messages
+ * @returns {Object} The setting, with burstLimit defaulting to rateLimit
+ */
+function validateThrottle(throttle, where) {
+  const { rateLimit, burstLimit = rateLimit } = throttle;
+  if (!(rateLimit > 0) || !(burstLimit >= 1)) {
+    throw new Error(`Throttle for ${where} needs a positive rateLimit and a burstLimit of at least 1`);
+  }
+  return { rateLimit, burstLimit };
+}
+
+/**
+ * Create a token bucket that holds up to burstLimit tokens and refills at rateLimit per second
+ * @param {Object} throttle - { rateLimit, burstLimit }
+ * @param {number} now - Creation time in ms
+ * @returns {Object} Bucket with take(now) -> { allowed, retryAfterMs }
+ */
+function createTokenBucket({ rateLimit, burstLimit }, now = Date.now()) {
+  let tokens = burstLimit;
+  let updatedAt = now;
+
+  return {
+    take(at = Date.now()) {
+      tokens = Math.min(burstLimit, tokens + ((at - updatedAt) / 1000) * rateLimit);
+      updatedAt = at;
+
+      if (tokens >= 1) {
+        tokens -= 1;
+        return { allowed: true, retryAfterMs: 0 };
+      }
+      return { allowed: false, retryAfterMs: Math.ceil(((1 - tokens) / rateLimit) * 1000) };
+    }
+  };
+}
+
+/**
+ * Create a daily request quota that resets at midnight UTC
+ * @param {Object} quota - { limit, period: 'DAY' }
+ * @returns {Object} Quota with take(now) -> { allowed, remaining, resetAt }
+ */
+function createDailyQuota({ limit }) {
+  let used = 0;
+  let resetAt = 0;
+
+  return {
+    take(at = Date.now()) {
+      if (at >= resetAt) {
+        used = 0;
+        resetAt = (Math.floor(at / DAY_MS) + 1) * DAY_MS;
+      }
+      if (used >= limit) {
+        return { allowed: false, remaining: 0, resetAt };
+      }
+      used += 1;
+      return { allowed: true, remaining: limit - used, resetAt };
+    }
+  };
+}
+
+/**
+ * Create the throttler for a simulator instance
+ * @param {Object} options - { usagePlans } from the auth config, { defaultRouteThrottle }
+ *   applied to routes without a throttle of their own, and { shares }: the number of processes
+ *   splitting every limit, each enforcing its share so the cluster as a whole stays near the limit
+ * @returns {Object} { check, getStats, reset }
+ */
+function createThrottler({ usagePlans = {}, defaultRouteThrottle, shares = 1 } = {}) {
+  Object.entries(usagePlans).forEach(([name, plan]) => {
+    if (plan.throttle) {
+      validateThrottle(plan.throttle, `usage plan ${name}`);
+    }
+    if (plan.quota && (!(plan.quota.limit > 0) || (plan.quota.period || 'DAY') !== 'DAY')) {
+      throw new Error(`Quota for usage plan ${name} needs a positive limit and period DAY`);
+    }
+  });
+  const routeDefault = defaultRouteThrottle && validateThrottle(defaultRouteThrottle, 'the default route');
+
+  let routeBuckets = new Map();
+  let keyBuckets = new Map();
+  let quotas = new Map();
+  let stats = { allowed: 0, throttled: 0, quotaExceeded: 0, byRoute: {}, byApiKey: {} };
+
+  const bucketFor = (buckets, id, { rateLimit, burstLimit }, now) => {
+    if (!buckets.has(id)) {
+      buckets.set(id, createTokenBucket({
+        rateLimit: rateLimit / shares,
+        burstLimit: Math.max(1, Math.floor(burstLimit / shares))
+      }, now));
+    }
+    return buckets.get(id);
+  };
+
+  const countRejection = (reason, routeId, apiKeyId) => {
+    stats[reason === 'quota' ? 'quotaExceeded' : 'throttled'] += 1;
+    stats.byRoute[routeId] = (stats.byRoute[routeId] || 0) + 1;
+    if (apiKeyId) {
+      stats.byApiKey[apiKeyId] = (stats.byApiKey[apiKeyId] || 0) + 1;
+    }
+  };
+
+  /**
+   * Admit or reject one request. Rate limits are checked before the quota, so throttled
+   * requests do not count towards it.
+   * @param {Object} route - Compiled route (stage, method, path, throttle)
+   * @param {Object|null} authorizer - Authorizer context with apiKeyId and usagePlan
+   * @param {number} now - Request time in ms
+   * @returns {Object} { allowed, reason ('rate' | 'quota'), scope ('route' | 'api-key'), retryAfterSeconds }
+   */
+  const check = (route, authorizer, now = Date.now()) => {
+    const routeId = `${route.stage} ${route.method} ${route.path}`;
+    const apiKeyId = authorizer?.apiKeyId;
+    const plan = apiKeyId ? usagePlans[authorizer.usagePlan] : null;
+    const reject = (reason, scope, retryAfterMs) => {
+      countRejection(reason, routeId, apiKeyId);
+      return { allowed: false, reason, scope, retryAfterSeconds: Math.max(1, Math.ceil(retryAfterMs / 1000)) };
+    };
+
+    const routeThrottle = route.throttle || routeDefault;
+    if (routeThrottle) {
+      const result = bucketFor(routeBuckets, routeId, routeThrottle, now).take(now);
+      if (!result.allowed) {
+        return reject('rate', 'route', result.retryAfterMs);
+      }
+    }
+
+    if (plan?.throttle) {
+      const result = bucketFor(keyBuckets, apiKeyId, plan.throttle, now).take(now);
+      if (!result.allowed) {
+        return reject('rate', 'api-key', result.retryAfterMs);
+      }
+    }
+
+    if (plan?.quota) {
+      if (!quotas.has(apiKeyId)) {
+        quotas.set(apiKeyId, createDailyQuota({ ...plan.quota, limit: Math.ceil(plan.quota.limit / shares) }));
+      }
+      const result = quotas.get(apiKeyId).take(now);
+      if (!result.allowed) {
+        return reject('quota', 'api-key', result.resetAt - now);
+      }
+    }
+
+    stats.allowed += 1;
+    return { allowed: true };
+  };
+
+  return {
+    check,
+    getStats: () => JSON.parse(JSON.stringify(stats)),
+    // Refill every bucket, restart every quota and zero the counters
+    reset: () => {
+      routeBuckets = new Map();
+      keyBuckets = new Map();
+      quotas = new Map();
+      stats = { allowed: 0, throttled: 0, quotaExceeded: 0, byRoute: {}, byApiKey: {} };
+    }
+  };
+}
+
+module.exports = {
+  createThrottler,
+  createTokenBucket,
+  createDailyQuota,
+  validateThrottle
+};
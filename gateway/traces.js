@@ -0,0 +1,86 @@
+/**
+ * Recent traces for the gateway simulator - the spans that ended in this process, kept in memory
+ * so a slow request can be looked up by its trace ID without running a tracing backend
+ * @module gateway/traces
+ */
+
+/**
+ * Create a trace store holding the most recent spans
+ * @param {Object} options - { maxSpans } spans kept; the oldest are dropped beyond it
+ * @returns {Object} { record, get, list, clear, size }
+ */
+function createTraceStore({ maxSpans = 10000 } = {}) {
+  // Spans in the order they ended, and the same spans grouped by trace
+  const spans = [];
+  const byTrace = new Map();
+
+  /**
+   * Keep an ended span
+   * @param {Object} span - Span, or its toJSON form
+   */
+  const record = (span) => {
+    const entry = typeof span.toJSON === 'function' ? span.toJSON() : span;
+    spans.push(entry);
+    if (!byTrace.has(entry.traceId)) {
+      byTrace.set(entry.traceId, []);
+    }
+    byTrace.get(entry.traceId).push(entry);
+
+    while (spans.length > maxSpans) {
+      const dropped = spans.shift();
+      const trace = byTrace.get(dropped.traceId);
+      trace.splice(trace.indexOf(dropped), 1);
+      if (trace.length === 0) {
+        byTrace.delete(dropped.traceId);
+      }
+    }
+  };
+
+  /**
+   * Spans of one trace, in start order
+   * @param {string} traceId - Trace ID
+   * @returns {Array<Object>} Spans; empty when the trace is unknown or was dropped
+   */
+  const get = (traceId) => [...(byTrace.get(String(traceId).toLowerCase()) || [])]
+    .sort((a, b) => a.startTime.localeCompare(b.startTime));
+
+  /**
+   * Summaries of the slowest traces: those whose root span (the earliest one that started in
+   * this process) took at least minDurationMs
+   * @param {Object} options - { minDurationMs, limit }
+   * @returns {Array<Object>} { traceId, name, startTime, durationMs, status, spans }, slowest first
+   */
+  const list = ({ minDurationMs = 0, limit = 20 } = {}) => [...byTrace.entries()]
+    .map(([traceId, traceSpans]) => {
+      const ids = new Set(traceSpans.map(span => span.spanId));
+      const root = traceSpans
+        .filter(span => !ids.has(span.parentSpanId))
+        .reduce((earliest, span) => (!earliest || span.startTime < earliest.startTime ? span : earliest), null);
+      return {
+        traceId,
+        name: root.name,
+        startTime: root.startTime,
+        durationMs: root.durationMs,
+        status: root.status.code,
+        spans: traceSpans.length
+      };
+    })
+    .filter(summary => summary.durationMs >= minDurationMs)
+    .sort((a, b) => b.durationMs - a.durationMs)
+    .slice(0, limit);
+
+  /**
+   * Forget every span
+   * @returns {number} Spans dropped
+   */
+  const clear = () => {
+    const cleared = spans.length;
+    spans.length = 0;
+    byTrace.clear();
+    return cleared;
+  };
+
+  return { record, get, list, clear, size: () => spans.length };
+}
+
+module.exports = { createTraceStore };
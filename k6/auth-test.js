@@ -0,0 +1,118 @@
+import http from 'k6/http';
+import { check } from 'k6';
+import { Rate, Trend, Counter } from 'k6/metrics';
+import {
+  getBaseUrl,
+  enhancedMetrics,
+  defaultSleep,
+  warmup,
+  authHeaders,
+  signJwt
+} from './utils.js';
+
+// Run against a simulator started with GATEWAY_AUTH=api_key,jwt (npm run start:auth).
+// Set JWT to an RS256 token from scripts/generate-jwt.js to measure RS256 instead of HS256.
+export const options = {
+  scenarios: {
+    authorized: {
+      executor: 'ramping-vus',
+      exec: 'authorized',
+      stages: [
+        { duration: '10s', target: 10 },
+        { duration: '1m', target: 50 },
+        { duration: '20s', target: 0 },
+      ],
+    },
+    rejected: {
+      executor: 'constant-vus',
+      exec: 'rejected',
+      vus: 2,
+      duration: '1m30s',
+    },
+  },
+  thresholds: {
+    'authorizer_duration': ['p(95)<5'],        // Authorizer adds under 5ms at p95
+    'auth_success': ['rate>0.99'],
+    'auth_rejections': ['rate>0.99'],          // Invalid credentials get the expected 401/403
+    'http_req_duration{scenario:authorized}': ['p(95)<2000'],
+  },
+  userAgent: 'K6PerformanceTest/1.0',
+  tags: { test_type: 'auth' }
+};
+
+const authorizerDuration = new Trend('authorizer_duration');
+const authSuccess = new Rate('auth_success');
+const authRejections = new Rate('auth_rejections');
+const rejectedRequests = new Counter('auth_rejected_requests');
+
+const BASE_URL = getBaseUrl();
+const LIST_URL = `${BASE_URL}/files?maxKeys=10`;
+
+// Invalid credentials and the status the gateway should answer with
+const REJECTION_CASES = [
+  { name: 'missing_api_key', status: 403, headers: () => ({ Authorization: authHeaders('jwt').Authorization }) },
+  { name: 'unknown_api_key', status: 403, headers: () => ({ ...authHeaders('api_key,jwt'), 'X-Api-Key': 'not-a-key' }) },
+  { name: 'missing_token', status: 401, headers: () => authHeaders('api_key') },
+  { name: 'expired_token', status: 401, headers: () => ({
+    ...authHeaders('api_key'),
+    Authorization: `Bearer ${signJwt({ exp: Math.floor(Date.now() / 1000) - 3600 })}`
+  }) },
+  { name: 'bad_signature', status: 401, headers: () => ({
+    ...authHeaders('api_key'),
+    Authorization: `Bearer ${signJwt({}, 'wrong-secret')}`
+  }) },
+];
+
+// The gateway reports the time spent in the authorizer on every response
+function recordAuthorizerLatency(res, tags) {
+  const latency = parseFloat(res.headers['X-Gateway-Authorizer-Latency']);
+  if (!isNaN(latency)) {
+    authorizerDuration.add(latency, tags);
+  }
+}
+
+export function setup() {
+  warmup({ duration: 5 });
+
+  const res = http.get(LIST_URL);
+  if (res.status !== 403 && res.status !== 401) {
+    console.warn(`Unauthenticated request returned ${res.status} - is the simulator running with GATEWAY_AUTH=api_key,jwt?`);
+  }
+}
+
+export function authorized() {
+  const res = http.get(LIST_URL, {
+    headers: authHeaders('api_key,jwt'),
+    tags: { name: 'list_authorized' }
+  });
+  recordAuthorizerLatency(res, { outcome: 'allowed' });
+
+  const success = check(res, {
+    'authorized request succeeds': (r) => r.status === 200,
+  });
+  authSuccess.add(success);
+
+  if (!success) {
+    console.error(`Authorized request failed: ${res.status} - ${res.body}`);
+    enhancedMetrics.errors.add(1, { operation: 'auth' });
+  }
+
+  defaultSleep(0.5, 0.3);
+}
+
+export function rejected() {
+  const rejection = REJECTION_CASES[Math.floor(Math.random() * REJECTION_CASES.length)];
+  const res = http.get(LIST_URL, {
+    headers: rejection.headers(),
+    tags: { name: 'list_rejected', case: rejection.name }
+  });
+  recordAuthorizerLatency(res, { outcome: 'rejected' });
+
+  const expected = check(res, {
+    [`${rejection.name} is rejected with ${rejection.status}`]: (r) => r.status === rejection.status,
+  });
+  authRejections.add(expected, { case: rejection.name });
+  rejectedRequests.add(1, { case: rejection.name });
+
+  defaultSleep(1, 0.3);
+}
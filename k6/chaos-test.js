@@ -0,0 +1,113 @@
+import http from 'k6/http';
+import { check } from 'k6';
+import { Rate, Counter } from 'k6/metrics';
+import {
+  getBaseUrl,
+  enhancedMetrics,
+  generateTestFile,
+  defaultSleep,
+  retryableRequest,
+  warmup,
+  adminRequest,
+  authHeaders
+} from './utils.js';
+
+// Runs uploads, downloads and listings while the simulator injects faults, and measures how
+// many operations still succeed through retryableRequest. Requires ADMIN_TOKEN; the fault
+// rules come from FAULT_RULES (a JSON file), or the defaults below.
+export const options = {
+  stages: [
+    { duration: '10s', target: 10 },
+    { duration: '1m', target: 30 },
+    { duration: '10s', target: 0 },
+  ],
+  thresholds: {
+    'chaos_recovered': ['rate>0.95'],     // Retries hide almost every injected failure
+    'faults_injected': ['count>0'],        // Faults were actually active
+  },
+  userAgent: 'K6PerformanceTest/1.0',
+  tags: { test_type: 'chaos' }
+};
+
+const DEFAULT_RULES = [
+  { id: 'chaos-latency', target: 'http', type: 'latency', distribution: 'exponential', meanMs: 50 },
+  { id: 'chaos-503', target: 'http', type: 'status', status: 503, retryAfter: 1, probability: 0.05 },
+  { id: 'chaos-429', target: 'http', method: 'POST', type: 'status', status: 429, retryAfter: 1, probability: 0.05 },
+  { id: 'chaos-reset', target: 'http', path: '/files', type: 'reset', probability: 0.05 },
+  { id: 'chaos-slow-body', target: 'http', path: '/download', type: 'slow-body', bytesPerSecond: 32768, probability: 0.1 },
+  { id: 'chaos-s3-refused', target: 's3', type: 'network-error', code: 'ECONNREFUSED', probability: 0.02 },
+  { id: 'chaos-s3-dns', target: 's3', type: 'network-error', code: 'EAI_AGAIN', probability: 0.02 },
+];
+const RULES = __ENV.FAULT_RULES ? JSON.parse(open(__ENV.FAULT_RULES)).rules : DEFAULT_RULES;
+
+const recovered = new Rate('chaos_recovered');
+const faultsInjected = new Counter('faults_injected');
+const connectionFailures = new Counter('connection_failures');
+
+const BASE_URL = getBaseUrl();
+
+// Count faults the gateway reports, and connection-level failures it cannot report
+function request(fn) {
+  return retryableRequest(() => {
+    const res = fn();
+    if (res.headers['X-Fault-Injected']) {
+      res.headers['X-Fault-Injected'].split(',').forEach((rule) => faultsInjected.add(1, { rule }));
+    }
+    if (res.status === 0) {
+      connectionFailures.add(1);
+    }
+    return res;
+  }, { maxRetries: 4, retryDelay: 0.5 });
+}
+
+export function setup() {
+  warmup({ duration: 5 });
+
+  // Seed a file before the faults start, so downloads have something to fetch
+  const seed = generateTestFile('chaos-seed', 64);
+  http.post(`${BASE_URL}/upload`, { file: http.file(seed.content, seed.filename, 'text/plain') }, { headers: authHeaders() });
+
+  const res = adminRequest('PUT', '/faults', { enabled: true, rules: RULES });
+  if (!check(res, { 'fault rules loaded': (r) => r.status === 200 })) {
+    throw new Error(`Could not load fault rules: ${res.status} - ${res.body}`);
+  }
+  console.log(`Loaded ${RULES.length} fault rules`);
+
+  return { seed: seed.filename };
+}
+
+export default function (data) {
+  const operation = ['upload', 'download', 'list'][Math.floor(Math.random() * 3)];
+  let res;
+
+  if (operation === 'upload') {
+    const testFile = generateTestFile('chaos', 4);
+    res = request(() => http.post(`${BASE_URL}/upload`, {
+      file: http.file(testFile.content, testFile.filename, 'text/plain')
+    }, { headers: authHeaders(), tags: { name: 'chaos_upload' } }));
+  } else if (operation === 'download') {
+    res = request(() => http.get(`${BASE_URL}/download?filename=${data.seed}`, {
+      headers: authHeaders(), tags: { name: 'chaos_download' }
+    }));
+  } else {
+    res = request(() => http.get(`${BASE_URL}/files?maxKeys=20`, {
+      headers: authHeaders(), tags: { name: 'chaos_list' }
+    }));
+  }
+
+  const success = check(res, {
+    [`${operation} succeeds despite faults`]: (r) => r.status === 200,
+  });
+  recovered.add(success, { operation });
+  if (!success) {
+    enhancedMetrics.errors.add(1, { operation });
+  }
+
+  defaultSleep(0.5, 0.3);
+}
+
+export function teardown() {
+  const state = adminRequest('GET', '/faults');
+  console.log(`Faults injected per rule: ${JSON.stringify(state.json('injected'))}`);
+  adminRequest('PUT', '/faults/enabled', { enabled: false });
+}
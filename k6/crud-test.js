@@ -0,0 +1,114 @@
+import http from 'k6/http';
+import { check } from 'k6';
+import { Rate, Trend, Counter } from 'k6/metrics';
+import {
+  getBaseUrl,
+  enhancedMetrics,
+  generateTestFile,
+  randomString,
+  defaultSleep,
+  retryableRequest,
+  warmup,
+  authHeaders,
+  deleteFile
+} from './utils.js';
+
+// File sizes for the objects each iteration creates (in KB)
+const FILE_SIZES = [1, 2, 5, 10];
+
+export const options = {
+  stages: [
+    { duration: '10s', target: 5 },
+    { duration: '30s', target: 20 },
+    { duration: '2m', target: 20 },
+    { duration: '20s', target: 0 },
+  ],
+  thresholds: {
+    'crud_create_duration': ['p(95)<3000'],
+    'crud_head_duration': ['p(95)<500'],
+    'crud_read_duration': ['p(95)<1000'],
+    'crud_delete_duration': ['p(95)<1000'],
+    'crud_failures': ['rate<0.01'],
+    'crud_leaked_objects': ['count==0'],
+  },
+  userAgent: 'K6PerformanceTest/1.0',
+  tags: { test_type: 'crud' }
+};
+
+const durations = {
+  create: new Trend('crud_create_duration'),
+  head: new Trend('crud_head_duration'),
+  read: new Trend('crud_read_duration'),
+  delete: new Trend('crud_delete_duration'),
+};
+const crudFailRate = new Rate('crud_failures');
+const leakedObjects = new Counter('crud_leaked_objects');
+
+const BASE_URL = getBaseUrl();
+
+// Run one step of the lifecycle, recording its latency and outcome
+const step = (operation, request, checks) => {
+  const res = request();
+  durations[operation].add(res.timings.duration);
+
+  const ok = check(res, checks);
+  crudFailRate.add(!ok, { operation });
+  if (!ok) {
+    console.error(`${operation} failed: ${res.status} - ${res.body}`);
+    enhancedMetrics.errors.add(1, { operation });
+  }
+  return ok;
+};
+
+export function setup() {
+  warmup({ duration: 5 });
+  // Unique prefix so a run's objects can be told apart from anything else in the bucket
+  return { prefix: `crud-${randomString(8)}` };
+}
+
+// Create, inspect, read and delete one object per iteration, then confirm it is gone
+export default function (data) {
+  const sizeKb = FILE_SIZES[Math.floor(Math.random() * FILE_SIZES.length)];
+  const testFile = generateTestFile(`${data.prefix}-${__VU}-${__ITER}`, sizeKb);
+  const fileUrl = `${BASE_URL}/files/${encodeURIComponent(testFile.filename)}`;
+  const params = { headers: authHeaders() };
+
+  const created = step('create', () => retryableRequest(() =>
+    http.post(`${BASE_URL}/upload`, {
+      file: http.file(testFile.content, testFile.filename, 'text/plain')
+    }, { ...params, tags: { name: 'create' } }),
+    { maxRetries: 2 }
+  ), {
+    'create status is 200': (r) => r.status === 200,
+  });
+  if (!created) {
+    return;
+  }
+
+  step('head', () => http.head(fileUrl, { ...params, tags: { name: 'head' } }), {
+    'head status is 200': (r) => r.status === 200,
+    'head reports the uploaded size': (r) => Number(r.headers['Content-Length']) === testFile.size,
+    'head has no body': (r) => !r.body,
+  });
+
+  step('read', () => http.get(`${BASE_URL}/download?filename=${encodeURIComponent(testFile.filename)}`, {
+    ...params,
+    tags: { name: 'read' }
+  }), {
+    'read status is 200': (r) => r.status === 200,
+    'read returns the uploaded content': (r) => r.body === testFile.content,
+  });
+
+  const deleted = step('delete', () => retryableRequest(() => deleteFile(testFile.filename), { maxRetries: 2 }), {
+    'delete status is 200': (r) => r.status === 200,
+  });
+
+  // A deleted object must no longer be found
+  const gone = http.head(fileUrl, { ...params, tags: { name: 'head_after_delete' } });
+  const removed = check(gone, { 'deleted object is gone': (r) => r.status === 404 });
+  if (!deleted || !removed) {
+    leakedObjects.add(1);
+  }
+
+  defaultSleep(0.5, 0.3);
+}
@@ -1,6 +1,6 @@
 import http from 'k6/http';
 import { check } from 'k6';
-import { Rate, Trend } from 'k6/metrics';
+import { Rate, Trend, Counter } from 'k6/metrics';
 import { 
   config, // eslint-disable-line no-unused-vars
   getBaseUrl, 
@@ -10,7 +10,11 @@ import {
   measureDuration, // eslint-disable-line no-unused-vars
   defaultSleep, 
   retryableRequest,
-  warmup 
+  warmup,
+  adminRequest,
+  authHeaders,
+  uploadBatch,
+  deleteBatch
 } from './utils.js';
 
 export const options = {
@@ -39,6 +43,130 @@ export const options = {
 // Custom metrics for detailed monitoring
 const downloadDuration = new Trend('download_duration');
 const downloadFailRate = new Rate('download_failures');
+const partialDownloads = new Counter('download_partial');
+const notModifiedDownloads = new Counter('download_not_modified');
+// Lambda cache outcome from X-Cache, so cache-served downloads can be told apart from storage reads
+const cacheHits = new Counter('download_cache_hits');
+const cacheMisses = new Counter('download_cache_misses');
+
+// Client behaviour mix, picked at random per iteration:
+//   full      - plain GET of the whole file
+//   resumable - fetch the file in two Range requests, as a resumed download would
+//   cached    - revalidate with If-None-Match once the VU has seen the file's ETag
+// e.g. DOWNLOAD_CLIENT_MODES=full,resumable,cached
+const CLIENT_MODES = (__ENV.DOWNLOAD_CLIENT_MODES || 'full').split(',').map((mode) => mode.trim());
+
+// ETags seen by this VU, used by cached clients
+const knownEtags = {};
+
+// Lambda cache state for the run, set through the simulator admin API (needs ADMIN_TOKEN):
+//   cold - caching disabled, every download reads from storage
+//   warm - cache cleared, then primed with every test file before the run
+// Unset leaves the cache as it is.
+const CACHE_MODE = __ENV.CACHE_MODE;
+
+function prepareCache(testFiles) {
+  if (!CACHE_MODE) {
+    return;
+  }
+
+  const toggle = adminRequest('PUT', '/cache/enabled', { enabled: CACHE_MODE !== 'cold' });
+  const cleared = adminRequest('DELETE', '/cache');
+  if (!check(toggle, { 'cache toggled': (r) => r.status === 200 }) ||
+      !check(cleared, { 'cache cleared': (r) => r.status === 200 })) {
+    console.error(`Could not prepare ${CACHE_MODE} cache: ${toggle.status} - ${toggle.body}`);
+    return;
+  }
+
+  if (CACHE_MODE === 'warm') {
+    // Cluster workers cache separately: download each file until every worker has served it,
+    // on a new connection each time so requests are spread across workers
+    const workers = JSON.parse(adminRequest('GET', '/cache').body).workers || [];
+    const workerCount = Math.max(1, workers.length);
+    testFiles.forEach((testFile) => {
+      const primed = new Set();
+      for (let attempt = 0; attempt < workerCount * 3 && primed.size < workerCount; attempt++) {
+        const res = http.get(`${getBaseUrl()}/download?filename=${testFile.filename}`, {
+          headers: Object.assign(authHeaders(), { Connection: 'close' })
+        });
+        primed.add(res.headers['X-Gateway-Worker']);
+      }
+    });
+  }
+
+  console.log(`Cache prepared (${CACHE_MODE}): ${adminRequest('GET', '/cache').body}`);
+}
+
+function fullDownload(testFile) {
+  const res = retryableRequest(() => 
+    http.get(`${getBaseUrl()}/download?filename=${testFile.filename}`, { headers: authHeaders() }),
+    { maxRetries: 2, retryDelay: 1 }
+  );
+
+  const success = check(res, {
+    'download status is 200': (r) => r.status === 200,
+    'download has expected headers': (r) => r.headers['Content-Type'] === 'application/octet-stream',
+    'download has content': (r) => r.body.length > 0
+  });
+
+  return { res, success };
+}
+
+function resumableDownload(testFile) {
+  const size = testFile.size || testFile.content.length;
+  const half = Math.floor(size / 2);
+  const url = `${getBaseUrl()}/download?filename=${testFile.filename}`;
+
+  const first = retryableRequest(() =>
+    http.get(url, { headers: { ...authHeaders(), Range: `bytes=0-${half - 1}` }, tags: { client: 'resumable' } }),
+    { maxRetries: 2, retryDelay: 1 }
+  );
+  const firstOk = check(first, {
+    'first range status is 206': (r) => r.status === 206,
+    'first range has Content-Range': (r) => r.headers['Content-Range'] === `bytes 0-${half - 1}/${size}`,
+  });
+  if (!firstOk) {
+    return { res: first, success: false };
+  }
+
+  // Resume from where the first request stopped
+  const res = retryableRequest(() =>
+    http.get(url, { headers: { ...authHeaders(), Range: `bytes=${half}-` }, tags: { client: 'resumable' } }),
+    { maxRetries: 2, retryDelay: 1 }
+  );
+  const success = check(res, {
+    'resumed range status is 206': (r) => r.status === 206,
+    'resumed range reaches end of file': (r) => r.headers['Content-Range'] === `bytes ${half}-${size - 1}/${size}`,
+  });
+  partialDownloads.add(2);
+
+  return { res, success };
+}
+
+function cachedDownload(testFile) {
+  const etag = knownEtags[testFile.filename];
+  const res = retryableRequest(() =>
+    http.get(`${getBaseUrl()}/download?filename=${testFile.filename}`, {
+      headers: { ...authHeaders(), ...(etag && { 'If-None-Match': etag }) },
+      tags: { client: 'cached' }
+    }),
+    { maxRetries: 2, retryDelay: 1 }
+  );
+
+  if (res.headers['Etag']) {
+    knownEtags[testFile.filename] = res.headers['Etag'];
+  }
+
+  const success = check(res, {
+    'cached download status is 200 or 304': (r) => r.status === 200 || r.status === 304,
+    'revalidation returns 304': (r) => !etag || r.status === 304,
+  });
+  if (res.status === 304) {
+    notModifiedDownloads.add(1);
+  }
+
+  return { res, success };
+}
 
 export function setup() {
   // Run warmup to stabilize the environment
@@ -47,17 +175,31 @@ export function setup() {
   // Create multiple test files with varying sizes for realistic testing
   const testFiles = [];
   const sizes = [1, 5, 10]; // KB sizes
-  
-  for (let i = 0; i < sizes.length; i++) {
-    const testFile = generateTestFile('get-test', sizes[i]);
-    
+  const candidates = sizes.map((size, i) => generateTestFile(`get-test-${i}`, size));
+
+  // Seed in one batch request; files it could not store are uploaded one by one below
+  const batchRes = retryableRequest(() => uploadBatch(candidates, { responseType: 'text' }), { maxRetries: 3, retryDelay: 2 });
+  const batchResults = batchRes.status === 200 || batchRes.status === 207 ? batchRes.json('results') : [];
+  const pending = candidates.filter((testFile, i) => {
+    if (batchResults[i] && batchResults[i].status === 'uploaded') {
+      testFiles.push(testFile);
+      console.log(`Created test file: ${testFile.filename} (${testFile.size} bytes)`);
+      return false;
+    }
+    return true;
+  });
+  if (pending.length > 0) {
+    console.warn(`Batch upload stored ${testFiles.length}/${candidates.length} files (${batchRes.status}), uploading the rest individually`);
+  }
+
+  pending.forEach((testFile) => {
     const data = {
       file: http.file(testFile.content, testFile.filename, 'text/plain'),
     };
     
     // Use retryable request for better setup reliability
     const res = retryableRequest(() => 
-      http.post(`${getBaseUrl()}/upload`, data),
+      http.post(`${getBaseUrl()}/upload`, data, { headers: authHeaders() }),
       { maxRetries: 3, retryDelay: 2 }
     );
     
@@ -71,7 +213,7 @@ export function setup() {
     } else {
       console.error(`Failed to create test file during setup: ${res.status} - ${res.body}`);
     }
-  }
+  });
   
   if (testFiles.length === 0) {
     console.error("WARNING: No test files were successfully uploaded during setup!");
@@ -83,30 +225,56 @@ export function setup() {
     };
     testFiles.push(fallbackFile);
   }
+
+  prepareCache(testFiles);
   
   return { files: testFiles };
 }
 
+export function teardown(data) {
+  // Remove the seeded files; CLEANUP=false keeps them
+  if (__ENV.CLEANUP !== 'false') {
+    const res = deleteBatch(data.files.map((testFile) => testFile.filename), { responseType: 'text' });
+    if (res.status !== 200) {
+      console.warn(`Cleanup of seeded files incomplete: ${res.status} - ${res.body}`);
+    }
+  }
+
+  if (CACHE_MODE) {
+    const stats = adminRequest('GET', '/cache');
+    console.log(`Cache stats after ${CACHE_MODE} run: ${stats.body}`);
+    // Leave caching enabled for whatever runs next
+    adminRequest('PUT', '/cache/enabled', { enabled: true });
+  }
+}
+
 export default function (data) {
   // Select a random file from the files created in setup
   const fileIndex = Math.floor(Math.random() * data.files.length);
   const testFile = data.files[fileIndex];
   
+  const mode = CLIENT_MODES[Math.floor(Math.random() * CLIENT_MODES.length)];
+  
   // Use retryable request for better test reliability
   const startTime = new Date();
-  const res = retryableRequest(() => 
-    http.get(`${getBaseUrl()}/download?filename=${testFile.filename}`),
-    { maxRetries: 2, retryDelay: 1 }
-  );
+  let outcome;
+  if (mode === 'resumable') {
+    outcome = resumableDownload(testFile);
+  } else if (mode === 'cached') {
+    outcome = cachedDownload(testFile);
+  } else {
+    outcome = fullDownload(testFile);
+  }
+  const { res, success } = outcome;
   
   // Record metrics
-  downloadDuration.add(new Date() - startTime);
-  
-  const success = check(res, {
-    'download status is 200': (r) => r.status === 200,
-    'download has expected headers': (r) => r.headers['Content-Type'] === 'application/octet-stream',
-    'download has content': (r) => r.body.length > 0
-  });
+  const cacheStatus = (res.headers['X-Cache'] || 'none').toLowerCase();
+  downloadDuration.add(new Date() - startTime, { client: mode, cache: cacheStatus });
+  if (cacheStatus === 'hit') {
+    cacheHits.add(1);
+  } else if (cacheStatus === 'miss') {
+    cacheMisses.add(1);
+  }
   
   if (!success) {
     console.error(`Download failed for ${testFile.filename}: ${res.status} - ${res.body}`);
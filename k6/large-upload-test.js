@@ -0,0 +1,93 @@
+import http from 'k6/http';
+import { check } from 'k6';
+import { Rate, Trend, Counter } from 'k6/metrics';
+import {
+  getBaseUrl,
+  enhancedMetrics,
+  randomString,
+  defaultSleep,
+  warmup
+} from './utils.js';
+
+// Payload sizes in MB - override with LARGE_FILE_SIZES_MB=100,250
+const FILE_SIZES_MB = (__ENV.LARGE_FILE_SIZES_MB || '100,250,500,1024')
+  .split(',')
+  .map((size) => parseInt(size, 10))
+  .filter((size) => size > 0);
+
+// Large payloads are memory hungry on the k6 side, so keep concurrency low
+export const options = {
+  scenarios: {
+    large_uploads: {
+      executor: 'per-vu-iterations',
+      vus: parseInt(__ENV.LARGE_UPLOAD_VUS || '2', 10),
+      iterations: FILE_SIZES_MB.length,
+      maxDuration: '30m',
+    },
+  },
+  thresholds: {
+    'large_upload_failures': ['rate<0.05'],      // Less than 5% failed uploads
+    'large_upload_throughput': ['avg>5'],        // At least 5 MB/s on average
+  },
+  userAgent: 'K6PerformanceTest/1.0',
+  tags: { test_type: 'large_upload' }
+};
+
+const uploadDuration = new Trend('large_upload_duration');
+const uploadThroughput = new Trend('large_upload_throughput');
+const uploadFailRate = new Rate('large_upload_failures');
+const bytesUploaded = new Counter('large_upload_bytes');
+
+const BASE_URL = getBaseUrl();
+
+// Build a binary payload without holding a UTF-16 string of the same size
+function buildPayload(sizeMb) {
+  const bytes = new Uint8Array(sizeMb * 1024 * 1024);
+  for (let i = 0; i < bytes.length; i += 4096) {
+    bytes[i] = i & 0xff;
+  }
+  return bytes.buffer;
+}
+
+export function setup() {
+  warmup({ duration: 5 });
+  console.log(`Large upload sizes: ${FILE_SIZES_MB.join(', ')} MB`);
+}
+
+export default function () {
+  // Each VU walks through every configured size once
+  const sizeMb = FILE_SIZES_MB[__ITER % FILE_SIZES_MB.length];
+  const filename = `large-${sizeMb}mb-${__VU}-${randomString(8)}.zip`;
+  const payload = buildPayload(sizeMb);
+
+  const startTime = Date.now();
+  const res = http.put(
+    `${BASE_URL}/upload/stream?filename=${filename}`,
+    payload,
+    {
+      headers: { 'Content-Type': 'application/octet-stream' },
+      timeout: '15m',
+      tags: { size_mb: String(sizeMb) }
+    }
+  );
+  const duration = Date.now() - startTime;
+
+  const success = check(res, {
+    'large upload status is 200': (r) => r.status === 200,
+    'large upload returned upload id': (r) => r.status === 200 && !!r.json('uploadId'),
+  });
+
+  uploadDuration.add(duration, { size_mb: String(sizeMb) });
+  uploadFailRate.add(!success);
+
+  if (success) {
+    bytesUploaded.add(sizeMb * 1024 * 1024);
+    uploadThroughput.add(sizeMb / (duration / 1000), { size_mb: String(sizeMb) });
+    enhancedMetrics.uploadSuccess.add(1, { file_size: sizeMb * 1024 });
+  } else {
+    console.error(`Large upload failed for ${sizeMb}MB: ${res.status} - ${res.body}`);
+    enhancedMetrics.errors.add(1, { operation: 'large_upload', file_size: sizeMb * 1024 });
+  }
+
+  defaultSleep(1, 0.2);
+}
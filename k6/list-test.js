@@ -0,0 +1,114 @@
+import http from 'k6/http';
+import { check } from 'k6';
+import { Rate, Trend, Counter } from 'k6/metrics';
+import {
+  getBaseUrl,
+  enhancedMetrics,
+  randomString,
+  defaultSleep,
+  retryableRequest,
+  warmup
+} from './utils.js';
+
+// Number of objects seeded before the test - override with LIST_SEED_COUNT
+const SEED_COUNT = parseInt(__ENV.LIST_SEED_COUNT || '2000', 10);
+const SEED_BATCH_SIZE = 50;
+const PAGE_SIZES = [100, 500, 1000];
+
+export const options = {
+  stages: [
+    { duration: '10s', target: 5 },
+    { duration: '1m', target: 20 },
+    { duration: '2m', target: 20 },
+    { duration: '20s', target: 0 },
+  ],
+  setupTimeout: '10m',
+  thresholds: {
+    'list_page_duration': ['p(95)<1000'],    // 95% of pages within 1s
+    'list_full_scan_duration': ['p(95)<15000'],
+    'list_failures': ['rate<0.01'],
+  },
+  userAgent: 'K6PerformanceTest/1.0',
+  tags: { test_type: 'list' }
+};
+
+const pageDuration = new Trend('list_page_duration');
+const fullScanDuration = new Trend('list_full_scan_duration');
+const listFailRate = new Rate('list_failures');
+const pagesFetched = new Counter('list_pages');
+
+const BASE_URL = getBaseUrl();
+
+export function setup() {
+  warmup({ duration: 5 });
+
+  // Unique prefix so the scan only sees objects seeded by this run
+  const prefix = `list-${randomString(8)}-`;
+  let seeded = 0;
+
+  for (let start = 0; start < SEED_COUNT; start += SEED_BATCH_SIZE) {
+    const requests = [];
+    for (let i = start; i < Math.min(start + SEED_BATCH_SIZE, SEED_COUNT); i++) {
+      const filename = `${prefix}${String(i).padStart(6, '0')}.txt`;
+      requests.push(['POST', `${BASE_URL}/upload`, {
+        file: http.file(`seed object ${i}`, filename, 'text/plain'),
+      }]);
+    }
+
+    const responses = http.batch(requests);
+    seeded += responses.filter((r) => r.status === 200).length;
+  }
+
+  console.log(`Seeded ${seeded}/${SEED_COUNT} objects under prefix ${prefix}`);
+  return { prefix, seeded };
+}
+
+export default function (data) {
+  const pageSize = PAGE_SIZES[Math.floor(Math.random() * PAGE_SIZES.length)];
+  const scanStart = Date.now();
+
+  let token = null;
+  let total = 0;
+  let pages = 0;
+  let failed = false;
+
+  // Walk every page of the seeded prefix
+  do {
+    const tokenParam = token ? `&continuationToken=${encodeURIComponent(token)}` : '';
+    const res = retryableRequest(() =>
+      http.get(`${BASE_URL}/files?prefix=${data.prefix}&maxKeys=${pageSize}${tokenParam}`, {
+        tags: { name: 'list_page', page_size: String(pageSize) }
+      }),
+      { maxRetries: 2 }
+    );
+    pageDuration.add(res.timings.duration, { page_size: String(pageSize) });
+
+    const ok = check(res, {
+      'list status is 200': (r) => r.status === 200,
+      'list page within size': (r) => r.status === 200 && r.json('count') <= pageSize,
+    });
+
+    if (!ok) {
+      console.error(`List page failed: ${res.status} - ${res.body}`);
+      enhancedMetrics.errors.add(1, { operation: 'list' });
+      failed = true;
+      break;
+    }
+
+    const page = res.json();
+    total += page.count;
+    pages++;
+    pagesFetched.add(1);
+    token = page.isTruncated ? page.nextContinuationToken : null;
+  } while (token);
+
+  if (!failed) {
+    fullScanDuration.add(Date.now() - scanStart, { page_size: String(pageSize) });
+    check(total, { 'full scan saw every seeded object': (count) => count === data.seeded });
+  }
+  listFailRate.add(failed);
+
+  console.log(`Scanned ${total} objects in ${pages} pages of ${pageSize}`);
+
+  defaultSleep(1, 0.3);
+}
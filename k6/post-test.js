@@ -11,9 +11,16 @@ import {
   measureDuration, 
   defaultSleep, 
   retryableRequest,
-  warmup 
+  warmup,
+  authHeaders,
+  checksumHeaders,
+  deleteFile
 } from './utils.js';
 
+// Delete each uploaded file at the end of its iteration so runs leave the bucket as they found it.
+// CLEANUP=false keeps them, e.g. to seed data for other tests.
+const CLEANUP = __ENV.CLEANUP !== 'false';
+
 // Simple random string generator to replace external dependency
 function randomString(length = 8) {
   const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
@@ -69,7 +76,7 @@ export function setup() {
   const res = retryableRequest(() => 
     http.post(`${BASE_URL}/upload`, {
       file: http.file(setupFile.content, setupFile.filename, 'text/plain')
-    }),
+    }, { headers: authHeaders() }),
     { maxRetries: 3, retryDelay: 2 }
   );
 
@@ -100,7 +107,7 @@ export default function (data) {
     retryableRequest(() => 
       http.post(`${BASE_URL}/upload`, {
         file: http.file(testFile.content, testFile.filename, 'text/plain')
-      }),
+      }, { headers: Object.assign(authHeaders(), checksumHeaders(testFile.content)) }),
       { maxRetries: 2 }
     ), 
     metrics.upload, 
@@ -127,7 +134,7 @@ export default function (data) {
   // Download phase - wrapped in measureDuration for accurate timing
   const downloadRes = measureDuration(() => 
     retryableRequest(() => 
-      http.get(`${BASE_URL}/download?filename=${data.filename}`),
+      http.get(`${BASE_URL}/download?filename=${data.filename}`, { headers: authHeaders() }),
       { maxRetries: 2 }
     ), 
     metrics.download, 
@@ -148,6 +155,19 @@ export default function (data) {
     enhancedMetrics.errors.add(1, { operation: 'download' });
   }
 
+  if (CLEANUP && uploadSuccess) {
+    const deleteRes = deleteFile(testFile.filename, { tags: { name: 'cleanup' } });
+    if (deleteRes.status !== 200) {
+      console.warn(`Cleanup of ${testFile.filename} failed: ${deleteRes.status}`);
+    }
+  }
+
   // Add jitter to sleep for more realistic load pattern
   defaultSleep(0.5, 0.3);
 }
+
+export function teardown(data) {
+  if (CLEANUP) {
+    deleteFile(data.filename, { tags: { name: 'cleanup' } });
+  }
+}
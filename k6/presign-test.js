@@ -0,0 +1,106 @@
+import http from 'k6/http';
+import { check } from 'k6';
+import { Rate, Trend } from 'k6/metrics';
+import {
+  config,
+  getBaseUrl,
+  enhancedMetrics,
+  generateTestFile,
+  defaultSleep,
+  retryableRequest,
+  warmup
+} from './utils.js';
+
+// Direct-to-S3 transfers: the gateway only signs URLs, bytes never pass through Lambda
+export const options = {
+  ...config,
+  thresholds: {
+    'presign_duration': ['p(95)<500'],         // Signing should be cheap
+    'direct_upload_duration': ['p(95)<3000'],
+    'direct_download_duration': ['p(95)<2000'],
+    'presign_failures': ['rate<0.01'],
+  },
+  userAgent: 'K6PerformanceTest/1.0',
+  tags: { test_type: 'presign' }
+};
+
+const presignDuration = new Trend('presign_duration');
+const directUploadDuration = new Trend('direct_upload_duration');
+const directDownloadDuration = new Trend('direct_download_duration');
+const presignFailRate = new Rate('presign_failures');
+
+const BASE_URL = getBaseUrl();
+const EXPIRES_IN = __ENV.PRESIGN_EXPIRES_IN || '300';
+
+// File sizes for realistic testing (in KB)
+const FILE_SIZES = [1, 10, 100, 1024];
+
+export function setup() {
+  warmup({ duration: 5 });
+}
+
+export default function () {
+  const fileSize = FILE_SIZES[Math.floor(Math.random() * FILE_SIZES.length)];
+  const testFile = generateTestFile('presign-test', fileSize);
+
+  // 1) Ask the gateway for a presigned PUT URL
+  const uploadUrlRes = retryableRequest(() =>
+    http.get(
+      `${BASE_URL}/presign/upload?filename=${testFile.filename}&contentLength=${testFile.size}&expiresIn=${EXPIRES_IN}`,
+      { tags: { name: 'presign_upload' } }
+    ),
+    { maxRetries: 2 }
+  );
+  presignDuration.add(uploadUrlRes.timings.duration, { operation: 'upload' });
+
+  if (!check(uploadUrlRes, { 'presign upload status is 200': (r) => r.status === 200 })) {
+    presignFailRate.add(1);
+    enhancedMetrics.errors.add(1, { operation: 'presign_upload' });
+    console.error(`Presign upload failed: ${uploadUrlRes.status} - ${uploadUrlRes.body}`);
+    return;
+  }
+  presignFailRate.add(0);
+
+  // 2) Upload straight to S3 with the signed headers
+  const signedUpload = uploadUrlRes.json();
+  const putRes = http.put(signedUpload.url, testFile.content, {
+    headers: signedUpload.headers,
+    tags: { name: 'direct_upload' }
+  });
+  directUploadDuration.add(putRes.timings.duration, { file_size: String(fileSize) });
+
+  const uploadSuccess = check(putRes, { 'direct upload status is 200': (r) => r.status === 200 });
+  enhancedMetrics.uploadSuccess.add(uploadSuccess ? 1 : 0, { file_size: fileSize });
+  if (!uploadSuccess) {
+    enhancedMetrics.errors.add(1, { operation: 'direct_upload' });
+    console.error(`Direct upload failed: ${putRes.status} - ${putRes.body}`);
+    return;
+  }
+
+  defaultSleep(0.5, 0.3);
+
+  // 3) Ask for a presigned GET URL and download straight from S3
+  const downloadUrlRes = http.get(
+    `${BASE_URL}/presign/download?filename=${testFile.filename}&expiresIn=${EXPIRES_IN}`,
+    { tags: { name: 'presign_download' } }
+  );
+  presignDuration.add(downloadUrlRes.timings.duration, { operation: 'download' });
+
+  if (!check(downloadUrlRes, { 'presign download status is 200': (r) => r.status === 200 })) {
+    presignFailRate.add(1);
+    enhancedMetrics.errors.add(1, { operation: 'presign_download' });
+    return;
+  }
+  presignFailRate.add(0);
+
+  const getRes = http.get(downloadUrlRes.json('url'), { tags: { name: 'direct_download' } });
+  directDownloadDuration.add(getRes.timings.duration, { file_size: String(fileSize) });
+
+  const downloadSuccess = check(getRes, {
+    'direct download status is 200': (r) => r.status === 200,
+    'direct download size matches': (r) => r.body && r.body.length === testFile.size,
+  });
+  enhancedMetrics.downloadSuccess.add(downloadSuccess ? 1 : 0, { file_size: fileSize });
+
+  defaultSleep(0.5, 0.3);
+}
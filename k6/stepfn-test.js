@@ -35,6 +35,15 @@ export const options = {
   },
 };
 
+// Random lower-case hex digits for trace and span IDs
+function randomHex(length) {
+  let result = '';
+  for (let i = 0; i < length; i++) {
+    result += '0123456789abcdef'.charAt(Math.floor(Math.random() * 16));
+  }
+  return result;
+}
+
 // Metrics
 const executionTime    = new Trend('execution_time');
 const failedExecutions = new Counter('failed_executions');
@@ -44,10 +53,12 @@ export default function () {
     return;
   }
 
-  // 1) StartExecution
+  // 1) StartExecution, with a W3C trace context the lambdas pass along, each logging its span
+  const traceId     = randomHex(32);
+  const traceparent = `00-${traceId}-${randomHex(16)}-01`;
   const startBody = JSON.stringify({
     stateMachineArn: SFN_ARN,
-    input:            JSON.stringify({ user: __VU, ts: Date.now() }),
+    input:            JSON.stringify({ user: __VU, ts: Date.now(), traceparent }),
   });
   const startHeaders = {
     // THIS Host header is required for LocalStack routing:
@@ -91,6 +102,9 @@ export default function () {
       } else {
         failedExecutions.add(1);
       }
+      if (status !== 'SUCCEEDED') {
+        console.warn(`Execution ${executionArn} ${status}, trace ${traceId}`);
+      }
     }
   } while (status === 'RUNNING');
 }
@@ -0,0 +1,90 @@
+import http from 'k6/http';
+import { check } from 'k6';
+import { Rate, Trend } from 'k6/metrics';
+import {
+  getBaseUrl,
+  enhancedMetrics,
+  retryableRequest,
+  warmup,
+  adminRequest,
+  authHeaders
+} from './utils.js';
+
+// Spikes above the gateway's limit, then drops back below it, so requests rejected with 429
+// during the spike must back off and get through afterwards. Start the simulator with a route
+// limit between the base and spike rates (npm run start:throttled admits 50/s, burst 100).
+const BASE_RATE = parseInt(__ENV.THROTTLE_BASE_RATE || '20', 10);
+const SPIKE_RATE = parseInt(__ENV.THROTTLE_SPIKE_RATE || '120', 10);
+
+export const options = {
+  scenarios: {
+    spikes: {
+      executor: 'ramping-arrival-rate',
+      startRate: BASE_RATE,
+      timeUnit: '1s',
+      preAllocatedVUs: 50,
+      maxVUs: 300,
+      stages: [
+        { duration: '10s', target: BASE_RATE },
+        { duration: '2s', target: SPIKE_RATE },   // Spike past the burst limit
+        { duration: '5s', target: SPIKE_RATE },
+        { duration: '2s', target: BASE_RATE },
+        { duration: '20s', target: BASE_RATE },   // Room for the backlog to drain
+        { duration: '2s', target: SPIKE_RATE },
+        { duration: '5s', target: SPIKE_RATE },
+        { duration: '2s', target: BASE_RATE },
+        { duration: '20s', target: BASE_RATE },
+      ],
+    },
+  },
+  thresholds: {
+    'throttled_requests': ['count>0'],          // The limit was actually reached
+    'throttle_retry_after_present': ['rate==1'], // Every 429 says when to come back
+    'throttle_recovered': ['rate>0.8'],         // Most requests get through after backing off
+  },
+  userAgent: 'K6PerformanceTest/1.0',
+  tags: { test_type: 'throttle' }
+};
+
+const retryAfterPresent = new Rate('throttle_retry_after_present');
+const recovered = new Rate('throttle_recovered');
+const attemptsUntilSuccess = new Trend('throttle_attempts');
+
+const LIST_URL = `${getBaseUrl()}/files?maxKeys=10`;
+
+export function setup() {
+  warmup({ duration: 5 });
+
+  // Start from full buckets when the admin API is available
+  if (__ENV.ADMIN_TOKEN) {
+    adminRequest('DELETE', '/throttle');
+  }
+}
+
+export default function () {
+  let attempts = 0;
+  const res = retryableRequest(() => {
+    attempts++;
+    const attempt = http.get(LIST_URL, { headers: authHeaders(), tags: { name: 'list_throttled' } });
+    if (attempt.status === 429) {
+      retryAfterPresent.add(attempt.headers['Retry-After'] !== undefined);
+    }
+    return attempt;
+  }, { maxRetries: 5, retryDelay: 1 });
+
+  const success = check(res, {
+    'request eventually admitted': (r) => r.status === 200,
+  });
+  recovered.add(success);
+  attemptsUntilSuccess.add(attempts);
+
+  if (!success) {
+    enhancedMetrics.errors.add(1, { operation: 'throttle' });
+  }
+}
+
+export function teardown() {
+  if (__ENV.ADMIN_TOKEN) {
+    console.log(`Gateway throttle stats: ${adminRequest('GET', '/throttle').body}`);
+  }
+}
@@ -2,6 +2,9 @@ import { sleep } from 'k6';
 import { check, fail } from 'k6';
 import http from 'k6/http';
 import { Rate, Trend, Counter } from 'k6/metrics';
+import crypto from 'k6/crypto';
+import encoding from 'k6/encoding';
+import exec from 'k6/execution';
 
 // Simple random string generator to replace external dependency
 export function randomString(length = 8) {
@@ -13,15 +16,130 @@ export function randomString(length = 8) {
   return result;
 }
 
+// Random lower-case hex digits, e.g. for trace and span IDs
+export const randomHex = (length) => {
+  let result = '';
+  for (let i = 0; i < length; i++) {
+    result += '0123456789abcdef'.charAt(Math.floor(Math.random() * 16));
+  }
+  return result;
+};
+
+// Tag the VU's following samples with a trace ID (trace_id metadata in the JSON output); null removes it.
+// Metadata is only available to VU code, not to the init context.
+const setTraceMetadata = (traceId) => {
+  try {
+    if (traceId) {
+      exec.vu.metrics.metadata['trace_id'] = traceId;
+    } else {
+      delete exec.vu.metrics.metadata['trace_id'];
+    }
+  } catch {
+    // Outside a VU
+  }
+};
+
+// Send one request as a new W3C trace: a traceparent header (unless the caller set one), the
+// trace ID on its samples, and a warning naming the trace when it is slower than TRACE_SLOW_MS.
+// The simulator continues the trace; look it up with GET /admin/traces/{traceId}.
+const traceRequest = (send, params) => {
+  const headers = Object.assign({}, params && params.headers);
+  const existing = Object.keys(headers).find((name) => name.toLowerCase() === 'traceparent');
+  const traceId = existing ? headers[existing].split('-')[1] : randomHex(32);
+  if (!existing) {
+    headers.traceparent = `00-${traceId}-${randomHex(16)}-01`;
+  }
+
+  setTraceMetadata(traceId);
+  const response = send(Object.assign({}, params, { headers }));
+  setTraceMetadata(null);
+
+  const slowMs = parseFloat(__ENV.TRACE_SLOW_MS);
+  if (slowMs && response.timings.duration > slowMs) {
+    console.warn(`Slow request ${response.request.method} ${response.url}: ${response.timings.duration.toFixed(0)}ms, trace ${traceId}`);
+  }
+  return response;
+};
+
+// Position of the params argument of each k6/http request function
+const PARAMS_ARGUMENT = { get: 1, head: 1, del: 2, options: 2, patch: 2, post: 2, put: 2, request: 3 };
+
+// Send every k6/http request (but not http.batch) through traceRequest. Runs when this module is
+// imported, unless TRACE=false.
+export const instrumentHTTP = () => {
+  Object.entries(PARAMS_ARGUMENT).forEach(([name, index]) => {
+    const original = http[name];
+    http[name] = (...args) => traceRequest((params) => {
+      const callArgs = args.slice();
+      callArgs[index] = params;
+      return original(...callArgs);
+    }, args[index]);
+  });
+};
+
+if (__ENV.TRACE !== 'false') {
+  instrumentHTTP();
+}
+
 // Load config from JSON file
 export const config = JSON.parse(open('../config/k6-config.json'));
 
 // Get base URL for API calls
 export const getBaseUrl = () => __ENV.API_URL || 'http://localhost:3000';
 
+// Gateway authorizer settings, shared with the simulator
+const authConfig = JSON.parse(open('../config/gateway-auth.json'));
+
+// Sign an HS256 JWT with the simulator's issuer and audience
+export const signJwt = (claims = {}, secret = __ENV.JWT_HS256_SECRET || authConfig.jwt.hs256Secret) => {
+  const now = Math.floor(Date.now() / 1000);
+  const segment = (value) => encoding.b64encode(JSON.stringify(value), 'rawurl');
+  const signingInput = `${segment({ alg: 'HS256', typ: 'JWT' })}.${segment({
+    sub: `k6-vu-${__VU}`,
+    iss: authConfig.jwt.issuer,
+    aud: authConfig.jwt.audience,
+    scope: 'files:read files:write',
+    iat: now,
+    exp: now + 3600,
+    ...claims
+  })}`;
+  return `${signingInput}.${crypto.hmac('sha256', secret, signingInput, 'base64rawurl')}`;
+};
+
+// Credentials for GATEWAY_AUTH ("api_key", "jwt" or both), matching the simulator's setting.
+// API_KEY and JWT override the key from config/gateway-auth.json and the minted token.
+let authToken;
+export const authHeaders = (mode = __ENV.GATEWAY_AUTH || '') => {
+  const modes = mode.split(',').map((value) => value.trim().toLowerCase());
+  const headers = {};
+
+  if (modes.includes('api_key')) {
+    headers['X-Api-Key'] = __ENV.API_KEY || authConfig.apiKeys[0].value;
+  }
+  if (modes.includes('jwt')) {
+    // One token per VU, valid for the whole run
+    authToken = authToken || __ENV.JWT || signJwt();
+    headers['Authorization'] = `Bearer ${authToken}`;
+  }
+  return headers;
+};
+
+// Checksum header for UPLOAD_CHECKSUM ("md5" or "sha256"). The enterprise stage hands it to S3,
+// which rejects the upload when the content does not match.
+export const checksumHeaders = (content, algorithm = __ENV.UPLOAD_CHECKSUM || '') => {
+  if (algorithm === 'md5') {
+    return { 'Content-MD5': crypto.md5(content, 'base64') };
+  }
+  if (algorithm === 'sha256') {
+    return { 'x-amz-checksum-sha256': crypto.sha256(content, 'base64') };
+  }
+  return {};
+};
+
 // Enhanced metrics for better reporting
 export const enhancedMetrics = {
   retries: new Counter('retries'),
+  throttled: new Counter('throttled_requests'),
   errors: new Rate('errors'),
   requestDuration: new Trend('request_duration'),
   uploadSuccess: new Rate('upload_success'),
@@ -95,10 +213,12 @@ export const defaultSleep = (baseSeconds = 0.5, jitterPct = 0.2) => {
   sleep(baseSeconds + jitter);
 };
 
-// Add retry capability for HTTP requests
+// Add retry capability for HTTP requests. 429 and 503 responses wait for their Retry-After
+// (up to maxRetryAfter seconds; longer waits, e.g. an exhausted daily quota, end the retries)
 export const retryableRequest = (requestFn, options = {}) => {
   const maxRetries = options.maxRetries || 3;
   const retryDelay = options.retryDelay || 1; // in seconds
+  const maxRetryAfter = options.maxRetryAfter || 10; // in seconds
   const retryableStatusCodes = options.retryStatusCodes || [408, 429, 500, 502, 503, 504];
   
   let response;
@@ -107,15 +227,28 @@ export const retryableRequest = (requestFn, options = {}) => {
   while (retries <= maxRetries) {
     response = requestFn();
     
-    if (response.status < 400 || !retryableStatusCodes.includes(response.status)) {
+    if (response.status === 429) {
+      enhancedMetrics.throttled.add(1, { retry: String(retries) });
+    }
+
+    // Status 0 means no response at all (connection reset or refused), which is always retryable
+    if (response.status !== 0 && (response.status < 400 || !retryableStatusCodes.includes(response.status))) {
       return response; // Success or non-retryable error
     }
     
-    console.warn(`Retry ${retries+1}/${maxRetries} - Status: ${response.status}`);
+    const retryAfter = parseInt(response.headers['Retry-After'], 10);
+    if (retryAfter > maxRetryAfter) {
+      console.warn(`Not retrying - Status: ${response.status}, Retry-After: ${retryAfter}s`);
+      return response;
+    }
+
+    console.warn(`Retry ${retries+1}/${maxRetries} - Status: ${response.status}${response.error ? ` (${response.error})` : ''}`);
     enhancedMetrics.retries.add(1);
     
     if (retries < maxRetries) {
-      sleep(retryDelay);
+      // Jitter keeps throttled VUs from retrying in lockstep
+      const wait = isNaN(retryAfter) ? retryDelay : Math.max(retryAfter, retryDelay);
+      sleep(wait + Math.random() * wait * 0.5);
     }
     
     retries++;
@@ -124,10 +257,38 @@ export const retryableRequest = (requestFn, options = {}) => {
   return response; // Return the last response if all retries fail
 };
 
+// Poll the simulator's readiness probe until its dependencies (S3, DynamoDB, Step Functions) are
+// up. Gives up after READY_TIMEOUT seconds (default 60) and lets the test run anyway.
+export const waitForReady = (timeout = parseInt(__ENV.READY_TIMEOUT || '60', 10)) => {
+  const endpoint = `${getBaseUrl()}/health/ready`;
+  const deadline = Date.now() + timeout * 1000;
+  let res;
+
+  do {
+    res = http.get(endpoint, { responseType: 'text', tags: { name: 'readiness' } });
+    // 404: the target has no readiness probe, e.g. a deployed API
+    if (res.status === 200 || res.status === 404) {
+      return true;
+    }
+    sleep(1);
+  } while (Date.now() < deadline);
+
+  const isJson = (res.headers['Content-Type'] || '').includes('application/json');
+  const down = Object.entries((isJson && res.json().checks) || {})
+    .filter(([, result]) => result.status !== 'up')
+    .map(([name, result]) => `${name}: ${result.error}`);
+  console.warn(`${endpoint} not ready after ${timeout}s (${down.join(', ') || `status ${res.status}`}), continuing`);
+  return false;
+};
+
 // Warmup function to stabilize performance before main test
 export const warmup = (options = {}) => {
   const duration = options.duration || 5; // seconds
   const endpoint = options.endpoint || `${getBaseUrl()}/health`;
+
+  if (options.waitForReady !== false) {
+    waitForReady();
+  }
   
   console.log(`Running ${duration}s warmup against ${endpoint}`);
   
@@ -139,3 +300,48 @@ export const warmup = (options = {}) => {
     sleep(0.2);
   }
 };
+
+// Delete an uploaded file through DELETE /files/{name}
+export const deleteFile = (filename, params = {}) => {
+  return http.del(`${getBaseUrl()}/files/${encodeURIComponent(filename)}`, null, {
+    headers: authHeaders(),
+    tags: { name: 'delete' },
+    ...params
+  });
+};
+
+// Upload files in one POST /upload/batch request; files are { filename, content } from generateTestFile
+export const uploadBatch = (files, params = {}) => {
+  // The simulator takes every file part, so each gets its own field name
+  const body = {};
+  files.forEach((file, index) => {
+    body[`file${index}`] = http.file(file.content, file.filename, 'text/plain');
+  });
+  return http.post(`${getBaseUrl()}/upload/batch`, body, {
+    headers: authHeaders(),
+    tags: { name: 'upload_batch' },
+    ...params
+  });
+};
+
+// Delete files in one POST /delete/batch request
+export const deleteBatch = (filenames, params = {}) => {
+  return http.post(`${getBaseUrl()}/delete/batch`, JSON.stringify({ filenames }), {
+    headers: Object.assign(authHeaders(), { 'Content-Type': 'application/json' }),
+    tags: { name: 'delete_batch' },
+    ...params
+  });
+};
+
+// Call a simulator admin route with the ADMIN_TOKEN from the environment
+export const adminRequest = (method, path, body = null) => {
+  return http.request(method, `${getBaseUrl()}/admin${path}`, body ? JSON.stringify(body) : null, {
+    headers: {
+      'Authorization': `Bearer ${__ENV.ADMIN_TOKEN || ''}`,
+      'Content-Type': 'application/json'
+    },
+    // Keep the body even in tests that set discardResponseBodies
+    responseType: 'text',
+    tags: { name: 'admin' }
+  });
+};
@@ -1,8 +1,15 @@
-const { S3Client, PutObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+const { S3Client } = require('@aws-sdk/client-s3');
 const LRU = require('lru-cache');
+const { getStorage, getBackendName } = require('./storage');
 
 const REGION = process.env.AWS_REGION || 'us-east-1';
 const BUCKET = process.env.BUCKET || 'test-bucket';
+// Return downloads as raw bytes (isBase64Encoded) rather than JSON-wrapped base64
+const BINARY_RESPONSES = process.env.BINARY_RESPONSES === 'true';
+// How long a cached file is served before its ETag is checked again with HeadObject (0 = every hit).
+// Checking every hit costs a storage round trip per read, much of what the cache saves under load.
+const DEFAULT_CACHE_REVALIDATE_MS = 5000;
+let cacheRevalidateMs = parseInt(process.env.CACHE_REVALIDATE_MS || String(DEFAULT_CACHE_REVALIDATE_MS), 10);
 
 // Utility for checking endpoint accessibility with advanced DNS handling
 async function isEndpointAccessible(endpoint) {
@@ -131,12 +138,25 @@ async function getLocalStackEndpoint() {
 // Initialize S3 client with runtime endpoint detection
 let s3Client;
 
+// Middleware added with useS3Middleware, run by every client this module creates
+const sharedMiddleware = [];
+
+// Attach the shared middleware list to a new client
+function withSharedMiddleware(client) {
+  client.middlewareStack.add(
+    (next, context) => (args) =>
+      sharedMiddleware.reduceRight((handler, middleware) => middleware(handler, context), next)(args),
+    { step: 'finalizeRequest', name: 'sharedMiddleware' }
+  );
+  return client;
+}
+
 // Async initialization function to create S3 client with tested endpoint
 async function initializeS3Client() {
   const endpoint = await getLocalStackEndpoint();
   
   // Create a robust, configurable S3 client with retry settings
-  return new S3Client({
+  return withSharedMiddleware(new S3Client({
     region: REGION,
     endpoint,
     forcePathStyle: true,
@@ -144,15 +164,15 @@ async function initializeS3Client() {
     maxConnections: 100,  // Increase max connections for higher throughput
     retryMode: 'adaptive', // For better handling of transient issues
     maxAttempts: 8 // Increased retries for better reliability in unstable environments
-  });
+  }));
 }
 
 // Global variables for S3 client state management
 let lastEndpointCheck = 0;
 const ENDPOINT_REFRESH_INTERVAL = 60000; // 1 minute
 
-// Initialize client when module loads - but only in non-test environments
-if (process.env.NODE_ENV !== 'test') {
+// Initialize client when module loads - but only in non-test environments using S3 storage
+if (process.env.NODE_ENV !== 'test' && getBackendName() === 's3') {
   (async () => {
     try {
       s3Client = await initializeS3Client();
@@ -160,24 +180,35 @@ if (process.env.NODE_ENV !== 'test') {
     } catch (error) {
       console.error('Failed to initialize S3 client:', error);
       // Create a default client as fallback
-      s3Client = new S3Client({
+      s3Client = withSharedMiddleware(new S3Client({
         region: REGION,
         endpoint: process.env.ENDPOINT || 'http://localhost:4566',
         forcePathStyle: true,
         credentials: { accessKeyId: 'test', secretAccessKey: 'test' },
         maxAttempts: 5
-      });
+      }));
       console.log('Created fallback S3 client');
     }
   })();
-} else {
+} else if (process.env.NODE_ENV === 'test') {
   // In test environment, we'll create the client on-demand in getOrRefreshS3Client
   console.log('Test environment detected, deferring S3 client initialization');
+} else {
+  console.log(`Using ${getBackendName()} storage backend, skipping S3 client initialization`);
 }
 
 // Export the client for testing purposes
 exports.s3Client = s3Client;
 
+/**
+ * Add AWS SDK middleware (finalizeRequest step) to this module's S3 clients,
+ * e.g. the gateway simulator's fault injection
+ * @param {Function} middleware - SDK middleware: (next, context) => async (args) => result
+ */
+exports.useS3Middleware = (middleware) => {
+  sharedMiddleware.push(middleware);
+};
+
 // Function to refresh S3 client if needed (used for periodic health checks)
 async function getOrRefreshS3Client() {
   // For testing environment, handle mocking specifically
@@ -203,13 +234,13 @@ async function getOrRefreshS3Client() {
       // If refresh fails but we have an existing client, keep using it
       if (!s3Client) {
         // Only create new client if we don't have one
-        s3Client = new S3Client({
+        s3Client = withSharedMiddleware(new S3Client({
           region: REGION,
           endpoint: process.env.ENDPOINT || 'http://localhost:4566',
           forcePathStyle: true,
           credentials: { accessKeyId: 'test', secretAccessKey: 'test' },
           maxAttempts: 5
-        });
+        }));
         exports.s3Client = s3Client; // Update exported reference
       }
     }
@@ -218,24 +249,46 @@ async function getOrRefreshS3Client() {
   return s3Client;
 }
 
-// Add caching for frequently accessed files with enhanced configuration
+// Cache counters since startup. A request is either a hit or a miss; stale counts misses
+// where an entry existed but was outdated (expired, or its ETag no longer matched storage)
+const cacheStats = { hits: 0, misses: 0, stale: 0, evictions: 0, invalidations: 0 };
+
+// Optional MetricsCollector that also receives every cache event (see attachMetrics)
+let metricsCollector = null;
+
+const recordCacheEvent = (event) => {
+  cacheStats[event]++;
+  if (metricsCollector) {
+    metricsCollector.recordCount(`cache.${event}`, 1, { cache: 'legacy-lambda' });
+  }
+};
+
+// Caching is skipped in test mode unless enabled explicitly
+let cacheEnabled = process.env.NODE_ENV !== 'test';
+
+// Add caching for frequently accessed files with enhanced configuration. The cache lives in this
+// process: each Lambda execution environment, or each simulator cluster worker, warms its own.
 const cache = new LRU.LRUCache({
   max: 1000,                  // Store max 1000 items
   ttl: 1000 * 60 * 10,        // Items expire in 10 minutes
   updateAgeOnGet: true,       // Reset TTL on access
-  allowStale: true,           // Allow returning stale items while refreshing
   
   // Use proper size calculation for LRU-cache v7+
   sizeCalculation: (value) => {
     // Calculate size of cached content (base64 encoded)
-    return value ? value.length : 1;
+    return value?.content ? value.content.length : 1;
   },
   maxSize: 100 * 1024 * 1024,  // 100MB total size
   
-  // Optional: dispose callback when items are evicted
-  dispose: (key) => {
-    if (process.env.NODE_ENV !== 'test') {
-      console.log(`Cache item evicted: ${key}`);
+  // Count entries pushed out for space or dropped on expiry; explicit deletes are counted by the caller
+  dispose: (value, key, reason) => {
+    if (reason === 'evict') {
+      recordCacheEvent('evictions');
+    } else if (reason === 'expire') {
+      recordCacheEvent('stale');
+    }
+    if (process.env.NODE_ENV !== 'test' && reason !== 'set') {
+      console.log(`Cache item removed (${reason}): ${key}`);
     }
   }
 });
@@ -243,20 +296,128 @@ const cache = new LRU.LRUCache({
 // Export cache for testing purposes
 exports.cache = cache;
 
-// Optimize buffer handling
-const streamToBuffer = async (stream) => {
-  if (stream instanceof Buffer) return stream;
-  const chunks = [];
-  for await (const chunk of stream) {
-    chunks.push(chunk);
+// Write generation of each recently written key: POST and DELETE set it to a new value, and a GET
+// only caches what it read if the key's generation is unchanged since the read began. Otherwise a
+// GET that read the old body before an overwrite could cache it after the overwrite invalidated
+// the key, and serve it for the whole revalidation window. Values never repeat, so a key dropped
+// from here reads as changed and is simply not cached.
+let writeCounter = 0;
+const writeGenerations = new LRU.LRUCache({ max: 10000 });
+
+/**
+ * Record a write to a key and drop its cached copy
+ * @param {string} filename - Object key
+ */
+const invalidateCacheEntry = (filename) => {
+  writeGenerations.set(filename, ++writeCounter);
+  if (cache.delete(filename)) {
+    recordCacheEvent('invalidations');
   }
-  return Buffer.concat(chunks);
 };
 
-exports.handler = async (event) => {
+/**
+ * Report cache events to a MetricsCollector as `cache.<event>` counts
+ * @param {MetricsCollector|null} collector - Collector, or null to detach
+ */
+exports.attachMetrics = (collector) => {
+  metricsCollector = collector;
+};
+
+/**
+ * Enable or disable the download cache; disabling also empties it
+ * @param {boolean} enabled - Whether downloads may be served from the cache
+ */
+exports.setCacheEnabled = (enabled) => {
+  cacheEnabled = !!enabled;
+  if (!cacheEnabled) {
+    cache.clear();
+  }
+};
+
+/**
+ * Set how long a cached file is served before its ETag is checked again
+ * @param {number} ms - Milliseconds; 0 checks on every hit
+ */
+exports.setCacheRevalidateMs = (ms) => {
+  cacheRevalidateMs = ms;
+};
+
+/**
+ * Snapshot of the cache counters and occupancy
+ * @returns {Object} Counters plus entries, sizeBytes, hitRatio and enabled
+ */
+exports.getCacheStats = () => {
+  const lookups = cacheStats.hits + cacheStats.misses;
+  return {
+    ...cacheStats,
+    hitRatio: lookups ? cacheStats.hits / lookups : 0,
+    entries: cache.size,
+    sizeBytes: cache.calculatedSize,
+    enabled: cacheEnabled
+  };
+};
+
+/**
+ * Return a cached file if storage still holds the same version
+ * @param {Object} storage - Storage adapter
+ * @param {string} filename - Object key
+ * @returns {Object|null} Cache entry, or null when absent or outdated
+ */
+const getFreshCacheEntry = async (storage, filename) => {
+  const entry = cache.get(filename);
+  if (!entry) {
+    return null;
+  }
+
+  if (Date.now() - entry.validatedAt < cacheRevalidateMs) {
+    return entry;
+  }
+
+  // Compare ETags with HeadObject, so an overwrite by another writer (another execution environment
+  // or cluster worker) is served from here for at most cacheRevalidateMs
+  let current = null;
+  try {
+    current = await storage.head(filename);
+  } catch {
+    // Missing object or failed check - drop the entry and let the GET report the outcome
+  }
+
+  if (entry.etag && current?.etag === entry.etag) {
+    entry.validatedAt = Date.now();
+    return entry;
+  }
+
+  cache.delete(filename);
+  recordCacheEvent('stale');
+  return null;
+};
+
+// Read a request header case-insensitively
+const getHeader = (event, name) => {
+  const headers = event.headers || {};
+  const key = Object.keys(headers).find(header => header.toLowerCase() === name);
+  return key ? headers[key] : undefined;
+};
+
+// Object key from the /files/{name} path parameter, or ?filename= for the query-string routes
+const getFilename = (event) => event.pathParameters?.name || event.queryStringParameters?.filename;
+
+const missingFilename = () => ({
+  statusCode: 400,
+  body: JSON.stringify({ error: 'Missing filename parameter' })
+});
+
+// HTTP API (payload format 2.0) events carry the method and path under requestContext.http;
+// give them the REST API (1.0) fields the routing below reads
+const fromHttpApiEvent = (event) => (event?.version === '2.0' && event.requestContext?.http
+  ? { ...event, httpMethod: event.requestContext.http.method, path: event.rawPath }
+  : event);
+
+exports.handler = async (rawEvent) => {
+  const event = fromHttpApiEvent(rawEvent);
   try {
-    // Ensure we have a valid S3 client before proceeding
-    const client = await getOrRefreshS3Client();
+    // Ensure we have a valid S3 client before proceeding - local backends don't need one
+    const client = getBackendName() === 's3' ? await getOrRefreshS3Client() : null;
     
     // Execute operation with enhanced retry and client reconnection logic
     const executeWithReconnect = async (operation) => {
@@ -321,6 +482,17 @@ exports.handler = async (event) => {
       // If we get here, we've failed all retries
       throw lastError;
     };
+
+    const storage = getStorage({ bucket: BUCKET, send: executeWithReconnect });
+
+    // Storage adapters only address the current version; reading or deleting the wrong one silently
+    // would be worse than refusing
+    if (event.queryStringParameters?.versionId) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ error: 'Object versions are not supported by this function' })
+      };
+    }
     
     if (event.httpMethod === 'POST') {
       try {
@@ -332,16 +504,12 @@ exports.handler = async (event) => {
           };
         }
         
-        // Create command to upload to S3
-        const command = new PutObjectCommand({
-          Bucket: BUCKET,
-          Key: filename,
-          Body: Buffer.from(content, 'base64'),
-          ContentType: 'application/octet-stream'
+        await storage.put(filename, Buffer.from(content, 'base64'), {
+          contentType: 'application/octet-stream'
         });
-        
-        // Use executeWithReconnect for robust execution
-        await executeWithReconnect(command);
+
+        // Drop any cached copy so the next GET reads the new version
+        invalidateCacheEntry(filename);
   
         return {
           statusCode: 200,
@@ -381,6 +549,35 @@ exports.handler = async (event) => {
       }
     }
 
+    if (event.httpMethod === 'GET' && event.path?.endsWith('/files')) {
+      const { prefix, delimiter, continuationToken, maxKeys } = event.queryStringParameters || {};
+      const pageSize = maxKeys !== undefined ? Number(maxKeys) : 1000;
+      if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > 1000) {
+        return {
+          statusCode: 400,
+          body: JSON.stringify({ error: 'maxKeys must be between 1 and 1000' })
+        };
+      }
+
+      const result = await storage.list({ prefix, delimiter, continuationToken, maxKeys: pageSize });
+      const files = result.files.map(file => ({
+        ...file,
+        lastModified: file.lastModified?.toISOString()
+      }));
+
+      return {
+        statusCode: 200,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          files,
+          folders: result.folders,
+          count: files.length,
+          isTruncated: result.isTruncated,
+          nextContinuationToken: result.nextContinuationToken
+        })
+      };
+    }
+
     if (event.httpMethod === 'GET') {
       const filename = event.queryStringParameters?.filename;
       if (!filename) {
@@ -390,47 +587,121 @@ exports.handler = async (event) => {
         };
       }
 
+      // Binary mode returns raw bytes per the API Gateway proxy contract (base64 body with
+      // isBase64Encoded) instead of wrapping base64 content in JSON
+      const binary = BINARY_RESPONSES || (getHeader(event, 'accept') || '').includes('application/octet-stream');
+
+      // Partial and conditional requests are answered by storage, never from the cache
+      const range = getHeader(event, 'range');
+      const ifNoneMatch = getHeader(event, 'if-none-match');
+      const ifModifiedSince = getHeader(event, 'if-modified-since');
+      const isConditional = !!(range || ifNoneMatch || ifModifiedSince);
+
       // Check cache first - disabled in test mode to ensure consistent test behavior
-      const cachedFile = process.env.NODE_ENV !== 'test' ? cache.get(filename) : null;
+      const cachedFile = cacheEnabled && !isConditional ? await getFreshCacheEntry(storage, filename) : null;
       if (cachedFile) {
+        recordCacheEvent('hits');
         if (process.env.NODE_ENV !== 'test') {
           console.log(`Cache hit for ${filename}`);
         }
+
+        const headers = {
+          'Content-Type': binary ? cachedFile.contentType || 'application/octet-stream' : 'application/json',
+          'Accept-Ranges': 'bytes',
+          'X-Cache': 'HIT',
+          ...(cachedFile.etag && { 'ETag': cachedFile.etag }),
+          ...(cachedFile.lastModified && { 'Last-Modified': cachedFile.lastModified })
+        };
+
+        if (binary) {
+          return {
+            statusCode: 200,
+            headers,
+            isBase64Encoded: true,
+            body: cachedFile.content
+          };
+        }
         return {
           statusCode: 200,
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ filename, content: cachedFile })
+          headers,
+          body: JSON.stringify({ filename, content: cachedFile.content })
         };
       }
       
+      if (cacheEnabled && !isConditional) {
+        recordCacheEvent('misses');
+      }
       if (process.env.NODE_ENV !== 'test') {
-        console.log(`Cache miss for ${filename}, fetching from S3`);
+        console.log(`Cache miss for ${filename}, fetching from ${storage.name} storage`);
       }
       
       try {
-        // Create command to get object from S3
-        const command = new GetObjectCommand({
-          Bucket: BUCKET,
-          Key: filename
-        });
-        
-        // Use executeWithReconnect for robust execution
-        const { Body } = await executeWithReconnect(command);
-  
-        const buffer = await streamToBuffer(Body);
-        const content = buffer.toString('base64');
+        const generation = writeGenerations.get(filename);
+        const object = await storage.get(filename, { range, ifNoneMatch, ifModifiedSince });
+
+        // Conditional request matched - the client's copy is current
+        if (object.notModified) {
+          const etag = object.etag || ifNoneMatch;
+          return {
+            statusCode: 304,
+            headers: etag ? { 'ETag': etag } : {},
+            body: ''
+          };
+        }
+
+        const { etag, lastModified, contentRange, contentType } = object;
+        const content = object.body.toString('base64');
   
-        // Update cache with new file (skip in test mode)
-        if (process.env.NODE_ENV !== 'test') {
-          cache.set(filename, content);
+        // Update cache with new file (skip in test mode); partial bodies are never cached, nor
+        // bodies read before a write to the key that finished while they were being read
+        if (cacheEnabled && !contentRange && writeGenerations.get(filename) === generation) {
+          cache.set(filename, {
+            content,
+            etag,
+            lastModified: lastModified?.toUTCString(),
+            contentType,
+            validatedAt: Date.now()
+          });
         }
   
+        const headers = {
+          'Content-Type': binary ? contentType || 'application/octet-stream' : 'application/json',
+          'Accept-Ranges': 'bytes',
+          'X-Cache': cacheEnabled && !isConditional ? 'MISS' : 'BYPASS',
+          ...(etag && { 'ETag': etag }),
+          ...(lastModified && { 'Last-Modified': lastModified.toUTCString() }),
+          ...(contentRange && { 'Content-Range': contentRange })
+        };
+
+        if (binary) {
+          return {
+            statusCode: contentRange ? 206 : 200,
+            headers,
+            isBase64Encoded: true,
+            body: content
+          };
+        }
+
         return {
-          statusCode: 200,
-          headers: { 'Content-Type': 'application/json' },
+          statusCode: contentRange ? 206 : 200,
+          headers,
           body: JSON.stringify({ filename, content })
         };
       } catch (error) {
+        // Range outside the object
+        if (error.$metadata?.httpStatusCode === 416 || error.name === 'InvalidRange') {
+          return {
+            statusCode: 416,
+            headers: error.ActualObjectSize !== undefined
+              ? { 'Content-Range': `bytes */${error.ActualObjectSize}` }
+              : {},
+            body: JSON.stringify({
+              error: 'The requested range is not satisfiable',
+              code: 'InvalidRange'
+            })
+          };
+        }
+
         // Special handling for missing files
         if (error.$metadata?.httpStatusCode === 404 || error.name === 'NoSuchKey') {
           return {
@@ -445,6 +716,52 @@ exports.handler = async (event) => {
       }
     }
 
+    // Object metadata only: the headers a GET would send, without the body
+    if (event.httpMethod === 'HEAD') {
+      const filename = getFilename(event);
+      if (!filename) {
+        return missingFilename();
+      }
+
+      try {
+        const { etag, lastModified, contentType, contentLength } = await storage.head(filename);
+        return {
+          statusCode: 200,
+          headers: {
+            'Content-Type': contentType || 'application/octet-stream',
+            'Content-Length': String(contentLength ?? 0),
+            'Accept-Ranges': 'bytes',
+            ...(etag && { 'ETag': etag }),
+            ...(lastModified && { 'Last-Modified': lastModified.toUTCString() })
+          },
+          body: ''
+        };
+      } catch (error) {
+        // HeadObject has no error body, so S3 reports a missing key as NotFound
+        if (error.$metadata?.httpStatusCode === 404 || error.name === 'NoSuchKey' || error.name === 'NotFound') {
+          return { statusCode: 404, body: '' };
+        }
+        throw error;
+      }
+    }
+
+    if (event.httpMethod === 'DELETE') {
+      const filename = getFilename(event);
+      if (!filename) {
+        return missingFilename();
+      }
+
+      // Deleting a missing key succeeds, as in S3
+      await storage.delete(filename);
+      invalidateCacheEntry(filename);
+
+      return {
+        statusCode: 200,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'File deleted', filename })
+      };
+    }
+
     return {
       statusCode: 405,
       body: JSON.stringify({ error: 'Method not allowed' })
@@ -0,0 +1,165 @@
+/**
+ * Shared helpers for storage adapters that emulate S3 semantics locally
+ * @module lambda/storage/common
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Create an error shaped like the S3 SDK errors the handler already understands
+ * @param {string} name - Error name, e.g. NoSuchKey
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @param {Object} extra - Additional properties
+ * @returns {Error} Error with name and $metadata
+ */
+function storageError(name, statusCode, message, extra = {}) {
+  const error = new Error(message);
+  error.name = name;
+  error.$metadata = { httpStatusCode: statusCode };
+  Object.assign(error, extra);
+  return error;
+}
+
+/**
+ * Error for a missing key
+ * @param {string} key - Object key
+ * @returns {Error} NoSuchKey error
+ */
+function noSuchKey(key) {
+  return storageError('NoSuchKey', 404, 'The specified key does not exist.', { Key: key });
+}
+
+/**
+ * Compute an S3-style (quoted MD5) ETag
+ * @param {Buffer} body - Object content
+ * @returns {string} ETag
+ */
+function md5Etag(body) {
+  return `"${crypto.createHash('md5').update(body).digest('hex')}"`;
+}
+
+/**
+ * Parse a single `bytes=` range against an object size
+ * @param {string} header - Range header value
+ * @param {number} size - Object size in bytes
+ * @returns {Object|null} { start, end } (inclusive), or null when the header is not a usable range
+ * @throws {Error} InvalidRange when the range lies outside the object
+ */
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(header).trim());
+  if (!match || (match[1] === '' && match[2] === '')) {
+    return null;
+  }
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    start = Math.max(size - parseInt(match[2], 10), 0);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+  }
+
+  if (start >= size || start > end) {
+    throw storageError('InvalidRange', 416, 'The requested range is not satisfiable', {
+      ActualObjectSize: size
+    });
+  }
+
+  return { start, end };
+}
+
+/**
+ * Evaluate conditional and range headers for a read, as S3 GetObject does
+ * @param {Object} meta - Object metadata ({ etag, lastModified })
+ * @param {number} size - Object size in bytes
+ * @param {Object} options - { range, ifNoneMatch, ifModifiedSince }
+ * @returns {Object} { notModified: true } or { start, end, contentRange } for the bytes to return
+ */
+function resolveRead(meta, size, { range, ifNoneMatch, ifModifiedSince } = {}) {
+  if (ifNoneMatch) {
+    const tags = ifNoneMatch.split(',').map(tag => tag.trim());
+    if (tags.includes('*') || tags.includes(meta.etag)) {
+      return { notModified: true };
+    }
+  } else if (ifModifiedSince) {
+    // HTTP dates have second precision
+    const since = new Date(ifModifiedSince);
+    if (!isNaN(since.getTime()) &&
+        Math.floor(meta.lastModified.getTime() / 1000) <= Math.floor(since.getTime() / 1000)) {
+      return { notModified: true };
+    }
+  }
+
+  const bounds = range ? parseRange(range, size) : null;
+  if (!bounds) {
+    return { start: 0, end: size - 1 };
+  }
+
+  return {
+    ...bounds,
+    contentRange: `bytes ${bounds.start}-${bounds.end}/${size}`
+  };
+}
+
+/**
+ * Page through objects the way ListObjectsV2 does
+ * @param {Array} entries - Objects sorted by key ({ key, size, etag, lastModified })
+ * @param {Object} options - { prefix, delimiter, continuationToken, maxKeys }
+ * @returns {Object} { files, folders, isTruncated, nextContinuationToken }
+ */
+function paginate(entries, { prefix = '', delimiter, continuationToken, maxKeys = 1000 } = {}) {
+  const startAfter = continuationToken
+    ? Buffer.from(continuationToken, 'base64').toString('utf8')
+    : null;
+  const files = [];
+  const folders = [];
+  let lastKey = null;
+  let isTruncated = false;
+
+  for (const entry of entries) {
+    if (!entry.key.startsWith(prefix)) {
+      continue;
+    }
+
+    const delimiterIndex = delimiter ? entry.key.indexOf(delimiter, prefix.length) : -1;
+    const folder = delimiterIndex >= 0 ? entry.key.slice(0, delimiterIndex + delimiter.length) : null;
+    const sortKey = folder || entry.key;
+
+    if ((startAfter !== null && sortKey <= startAfter) || (folder && folder === lastKey)) {
+      continue;
+    }
+
+    // Files and folders both count towards the page size, as in S3
+    if (files.length + folders.length >= maxKeys) {
+      isTruncated = true;
+      break;
+    }
+
+    if (folder) {
+      folders.push(folder);
+    } else {
+      files.push(entry);
+    }
+    lastKey = sortKey;
+  }
+
+  return {
+    files,
+    folders,
+    isTruncated,
+    nextContinuationToken: isTruncated ? Buffer.from(lastKey, 'utf8').toString('base64') : null
+  };
+}
+
+module.exports = {
+  storageError,
+  noSuchKey,
+  md5Etag,
+  parseRange,
+  resolveRead,
+  paginate
+};
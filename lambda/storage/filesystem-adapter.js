@@ -0,0 +1,226 @@
+/**
+ * Local filesystem storage adapter - one file per object under a root directory
+ * @module lambda/storage/filesystem-adapter
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const LRU = require('lru-cache');
+const { storageError, noSuchKey, md5Etag, resolveRead, paginate } = require('./common');
+
+// Writes are staged here and renamed into place, so readers never see partial files
+const TMP_DIR = '.tmp';
+
+/**
+ * Identify a version of a file. Every write renames a new file into place, so it has a
+ * different inode from the file it replaces, even with the same size and modification time.
+ * @param {fs.Stats} stats - File stats
+ * @returns {string} Version identifier
+ */
+const fileVersion = (stats) => `${stats.ino}:${stats.size}:${stats.mtimeMs}`;
+
+class FilesystemStorageAdapter {
+  /**
+   * @param {Object} options - Adapter options
+   * @param {string} options.rootDir - Directory holding the objects
+   */
+  constructor({ rootDir }) {
+    this.name = 'filesystem';
+    this.rootDir = path.resolve(rootDir);
+    // MD5 ETags by file path, with the version of the file each was computed for
+    this.etags = new LRU.LRUCache({ max: 10000 });
+    fs.mkdirSync(path.join(this.rootDir, TMP_DIR), { recursive: true });
+  }
+
+  /**
+   * Map a key to a path, refusing keys that would escape the root directory
+   * @param {string} key - Object key
+   * @returns {string} Absolute file path
+   */
+  resolvePath(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    if (!filePath.startsWith(this.rootDir + path.sep) ||
+        filePath.startsWith(path.join(this.rootDir, TMP_DIR) + path.sep)) {
+      throw storageError('InvalidKey', 400, `Invalid object key: ${key}`);
+    }
+    return filePath;
+  }
+
+  /**
+   * Get the MD5 ETag of a file, as S3 reports it. A file is hashed once per version, so
+   * listing only reads files written outside this adapter, e.g. by another cluster worker.
+   * @param {string} filePath - Absolute file path
+   * @param {fs.Stats} stats - Stats of the file
+   * @param {fs.promises.FileHandle} [handle] - Open handle the stats were read from
+   * @returns {Promise<string>} ETag
+   */
+  async etagFor(filePath, stats, handle) {
+    const known = this.etags.get(filePath);
+    if (known?.version === fileVersion(stats)) {
+      return known.etag;
+    }
+
+    if (!handle) {
+      // Hash through a handle, so the stats and the content belong to the same version
+      const opened = await fs.promises.open(filePath, 'r');
+      try {
+        return await this.etagFor(filePath, await opened.stat(), opened);
+      } finally {
+        await opened.close();
+      }
+    }
+
+    const hash = crypto.createHash('md5');
+    for await (const chunk of handle.createReadStream({ start: 0, autoClose: false })) {
+      hash.update(chunk);
+    }
+    const etag = `"${hash.digest('hex')}"`;
+    this.etags.set(filePath, { version: fileVersion(stats), etag });
+    return etag;
+  }
+
+  /**
+   * Store an object
+   * @param {string} key - Object key
+   * @param {Buffer} body - Object content
+   * @returns {Object} { etag }
+   */
+  async put(key, body) {
+    const filePath = this.resolvePath(key);
+    const tmpPath = path.join(this.rootDir, TMP_DIR, crypto.randomUUID());
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(tmpPath, body);
+    // Stat before the rename: afterwards the path may already name another writer's file
+    const stats = await fs.promises.stat(tmpPath);
+    await fs.promises.rename(tmpPath, filePath);
+
+    const etag = md5Etag(body);
+    this.etags.set(filePath, { version: fileVersion(stats), etag });
+    return { etag };
+  }
+
+  /**
+   * Read an object, honouring range and conditional options
+   * @param {string} key - Object key
+   * @param {Object} options - { range, ifNoneMatch, ifModifiedSince }
+   * @returns {Object} { body, etag, lastModified, contentType, contentLength, contentRange } or { notModified, etag }
+   */
+  async get(key, options = {}) {
+    const filePath = this.resolvePath(key);
+    let handle;
+
+    try {
+      handle = await fs.promises.open(filePath, 'r');
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'EISDIR') {
+        throw noSuchKey(key);
+      }
+      throw error;
+    }
+
+    try {
+      const stats = await handle.stat();
+      const meta = {
+        etag: await this.etagFor(filePath, stats, handle),
+        lastModified: new Date(stats.mtimeMs),
+        contentType: 'application/octet-stream'
+      };
+
+      const read = resolveRead(meta, stats.size, options);
+      if (read.notModified) {
+        return { ...meta, notModified: true };
+      }
+
+      const length = Math.max(read.end - read.start + 1, 0);
+      const body = Buffer.alloc(length);
+      if (length > 0) {
+        await handle.read(body, 0, length, read.start);
+      }
+
+      return {
+        ...meta,
+        body,
+        contentLength: length,
+        contentRange: read.contentRange
+      };
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Read object metadata without the body
+   * @param {string} key - Object key
+   * @returns {Object} { etag, lastModified, contentType, contentLength }
+   */
+  async head(key) {
+    const filePath = this.resolvePath(key);
+    let stats;
+    try {
+      stats = await fs.promises.stat(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw noSuchKey(key);
+      }
+      throw error;
+    }
+
+    if (!stats.isFile()) {
+      throw noSuchKey(key);
+    }
+
+    return {
+      etag: await this.etagFor(filePath, stats),
+      lastModified: new Date(stats.mtimeMs),
+      contentType: 'application/octet-stream',
+      contentLength: stats.size
+    };
+  }
+
+  /**
+   * Delete an object; deleting a missing key succeeds, as in S3
+   * @param {string} key - Object key
+   */
+  async delete(key) {
+    const filePath = this.resolvePath(key);
+    await fs.promises.rm(filePath, { force: true });
+    this.etags.delete(filePath);
+  }
+
+  /**
+   * List objects
+   * @param {Object} options - { prefix, delimiter, continuationToken, maxKeys }
+   * @returns {Object} { files, folders, isTruncated, nextContinuationToken }
+   */
+  async list(options = {}) {
+    const entries = [];
+
+    const walk = async (dir) => {
+      for (const dirent of await fs.promises.readdir(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, dirent.name);
+        if (dirent.isDirectory()) {
+          if (fullPath !== path.join(this.rootDir, TMP_DIR)) {
+            await walk(fullPath);
+          }
+        } else if (dirent.isFile()) {
+          const stats = await fs.promises.stat(fullPath);
+          entries.push({
+            key: path.relative(this.rootDir, fullPath).split(path.sep).join('/'),
+            size: stats.size,
+            etag: await this.etagFor(fullPath, stats),
+            lastModified: new Date(stats.mtimeMs)
+          });
+        }
+      }
+    };
+
+    await walk(this.rootDir);
+    entries.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+
+    return paginate(entries, options);
+  }
+}
+
+module.exports = { FilesystemStorageAdapter };
@@ -0,0 +1,73 @@
+/**
+ * Storage backend selection for the legacy lambda
+ *
+ * STORAGE_BACKEND picks the implementation:
+ * - s3 (default): S3 or LocalStack
+ * - filesystem: files under STORAGE_DIR (default ./data/storage)
+ * - memory: process memory, lost on restart
+ *
+ * Every adapter exposes put(key, body, options), get(key, options), head(key), delete(key) and list(options).
+ * @module lambda/storage
+ */
+
+const path = require('path');
+const { S3StorageAdapter } = require('./s3-adapter');
+const { FilesystemStorageAdapter } = require('./filesystem-adapter');
+const { MemoryStorageAdapter } = require('./memory-adapter');
+
+const BACKENDS = ['s3', 'filesystem', 'memory'];
+
+// Local backends hold state, so they are shared across invocations
+let localAdapter = null;
+
+/**
+ * Resolve the configured backend name
+ * @returns {string} One of s3, filesystem, memory
+ */
+function getBackendName() {
+  const name = (process.env.STORAGE_BACKEND || 's3').toLowerCase();
+  const backend = name === 'fs' ? 'filesystem' : name;
+
+  if (!BACKENDS.includes(backend)) {
+    throw new Error(`Unknown STORAGE_BACKEND "${name}" (expected one of: ${BACKENDS.join(', ')})`);
+  }
+  return backend;
+}
+
+/**
+ * Get the storage adapter for an invocation
+ * @param {Object} options - { bucket, send } used by the S3 backend
+ * @returns {Object} Storage adapter
+ */
+function getStorage({ bucket, send } = {}) {
+  const backend = getBackendName();
+
+  if (backend === 's3') {
+    return new S3StorageAdapter({ bucket, send });
+  }
+
+  if (!localAdapter || localAdapter.name !== backend) {
+    localAdapter = backend === 'memory'
+      ? new MemoryStorageAdapter()
+      : new FilesystemStorageAdapter({
+        rootDir: process.env.STORAGE_DIR || path.join(process.cwd(), 'data', 'storage')
+      });
+  }
+  return localAdapter;
+}
+
+/**
+ * Drop the shared local adapter (used by tests)
+ */
+function resetStorage() {
+  localAdapter = null;
+}
+
+module.exports = {
+  getStorage,
+  getBackendName,
+  resetStorage,
+  S3StorageAdapter,
+  FilesystemStorageAdapter,
+  MemoryStorageAdapter
+};
@@ -0,0 +1,112 @@
+/**
+ * In-memory storage adapter - objects live in the process and vanish on restart
+ * @module lambda/storage/memory-adapter
+ */
+
+const { noSuchKey, md5Etag, resolveRead, paginate } = require('./common');
+
+class MemoryStorageAdapter {
+  constructor() {
+    this.name = 'memory';
+    this.objects = new Map();
+  }
+
+  /**
+   * Store an object
+   * @param {string} key - Object key
+   * @param {Buffer} body - Object content
+   * @param {Object} options - { contentType }
+   * @returns {Object} { etag }
+   */
+  async put(key, body, { contentType } = {}) {
+    const buffer = Buffer.from(body);
+    const etag = md5Etag(buffer);
+
+    this.objects.set(key, {
+      body: buffer,
+      etag,
+      lastModified: new Date(),
+      contentType: contentType || 'application/octet-stream'
+    });
+
+    return { etag };
+  }
+
+  /**
+   * Read an object, honouring range and conditional options
+   * @param {string} key - Object key
+   * @param {Object} options - { range, ifNoneMatch, ifModifiedSince }
+   * @returns {Object} { body, etag, lastModified, contentType, contentLength, contentRange } or { notModified, etag }
+   */
+  async get(key, options = {}) {
+    const object = this.objects.get(key);
+    if (!object) {
+      throw noSuchKey(key);
+    }
+
+    const meta = {
+      etag: object.etag,
+      lastModified: object.lastModified,
+      contentType: object.contentType
+    };
+    const read = resolveRead(meta, object.body.length, options);
+    if (read.notModified) {
+      return { ...meta, notModified: true };
+    }
+
+    const body = object.body.subarray(read.start, read.end + 1);
+    return {
+      ...meta,
+      body,
+      contentLength: body.length,
+      contentRange: read.contentRange
+    };
+  }
+
+  /**
+   * Read object metadata without the body
+   * @param {string} key - Object key
+   * @returns {Object} { etag, lastModified, contentType, contentLength }
+   */
+  async head(key) {
+    const object = this.objects.get(key);
+    if (!object) {
+      throw noSuchKey(key);
+    }
+
+    return {
+      etag: object.etag,
+      lastModified: object.lastModified,
+      contentType: object.contentType,
+      contentLength: object.body.length
+    };
+  }
+
+  /**
+   * Delete an object; deleting a missing key succeeds, as in S3
+   * @param {string} key - Object key
+   */
+  async delete(key) {
+    this.objects.delete(key);
+  }
+
+  /**
+   * List objects
+   * @param {Object} options - { prefix, delimiter, continuationToken, maxKeys }
+   * @returns {Object} { files, folders, isTruncated, nextContinuationToken }
+   */
+  async list(options = {}) {
+    const entries = [...this.objects.entries()]
+      .map(([key, object]) => ({
+        key,
+        size: object.body.length,
+        etag: object.etag,
+        lastModified: object.lastModified
+      }))
+      .sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+
+    return paginate(entries, options);
+  }
+}
+
+module.exports = { MemoryStorageAdapter };
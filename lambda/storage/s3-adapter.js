@@ -0,0 +1,150 @@
+/**
+ * S3 storage adapter - the default backend, talking to S3 or LocalStack
+ * @module lambda/storage/s3-adapter
+ */
+
+const {
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+
+// Optimize buffer handling
+const streamToBuffer = async (stream) => {
+  if (stream instanceof Buffer) return stream;
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+class S3StorageAdapter {
+  /**
+   * @param {Object} options - Adapter options
+   * @param {string} options.bucket - Bucket name
+   * @param {Function} options.send - Executes an S3 command (the handler's reconnecting executor)
+   */
+  constructor({ bucket, send }) {
+    this.name = 's3';
+    this.bucket = bucket;
+    this.send = send;
+  }
+
+  /**
+   * Store an object
+   * @param {string} key - Object key
+   * @param {Buffer} body - Object content
+   * @param {Object} options - { contentType }
+   * @returns {Object} { etag }
+   */
+  async put(key, body, { contentType } = {}) {
+    const result = await this.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: body,
+      ContentType: contentType || 'application/octet-stream'
+    }));
+
+    return { etag: result?.ETag };
+  }
+
+  /**
+   * Read an object, honouring range and conditional options
+   * @param {string} key - Object key
+   * @param {Object} options - { range, ifNoneMatch, ifModifiedSince }
+   * @returns {Object} { body, etag, lastModified, contentType, contentLength, contentRange } or { notModified, etag }
+   */
+  async get(key, { range, ifNoneMatch, ifModifiedSince } = {}) {
+    // Unparseable dates are ignored, as HTTP requires
+    const since = ifModifiedSince ? new Date(ifModifiedSince) : null;
+
+    try {
+      const { Body, ETag, LastModified, ContentRange, ContentType, ContentLength } = await this.send(
+        new GetObjectCommand({
+          Bucket: this.bucket,
+          Key: key,
+          Range: range,
+          IfNoneMatch: ifNoneMatch,
+          IfModifiedSince: since && !isNaN(since.getTime()) ? since : undefined
+        })
+      );
+
+      return {
+        body: await streamToBuffer(Body),
+        etag: ETag,
+        lastModified: LastModified ? new Date(LastModified) : undefined,
+        contentType: ContentType,
+        contentLength: ContentLength,
+        contentRange: ContentRange
+      };
+    } catch (error) {
+      // The SDK surfaces 304 Not Modified as an error
+      if (error.$metadata?.httpStatusCode === 304) {
+        return { notModified: true, etag: error.$response?.headers?.etag };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Read object metadata without the body
+   * @param {string} key - Object key
+   * @returns {Object} { etag, lastModified, contentType, contentLength }
+   */
+  async head(key) {
+    const { ETag, LastModified, ContentType, ContentLength } = await this.send(new HeadObjectCommand({
+      Bucket: this.bucket,
+      Key: key
+    }));
+
+    return {
+      etag: ETag,
+      lastModified: LastModified ? new Date(LastModified) : undefined,
+      contentType: ContentType,
+      contentLength: ContentLength
+    };
+  }
+
+  /**
+   * Delete an object
+   * @param {string} key - Object key
+   */
+  async delete(key) {
+    await this.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: key
+    }));
+  }
+
+  /**
+   * List one page of objects
+   * @param {Object} options - { prefix, delimiter, continuationToken, maxKeys }
+   * @returns {Object} { files, folders, isTruncated, nextContinuationToken }
+   */
+  async list({ prefix, delimiter, continuationToken, maxKeys } = {}) {
+    const result = await this.send(new ListObjectsV2Command({
+      Bucket: this.bucket,
+      Prefix: prefix,
+      Delimiter: delimiter,
+      ContinuationToken: continuationToken,
+      MaxKeys: maxKeys
+    }));
+
+    return {
+      files: (result.Contents || []).map(object => ({
+        key: object.Key,
+        size: object.Size,
+        etag: object.ETag,
+        lastModified: object.LastModified ? new Date(object.LastModified) : undefined
+      })),
+      folders: (result.CommonPrefixes || []).map(entry => entry.Prefix),
+      isTruncated: !!result.IsTruncated,
+      nextContinuationToken: result.NextContinuationToken || null
+    };
+  }
+}
+
+module.exports = { S3StorageAdapter, streamToBuffer };
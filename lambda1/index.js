@@ -1,12 +1,45 @@
+const crypto = require("crypto");
+
+// W3C trace context from the execution input (k6/stepfn-test.js sets one). This step logs itself as
+// a child span of the caller's and hands its own traceparent to the next step in its output.
+const startSpan = (name, traceparent) => {
+  const match = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/.exec(traceparent || "");
+  return match && {
+    name,
+    traceId: match[1],
+    parentSpanId: match[2],
+    spanId: crypto.randomBytes(8).toString("hex"),
+    flags: match[3],
+    start: Date.now(),
+  };
+};
+
+const endSpan = (span, error) => {
+  console.log(JSON.stringify({
+    span: span.name,
+    traceId: span.traceId,
+    spanId: span.spanId,
+    parentSpanId: span.parentSpanId,
+    durationMs: Date.now() - span.start,
+    status: error ? "ERROR" : "OK",
+    ...(error && { error: error.message }),
+  }));
+  return `00-${span.traceId}-${span.spanId}-${span.flags}`;
+};
+
 exports.handler = async (event) => {
   console.log("Lambda1 - ValidateInput:", event);
+  const span = startSpan("ValidateInput", event.traceparent);
 
   if (!event.inputValue || typeof event.inputValue !== "number") {
-    throw new Error("Invalid input: inputValue must be a number");
+    const error = new Error("Invalid input: inputValue must be a number");
+    if (span) endSpan(span, error);
+    throw error;
   }
 
   return {
     ...event,
+    ...(span && { traceparent: endSpan(span) }),
     validated: true,
     message: "Input validated",
   };
@@ -1,11 +1,42 @@
+const crypto = require("crypto");
+
+// W3C trace context passed along in the execution input: logged as a span of this step, which
+// replaces the traceparent with its own for the next step (see lambda1)
+const startSpan = (name, traceparent) => {
+  const match = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/.exec(traceparent || "");
+  return match && {
+    name,
+    traceId: match[1],
+    parentSpanId: match[2],
+    spanId: crypto.randomBytes(8).toString("hex"),
+    flags: match[3],
+    start: Date.now(),
+  };
+};
+
+const endSpan = (span, error) => {
+  console.log(JSON.stringify({
+    span: span.name,
+    traceId: span.traceId,
+    spanId: span.spanId,
+    parentSpanId: span.parentSpanId,
+    durationMs: Date.now() - span.start,
+    status: error ? "ERROR" : "OK",
+    ...(error && { error: error.message }),
+  }));
+  return `00-${span.traceId}-${span.spanId}-${span.flags}`;
+};
+
 exports.handler = async (event) => {
   console.log("Lambda2 - ProcessData:", event);
   console.log("Received event:", JSON.stringify(event, null, 2));
+  const span = startSpan("ProcessData", event.traceparent);
 
   const processed = event.inputValue * 2;
 
   return {
     ...event,
+    ...(span && { traceparent: endSpan(span) }),
     processedValue: processed,
     message: "Data processed",
   };
@@ -1,3 +1,4 @@
+const crypto = require("crypto");
 const {
   DynamoDBClient,
   PutItemCommand,
@@ -8,23 +9,58 @@ const client = new DynamoDBClient({
   endpoint: "http://localhost:4566", // LocalStack endpoint
 });
 
+// W3C trace context passed along in the execution input: logged as a span of this step and
+// saved with the item, so a stored result leads back to its trace (see lambda1)
+const startSpan = (name, traceparent) => {
+  const match = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/.exec(traceparent || "");
+  return match && {
+    name,
+    traceId: match[1],
+    parentSpanId: match[2],
+    spanId: crypto.randomBytes(8).toString("hex"),
+    flags: match[3],
+    start: Date.now(),
+  };
+};
+
+const endSpan = (span, error) => {
+  console.log(JSON.stringify({
+    span: span.name,
+    traceId: span.traceId,
+    spanId: span.spanId,
+    parentSpanId: span.parentSpanId,
+    durationMs: Date.now() - span.start,
+    status: error ? "ERROR" : "OK",
+    ...(error && { error: error.message }),
+  }));
+  return `00-${span.traceId}-${span.spanId}-${span.flags}`;
+};
+
 exports.handler = async (event) => {
   console.log("Lambda3 - SaveToDB:", event);
+  const span = startSpan("SaveToDB", event.traceparent);
 
   const item = {
     id: { S: `${Date.now()}` },
     input: { S: JSON.stringify(event) },
+    ...(span && { traceparent: { S: `00-${span.traceId}-${span.spanId}-${span.flags}` } }),
   };
 
-  await client.send(
-    new PutItemCommand({
-      TableName: "workflow-results",
-      Item: item,
-    })
-  );
+  try {
+    await client.send(
+      new PutItemCommand({
+        TableName: "workflow-results",
+        Item: item,
+      })
+    );
+  } catch (error) {
+    if (span) endSpan(span, error);
+    throw error;
+  }
 
   return {
     ...event,
+    ...(span && { traceparent: endSpan(span) }),
     dbStatus: "Saved",
     message: "Data written to DynamoDB",
   };
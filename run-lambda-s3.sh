@@ -68,12 +68,13 @@ deploy_resources() {
 # Start API Gateway simulation
 start_api_gateway() {
   print_message "Starting API Gateway simulation..."
-  npm run start &
+  # Only the bucket is deployed here, no Step Functions workflow
+  READINESS_CHECKS=s3 npm run start &
   API_PID=$!
   
-  # Wait for API Gateway to be ready
+  # Wait for API Gateway and its S3 bucket to be ready
   print_message "Waiting for API Gateway to be ready..."
-  ./scripts/wait-for-services.sh --host=localhost --port=3000 --service=APIGateway --timeout=30
+  ./scripts/wait-for-services.sh --url=http://localhost:3000/health/ready --service=APIGateway --timeout=60
 }
 
 # Run K6 tests
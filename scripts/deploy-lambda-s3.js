@@ -93,6 +93,31 @@ try {
 console.log('🪣 Creating S3 bucket...');
 awsCommand(`s3 mb s3://${BUCKET}`);
 awsCommand(`s3api put-bucket-acl --bucket ${BUCKET} --acl public-read`);
+if (process.env.BUCKET_VERSIONING === 'true') {
+  console.log('🗂️ Enabling bucket versioning...');
+  awsCommand(`s3api put-bucket-versioning --bucket ${BUCKET} --versioning-configuration Status=Enabled`);
+}
+
+// Default bucket encryption, matching S3Service's S3_SSE ("AES256" or "aws:kms")
+const SSE = process.env.S3_SSE || 'none';
+const KMS_KEY_ID = process.env.S3_SSE_KMS_KEY_ID;
+if (SSE !== 'none') {
+  console.log(`🔐 Enabling ${SSE} bucket encryption...`);
+  if (SSE === 'aws:kms' && KMS_KEY_ID && KMS_KEY_ID.startsWith('alias/') &&
+      !awsCommand(`kms describe-key --key-id ${KMS_KEY_ID}`)) {
+    const key = awsCommand(`kms create-key --description "SSE key for ${BUCKET}"`);
+    if (key) {
+      awsCommand(`kms create-alias --alias-name ${KMS_KEY_ID} --target-key-id ${JSON.parse(key).KeyMetadata.KeyId}`);
+    }
+  }
+  const rule = {
+    ApplyServerSideEncryptionByDefault: {
+      SSEAlgorithm: SSE,
+      ...(SSE === 'aws:kms' && KMS_KEY_ID && { KMSMasterKeyID: KMS_KEY_ID })
+    }
+  };
+  awsCommand(`s3api put-bucket-encryption --bucket ${BUCKET} --server-side-encryption-configuration '${JSON.stringify({ Rules: [rule] })}'`);
+}
 
 // Package Lambda function
 console.log('📦 Packaging Lambda function...');
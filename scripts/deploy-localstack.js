@@ -4,7 +4,12 @@ const { readFileSync, existsSync, unlinkSync } = require("fs");
 const { execSync } = require("child_process");
 const path = require("path");
 
-const { S3Client, CreateBucketCommand } = require("@aws-sdk/client-s3");
+const {
+  S3Client,
+  CreateBucketCommand,
+  PutBucketVersioningCommand,
+  PutBucketEncryptionCommand,
+} = require("@aws-sdk/client-s3");
 const { LambdaClient, CreateFunctionCommand } = require("@aws-sdk/client-lambda");
 
 // Load CLI args
@@ -16,6 +21,11 @@ const endpoint = process.env.ENDPOINT || "http://localhost:4566";
 const bucketName = process.env.BUCKET || "test-bucket";
 const skipBucketCreation =
   args["no-bucket"] || process.env.SKIP_BUCKET_CREATION === "true";
+const enableBucketVersioning =
+  args["versioning"] || process.env.BUCKET_VERSIONING === "true";
+// Default bucket encryption, matching S3Service's S3_SSE ("none", "AES256" or "aws:kms")
+const encryption = process.env.S3_SSE || "none";
+const kmsKeyId = process.env.S3_SSE_KMS_KEY_ID;
 const skipLambdaDeploy =
   args["no-lambda"] || process.env.SKIP_LAMBDA_DEPLOY === "true";
 
@@ -56,6 +66,65 @@ async function createBucket() {
   }
 }
 
+// Keep every overwritten or deleted version, for the version routes and overwrite-heavy tests
+async function enableVersioning() {
+  console.log(`Enabling versioning on bucket: ${bucketName}`);
+  await s3Client.send(new PutBucketVersioningCommand({
+    Bucket: bucketName,
+    VersioningConfiguration: { Status: "Enabled" },
+  }));
+  console.log("✅ Bucket versioning enabled");
+}
+
+// SSE-KMS with an alias needs the key in LocalStack KMS. There is no KMS client among the
+// dependencies, so the AWS CLI creates it.
+function ensureKmsKey() {
+  if (!kmsKeyId || !kmsKeyId.startsWith("alias/")) {
+    return;
+  }
+  const kms = (command) =>
+    execSync(`aws --endpoint-url=${endpoint} --region ${region} kms ${command}`, {
+      encoding: "utf8",
+      stdio: ["ignore", "pipe", "ignore"],
+      env: {
+        ...process.env,
+        AWS_ACCESS_KEY_ID: process.env.AWS_ACCESS_KEY_ID || "test",
+        AWS_SECRET_ACCESS_KEY: process.env.AWS_SECRET_ACCESS_KEY || "test",
+      },
+    });
+
+  try {
+    kms(`describe-key --key-id ${kmsKeyId}`);
+    console.log(`✅ KMS key ${kmsKeyId} already exists`);
+    return;
+  } catch {
+    console.log(`Creating KMS key: ${kmsKeyId}`);
+  }
+  const { KeyMetadata } = JSON.parse(kms(`create-key --description "SSE key for ${bucketName}"`));
+  kms(`create-alias --alias-name ${kmsKeyId} --target-key-id ${KeyMetadata.KeyId}`);
+  console.log("✅ KMS key created");
+}
+
+// Encrypt every new object by default, including presigned uploads that bypass S3Service
+async function enableEncryption() {
+  console.log(`Enabling ${encryption} encryption on bucket: ${bucketName}`);
+  if (encryption === "aws:kms") {
+    ensureKmsKey();
+  }
+  await s3Client.send(new PutBucketEncryptionCommand({
+    Bucket: bucketName,
+    ServerSideEncryptionConfiguration: {
+      Rules: [{
+        ApplyServerSideEncryptionByDefault: {
+          SSEAlgorithm: encryption,
+          ...(encryption === "aws:kms" && kmsKeyId && { KMSMasterKeyID: kmsKeyId }),
+        },
+      }],
+    },
+  }));
+  console.log("✅ Bucket encryption enabled");
+}
+
 async function deployLambda() {
   const lambdaPath = path.resolve(__dirname, "..", "lambda");
   const zipPath = path.resolve(__dirname, "..", "lambda.zip");
@@ -114,6 +183,12 @@ async function deployLambda() {
   try {
     if (!skipBucketCreation) {
       await createBucket();
+      if (enableBucketVersioning) {
+        await enableVersioning();
+      }
+      if (encryption !== "none") {
+        await enableEncryption();
+      }
     } else {
       console.log("⏭️  Skipping bucket creation as requested");
     }
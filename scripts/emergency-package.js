@@ -31,7 +31,7 @@ try {
   // Create zip with lambda files and critical dependencies
   const zipCommands = [
     `cd "${path.dirname(outputZip)}"`,
-    `zip -r function.zip lambda/index.js`,
+    `zip -r function.zip lambda/index.js lambda/storage`,
   ];
   
   // Add critical node_modules if they exist
@@ -82,7 +82,7 @@ try {
     const lambdaFile = path.join(__dirname, '..', 'lambda', 'index.js');
     
     if (fs.existsSync(lambdaFile)) {
-      execSync(`cd "${path.dirname(lambdaFile)}" && zip "${outputZip}" index.js`, { stdio: 'inherit' });
+      execSync(`cd "${path.dirname(lambdaFile)}" && zip -r "${outputZip}" index.js storage`, { stdio: 'inherit' });
       console.log('✅ Minimal package created with just Lambda function');
     } else {
       console.error('❌ Lambda function file not found');
@@ -49,6 +49,8 @@ class ConsolidatedReportGenerator {
             vusMax: metrics.vus_max?.values?.value || 0,
             httpReqs: metrics.http_reqs?.values?.count || 0,
             httpReqFailed: metrics.http_req_failed?.values?.rate || 0,
+            throttled: metrics.throttled_requests?.values?.count || 0,
+            retries: metrics.retries?.values?.count || 0,
             httpReqDuration: {
                 avg: metrics.http_req_duration?.values?.avg || 0,
                 min: metrics.http_req_duration?.values?.min || 0,
@@ -370,6 +372,14 @@ class ConsolidatedReportGenerator {
                             <div class="metric-label">Throughput</div>
                             <div class="metric-value">${Math.round(metrics.httpReqs / (metrics.duration / 1000))} req/s</div>
                         </div>
+                        <div class="metric">
+                            <div class="metric-label">Throttled (429)</div>
+                            <div class="metric-value">${metrics.throttled.toLocaleString()}</div>
+                        </div>
+                        <div class="metric">
+                            <div class="metric-label">Retries</div>
+                            <div class="metric-value">${metrics.retries.toLocaleString()}</div>
+                        </div>
                         <div class="metric">
                             <div class="metric-label">VUs</div>
                             <div class="metric-value">${metrics.vusMax}</div>
@@ -0,0 +1,85 @@
+/**
+ * Mint JWTs for the gateway simulator's authorizer
+ *
+ * Usage:
+ *   node scripts/generate-jwt.js [--alg HS256|RS256] [--sub user] [--scope "files:read files:write"]
+ *                                [--expires-in 3600] [--aud s3-gateway] [--iss https://auth.localhost]
+ *
+ * RS256 tokens are signed with keys/private.pem; the key pair and keys/jwks.json are
+ * created on first use. Only the token is written to stdout, so the output can be
+ * captured directly: JWT=$(node scripts/generate-jwt.js --alg RS256)
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const minimist = require('minimist');
+const { loadAuthConfig, signJwt } = require('../gateway/authorizer');
+
+const args = minimist(process.argv.slice(2), {
+  string: ['alg', 'sub', 'scope', 'aud', 'iss', 'kid'],
+  default: { alg: 'HS256', sub: 'k6-user', scope: 'files:read files:write', 'expires-in': 3600 }
+});
+
+const configFile = process.env.GATEWAY_AUTH_CONFIG || path.join(__dirname, '..', 'config', 'gateway-auth.json');
+const keysDir = path.join(__dirname, '..', 'keys');
+const privateKeyFile = path.join(keysDir, 'private.pem');
+const jwksFile = path.join(keysDir, 'jwks.json');
+
+/**
+ * Load the RS256 signing key, generating the key pair and JWKS file if missing
+ * @returns {Object} { privateKey, kid }
+ */
+function loadOrCreateSigningKey() {
+  if (fs.existsSync(privateKeyFile) && fs.existsSync(jwksFile)) {
+    const [jwk] = JSON.parse(fs.readFileSync(jwksFile, 'utf8')).keys;
+    return { privateKey: fs.readFileSync(privateKeyFile, 'utf8'), kid: jwk.kid };
+  }
+
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const jwk = publicKey.export({ format: 'jwk' });
+  const kid = crypto.createHash('sha256').update(jwk.n).digest('base64url').slice(0, 16);
+
+  fs.mkdirSync(keysDir, { recursive: true });
+  fs.writeFileSync(privateKeyFile, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+  fs.writeFileSync(jwksFile, JSON.stringify({ keys: [{ ...jwk, kid, alg: 'RS256', use: 'sig' }] }, null, 2));
+  console.error(`Generated RS256 key pair in ${keysDir} (kid ${kid}) - restart the simulator to load it`);
+
+  return { privateKey, kid };
+}
+
+function main() {
+  const alg = args.alg.toUpperCase();
+  const { jwt } = loadAuthConfig(configFile);
+  const now = Math.floor(Date.now() / 1000);
+
+  const claims = {
+    sub: args.sub,
+    iss: args.iss || jwt.issuer,
+    aud: args.aud || jwt.audience,
+    scope: args.scope,
+    iat: now,
+    exp: now + Number(args['expires-in'])
+  };
+
+  let token;
+  if (alg === 'HS256') {
+    if (!jwt.secret) {
+      throw new Error('No HS256 secret - set JWT_HS256_SECRET or jwt.hs256Secret');
+    }
+    token = signJwt(claims, { alg, secret: jwt.secret });
+  } else if (alg === 'RS256') {
+    const { privateKey, kid } = loadOrCreateSigningKey();
+    token = signJwt(claims, { alg, privateKey, kid: args.kid || kid });
+  } else {
+    throw new Error(`Unsupported algorithm ${args.alg} - use HS256 or RS256`);
+  }
+
+  console.log(token);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
@@ -1,6 +1,8 @@
 const { generateSummaryReport } = require('k6-html-reporter');
 const path = require('path');
 const fs = require('fs');
+const { parsePrometheusText, summarizeHistogram } = require('../gateway/prometheus');
+const { Histogram } = require('../services/shared/utils/histogram');
 
 // Load performance thresholds from config file
 function loadPerformanceThresholds() {
@@ -493,6 +495,20 @@ function generateDetailedReport(metrics, testName, outputPath) {
                                             ${getErrorImpact(metrics.http_req_failed?.values?.rate || 0)}
                                         </td>
                                     </tr>
+                                    <tr>
+                                        <td>Throttled (429)</td>
+                                        <td>${metrics.throttled_requests?.values?.count || 0}</td>
+                                        <td>${calculateThrottleRate(metrics)}%</td>
+                                        <td>
+                                            ${getErrorImpact((metrics.throttled_requests?.values?.count || 0) / (metrics.http_reqs?.values?.count || 1))}
+                                        </td>
+                                    </tr>
+                                    <tr>
+                                        <td>Retries</td>
+                                        <td>${metrics.retries?.values?.count || 0}</td>
+                                        <td>-</td>
+                                        <td>-</td>
+                                    </tr>
                                     <tr>
                                         <td>Slow Responses (>1s)</td>
                                         <td>${calculateSlowResponses(metrics)}</td>
@@ -508,6 +524,8 @@ function generateDetailedReport(metrics, testName, outputPath) {
                 </div>
             </div>
         </div>
+${generateServerLatencyHtml(metrics)}
+${generateSlowestRequestsHtml(metrics)}
     </div>
 
     <script>
@@ -955,6 +973,15 @@ async function transformK6JsonToReport(filePath) {
         
         // Enrich metrics with analysis
         const enrichedMetrics = enrichMetricsWithAnalysis(baseMetrics);
+
+        // Server-side latency from the simulator's /metrics/latency or /metrics, when saved around the run
+        const serverLatency = loadServerLatency(filePath);
+        if (serverLatency) {
+            enrichedMetrics.server_latency = serverLatency;
+        }
+
+        // The slowest requests k6 traced, to look up on the simulator
+        enrichedMetrics.slowest_requests = findSlowestTracedRequests(content);
         
         // Generate the report
         return enrichedMetrics;
@@ -964,9 +991,12 @@ async function transformK6JsonToReport(filePath) {
     }
 }
 
-async function generateReports() {
+// Reports on <resultsDir>/post-results.json and get-results.json, written under <reportsDir>/post and /get
+async function generateReports({
+    resultsDir = path.resolve(__dirname, '..'),
+    reportsDir = path.resolve(__dirname, '../reports')
+} = {}) {
     // Create reports directory if it doesn't exist
-    const reportsDir = path.resolve(__dirname, '../reports');
     const postReportDir = path.resolve(reportsDir, 'post');
     const getReportDir = path.resolve(reportsDir, 'get');
 
@@ -977,8 +1007,8 @@ async function generateReports() {
     });
 
     try {
-        const postResultsPath = path.resolve(__dirname, '../post-results.json');
-        const getResultsPath = path.resolve(__dirname, '../get-results.json');
+        const postResultsPath = path.resolve(resultsDir, 'post-results.json');
+        const getResultsPath = path.resolve(resultsDir, 'get-results.json');
 
         // Process POST test results
         console.log('Processing POST test results...');
@@ -1000,14 +1030,223 @@ async function generateReports() {
         if (error.stack) {
             console.error('Stack trace:', error.stack);
         }
-        process.exit(1);
+        throw error;
+    }
+}
+
+// Only the traffic k6 generated, not the scrapes or admin calls around it
+function isK6Route(route) {
+    return !route?.startsWith('/metrics') && !route?.startsWith('/admin');
+}
+
+// The gateway's request latency over the run, in ms: from the streaming histograms in
+// <name>-server-latency.json when saved, else from the Prometheus buckets in <name>-server-metrics.prom.
+// Each file is diffed against its -before copy, saved when the run started.
+function loadServerLatency(resultsPath) {
+    return loadServerLatencyHistogram(resultsPath) || loadServerLatencyBuckets(resultsPath);
+}
+
+// Percentiles within the histograms' relative accuracy (1% by default)
+function loadServerLatencyHistogram(resultsPath) {
+    const latencyPath = resultsPath.replace(/results\.json$/, 'server-latency.json');
+    if (latencyPath === resultsPath || !fs.existsSync(latencyPath)) {
+        return null;
+    }
+
+    // All of the run's routes in one histogram
+    const read = (file) => {
+        // CI leaves an empty file when the target has no /metrics/latency
+        const text = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
+        if (!text.trim()) {
+            return null;
+        }
+        const histograms = JSON.parse(text).metrics
+            .filter(metric => metric.name === 'gateway.request.duration' && isK6Route(metric.tags.route))
+            .map(metric => Histogram.fromJSON(metric.total.histogram));
+        return histograms.length ? histograms.reduce((merged, histogram) => merged.merge(histogram)) : null;
+    };
+
+    const after = read(latencyPath);
+    const before = read(latencyPath.replace(/\.json$/, '-before.json'));
+    if (!after) {
+        return null;
+    }
+    // A before snapshot with more requests than after means the histograms were reset or the
+    // simulator restarted during the run, so everything after the reset is the run
+    const run = before && before.count <= after.count ? after.subtract(before) : after;
+    const summary = run.summary();
+    if (!summary.count) {
+        return null;
+    }
+
+    return {
+        source: 'histogram',
+        accuracy: run.relativeAccuracy,
+        count: summary.count,
+        avg: summary.mean,
+        med: summary.p50,
+        p90: summary.p90,
+        p95: summary.p95,
+        p99: summary.p99
+    };
+}
+
+// Percentiles estimated by interpolating within Prometheus buckets
+function loadServerLatencyBuckets(resultsPath) {
+    const scrapePath = resultsPath.replace(/results\.json$/, 'server-metrics.prom');
+    if (scrapePath === resultsPath || !fs.existsSync(scrapePath)) {
+        return null;
+    }
+
+    const read = (file) => (fs.existsSync(file) ? parsePrometheusText(fs.readFileSync(file, 'utf8')) : []);
+    const summary = summarizeHistogram('gateway_request_duration_seconds', read(scrapePath), {
+        before: read(scrapePath.replace(/\.prom$/, '-before.prom')),
+        filter: (labels) => isK6Route(labels.route)
+    });
+    if (!summary.count) {
+        return null;
     }
+
+    return {
+        source: 'buckets',
+        count: summary.count,
+        avg: summary.mean * 1000,
+        med: summary.p50 * 1000,
+        p90: summary.p90 * 1000,
+        p95: summary.p95 * 1000,
+        p99: summary.p99 * 1000
+    };
 }
 
-generateReports().catch(error => {
-    console.error('Failed to generate reports:', error);
-    process.exit(1);
-});
+// Client (k6) against server (gateway) latency; the gap is network, queueing and client overhead
+function generateServerLatencyHtml(metrics) {
+    const server = metrics.server_latency;
+    if (!server) {
+        return '';
+    }
+
+    const client = metrics.http_req_duration?.values || {};
+    const format = (value) => (Number.isFinite(value) ? `${value.toFixed(2)} ms` : '-');
+    const rows = [
+        ['Average', client.avg, server.avg],
+        ['Median', client.med, server.med],
+        ['p90', client['p(90)'], server.p90],
+        ['p95', client['p(95)'], server.p95],
+        ['p99', client['p(99)'], server.p99]
+    ].map(([label, clientValue, serverValue]) => `
+                                    <tr>
+                                        <td>${label}</td>
+                                        <td>${format(clientValue)}</td>
+                                        <td>${format(serverValue)}</td>
+                                        <td>${format(clientValue - serverValue)}</td>
+                                    </tr>`).join('');
+
+    return `
+        <!-- Client vs Server Latency -->
+        <div class="row mt-4">
+            <div class="col-12">
+                <div class="card">
+                    <div class="card-header">
+                        <h5 class="card-title">Client vs Server Latency</h5>
+                    </div>
+                    <div class="card-body">
+                        <p>${server.count} requests seen by the gateway (k6 sent ${metrics.http_reqs?.values?.count || 0}).
+                        Server percentiles are ${server.source === 'histogram'
+                            ? `within ${server.accuracy * 100}% of the exact values (streaming histogram)`
+                            : 'estimated from Prometheus histogram buckets'}.</p>
+                        <div class="table-responsive">
+                            <table class="table table-hover">
+                                <thead>
+                                    <tr>
+                                        <th>Statistic</th>
+                                        <th>k6 (client)</th>
+                                        <th>Gateway (server)</th>
+                                        <th>Difference</th>
+                                    </tr>
+                                </thead>
+                                <tbody>${rows}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        </div>`;
+}
+
+// The slowest http_req_duration samples carrying a trace_id (set by k6/utils.js), slowest first
+function findSlowestTracedRequests(content, limit = 10) {
+    const slowest = [];
+    for (const line of content.split('\n')) {
+        if (!line.includes('"trace_id"')) continue;
+        try {
+            const data = JSON.parse(line);
+            if (data.type !== 'Point' || data.metric !== 'http_req_duration') continue;
+            slowest.push({
+                traceId: data.data.metadata.trace_id,
+                duration: data.data.value,
+                time: data.data.time,
+                method: data.data.tags?.method,
+                name: data.data.tags?.name,
+                status: data.data.tags?.status
+            });
+            // Keep the list short while reading large result files
+            if (slowest.length > limit * 10) {
+                slowest.sort((a, b) => b.duration - a.duration).splice(limit);
+            }
+        } catch {
+            // Not a JSON line
+        }
+    }
+    return slowest.sort((a, b) => b.duration - a.duration).slice(0, limit);
+}
+
+function generateSlowestRequestsHtml(metrics) {
+    const requests = metrics.slowest_requests || [];
+    if (requests.length === 0) {
+        return '';
+    }
+
+    const rows = requests.map(request => `
+                                    <tr>
+                                        <td>${request.duration.toFixed(2)} ms</td>
+                                        <td>${request.method || ''} ${request.name || ''}</td>
+                                        <td>${request.status || ''}</td>
+                                        <td>${request.time}</td>
+                                        <td><code>${request.traceId}</code></td>
+                                    </tr>`).join('');
+
+    return `
+        <!-- Slowest Requests -->
+        <div class="row mt-4">
+            <div class="col-12">
+                <div class="card">
+                    <div class="card-header">
+                        <h5 class="card-title">Slowest Requests</h5>
+                    </div>
+                    <div class="card-body">
+                        <p>The simulator keeps each request's spans, down to the S3 calls:
+                        <code>GET /admin/traces/&lt;trace ID&gt;</code> shows where the time went.</p>
+                        <div class="table-responsive">
+                            <table class="table table-hover">
+                                <thead>
+                                    <tr>
+                                        <th>Duration</th>
+                                        <th>Request</th>
+                                        <th>Status</th>
+                                        <th>Time</th>
+                                        <th>Trace ID</th>
+                                    </tr>
+                                </thead>
+                                <tbody>${rows}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        </div>`;
+}
 
 function getErrorImpact(errorRate) {
     if (errorRate === 0) return '<span class="text-success">No Impact</span>';
@@ -1016,6 +1255,12 @@ function getErrorImpact(errorRate) {
     return '<span class="text-danger">Severe</span>';
 }
 
+function calculateThrottleRate(metrics) {
+    const total = metrics.http_reqs?.values?.count || 0;
+    const throttled = metrics.throttled_requests?.values?.count || 0;
+    return total ? ((throttled / total) * 100).toFixed(2) : '0.00';
+}
+
 function calculateSlowResponses(metrics) {
     const p95 = metrics.http_req_duration?.values?.["p(95)"] || 0;
     const total = metrics.http_reqs?.values?.count || 0;
@@ -1035,3 +1280,11 @@ function getResponseTimeImpact(metrics) {
     if (p95 <= 1000) return '<span class="text-warning">Fair</span>';
     return '<span class="text-danger">Poor</span>';
 }
+
+// Run if called directly, once every declaration above is initialized
+if (require.main === module) {
+    // generateReports has logged the error
+    generateReports().catch(() => process.exit(1));
+}
+
+module.exports = { generateReports, transformK6JsonToReport };
@@ -0,0 +1,94 @@
+/**
+ * Minimal OTLP/HTTP collector for checking the OpenTelemetry export without a real collector
+ *
+ * Usage:
+ *   node scripts/otel-collector-stub.js [--port 4318] [--out reports/otlp.jsonl] [--status 200]
+ *
+ * Accepts OTLP JSON on POST /v1/metrics, /v1/logs and /v1/traces, prints a line per request with
+ * the metrics, log records or spans it carried, and appends each request body to --out when given.
+ * --status makes every request fail with that status, to see how the exporter copes.
+ * Point the simulator at it with OTEL_EXPORTER_OTLP_ENDPOINT=http://localhost:4318.
+ */
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const minimist = require('minimist');
+
+const args = minimist(process.argv.slice(2), {
+  string: ['out'],
+  default: { port: 4318, status: 200 }
+});
+
+/**
+ * Describe an OTLP request in one line
+ * @param {string} signal - metrics, logs or traces
+ * @param {Object} body - OTLP JSON request
+ * @returns {string} Summary
+ */
+function summarize(signal, body) {
+  if (signal === 'metrics') {
+    const metrics = (body.resourceMetrics || [])
+      .flatMap(resource => resource.scopeMetrics || [])
+      .flatMap(scope => scope.metrics || []);
+    const points = metrics.reduce((total, metric) => {
+      const data = metric.sum || metric.gauge || metric.histogram || metric.exponentialHistogram || {};
+      return total + (data.dataPoints || []).length;
+    }, 0);
+    return `${metrics.length} metrics, ${points} data points: ${metrics.map(metric => metric.name).join(', ')}`;
+  }
+
+  if (signal === 'traces') {
+    const spans = (body.resourceSpans || [])
+      .flatMap(resource => resource.scopeSpans || [])
+      .flatMap(scope => scope.spans || []);
+    const traces = new Set(spans.map(span => span.traceId)).size;
+    const failed = spans.filter(span => span.status?.code === 2).length;
+    return `${spans.length} spans in ${traces} traces, ${failed} failed`;
+  }
+
+  const records = (body.resourceLogs || [])
+    .flatMap(resource => resource.scopeLogs || [])
+    .flatMap(scope => scope.logRecords || []);
+  const traced = records.filter(record => record.traceId).length;
+  return `${records.length} log records, ${traced} with a trace ID`;
+}
+
+const server = http.createServer((req, res) => {
+  const match = req.url.match(/^\/v1\/(metrics|logs|traces)$/);
+  if (req.method !== 'POST' || !match) {
+    res.writeHead(404).end();
+    return;
+  }
+  if (!(req.headers['content-type'] || '').startsWith('application/json')) {
+    // The stub only decodes the JSON encoding, not protobuf
+    res.writeHead(415, { 'Content-Type': 'application/json' }).end(JSON.stringify({ message: 'Only application/json is supported' }));
+    return;
+  }
+
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    const signal = match[1];
+    let body;
+    try {
+      body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (error) {
+      res.writeHead(400, { 'Content-Type': 'application/json' }).end(JSON.stringify({ message: error.message }));
+      return;
+    }
+
+    console.log(`${new Date().toISOString()} /v1/${signal} ${summarize(signal, body)}`);
+    if (args.out) {
+      fs.mkdirSync(path.dirname(args.out), { recursive: true });
+      fs.appendFileSync(args.out, `${JSON.stringify({ signal, body })}\n`);
+    }
+
+    const status = Number(args.status);
+    res.writeHead(status, { 'Content-Type': 'application/json' })
+      .end(JSON.stringify(status === 200 ? {} : { message: `Stub configured to answer ${status}` }));
+  });
+});
+
+server.listen(Number(args.port), () => {
+  console.log(`OTLP collector stub listening on http://localhost:${server.address().port}`);
+});
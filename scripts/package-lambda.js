@@ -44,7 +44,15 @@ try {
   
   // Copy Lambda source files to the temp directory
   console.log('Copying Lambda source files...');
+  const sourceFiles = ['index.js'];
   fs.copyFileSync(path.join(sourceDir, 'index.js'), path.join(tempDir, 'index.js'));
+
+  // Storage adapters required by index.js
+  fs.mkdirSync(path.join(tempDir, 'storage'));
+  for (const file of fs.readdirSync(path.join(sourceDir, 'storage')).filter(name => name.endsWith('.js'))) {
+    fs.copyFileSync(path.join(sourceDir, 'storage', file), path.join(tempDir, 'storage', file));
+    sourceFiles.push(path.join('storage', file));
+  }
   
   // Create package.json in the temp directory with only required dependencies
   console.log('Creating package.json with required dependencies...');
@@ -58,7 +66,9 @@ try {
   };
   
   // Scan Lambda source code for dependencies
-  const lambdaSource = fs.readFileSync(path.join(sourceDir, 'index.js'), 'utf8');
+  const lambdaSource = sourceFiles
+    .map(file => fs.readFileSync(path.join(sourceDir, file), 'utf8'))
+    .join('\n');
   const dependencyRegex = /require\(['"]([@\w\/-]+)['"]\)/g;
   const detectedDependencies = new Set();
   
@@ -98,11 +98,22 @@ echo -e "${BLUE}Running K6 test: ${TEST_NAME}${NC}"
 echo -e "${BLUE}Environment: API_URL=${API_URL}, ENDPOINT=${ENDPOINT}${NC}"
 echo -e "${BLUE}Report directory: ${REPORT_DIR}${NC}"
 
+# Scrape the simulator's Prometheus metrics around the run, so reports can set server-side
+# latency against k6's (ignored when the target has no /metrics)
+SERVER_METRICS="${REPORT_DIR}/${TEST_NAME}-server-metrics"
+curl -sf "${API_URL}/metrics" > "${SERVER_METRICS}-before.prom" || rm -f "${SERVER_METRICS}-before.prom"
+# Exact latency percentiles from the simulator's streaming histograms
+SERVER_LATENCY="${REPORT_DIR}/${TEST_NAME}-server-latency"
+curl -sf "${API_URL}/metrics/latency" > "${SERVER_LATENCY}-before.json" || rm -f "${SERVER_LATENCY}-before.json"
+
 # Run the test with all arguments
 k6 run "${K6_ARGS[@]}" "$@"
 
 RESULT=$?
 
+curl -sf "${API_URL}/metrics" > "${SERVER_METRICS}.prom" || rm -f "${SERVER_METRICS}.prom"
+curl -sf "${API_URL}/metrics/latency" > "${SERVER_LATENCY}.json" || rm -f "${SERVER_LATENCY}.json"
+
 # Show test results summary if available
 if [ -f "${REPORT_DIR}/${TEST_NAME}-results.json" ]; then
   echo -e "\n${GREEN}Test results available at: ${REPORT_DIR}/${TEST_NAME}-results.json${NC}"
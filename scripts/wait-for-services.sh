@@ -20,6 +20,7 @@ STRICT=0
 PROTOCOL=tcp
 HOST=""
 PORT=""
+URL=""
 SERVICE_NAME=""
 WAIT_INTERVAL=1
 
@@ -30,6 +31,8 @@ Usage: $0 [options] [-- command]
   -h, --help              Show this help
   -H, --host=HOST         Host or IP to check (required)
   -p, --port=PORT         TCP port to check (required)
+  -u, --url=URL           HTTP URL that must answer 2xx instead of a TCP port,
+                          e.g. http://localhost:3000/health/ready
   -s, --service=NAME      Service name for display purposes
   -t, --timeout=SECONDS   Timeout in seconds (default: $TIMEOUT)
   -q, --quiet             Don't output any status messages
@@ -45,20 +48,29 @@ log() {
   fi
 }
 
+# Whether the service answers: the URL returns 2xx, or the TCP port accepts connections
+service_ready() {
+  if [ -n "$URL" ]; then
+    curl -sf -o /dev/null --max-time 5 "$URL"
+  else
+    nc -z "$HOST" "$PORT" > /dev/null 2>&1
+  fi
+}
+
 wait_for_service() {
   local start_time=$(date +%s)
   local end_time=$((start_time + TIMEOUT))
   local current_time=$start_time
   local is_ready=0
   
-  log "${BLUE}[$(date +"%H:%M:%S")]${NC} Waiting for ${SERVICE_NAME:-$HOST:$PORT} to become available..."
+  log "${BLUE}[$(date +"%H:%M:%S")]${NC} Waiting for ${SERVICE_NAME:-${URL:-$HOST:$PORT}} to become available..."
   
   # Listen for Ctrl+C
   trap 'log "${RED}Operation aborted by user${NC}"; exit 1' INT
   
   # Wait for the service to become available
   while [ $current_time -lt $end_time ]; do
-    if nc -z "$HOST" "$PORT" > /dev/null 2>&1; then
+    if service_ready; then
       is_ready=1
       break
     fi
@@ -81,7 +93,7 @@ wait_for_service() {
   
   if [ $is_ready -eq 1 ]; then
     local elapsed=$((current_time - start_time))
-    log "${GREEN}✅ Service ${SERVICE_NAME:-$HOST:$PORT} is available after ${elapsed}s${NC}"
+    log "${GREEN}✅ Service ${SERVICE_NAME:-${URL:-$HOST:$PORT}} is available after ${elapsed}s${NC}"
     
     if [ ! -z "$1" ]; then
       log "${BLUE}Executing command: $@${NC}"
@@ -90,7 +102,7 @@ wait_for_service() {
     
     return 0
   else
-    log "${RED}❌ Timeout reached: ${SERVICE_NAME:-$HOST:$PORT} is not available after ${TIMEOUT}s${NC}"
+    log "${RED}❌ Timeout reached: ${SERVICE_NAME:-${URL:-$HOST:$PORT}} is not available after ${TIMEOUT}s${NC}"
     
     if [ $STRICT -eq 1 ]; then
       exit 1
@@ -125,6 +137,17 @@ while [ $# -gt 0 ]; do
       fi
       shift 2
       ;;
+    --url=*)
+      URL="${1#*=}"
+      shift 1
+      ;;
+    -u)
+      URL="$2"
+      if [ "$URL" == "" ]; then
+        usage
+      fi
+      shift 2
+      ;;
     --service=*)
       SERVICE_NAME="${1#*=}"
       shift 1
@@ -178,8 +201,8 @@ while [ $# -gt 0 ]; do
 done
 
 # Check required parameters
-if [ "$HOST" == "" -o "$PORT" == "" ]; then
-  log "${RED}Error: You must specify a host and port${NC}"
+if [ "$URL" == "" ] && [ "$HOST" == "" -o "$PORT" == "" ]; then
+  log "${RED}Error: You must specify a host and port, or a URL${NC}"
   usage
 fi
 
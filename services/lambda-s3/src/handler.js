@@ -1,6 +1,6 @@
 /**
  * Lambda S3 Handler - Enterprise Version
- * Handles file upload and download operations with S3
+ * Handles file upload, download, metadata, delete and version operations with S3
  * 
  * @module lambda-s3/handler
  */
@@ -8,12 +8,15 @@
 const { S3Client, PutObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
 const { Logger } = require('../../shared/utils/logger');
 const { MetricsCollector } = require('../../shared/utils/metrics');
+const { startOtlpExport } = require('../../shared/utils/otel');
+const { parseTraceparent, startSpan, withSpan } = require('../../shared/utils/tracing');
 const { ErrorHandler } = require('../../shared/utils/error-handler');
 const { ValidationService } = require('./services/validation-service');
 const { S3Service } = require('./services/s3-service');
 
 const logger = new Logger('lambda-s3-handler');
 const metrics = new MetricsCollector();
+const otlp = startOtlpExport();
 
 class LambdaS3Handler {
   constructor() {
@@ -22,35 +25,66 @@ class LambdaS3Handler {
   }
 
   /**
-   * Main Lambda handler function
+   * Main Lambda handler function. The invocation is a span: a child of the request's traceparent
+   * header when there is one (the gateway simulator sends it), else of a new trace. S3 calls and
+   * log entries made while handling it belong to that span. Log entries also carry the
+   * invocation's request ID and the X-Correlation-Id header (else API Gateway's request ID), in a
+   * log context of their own, so concurrent invocations do not mix them up.
    * @param {Object} event - Lambda event object
    * @param {Object} context - Lambda context object
    * @returns {Object} HTTP response
    */
-  async handler(event, context) {
-    const correlationId = context.awsRequestId;
-    logger.setCorrelationId(correlationId);
-    
+  async handler(rawEvent, context) {
+    const event = this.normalizeEvent(rawEvent);
+    // Malformed events are rejected by validateEvent, within the span
+    const request = event || {};
+    const span = startSpan(`lambda-s3 ${request.httpMethod} ${request.resource || request.path}`, {
+      parent: parseTraceparent(this.getHeader(request, 'traceparent')),
+      kind: 'SERVER',
+      attributes: {
+        'faas.invocation_id': context?.awsRequestId,
+        'http.request.method': request.httpMethod,
+        'url.path': request.path
+      }
+    });
+    const logContext = {
+      correlationId: this.getHeader(request, 'x-correlation-id') || request.requestContext?.requestId || context?.awsRequestId,
+      requestId: context?.awsRequestId
+    };
+    return Logger.runWithContext(logContext, () =>
+      withSpan(span, () => this.handleInvocation(event, context, span)));
+  }
+
+  /**
+   * Handle one invocation within its span
+   * @param {Object} event - Lambda event object
+   * @param {Object} context - Lambda context object
+   * @param {Span} span - Invocation span, ended before the metrics are flushed
+   * @returns {Object} HTTP response
+   */
+  async handleInvocation(event, context, span) {
     const startTime = Date.now();
     
     try {
+      // Validate event structure
+      this.validationService.validateEvent(event);
+
       logger.info('Processing request', {
         httpMethod: event.httpMethod,
-        path: event.path,
-        correlationId
+        path: event.path
       });
 
-      // Validate event structure
-      this.validationService.validateEvent(event);
-
       let response;
       
       switch (event.httpMethod) {
         case 'POST':
-          response = await this.handleUpload(event);
+          response = await this.handlePost(event);
           break;
         case 'GET':
-          response = await this.handleDownload(event);
+          response = await this.handleGet(event);
+          break;
+        case 'HEAD':
+          response = await this.handleHead(event);
           break;
         case 'DELETE':
           response = await this.handleDelete(event);
@@ -74,11 +108,12 @@ class LambdaS3Handler {
         duration: Date.now() - startTime
       });
 
+      span.setAttributes({ 'http.response.status_code': response.statusCode });
       return response;
 
     } catch (error) {
       metrics.recordCount('lambda.errors', 1, {
-        method: event.httpMethod,
+        method: event?.httpMethod,
         errorType: error.constructor.name
       });
 
@@ -86,22 +121,52 @@ class LambdaS3Handler {
         duration: Date.now() - startTime
       });
 
-      return ErrorHandler.handleError(error);
+      span.recordError(error);
+      const response = ErrorHandler.handleError(error);
+      span.setAttributes({ 'http.response.status_code': response.statusCode });
+      return response;
+    } finally {
+      span.end();
+      // Write this invocation's metrics (and spans) before Lambda freezes the process
+      await MetricsCollector.flush();
+      await otlp?.flush();
+    }
+  }
+
+  /**
+   * Dispatch POST requests by path
+   * @param {Object} event - Lambda event
+   * @returns {Object} HTTP response
+   */
+  async handlePost(event) {
+    if ((event.path || '').endsWith('/restore')) {
+      return this.handleRestore(event);
     }
+    return this.handleUpload(event);
   }
 
   /**
-   * Handle file upload to S3
+   * Handle file upload to S3. Content-MD5 and x-amz-checksum-sha256 request headers are
+   * checked by S3 against the uploaded bytes.
    * @param {Object} event - Lambda event
    * @returns {Object} HTTP response
    */
   async handleUpload(event) {
     const { filename } = event.queryStringParameters || {};
-    const body = event.body || '';
+    // API Gateway base64-encodes binary request bodies and flags them
+    const body = event.isBase64Encoded
+      ? Buffer.from(event.body || '', 'base64')
+      : event.body || '';
+
+    const checksums = {
+      contentMd5: this.getHeader(event, 'content-md5'),
+      checksumSha256: this.getHeader(event, 'x-amz-checksum-sha256')
+    };
 
     this.validationService.validateUploadRequest(filename, body);
+    this.validationService.validateUploadChecksums(checksums);
 
-    const result = await this.s3Service.uploadFile(filename, body);
+    const result = await this.s3Service.uploadFile(filename, body, checksums);
     
     return {
       statusCode: 200,
@@ -111,45 +176,258 @@ class LambdaS3Handler {
         filename,
         size: body.length,
         etag: result.ETag,
+        ...(result.VersionId && { versionId: result.VersionId }),
         timestamp: new Date().toISOString()
       })
     };
   }
 
   /**
-   * Handle file download from S3
+   * Dispatch GET requests by path
+   * @param {Object} event - Lambda event
+   * @returns {Object} HTTP response
+   */
+  async handleGet(event) {
+    const path = event.path || '';
+
+    if (path.endsWith('/presign/upload')) {
+      return this.handlePresignUpload(event);
+    }
+    if (path.endsWith('/presign/download')) {
+      return this.handlePresignDownload(event);
+    }
+    if (path.endsWith('/files')) {
+      return this.handleList(event);
+    }
+    if (path.endsWith('/versions')) {
+      return this.handleListVersions(event);
+    }
+    return this.handleDownload(event);
+  }
+
+  /**
+   * Handle file listing
+   * @param {Object} event - Lambda event
+   * @returns {Object} HTTP response
+   */
+  async handleList(event) {
+    const { prefix, delimiter, continuationToken, maxKeys } = event.queryStringParameters || {};
+
+    const pageSize = this.validationService.validateListRequest({ prefix, delimiter, maxKeys });
+
+    const result = await this.s3Service.listFiles({
+      prefix,
+      delimiter,
+      continuationToken,
+      maxKeys: pageSize
+    });
+
+    return {
+      statusCode: 200,
+      headers: this.getCorsHeaders(),
+      body: JSON.stringify(result)
+    };
+  }
+
+  /**
+   * Handle listing the versions of a file
+   * @param {Object} event - Lambda event
+   * @returns {Object} HTTP response
+   */
+  async handleListVersions(event) {
+    const { filename, keyMarker, versionIdMarker, maxKeys } = event.queryStringParameters || {};
+
+    this.validationService.validateDownloadRequest(filename);
+    const pageSize = this.validationService.validateListRequest({ maxKeys });
+
+    const result = await this.s3Service.listVersions(filename, {
+      keyMarker,
+      versionIdMarker,
+      maxKeys: pageSize
+    });
+
+    return {
+      statusCode: 200,
+      headers: this.getCorsHeaders(),
+      body: JSON.stringify(result)
+    };
+  }
+
+  /**
+   * Handle restoring a prior version, which becomes the file's current version
+   * @param {Object} event - Lambda event
+   * @returns {Object} HTTP response
+   */
+  async handleRestore(event) {
+    const { filename, versionId } = event.queryStringParameters || {};
+
+    this.validationService.validateDownloadRequest(filename);
+    this.validationService.validateVersionId(versionId, { required: true });
+
+    const result = await this.s3Service.restoreVersion(filename, versionId);
+
+    return {
+      statusCode: 200,
+      headers: this.getCorsHeaders(),
+      body: JSON.stringify({
+        message: 'File version restored',
+        filename,
+        restoredVersionId: versionId,
+        versionId: result.VersionId,
+        timestamp: new Date().toISOString()
+      })
+    };
+  }
+
+  /**
+   * Handle presigned upload URL request
+   * @param {Object} event - Lambda event
+   * @returns {Object} HTTP response
+   */
+  async handlePresignUpload(event) {
+    const query = event.queryStringParameters || {};
+    const { filename, contentType } = query;
+    const contentLength = Number(query.contentLength);
+
+    this.validationService.validatePresignUploadRequest(filename, contentLength, contentType);
+    const expiresIn = this.validationService.validatePresignExpiry(query.expiresIn);
+
+    const result = await this.s3Service.getPresignedUploadUrl(filename, {
+      contentLength,
+      contentType,
+      expiresIn
+    });
+
+    return {
+      statusCode: 200,
+      headers: this.getCorsHeaders(),
+      body: JSON.stringify({
+        filename,
+        ...result,
+        expiresIn
+      })
+    };
+  }
+
+  /**
+   * Handle presigned download URL request
+   * @param {Object} event - Lambda event
+   * @returns {Object} HTTP response
+   */
+  async handlePresignDownload(event) {
+    const query = event.queryStringParameters || {};
+    const { filename } = query;
+
+    this.validationService.validateDownloadRequest(filename);
+    const expiresIn = this.validationService.validatePresignExpiry(query.expiresIn);
+
+    const result = await this.s3Service.getPresignedDownloadUrl(filename, { expiresIn });
+
+    return {
+      statusCode: 200,
+      headers: this.getCorsHeaders(),
+      body: JSON.stringify({
+        filename,
+        ...result,
+        expiresIn
+      })
+    };
+  }
+
+  /**
+   * Handle file download from S3, honouring Range, If-None-Match and If-Modified-Since.
+   * The body is always base64-encoded with `isBase64Encoded` set, per the API Gateway proxy contract
    * @param {Object} event - Lambda event
    * @returns {Object} HTTP response
    */
   async handleDownload(event) {
-    const { filename } = event.queryStringParameters || {};
+    const { filename, versionId } = event.queryStringParameters || {};
 
     this.validationService.validateDownloadRequest(filename);
+    this.validationService.validateVersionId(versionId);
 
-    const result = await this.s3Service.downloadFile(filename);
+    const result = await this.s3Service.downloadFile(filename, {
+      versionId,
+      range: this.getHeader(event, 'range'),
+      ifNoneMatch: this.getHeader(event, 'if-none-match'),
+      ifModifiedSince: this.getHeader(event, 'if-modified-since')
+    });
+
+    const cacheHeaders = {
+      ...(result.ETag && { 'ETag': result.ETag }),
+      ...(result.LastModified && { 'Last-Modified': result.LastModified.toUTCString() }),
+      ...(result.VersionId && { 'x-amz-version-id': result.VersionId })
+    };
+
+    if (result.NotModified) {
+      return {
+        statusCode: 304,
+        headers: {
+          ...this.getCorsHeaders(),
+          ...cacheHeaders
+        },
+        body: ''
+      };
+    }
     
+    return {
+      statusCode: result.ContentRange ? 206 : 200,
+      headers: {
+        ...this.getCorsHeaders(),
+        ...cacheHeaders,
+        'Accept-Ranges': 'bytes',
+        ...(result.ContentRange && { 'Content-Range': result.ContentRange }),
+        'Content-Type': result.ContentType || 'application/octet-stream',
+        'Content-Length': result.ContentLength?.toString() || '0'
+      },
+      // Binary-safe: API Gateway decodes the body before it reaches the client
+      body: Buffer.from(result.Body || '').toString('base64'),
+      isBase64Encoded: true
+    };
+  }
+
+  /**
+   * Handle file metadata requests: the headers a download would carry, without the body
+   * @param {Object} event - Lambda event
+   * @returns {Object} HTTP response
+   */
+  async handleHead(event) {
+    const filename = this.getFilename(event);
+    const { versionId } = event.queryStringParameters || {};
+
+    this.validationService.validateDownloadRequest(filename);
+    this.validationService.validateVersionId(versionId);
+
+    const result = await this.s3Service.headFile(filename, { versionId });
+
     return {
       statusCode: 200,
       headers: {
         ...this.getCorsHeaders(),
+        ...(result.ETag && { 'ETag': result.ETag }),
+        ...(result.LastModified && { 'Last-Modified': result.LastModified.toUTCString() }),
+        ...(result.VersionId && { 'x-amz-version-id': result.VersionId }),
+        'Accept-Ranges': 'bytes',
         'Content-Type': result.ContentType || 'application/octet-stream',
         'Content-Length': result.ContentLength?.toString() || '0'
       },
-      body: result.Body
+      body: ''
     };
   }
 
   /**
-   * Handle file deletion from S3
+   * Handle file deletion from S3; with ?versionId= only that version is deleted
    * @param {Object} event - Lambda event
    * @returns {Object} HTTP response
    */
   async handleDelete(event) {
-    const { filename } = event.queryStringParameters || {};
+    const filename = this.getFilename(event);
+    const { versionId } = event.queryStringParameters || {};
 
     this.validationService.validateDeleteRequest(filename);
+    this.validationService.validateVersionId(versionId);
 
-    await this.s3Service.deleteFile(filename);
+    const result = await this.s3Service.deleteFile(filename, { versionId });
     
     return {
       statusCode: 200,
@@ -157,6 +435,8 @@ class LambdaS3Handler {
       body: JSON.stringify({
         message: 'File deleted successfully',
         filename,
+        ...(result?.VersionId && { versionId: result.VersionId }),
+        ...(result?.DeleteMarker && { deleteMarker: true }),
         timestamp: new Date().toISOString()
       })
     };
@@ -174,6 +454,45 @@ class LambdaS3Handler {
     };
   }
 
+  /**
+   * Give an HTTP API (payload format 2.0) event the REST API (1.0) fields the handler reads:
+   * httpMethod and path from requestContext.http, resource from the route key
+   * @param {Object} event - Lambda event
+   * @returns {Object} The event, or a 1.0-shaped copy of a 2.0 event
+   */
+  normalizeEvent(event) {
+    if (event?.version !== '2.0' || !event.requestContext?.http) {
+      return event;
+    }
+    return {
+      ...event,
+      httpMethod: event.requestContext.http.method,
+      path: event.rawPath,
+      resource: (event.routeKey || '').split(' ')[1]
+    };
+  }
+
+  /**
+   * Read the object key from the /files/{name} path parameter, falling back to ?filename=
+   * @param {Object} event - Lambda event
+   * @returns {string|undefined} File name
+   */
+  getFilename(event) {
+    return event.pathParameters?.name || event.queryStringParameters?.filename;
+  }
+
+  /**
+   * Read a request header case-insensitively
+   * @param {Object} event - Lambda event
+   * @param {string} name - Lower-case header name
+   * @returns {string|undefined} Header value
+   */
+  getHeader(event, name) {
+    const headers = event.headers || {};
+    const key = Object.keys(headers).find(header => header.toLowerCase() === name);
+    return key ? headers[key] : undefined;
+  }
+
   /**
    * Get CORS headers
    * @returns {Object} CORS headers
@@ -181,8 +500,9 @@ class LambdaS3Handler {
   getCorsHeaders() {
     return {
       'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+      'Access-Control-Allow-Methods': 'GET, HEAD, POST, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Api-Key, Range, If-None-Match, If-Modified-Since, Content-MD5, x-amz-checksum-sha256',
+      'Access-Control-Expose-Headers': 'ETag, Last-Modified, Content-Range, Accept-Ranges, Content-Length, x-amz-version-id'
     };
   }
 }
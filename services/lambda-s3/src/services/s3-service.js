@@ -3,54 +3,343 @@
  * @module lambda-s3/services/s3-service
  */
 
-const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  HeadObjectCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
+  ListPartsCommand,
+  ListObjectsV2Command,
+  ListObjectVersionsCommand,
+  CopyObjectCommand,
+  HeadBucketCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const crypto = require('crypto');
 const { Logger } = require('../../../shared/utils/logger');
 const { MetricsCollector } = require('../../../shared/utils/metrics');
+const { ErrorHandler } = require('../../../shared/utils/error-handler');
+const { instrumentAwsClient } = require('../../../shared/utils/tracing');
 
 const logger = new Logger('s3-service');
 const metrics = new MetricsCollector();
 
+// S3 rejects multipart parts smaller than 5MB (except the last one)
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+
+// DeleteObjects accepts at most 1000 keys per request
+const MAX_DELETE_KEYS = 1000;
+
+// S3_SSE values and the ServerSideEncryption header each one sends
+const ENCRYPTION_MODES = {
+  none: undefined,
+  AES256: 'AES256',
+  'aws:kms': 'aws:kms'
+};
+
+// S3_CHECKSUM values, with the object metadata key their digest is stored under
+// so downloads can be verified against it
+const CHECKSUM_METADATA = {
+  md5: 'content-md5',
+  sha256: 'content-sha256'
+};
+
+/**
+ * Read a positive integer from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Value used when unset or invalid
+ * @returns {number} Parsed value
+ */
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Base64 digest of upload content, as S3 expects in Content-MD5 and x-amz-checksum-sha256
+ * @param {string} algorithm - `md5` or `sha256`
+ * @param {Buffer|string} content - Content to hash
+ * @returns {string} Base64 digest
+ */
+function digest(algorithm, content) {
+  return crypto.createHash(algorithm).update(content).digest('base64');
+}
+
+/**
+ * Split a Buffer, string or readable stream into fixed-size parts
+ * @param {Buffer|string|AsyncIterable} source - Upload source
+ * @param {number} partSize - Part size in bytes
+ * @yields {Buffer} Part body (only the last part may be smaller)
+ */
+async function* chunkSource(source, partSize) {
+  if (typeof source === 'string' || Buffer.isBuffer(source)) {
+    const buffer = Buffer.from(source);
+    for (let offset = 0; offset < buffer.length; offset += partSize) {
+      yield buffer.subarray(offset, offset + partSize);
+    }
+    return;
+  }
+
+  let pending = [];
+  let pendingLength = 0;
+
+  for await (const chunk of source) {
+    const data = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+    pending.push(data);
+    pendingLength += data.length;
+
+    while (pendingLength >= partSize) {
+      const combined = Buffer.concat(pending, pendingLength);
+      yield combined.subarray(0, partSize);
+      const rest = combined.subarray(partSize);
+      pending = rest.length ? [rest] : [];
+      pendingLength = rest.length;
+    }
+  }
+
+  if (pendingLength > 0) {
+    yield Buffer.concat(pending, pendingLength);
+  }
+}
+
+/**
+ * Create an S3 client for the given endpoint
+ * @param {string} endpoint - S3 endpoint URL
+ * @param {Object} overrides - Additional client configuration
+ * @returns {S3Client} Configured client
+ */
+function createClient(endpoint, overrides = {}) {
+  return new S3Client({
+    region: process.env.AWS_REGION || 'us-east-1',
+    endpoint,
+    forcePathStyle: true,
+    // The SDK would otherwise add a CRC32 to every upload; checksums are chosen with S3_CHECKSUM
+    requestChecksumCalculation: 'WHEN_REQUIRED',
+    responseChecksumValidation: 'WHEN_REQUIRED',
+    credentials: {
+      accessKeyId: process.env.AWS_ACCESS_KEY_ID || 'test',
+      secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY || 'test'
+    },
+    ...overrides
+  });
+}
+
+// Middleware added with S3Service.useMiddleware. Every instance's client runs the list at
+// request time, so instances created before a registration pick it up too.
+const sharedMiddleware = [];
+
 class S3Service {
-  constructor() {
-    this.s3Client = new S3Client({
-      region: process.env.AWS_REGION || 'us-east-1',
-      endpoint: process.env.ENDPOINT,
-      forcePathStyle: true,
-      credentials: {
-        accessKeyId: process.env.AWS_ACCESS_KEY_ID || 'test',
-        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY || 'test'
-      }
-    });
+  /**
+   * @param {Object} options - Service options
+   * @param {number} options.partSize - Multipart part size in bytes
+   * @param {number} options.queueSize - Number of parts uploaded concurrently
+   * @param {number} options.multipartThreshold - Size above which uploadFile switches to multipart
+   * @param {number} options.batchConcurrency - Files uploaded concurrently by uploadFiles
+   * @param {string} options.encryption - Server-side encryption: `none`, `AES256` (SSE-S3) or `aws:kms` (SSE-KMS)
+   * @param {string} options.kmsKeyId - KMS key ID, ARN or alias for SSE-KMS (S3's managed key when unset)
+   * @param {string} options.checksumAlgorithm - Checksum computed for uploads: `none`, `md5` or `sha256`
+   * @param {boolean} options.verifyDownloads - Check downloads against the checksum stored at upload
+   */
+  constructor(options = {}) {
+    // Each call made within a trace becomes a span, e.g. S3.GetObject
+    this.s3Client = instrumentAwsClient(createClient(process.env.ENDPOINT));
+    this.s3Client.middlewareStack.add(
+      (next, context) => (args) =>
+        sharedMiddleware.reduceRight((handler, middleware) => middleware(handler, context), next)(args),
+      { step: 'finalizeRequest', name: 'sharedMiddleware' }
+    );
+
+    // Presigned URLs embed the host in the signature, so clients outside the
+    // Docker network may need a different endpoint than the service itself.
+    // Like every client here it only adds checksums when required, as a presigned URL
+    // cannot know the body.
+    this.presignClient = createClient(process.env.PRESIGN_ENDPOINT || process.env.ENDPOINT);
     
     this.bucketName = process.env.BUCKET_NAME || process.env.BUCKET || 'default-bucket';
+    this.partSize = Math.max(
+      options.partSize || envInt('S3_PART_SIZE', 8 * 1024 * 1024),
+      MIN_PART_SIZE
+    );
+    this.queueSize = options.queueSize || envInt('S3_UPLOAD_CONCURRENCY', 4);
+    this.multipartThreshold = options.multipartThreshold || envInt('S3_MULTIPART_THRESHOLD', 16 * 1024 * 1024);
+    this.batchConcurrency = options.batchConcurrency || envInt('S3_BATCH_CONCURRENCY', 8);
+    this.encryption = options.encryption || process.env.S3_SSE || 'none';
+    this.kmsKeyId = options.kmsKeyId || process.env.S3_SSE_KMS_KEY_ID;
+    this.checksumAlgorithm = options.checksumAlgorithm || process.env.S3_CHECKSUM || 'none';
+    this.verifyDownloads = options.verifyDownloads ?? process.env.S3_VERIFY_DOWNLOADS !== 'false';
+
+    // Silently storing unencrypted or unchecked objects would be worse than not starting
+    if (!(this.encryption in ENCRYPTION_MODES)) {
+      throw new Error(`Unsupported S3_SSE "${this.encryption}", expected one of: ${Object.keys(ENCRYPTION_MODES).join(', ')}`);
+    }
+    if (this.checksumAlgorithm !== 'none' && !CHECKSUM_METADATA[this.checksumAlgorithm]) {
+      throw new Error(`Unsupported S3_CHECKSUM "${this.checksumAlgorithm}", expected one of: none, md5, sha256`);
+    }
     
     logger.info('S3Service initialized', {
       bucketName: this.bucketName,
       endpoint: process.env.ENDPOINT,
-      region: process.env.AWS_REGION
+      region: process.env.AWS_REGION,
+      partSize: this.partSize,
+      queueSize: this.queueSize,
+      encryption: this.encryption,
+      checksumAlgorithm: this.checksumAlgorithm
     });
   }
 
+  /**
+   * Add AWS SDK middleware (finalizeRequest step) to the clients of all S3Service instances,
+   * e.g. the gateway simulator's fault injection
+   * @param {Function} middleware - SDK middleware: (next, context) => async (args) => result
+   */
+  static useMiddleware(middleware) {
+    sharedMiddleware.push(middleware);
+  }
+
+  /**
+   * Server-side encryption parameters for object writes
+   * @returns {Object} ServerSideEncryption and SSEKMSKeyId, empty when encryption is off
+   */
+  getEncryptionParams() {
+    const mode = ENCRYPTION_MODES[this.encryption];
+    if (!mode) {
+      return {};
+    }
+    return {
+      ServerSideEncryption: mode,
+      ...(mode === 'aws:kms' && this.kmsKeyId && { SSEKMSKeyId: this.kmsKeyId })
+    };
+  }
+
+  /**
+   * Integrity parameters for a single-request upload. Checksums supplied by the client are
+   * passed on for S3 to check; otherwise one is computed with `checksumAlgorithm`.
+   * @param {string|Buffer} content - File content
+   * @param {Object} checksums - Base64 `contentMd5` and `checksumSha256` from the client
+   * @returns {Object} `params` for the PutObject request and `metadata` recording the digests
+   */
+  getChecksumParams(content, { contentMd5, checksumSha256 } = {}) {
+    const digests = { md5: contentMd5, sha256: checksumSha256 };
+
+    if (!contentMd5 && !checksumSha256 && this.checksumAlgorithm !== 'none') {
+      const startTime = Date.now();
+      digests[this.checksumAlgorithm] = digest(this.checksumAlgorithm, content);
+      metrics.recordLatency('s3.checksum.compute.duration', Date.now() - startTime, {
+        algorithm: this.checksumAlgorithm
+      });
+    }
+
+    const metadata = {};
+    for (const [algorithm, value] of Object.entries(digests)) {
+      if (value) {
+        metadata[CHECKSUM_METADATA[algorithm]] = value;
+      }
+    }
+
+    return {
+      params: {
+        ...(digests.md5 && { ContentMD5: digests.md5 }),
+        ...(digests.sha256 && { ChecksumAlgorithm: 'SHA256', ChecksumSHA256: digests.sha256 })
+      },
+      metadata
+    };
+  }
+
+  /**
+   * Check a downloaded body against the digest stored when it was uploaded.
+   * Partial downloads and objects uploaded without a checksum are not checked.
+   * @param {string} filename - File name
+   * @param {Object} result - downloadFile result with a Buffer body
+   * @throws {Error} ChecksumMismatchError if the body does not match
+   */
+  verifyChecksum(filename, result) {
+    const metadata = result.Metadata || {};
+    const algorithm = Object.keys(CHECKSUM_METADATA).find(name => metadata[CHECKSUM_METADATA[name]]);
+    if (!algorithm || result.ContentRange || !result.Body) {
+      return;
+    }
+
+    const startTime = Date.now();
+    const expected = metadata[CHECKSUM_METADATA[algorithm]];
+    const actual = digest(algorithm, result.Body);
+    metrics.recordLatency('s3.checksum.verify.duration', Date.now() - startTime, { algorithm });
+
+    if (actual !== expected) {
+      metrics.recordCount('s3.checksum.mismatch', 1, { algorithm });
+      logger.warn('Downloaded file does not match its checksum', { filename, algorithm, expected, actual });
+      throw ErrorHandler.createChecksumMismatchError(
+        `${algorithm.toUpperCase()} checksum mismatch for ${filename}: expected ${expected}, got ${actual}`
+      );
+    }
+  }
+
+  /**
+   * Check upload content against the checksums the client sent with it, as S3 does for a
+   * single-request upload
+   * @param {string} filename - File name
+   * @param {string|Buffer} content - File content
+   * @param {Object} checksums - Base64 `contentMd5` and `checksumSha256` from the client
+   * @throws {Error} ChecksumMismatchError if the content does not match
+   */
+  checkUploadChecksums(filename, content, { contentMd5, checksumSha256 } = {}) {
+    for (const [algorithm, expected] of [['md5', contentMd5], ['sha256', checksumSha256]]) {
+      if (!expected) {
+        continue;
+      }
+      const actual = digest(algorithm, content);
+      if (actual !== expected) {
+        metrics.recordCount('s3.checksum.mismatch', 1, { algorithm, operation: 'upload' });
+        logger.warn('Uploaded file does not match its checksum', { filename, algorithm, expected, actual });
+        throw ErrorHandler.createChecksumMismatchError(
+          `${algorithm.toUpperCase()} checksum mismatch for ${filename}: expected ${expected}, got ${actual}`
+        );
+      }
+    }
+  }
+
   /**
    * Upload file to S3
    * @param {string} filename - File name
    * @param {string|Buffer} content - File content
+   * @param {Object} options - Upload options
+   * @param {string} options.contentMd5 - Base64 MD5 of the content, checked by S3
+   * @param {string} options.checksumSha256 - Base64 SHA-256 of the content, checked by S3
    * @returns {Object} S3 upload result
    */
-  async uploadFile(filename, content) {
+  async uploadFile(filename, content, options = {}) {
+    if (content.length > this.multipartThreshold) {
+      // Parts are checked by S3 one at a time, so the client's whole-body checksums are checked
+      // here before anything is sent, and recorded for verifyChecksum like a single upload's
+      this.checkUploadChecksums(filename, content, options);
+      return this.uploadMultipart(filename, content, {
+        contentLength: content.length,
+        metadata: this.getChecksumParams(content, options).metadata
+      });
+    }
+
     const startTime = Date.now();
     
     try {
       logger.info('Uploading file to S3', { filename, size: content.length });
 
+      const checksums = this.getChecksumParams(content, options);
       const command = new PutObjectCommand({
         Bucket: this.bucketName,
         Key: filename,
         Body: content,
         ContentType: this.getContentType(filename),
+        ...this.getEncryptionParams(),
+        ...checksums.params,
         Metadata: {
           uploadedAt: new Date().toISOString(),
-          originalSize: content.length.toString()
+          originalSize: content.length.toString(),
+          ...checksums.metadata
         }
       });
 
@@ -75,42 +364,309 @@ class S3Service {
     }
   }
 
+  /**
+   * Upload several files, `batchConcurrency` at a time. A failed file does not stop the others.
+   * @param {Array<Object>} files - [{ filename, content }]
+   * @returns {Array<Object>} Per-file results in input order:
+   *   { filename, status: 'uploaded', etag } or { filename, status: 'failed', error }
+   */
+  async uploadFiles(files) {
+    const startTime = Date.now();
+    const results = new Array(files.length);
+    let next = 0;
+
+    const worker = async () => {
+      while (next < files.length) {
+        const index = next++;
+        const { filename, content } = files[index];
+        try {
+          const result = await this.uploadFile(filename, content);
+          results[index] = { filename, status: 'uploaded', etag: result.ETag };
+        } catch (error) {
+          results[index] = { filename, status: 'failed', error: error.message || error.name };
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(this.batchConcurrency, files.length) }, worker));
+
+    const failed = results.filter(result => result.status === 'failed').length;
+    metrics.recordLatency('s3.upload.batch.duration', Date.now() - startTime);
+    metrics.recordGauge('s3.upload.batch.size', files.length);
+
+    logger.info('Batch upload finished', {
+      files: files.length,
+      failed,
+      concurrency: this.batchConcurrency,
+      duration: Date.now() - startTime
+    });
+
+    return results;
+  }
+
+  /**
+   * Upload a file to S3 in parts, streaming the source so that only
+   * `queueSize` parts are held in memory at once
+   * @param {string} filename - File name
+   * @param {Buffer|string|AsyncIterable} source - File content or readable stream
+   * @param {Object} options - Upload options
+   * @param {string} options.uploadId - Existing upload to resume; parts already stored are skipped
+   * @param {number} options.contentLength - Total size, recorded in object metadata when known
+   * @param {Object} options.metadata - Further object metadata, e.g. whole-body checksums
+   * @param {boolean} options.leavePartsOnError - Keep uploaded parts on failure so the upload can be resumed
+   * @returns {Object} S3 CompleteMultipartUpload result with the UploadId
+   * @throws {Error} Upload error, with `uploadId` set when the upload was left resumable
+   */
+  async uploadMultipart(filename, source, options = {}) {
+    const startTime = Date.now();
+    let uploadId = options.uploadId;
+    const parts = new Map();
+    const inFlight = new Set();
+
+    try {
+      if (uploadId) {
+        for (const part of await this.listUploadedParts(filename, uploadId)) {
+          parts.set(part.PartNumber, { ETag: part.ETag, ChecksumSHA256: part.ChecksumSHA256 });
+        }
+        logger.info('Resuming multipart upload', { filename, uploadId, uploadedParts: parts.size });
+      } else {
+        const created = await this.s3Client.send(new CreateMultipartUploadCommand({
+          Bucket: this.bucketName,
+          Key: filename,
+          ContentType: this.getContentType(filename),
+          ...this.getEncryptionParams(),
+          // SHA-256 multipart uploads carry a checksum per part, which S3 combines on completion
+          ...(this.checksumAlgorithm === 'sha256' && { ChecksumAlgorithm: 'SHA256' }),
+          Metadata: {
+            uploadedAt: new Date().toISOString(),
+            ...(options.contentLength !== undefined && {
+              originalSize: options.contentLength.toString()
+            }),
+            ...options.metadata
+          }
+        }));
+        uploadId = created.UploadId;
+        logger.info('Multipart upload started', { filename, uploadId, partSize: this.partSize });
+      }
+
+      let partNumber = 0;
+      let totalSize = 0;
+      let partError = null;
+
+      // Upload a part in the background. A failure is kept rather than rejected, as the task
+      // leaves inFlight before anything awaits it; the first one ends the upload.
+      const sendPart = (number, body) => {
+        const task = this.uploadPart(filename, uploadId, number, body)
+          .then(part => { parts.set(number, part); })
+          .catch(error => { partError = partError || error; })
+          .finally(() => inFlight.delete(task));
+        inFlight.add(task);
+      };
+
+      for await (const body of chunkSource(source, this.partSize)) {
+        const number = ++partNumber;
+        totalSize += body.length;
+
+        if (!parts.has(number)) {
+          sendPart(number, body);
+        }
+        if (inFlight.size >= this.queueSize) {
+          await Promise.race(inFlight);
+        }
+        // Stop reading the source once a part has failed
+        if (partError) {
+          throw partError;
+        }
+      }
+
+      // S3 requires at least one part, even for an empty object
+      if (partNumber === 0) {
+        partNumber = 1;
+        sendPart(1, Buffer.alloc(0));
+      }
+
+      await Promise.all(inFlight);
+      if (partError) {
+        throw partError;
+      }
+
+      const result = await this.s3Client.send(new CompleteMultipartUploadCommand({
+        Bucket: this.bucketName,
+        Key: filename,
+        UploadId: uploadId,
+        MultipartUpload: {
+          Parts: [...parts.entries()]
+            .filter(([number]) => number <= partNumber)
+            .sort(([a], [b]) => a - b)
+            .map(([PartNumber, part]) => ({ PartNumber, ...part }))
+        }
+      }));
+
+      metrics.recordLatency('s3.upload.duration', Date.now() - startTime, { mode: 'multipart' });
+      metrics.recordCount('s3.upload.success', 1, { mode: 'multipart' });
+      metrics.recordGauge('s3.upload.size', totalSize);
+      metrics.recordGauge('s3.multipart.parts', partNumber);
+
+      logger.info('Multipart upload completed', {
+        filename,
+        uploadId,
+        parts: partNumber,
+        size: totalSize,
+        duration: Date.now() - startTime
+      });
+
+      return { ...result, UploadId: uploadId };
+
+    } catch (error) {
+      metrics.recordCount('s3.upload.error', 1, { mode: 'multipart' });
+      logger.error('Failed to upload file in parts', error, { filename, uploadId });
+
+      // Let parts already on the wire settle before aborting the upload
+      await Promise.allSettled(inFlight);
+
+      if (uploadId && !options.leavePartsOnError) {
+        await this.abortMultipartUpload(filename, uploadId);
+      } else if (uploadId) {
+        error.uploadId = uploadId;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Upload a single part of a multipart upload
+   * @param {string} filename - File name
+   * @param {string} uploadId - Multipart upload ID
+   * @param {number} partNumber - 1-based part number
+   * @param {Buffer} body - Part content
+   * @returns {Object} Part ETag, and ChecksumSHA256 for SHA-256 uploads
+   */
+  async uploadPart(filename, uploadId, partNumber, body) {
+    const startTime = Date.now();
+    const checksum = this.checksumAlgorithm === 'none' ? undefined : digest(this.checksumAlgorithm, body);
+
+    const result = await this.s3Client.send(new UploadPartCommand({
+      Bucket: this.bucketName,
+      Key: filename,
+      UploadId: uploadId,
+      PartNumber: partNumber,
+      Body: body,
+      ...(this.checksumAlgorithm === 'md5' && { ContentMD5: checksum }),
+      ...(this.checksumAlgorithm === 'sha256' && { ChecksumAlgorithm: 'SHA256', ChecksumSHA256: checksum })
+    }));
+
+    metrics.recordLatency('s3.multipart.part.duration', Date.now() - startTime);
+    logger.debug('Uploaded part', { filename, uploadId, partNumber, size: body.length });
+
+    return { ETag: result.ETag, ChecksumSHA256: result.ChecksumSHA256 || undefined };
+  }
+
+  /**
+   * List the parts already stored for a multipart upload
+   * @param {string} filename - File name
+   * @param {string} uploadId - Multipart upload ID
+   * @returns {Array} Parts with PartNumber, ETag and Size
+   */
+  async listUploadedParts(filename, uploadId) {
+    const parts = [];
+    let marker;
+
+    do {
+      const result = await this.s3Client.send(new ListPartsCommand({
+        Bucket: this.bucketName,
+        Key: filename,
+        UploadId: uploadId,
+        PartNumberMarker: marker
+      }));
+      parts.push(...(result.Parts || []));
+      marker = result.IsTruncated ? result.NextPartNumberMarker : undefined;
+    } while (marker);
+
+    return parts;
+  }
+
+  /**
+   * Abort a multipart upload and discard its stored parts
+   * @param {string} filename - File name
+   * @param {string} uploadId - Multipart upload ID
+   */
+  async abortMultipartUpload(filename, uploadId) {
+    try {
+      await this.s3Client.send(new AbortMultipartUploadCommand({
+        Bucket: this.bucketName,
+        Key: filename,
+        UploadId: uploadId
+      }));
+      metrics.recordCount('s3.multipart.aborted', 1);
+      logger.warn('Multipart upload aborted', { filename, uploadId });
+    } catch (error) {
+      logger.error('Failed to abort multipart upload', error, { filename, uploadId });
+    }
+  }
+
   /**
    * Download file from S3
    * @param {string} filename - File name
-   * @returns {Object} S3 download result
+   * @param {Object} options - Partial and conditional request options
+   * @param {string} options.range - HTTP Range header value, e.g. `bytes=0-1023`
+   * @param {string} options.ifNoneMatch - Only return the body if the ETag differs
+   * @param {string} options.ifModifiedSince - Only return the body if modified after this HTTP date
+   * @param {string} options.versionId - Version to read instead of the current one
+   * @returns {Object} S3 download result with a Buffer body; `NotModified` is set when S3 answered 304
    */
-  async downloadFile(filename) {
+  async downloadFile(filename, { range, ifNoneMatch, ifModifiedSince, versionId } = {}) {
     const startTime = Date.now();
     
     try {
-      logger.info('Downloading file from S3', { filename });
+      logger.info('Downloading file from S3', { filename, range, ifNoneMatch, ifModifiedSince, versionId });
+
+      // Unparseable dates are ignored, as HTTP requires
+      const since = ifModifiedSince ? new Date(ifModifiedSince) : null;
 
       const command = new GetObjectCommand({
         Bucket: this.bucketName,
-        Key: filename
+        Key: filename,
+        VersionId: versionId,
+        Range: range,
+        IfNoneMatch: ifNoneMatch,
+        IfModifiedSince: since && !isNaN(since.getTime()) ? since : undefined
       });
 
       const result = await this.s3Client.send(command);
       
-      // Convert stream to string if needed
-      if (result.Body && typeof result.Body.transformToString === 'function') {
-        result.Body = await result.Body.transformToString();
+      // Read the stream as raw bytes - decoding to a string would corrupt binary files
+      if (result.Body && typeof result.Body.transformToByteArray === 'function') {
+        result.Body = Buffer.from(await result.Body.transformToByteArray());
+      }
+
+      if (this.verifyDownloads) {
+        this.verifyChecksum(filename, result);
       }
       
       metrics.recordLatency('s3.download.duration', Date.now() - startTime);
-      metrics.recordCount('s3.download.success', 1);
+      metrics.recordCount('s3.download.success', 1, { partial: String(!!result.ContentRange) });
       metrics.recordGauge('s3.download.size', result.ContentLength || 0);
 
       logger.info('File downloaded successfully', {
         filename,
         contentLength: result.ContentLength,
+        contentRange: result.ContentRange,
         duration: Date.now() - startTime
       });
 
       return result;
 
     } catch (error) {
+      if (error.$metadata?.httpStatusCode === 304) {
+        metrics.recordCount('s3.download.not_modified', 1);
+        logger.info('File not modified', { filename, duration: Date.now() - startTime });
+        const headers = error.$response?.headers || {};
+        return {
+          NotModified: true,
+          ETag: headers.etag || ifNoneMatch,
+          LastModified: headers['last-modified'] ? new Date(headers['last-modified']) : undefined
+        };
+      }
+
       metrics.recordCount('s3.download.error', 1);
       logger.error('Failed to download file', error, { filename });
       throw error;
@@ -118,28 +674,67 @@ class S3Service {
   }
 
   /**
-   * Delete file from S3
+   * Read file metadata from S3 without downloading the body
    * @param {string} filename - File name
-   * @returns {Object} S3 delete result
+   * @param {Object} options - { versionId } to read a version other than the current one
+   * @returns {Object} S3 HeadObject result
    */
-  async deleteFile(filename) {
+  async headFile(filename, { versionId } = {}) {
+    const startTime = Date.now();
+
+    try {
+      const result = await this.s3Client.send(new HeadObjectCommand({
+        Bucket: this.bucketName,
+        Key: filename,
+        VersionId: versionId
+      }));
+
+      metrics.recordLatency('s3.head.duration', Date.now() - startTime);
+      metrics.recordCount('s3.head.success', 1);
+      logger.debug('File metadata read', { filename, contentLength: result.ContentLength });
+
+      return result;
+
+    } catch (error) {
+      // A missing key is an expected answer to HEAD, not a failure
+      if (error.$metadata?.httpStatusCode === 404) {
+        metrics.recordCount('s3.head.not_found', 1);
+      } else {
+        metrics.recordCount('s3.head.error', 1);
+        logger.error('Failed to read file metadata', error, { filename });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete file from S3. In a versioned bucket this adds a delete marker, unless a version is
+   * given, which is then removed for good.
+   * @param {string} filename - File name
+   * @param {Object} options - { versionId } to delete one version
+   * @returns {Object} S3 delete result, with VersionId and DeleteMarker in versioned buckets
+   */
+  async deleteFile(filename, { versionId } = {}) {
     const startTime = Date.now();
     
     try {
-      logger.info('Deleting file from S3', { filename });
+      logger.info('Deleting file from S3', { filename, versionId });
 
       const command = new DeleteObjectCommand({
         Bucket: this.bucketName,
-        Key: filename
+        Key: filename,
+        VersionId: versionId
       });
 
       const result = await this.s3Client.send(command);
       
       metrics.recordLatency('s3.delete.duration', Date.now() - startTime);
-      metrics.recordCount('s3.delete.success', 1);
+      metrics.recordCount('s3.delete.success', 1, { version: String(!!versionId) });
 
       logger.info('File deleted successfully', {
         filename,
+        versionId: result.VersionId,
+        deleteMarker: !!result.DeleteMarker,
         duration: Date.now() - startTime
       });
 
@@ -152,6 +747,288 @@ class S3Service {
     }
   }
 
+  /**
+   * Delete several files with DeleteObjects, in requests of up to 1000 keys
+   * @param {Array<string>} filenames - File names
+   * @returns {Array<Object>} Per-file results in input order:
+   *   { filename, status: 'deleted' } or { filename, status: 'failed', error }
+   */
+  async deleteFiles(filenames) {
+    const startTime = Date.now();
+    const errors = new Map();
+
+    for (let offset = 0; offset < filenames.length; offset += MAX_DELETE_KEYS) {
+      const keys = filenames.slice(offset, offset + MAX_DELETE_KEYS);
+      try {
+        // Quiet mode: S3 only reports the keys it could not delete
+        const result = await this.s3Client.send(new DeleteObjectsCommand({
+          Bucket: this.bucketName,
+          Delete: {
+            Objects: keys.map(Key => ({ Key })),
+            Quiet: true
+          }
+        }));
+        (result.Errors || []).forEach(({ Key, Code, Message }) => {
+          errors.set(Key, [Code, Message].filter(Boolean).join(': '));
+        });
+      } catch (error) {
+        logger.error('Failed to delete batch of files', error, { keys: keys.length });
+        keys.forEach(key => errors.set(key, error.message || error.name));
+      }
+    }
+
+    const results = filenames.map(filename => (errors.has(filename)
+      ? { filename, status: 'failed', error: errors.get(filename) }
+      : { filename, status: 'deleted' }));
+
+    const failed = results.filter(result => result.status === 'failed').length;
+    metrics.recordLatency('s3.delete.batch.duration', Date.now() - startTime);
+    metrics.recordCount('s3.delete.success', filenames.length - failed, { mode: 'batch' });
+    if (failed > 0) {
+      metrics.recordCount('s3.delete.error', failed, { mode: 'batch' });
+    }
+
+    logger.info('Batch delete finished', {
+      files: filenames.length,
+      failed,
+      requests: Math.ceil(filenames.length / MAX_DELETE_KEYS),
+      duration: Date.now() - startTime
+    });
+
+    return results;
+  }
+
+  /**
+   * List files in the bucket, one page at a time
+   * @param {Object} options - Listing options
+   * @param {string} options.prefix - Only return keys starting with this prefix
+   * @param {string} options.delimiter - Group keys sharing a prefix up to this character into folders
+   * @param {string} options.continuationToken - Token from a previous page
+   * @param {number} options.maxKeys - Page size (1-1000)
+   * @returns {Object} Files, folders and pagination state
+   */
+  async listFiles({ prefix, delimiter, continuationToken, maxKeys } = {}) {
+    const startTime = Date.now();
+
+    try {
+      logger.info('Listing files in S3', { prefix, delimiter, maxKeys });
+
+      const command = new ListObjectsV2Command({
+        Bucket: this.bucketName,
+        Prefix: prefix,
+        Delimiter: delimiter,
+        ContinuationToken: continuationToken,
+        MaxKeys: maxKeys
+      });
+
+      const result = await this.s3Client.send(command);
+
+      const files = (result.Contents || []).map(object => ({
+        key: object.Key,
+        size: object.Size,
+        etag: object.ETag,
+        lastModified: object.LastModified instanceof Date
+          ? object.LastModified.toISOString()
+          : object.LastModified
+      }));
+      const folders = (result.CommonPrefixes || []).map(entry => entry.Prefix);
+
+      metrics.recordLatency('s3.list.duration', Date.now() - startTime);
+      metrics.recordCount('s3.list.success', 1);
+      metrics.recordGauge('s3.list.keys', files.length);
+
+      logger.info('Files listed successfully', {
+        count: files.length,
+        folders: folders.length,
+        isTruncated: !!result.IsTruncated,
+        duration: Date.now() - startTime
+      });
+
+      return {
+        files,
+        folders,
+        count: files.length,
+        isTruncated: !!result.IsTruncated,
+        nextContinuationToken: result.NextContinuationToken || null
+      };
+
+    } catch (error) {
+      metrics.recordCount('s3.list.error', 1);
+      logger.error('Failed to list files', error, { prefix });
+      throw error;
+    }
+  }
+
+  /**
+   * List the versions and delete markers of one file, newest first
+   * @param {string} filename - File name
+   * @param {Object} options - Listing options
+   * @param {string} options.keyMarker - Key marker from a previous page
+   * @param {string} options.versionIdMarker - Version marker from a previous page
+   * @param {number} options.maxKeys - Page size (1-1000)
+   * @returns {Object} Versions and pagination state
+   */
+  async listVersions(filename, { keyMarker, versionIdMarker, maxKeys } = {}) {
+    const startTime = Date.now();
+
+    try {
+      const result = await this.s3Client.send(new ListObjectVersionsCommand({
+        Bucket: this.bucketName,
+        // The prefix also matches longer keys, which ofFile drops
+        Prefix: filename,
+        KeyMarker: keyMarker,
+        VersionIdMarker: versionIdMarker,
+        MaxKeys: maxKeys
+      }));
+
+      const toIso = (date) => (date instanceof Date ? date.toISOString() : date);
+      const ofFile = (entries = []) => entries.filter(entry => entry.Key === filename);
+      const versions = [
+        ...ofFile(result.Versions).map(version => ({
+          versionId: version.VersionId,
+          isLatest: !!version.IsLatest,
+          deleteMarker: false,
+          size: version.Size,
+          etag: version.ETag,
+          lastModified: toIso(version.LastModified)
+        })),
+        ...ofFile(result.DeleteMarkers).map(marker => ({
+          versionId: marker.VersionId,
+          isLatest: !!marker.IsLatest,
+          deleteMarker: true,
+          lastModified: toIso(marker.LastModified)
+        }))
+      ]
+        // Versions written within the same second keep S3's order, with the current one first
+        .sort((a, b) => (b.isLatest - a.isLatest) ||
+          (a.lastModified < b.lastModified ? 1 : a.lastModified > b.lastModified ? -1 : 0));
+
+      metrics.recordLatency('s3.versions.list.duration', Date.now() - startTime);
+      metrics.recordCount('s3.versions.list.success', 1);
+
+      logger.info('File versions listed', { filename, count: versions.length, duration: Date.now() - startTime });
+
+      return {
+        filename,
+        versions,
+        count: versions.length,
+        isTruncated: !!result.IsTruncated,
+        nextKeyMarker: result.IsTruncated ? result.NextKeyMarker : null,
+        nextVersionIdMarker: result.IsTruncated ? result.NextVersionIdMarker : null
+      };
+
+    } catch (error) {
+      metrics.recordCount('s3.versions.list.error', 1);
+      logger.error('Failed to list file versions', error, { filename });
+      throw error;
+    }
+  }
+
+  /**
+   * Restore a prior version by copying it over the file, making it the current version.
+   * The versions in between are kept.
+   * @param {string} filename - File name
+   * @param {string} versionId - Version to restore
+   * @returns {Object} S3 copy result; VersionId is the new current version
+   */
+  async restoreVersion(filename, versionId) {
+    const startTime = Date.now();
+
+    try {
+      logger.info('Restoring file version', { filename, versionId });
+
+      const result = await this.s3Client.send(new CopyObjectCommand({
+        Bucket: this.bucketName,
+        Key: filename,
+        CopySource: `${this.bucketName}/${encodeURIComponent(filename)}?versionId=${encodeURIComponent(versionId)}`,
+        // Keep the restored version's content type and metadata, checksums included
+        MetadataDirective: 'COPY',
+        ...this.getEncryptionParams()
+      }));
+
+      metrics.recordLatency('s3.versions.restore.duration', Date.now() - startTime);
+      metrics.recordCount('s3.versions.restore.success', 1);
+
+      logger.info('File version restored', {
+        filename,
+        restoredVersionId: versionId,
+        versionId: result.VersionId,
+        duration: Date.now() - startTime
+      });
+
+      return result;
+
+    } catch (error) {
+      metrics.recordCount('s3.versions.restore.error', 1);
+      logger.error('Failed to restore file version', error, { filename, versionId });
+      throw error;
+    }
+  }
+
+  /**
+   * Create a presigned PUT URL for direct-to-S3 uploads
+   * @param {string} filename - File name
+   * @param {Object} options - Presign options
+   * @param {number} options.contentLength - Exact upload size in bytes, enforced by the signature:
+   *   an upload of any other size, smaller or larger, fails with 403 SignatureDoesNotMatch
+   * @param {string} options.contentType - Content type the client must send
+   * @param {number} options.expiresIn - URL lifetime in seconds
+   * @returns {Object} URL, required headers and expiry
+   */
+  async getPresignedUploadUrl(filename, { contentLength, contentType, expiresIn }) {
+    const type = contentType || this.getContentType(filename);
+
+    const command = new PutObjectCommand({
+      Bucket: this.bucketName,
+      Key: filename,
+      ContentType: type,
+      ContentLength: contentLength
+    });
+
+    const url = await getSignedUrl(this.presignClient, command, {
+      expiresIn,
+      signableHeaders: new Set(['content-type', 'content-length'])
+    });
+
+    metrics.recordCount('s3.presign.upload', 1);
+    logger.info('Presigned upload URL created', { filename, contentLength, contentType: type, expiresIn });
+
+    return {
+      url,
+      method: 'PUT',
+      headers: {
+        'Content-Type': type,
+        'Content-Length': contentLength.toString()
+      },
+      expiresAt: new Date(Date.now() + expiresIn * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Create a presigned GET URL for direct-from-S3 downloads
+   * @param {string} filename - File name
+   * @param {Object} options - Presign options
+   * @param {number} options.expiresIn - URL lifetime in seconds
+   * @returns {Object} URL and expiry
+   */
+  async getPresignedDownloadUrl(filename, { expiresIn }) {
+    const command = new GetObjectCommand({
+      Bucket: this.bucketName,
+      Key: filename
+    });
+
+    const url = await getSignedUrl(this.presignClient, command, { expiresIn });
+
+    metrics.recordCount('s3.presign.download', 1);
+    logger.info('Presigned download URL created', { filename, expiresIn });
+
+    return {
+      url,
+      method: 'GET',
+      expiresAt: new Date(Date.now() + expiresIn * 1000).toISOString()
+    };
+  }
+
   /**
    * Get content type based on file extension
    * @param {string} filename - File name
@@ -178,26 +1055,24 @@ class S3Service {
   }
 
   /**
-   * Health check for S3 service
-   * @returns {boolean} Service health status
+   * Health check for S3 service - verifies the bucket exists and is accessible
+   * @returns {Promise<Object>} { healthy, latencyMs, error }
    */
   async healthCheck() {
+    const startTime = Date.now();
     try {
-      // Try to list objects to verify connectivity
-      const command = new GetObjectCommand({
-        Bucket: this.bucketName,
-        Key: '__health_check__'
-      });
-
-      await this.s3Client.send(command);
-      return true;
+      await this.s3Client.send(new HeadBucketCommand({ Bucket: this.bucketName }));
+      const latencyMs = Date.now() - startTime;
+      metrics.recordHealthCheck('s3', true, latencyMs);
+      return { healthy: true, latencyMs };
     } catch (error) {
-      // Expected if health check file doesn't exist
-      if (error.name === 'NoSuchKey') {
-        return true;
-      }
+      const latencyMs = Date.now() - startTime;
+      metrics.recordHealthCheck('s3', false, latencyMs);
       logger.error('S3 health check failed', error);
-      return false;
+      // HeadBucket errors carry no body, so the name (NotFound, Forbidden) may be all there is
+      const detail = [error.name !== 'Error' && error.name, error.message !== error.name && error.message]
+        .filter(Boolean).join(': ');
+      return { healthy: false, latencyMs, error: detail };
     }
   }
 }
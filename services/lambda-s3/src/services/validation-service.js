@@ -17,9 +17,21 @@ class ValidationError extends Error {
 }
 
 class ValidationService {
-  constructor() {
+  /**
+   * @param {Object} options - Validation options
+   * @param {number} options.maxFileSize - Maximum upload size in bytes (defaults to MAX_FILE_SIZE or 10MB)
+   * @param {number} options.maxBatchFiles - Maximum files in one batch upload (defaults to MAX_BATCH_FILES or 100)
+   * @param {boolean} options.requireUploadChecksum - Reject uploads without a client checksum (defaults to REQUIRE_UPLOAD_CHECKSUM)
+   */
+  constructor(options = {}) {
     this.maxFilenameLength = 255;
-    this.maxFileSize = 10 * 1024 * 1024; // 10MB
+    this.maxListPageSize = 1000; // ListObjectsV2 limit
+    this.maxFileSize = options.maxFileSize || parseInt(process.env.MAX_FILE_SIZE, 10) || 10 * 1024 * 1024; // 10MB
+    this.maxBatchFiles = options.maxBatchFiles || parseInt(process.env.MAX_BATCH_FILES, 10) || 100;
+    this.maxBatchDeleteKeys = 10000; // Sent to S3 in DeleteObjects requests of 1000
+    this.requireUploadChecksum = options.requireUploadChecksum ?? process.env.REQUIRE_UPLOAD_CHECKSUM === 'true';
+    this.defaultPresignExpiry = parseInt(process.env.PRESIGN_EXPIRY_SECONDS, 10) || 900; // 15 minutes
+    this.maxPresignExpiry = parseInt(process.env.PRESIGN_MAX_EXPIRY_SECONDS, 10) || 7 * 24 * 60 * 60; // SigV4 limit
     this.allowedExtensions = [
       'txt', 'json', 'html', 'css', 'js', 'xml', 'csv',
       'png', 'jpg', 'jpeg', 'gif', 'webp',
@@ -47,7 +59,7 @@ class ValidationService {
       throw new ValidationError('HTTP method is required', 'httpMethod');
     }
 
-    const validMethods = ['GET', 'POST', 'DELETE', 'OPTIONS'];
+    const validMethods = ['GET', 'HEAD', 'POST', 'DELETE', 'OPTIONS'];
     if (!validMethods.includes(event.httpMethod)) {
       throw new ValidationError(`Invalid HTTP method: ${event.httpMethod}`, 'httpMethod');
     }
@@ -72,6 +84,127 @@ class ValidationService {
     });
   }
 
+  /**
+   * Validate streaming upload request, where the body is not buffered
+   * @param {string} filename - File name
+   * @param {number} contentLength - Declared content length, if known
+   * @throws {ValidationError} If request is invalid
+   */
+  validateStreamUpload(filename, contentLength) {
+    this.validateFilename(filename);
+
+    if (contentLength !== undefined && contentLength !== null) {
+      this.validateContentLength(contentLength);
+    }
+
+    logger.debug('Stream upload request validation passed', { filename, contentLength });
+  }
+
+  /**
+   * Validate the number of items in a batch request; the items themselves are validated one by one
+   * @param {Array} items - Files or file names in the batch
+   * @param {number} limit - Largest accepted batch
+   * @param {string} field - Request field holding the items
+   * @throws {ValidationError} If the batch is empty or too large
+   */
+  validateBatchSize(items, limit, field) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new ValidationError(`At least one item is required in ${field}`, field);
+    }
+
+    if (items.length > limit) {
+      throw new ValidationError(`Too many items in ${field}. Maximum is ${limit}`, field);
+    }
+
+    logger.debug('Batch size validation passed', { field, count: items.length });
+  }
+
+  /**
+   * Validate file listing request
+   * @param {Object} params - Listing parameters
+   * @param {string} params.prefix - Key prefix
+   * @param {string} params.delimiter - Folder delimiter
+   * @param {string|number} params.maxKeys - Requested page size
+   * @returns {number|undefined} Page size, if requested
+   * @throws {ValidationError} If request is invalid
+   */
+  validateListRequest({ prefix, delimiter, maxKeys } = {}) {
+    if (prefix !== undefined) {
+      if (typeof prefix !== 'string' || prefix.length > 1024) {
+        throw new ValidationError('Prefix must be a string of at most 1024 characters', 'prefix');
+      }
+      if (/\.\./.test(prefix)) {
+        throw new ValidationError('Prefix contains invalid characters', 'prefix');
+      }
+    }
+
+    if (delimiter !== undefined && (typeof delimiter !== 'string' || delimiter.length !== 1)) {
+      throw new ValidationError('Delimiter must be a single character', 'delimiter');
+    }
+
+    if (maxKeys === undefined || maxKeys === '') {
+      return undefined;
+    }
+
+    const pageSize = Number(maxKeys);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > this.maxListPageSize) {
+      throw new ValidationError(`maxKeys must be between 1 and ${this.maxListPageSize}`, 'maxKeys');
+    }
+
+    logger.debug('List request validation passed', { prefix, delimiter, maxKeys: pageSize });
+
+    return pageSize;
+  }
+
+  /**
+   * Validate presigned upload URL request. A presigned PUT signs one exact Content-Length, so
+   * contentLength is the size of the file to upload, not a limit: S3 rejects any other size.
+   * The maximum file size is enforced here instead.
+   * @param {string} filename - File name
+   * @param {number} contentLength - Exact size the client will upload, in bytes
+   * @param {string} contentType - Content type the client will send, if specified
+   * @throws {ValidationError} If request is invalid
+   */
+  validatePresignUploadRequest(filename, contentLength, contentType) {
+    this.validateFilename(filename);
+
+    if (!Number.isInteger(contentLength) || contentLength < 0) {
+      throw new ValidationError(
+        'Content length must be the exact size of the upload in bytes; the URL only accepts a body of that size',
+        'contentLength'
+      );
+    }
+    this.validateContentLength(contentLength);
+
+    if (contentType !== undefined && !/^[\w.+-]+\/[\w.+-]+$/.test(contentType)) {
+      throw new ValidationError(`Invalid content type: ${contentType}`, 'contentType');
+    }
+
+    logger.debug('Presign upload request validation passed', { filename, contentLength, contentType });
+  }
+
+  /**
+   * Resolve and validate presigned URL expiry
+   * @param {string|number} expiresIn - Requested expiry in seconds, if any
+   * @returns {number} Expiry in seconds
+   * @throws {ValidationError} If expiry is out of range
+   */
+  validatePresignExpiry(expiresIn) {
+    if (expiresIn === undefined || expiresIn === null || expiresIn === '') {
+      return this.defaultPresignExpiry;
+    }
+
+    const seconds = Number(expiresIn);
+    if (!Number.isInteger(seconds) || seconds < 1 || seconds > this.maxPresignExpiry) {
+      throw new ValidationError(
+        `Expiry must be between 1 and ${this.maxPresignExpiry} seconds`,
+        'expiresIn'
+      );
+    }
+
+    return seconds;
+  }
+
   /**
    * Validate file download request
    * @param {string} filename - File name
@@ -154,14 +287,69 @@ class ValidationService {
     }
   }
 
+  /**
+   * Validate an object version ID
+   * @param {string} versionId - Version ID, e.g. from a version listing
+   * @param {Object} options - { required } when the request cannot do without one
+   * @throws {ValidationError} If the version ID is missing but required, or malformed
+   */
+  validateVersionId(versionId, { required = false } = {}) {
+    if (versionId === undefined || versionId === null || versionId === '') {
+      if (required) {
+        throw new ValidationError('Version ID is required', 'versionId');
+      }
+      return;
+    }
+
+    // S3 version IDs are URL-safe tokens; "null" names the version written before versioning was enabled
+    if (typeof versionId !== 'string' || versionId.length > 1024 || !/^[\w.+/=-]+$/.test(versionId)) {
+      throw new ValidationError('Invalid version ID', 'versionId');
+    }
+
+    logger.debug('Version ID validation passed', { versionId });
+  }
+
+  /**
+   * Validate the checksums a client sent with an upload. S3 compares them with the content.
+   * @param {Object} checksums - Base64 `contentMd5` (Content-MD5) and `checksumSha256` (x-amz-checksum-sha256)
+   * @throws {ValidationError} If a checksum is malformed, or none was sent while one is required
+   */
+  validateUploadChecksums({ contentMd5, checksumSha256 } = {}) {
+    if (!contentMd5 && !checksumSha256) {
+      if (this.requireUploadChecksum) {
+        throw new ValidationError('A Content-MD5 or x-amz-checksum-sha256 header is required', 'checksum');
+      }
+      return;
+    }
+
+    const digests = [
+      ['Content-MD5', contentMd5, 16],
+      ['x-amz-checksum-sha256', checksumSha256, 32]
+    ];
+    for (const [header, value, bytes] of digests) {
+      if (value && (!/^[A-Za-z0-9+/]+={0,2}$/.test(value) || Buffer.from(value, 'base64').length !== bytes)) {
+        throw new ValidationError(`Invalid ${header} header, expected a base64 ${bytes * 8}-bit digest`, header);
+      }
+    }
+
+    logger.debug('Upload checksum validation passed', { contentMd5, checksumSha256 });
+  }
+
   /**
    * Validate file size
    * @param {string|Buffer} content - File content
    * @throws {ValidationError} If file is too large
    */
   validateFileSize(content) {
-    const size = content?.length || 0;
-    
+    this.validateContentLength(content?.length || 0);
+  }
+
+  /**
+   * Validate a file size in bytes
+   * @param {number} size - Size in bytes
+   * @throws {ValidationError} If size is out of range
+   */
+  validateContentLength(size) {
     if (size > this.maxFileSize) {
       throw new ValidationError(
         `File too large. Maximum size is ${this.formatBytes(this.maxFileSize)}`,
@@ -193,7 +381,7 @@ class ValidationService {
     if (bytes === 0) return '0 Bytes';
     
     const k = 1024;
-    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+    const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
     const i = Math.floor(Math.log(bytes) / Math.log(k));
     
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
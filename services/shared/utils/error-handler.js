@@ -23,7 +23,13 @@ class ErrorHandler {
       statusCode = 400;
       errorCode = 'VALIDATION_ERROR';
       message = error.message;
-    } else if (error.name === 'NotFoundError' || error.Code === 'NoSuchKey') {
+    } else if (error.name === 'ChecksumMismatchError' || ['BadDigest', 'InvalidDigest', 'XAmzContentChecksumMismatch'].includes(error.name)) {
+      // Raised by S3 when an upload does not match its Content-MD5 or x-amz-checksum-*,
+      // and by S3Service when a download does not match the checksum stored at upload
+      statusCode = 400;
+      errorCode = 'CHECKSUM_MISMATCH';
+      message = error.message;
+    } else if (error.name === 'NotFoundError' || error.Code === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) {
       statusCode = 404;
       errorCode = 'NOT_FOUND';
       message = 'Resource not found';
@@ -39,6 +45,14 @@ class ErrorHandler {
       statusCode = 409;
       errorCode = 'CONFLICT';
       message = 'Resource conflict';
+    } else if (error.name === 'ThrottlingError') {
+      statusCode = 429;
+      errorCode = 'TOO_MANY_REQUESTS';
+      message = error.message;
+    } else if (error.name === 'InvalidRange' || error.$metadata?.httpStatusCode === 416) {
+      statusCode = 416;
+      errorCode = 'RANGE_NOT_SATISFIABLE';
+      message = 'Requested range not satisfiable';
     } else if (error.message && error.message.includes('timeout')) {
       statusCode = 504;
       errorCode = 'TIMEOUT';
@@ -48,9 +62,15 @@ class ErrorHandler {
     const response = {
       statusCode,
       headers: {
+        ...(statusCode === 416 && error.ActualObjectSize !== undefined && {
+          'Content-Range': `bytes */${error.ActualObjectSize}`
+        }),
+        ...(statusCode === 429 && error.retryAfter !== undefined && {
+          'Retry-After': String(error.retryAfter)
+        }),
         'Content-Type': 'application/json',
         'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+        'Access-Control-Allow-Methods': 'GET, HEAD, POST, DELETE, OPTIONS',
         'Access-Control-Allow-Headers': 'Content-Type, Authorization'
       },
       body: JSON.stringify({
@@ -93,11 +113,24 @@ class ErrorHandler {
     return error;
   }
 
+  static createThrottlingError(message, retryAfter) {
+    const error = new Error(message);
+    error.name = 'ThrottlingError';
+    error.retryAfter = retryAfter;
+    return error;
+  }
+
   static createConflictError(message) {
     const error = new Error(message);
     error.name = 'ConflictError';
     return error;
   }
+
+  static createChecksumMismatchError(message) {
+    const error = new Error(message);
+    error.name = 'ChecksumMismatchError';
+    return error;
+  }
 }
 
 module.exports = { ErrorHandler };
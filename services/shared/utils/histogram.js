@@ -0,0 +1,270 @@
+/**
+ * Streaming histograms for latency percentiles
+ * @module shared/utils/histogram
+ */
+
+// Values at or below this are counted as zero, as their logarithm is unbounded
+const MIN_INDEXABLE = 1e-9;
+
+/**
+ * Histogram with logarithmic buckets, in the manner of HDR Histogram and DDSketch: every
+ * percentile is within `relativeAccuracy` of the true value, using a bucket per accuracy step
+ * actually hit (about 800 for 0.01ms to 1 minute at 1%), however many values are recorded.
+ * Two histograms with the same accuracy can be merged, and subtracted for the values recorded
+ * between two snapshots.
+ */
+class Histogram {
+  /**
+   * @param {Object} options - Histogram options
+   * @param {number} options.relativeAccuracy - Largest relative error of a percentile, e.g. 0.01 for 1%
+   */
+  constructor({ relativeAccuracy = 0.01 } = {}) {
+    this.relativeAccuracy = relativeAccuracy;
+    this.gamma = (1 + relativeAccuracy) / (1 - relativeAccuracy);
+    this.logGamma = Math.log(this.gamma);
+    this.reset();
+  }
+
+  /**
+   * Forget every recorded value
+   */
+  reset() {
+    this.buckets = new Map();
+    this.zeroCount = 0;
+    this.count = 0;
+    this.sum = 0;
+    this.min = Infinity;
+    this.max = -Infinity;
+  }
+
+  /**
+   * Record a value
+   * @param {number} value - Non-negative value, e.g. a latency in milliseconds
+   */
+  record(value) {
+    if (!Number.isFinite(value) || value < 0) {
+      return;
+    }
+
+    if (value <= MIN_INDEXABLE) {
+      this.zeroCount++;
+    } else {
+      const index = Math.ceil(Math.log(value) / this.logGamma);
+      this.buckets.set(index, (this.buckets.get(index) || 0) + 1);
+    }
+    this.count++;
+    this.sum += value;
+    this.min = Math.min(this.min, value);
+    this.max = Math.max(this.max, value);
+  }
+
+  /**
+   * Add another histogram's values to this one
+   * @param {Histogram} other - Histogram with the same relative accuracy
+   * @returns {Histogram} This histogram
+   */
+  merge(other) {
+    this.assertCompatible(other);
+    other.buckets.forEach((count, index) => this.buckets.set(index, (this.buckets.get(index) || 0) + count));
+    this.zeroCount += other.zeroCount;
+    this.count += other.count;
+    this.sum += other.sum;
+    this.min = Math.min(this.min, other.min);
+    this.max = Math.max(this.max, other.max);
+    return this;
+  }
+
+  /**
+   * The values recorded since an earlier snapshot of this histogram. The extremes of that
+   * interval are not known exactly, so min and max become their bucket estimates.
+   * @param {Histogram} before - Earlier snapshot
+   * @returns {Histogram} New histogram
+   */
+  subtract(before) {
+    this.assertCompatible(before);
+    const result = new Histogram({ relativeAccuracy: this.relativeAccuracy });
+
+    this.buckets.forEach((count, index) => {
+      const remaining = count - (before.buckets.get(index) || 0);
+      if (remaining > 0) {
+        result.buckets.set(index, remaining);
+      }
+    });
+    result.zeroCount = Math.max(0, this.zeroCount - before.zeroCount);
+    result.count = Math.max(0, this.count - before.count);
+    result.sum = Math.max(0, this.sum - before.sum);
+
+    const indexes = [...result.buckets.keys()];
+    if (result.count > 0) {
+      result.min = result.zeroCount > 0 ? 0 : result.bucketValue(Math.min(...indexes));
+      result.max = indexes.length ? result.bucketValue(Math.max(...indexes)) : 0;
+    }
+    return result;
+  }
+
+  /**
+   * Value at a quantile
+   * @param {number} quantile - Between 0 and 1
+   * @returns {number} Value within the relative accuracy, clamped to the recorded range; NaN when empty
+   */
+  quantile(quantile) {
+    if (this.count === 0) {
+      return NaN;
+    }
+
+    const rank = quantile * (this.count - 1);
+    let seen = this.zeroCount;
+    if (seen > rank) {
+      return Math.max(this.min, 0);
+    }
+
+    const indexes = [...this.buckets.keys()].sort((a, b) => a - b);
+    for (const index of indexes) {
+      seen += this.buckets.get(index);
+      if (seen > rank) {
+        return Math.min(Math.max(this.bucketValue(index), this.min), this.max);
+      }
+    }
+    return this.max;
+  }
+
+  /**
+   * Summary statistics
+   * @returns {Object} { count, min, max, mean, p50, p90, p95, p99 }, NaN statistics when empty
+   */
+  summary() {
+    const empty = this.count === 0;
+    return {
+      count: this.count,
+      min: empty ? NaN : this.min,
+      max: empty ? NaN : this.max,
+      mean: empty ? NaN : this.sum / this.count,
+      p50: this.quantile(0.5),
+      p90: this.quantile(0.9),
+      p95: this.quantile(0.95),
+      p99: this.quantile(0.99)
+    };
+  }
+
+  /**
+   * Representative value of a bucket, the point with equal relative error to both bounds
+   * @param {number} index - Bucket index
+   * @returns {number} Value
+   */
+  bucketValue(index) {
+    return (2 * Math.pow(this.gamma, index)) / (this.gamma + 1);
+  }
+
+  /**
+   * @param {Histogram} other - Histogram to combine with this one
+   * @throws {Error} If the two use different bucket boundaries
+   */
+  assertCompatible(other) {
+    if (other.relativeAccuracy !== this.relativeAccuracy) {
+      throw new Error(`Cannot combine histograms with relative accuracy ${this.relativeAccuracy} and ${other.relativeAccuracy}`);
+    }
+  }
+
+  /**
+   * Plain-object form, e.g. to send between cluster workers or save next to a k6 run
+   * @returns {Object} { relativeAccuracy, count, sum, min, max, zeroCount, buckets: [[index, count]] }
+   */
+  toJSON() {
+    return {
+      relativeAccuracy: this.relativeAccuracy,
+      count: this.count,
+      sum: this.sum,
+      min: this.count ? this.min : null,
+      max: this.count ? this.max : null,
+      zeroCount: this.zeroCount,
+      buckets: [...this.buckets.entries()].sort(([a], [b]) => a - b)
+    };
+  }
+
+  /**
+   * Rebuild a histogram from toJSON output
+   * @param {Object} data - toJSON output
+   * @returns {Histogram} Histogram
+   */
+  static fromJSON(data) {
+    const histogram = new Histogram({ relativeAccuracy: data.relativeAccuracy });
+    histogram.buckets = new Map(data.buckets);
+    histogram.zeroCount = data.zeroCount;
+    histogram.count = data.count;
+    histogram.sum = data.sum;
+    histogram.min = data.min ?? Infinity;
+    histogram.max = data.max ?? -Infinity;
+    return histogram;
+  }
+}
+
+/**
+ * Histogram of every value since the last reset, plus one of the last `windowMs` only.
+ * The window slides in steps of windowMs / slots: each slot holds its own histogram and is
+ * dropped once it is older than the window.
+ */
+class SlidingWindowHistogram {
+  /**
+   * @param {Object} options - Histogram options
+   * @param {number} options.windowMs - Length of the sliding window
+   * @param {number} options.slots - Number of steps the window moves in
+   * @param {number} options.relativeAccuracy - See Histogram
+   */
+  constructor({ windowMs = 60000, slots = 6, relativeAccuracy = 0.01 } = {}) {
+    this.windowMs = windowMs;
+    this.slotMs = windowMs / slots;
+    this.relativeAccuracy = relativeAccuracy;
+    this.reset();
+  }
+
+  /**
+   * Forget every recorded value, in the window and in the total
+   */
+  reset() {
+    this.total = new Histogram({ relativeAccuracy: this.relativeAccuracy });
+    this.slots = [];
+    this.resetAt = Date.now();
+  }
+
+  /**
+   * Record a value
+   * @param {number} value - Non-negative value
+   * @param {number} now - Current time in ms (for tests)
+   */
+  record(value, now = Date.now()) {
+    const start = Math.floor(now / this.slotMs) * this.slotMs;
+    let slot = this.slots[this.slots.length - 1];
+    if (!slot || slot.start !== start) {
+      slot = { start, histogram: new Histogram({ relativeAccuracy: this.relativeAccuracy }) };
+      this.slots.push(slot);
+      this.expire(now);
+    }
+    slot.histogram.record(value);
+    this.total.record(value);
+  }
+
+  /**
+   * Values recorded within the window
+   * @param {number} now - Current time in ms (for tests)
+   * @returns {Histogram} New histogram
+   */
+  window(now = Date.now()) {
+    this.expire(now);
+    return this.slots.reduce(
+      (merged, slot) => merged.merge(slot.histogram),
+      new Histogram({ relativeAccuracy: this.relativeAccuracy })
+    );
+  }
+
+  /**
+   * Drop the slots that ended before the window
+   * @param {number} now - Current time in ms
+   */
+  expire(now) {
+    while (this.slots.length && this.slots[0].start + this.slotMs <= now - this.windowMs) {
+      this.slots.shift();
+    }
+  }
+}
+
+module.exports = { Histogram, SlidingWindowHistogram };
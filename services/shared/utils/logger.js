@@ -3,11 +3,106 @@
  * @module shared/utils/logger
  */
 
+const { AsyncLocalStorage } = require('async_hooks');
+const { getActiveSpan } = require('./tracing');
+
+// Listeners receiving every entry logged in the process (see Logger.subscribe)
+const listeners = new Set();
+
+// The log context of the request being handled: correlation ID, request ID, fields added to
+// every entry and whether its debug entries are sampled (see Logger.runWithContext)
+const logContext = new AsyncLocalStorage();
+
+// Body fields redacted wherever they appear in an entry, matched case-insensitively.
+// LOG_REDACT_FIELDS adds more; a dotted name such as request.body.email only matches that path.
+const DEFAULT_REDACTED_FIELDS = ['password', 'secret', 'accessToken', 'refreshToken', 'apiKey', 'authorization', 'cookie'];
+const REDACTED = '[REDACTED]';
+// Entries nested deeper than this are cut off rather than walked
+const MAX_REDACT_DEPTH = 10;
+
+/**
+ * Parse a comma-separated list
+ * @param {string} value - List, e.g. from an environment variable
+ * @returns {Array<string>} Non-empty items
+ */
+const parseList = (value) => String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * Parse a sample rate between 0 and 1
+ * @param {*} value - Rate
+ * @returns {number} Rate; 1 when missing or invalid
+ */
+const parseSampleRate = (value) => {
+  const rate = parseFloat(value);
+  return Number.isFinite(rate) ? Math.min(Math.max(rate, 0), 1) : 1;
+};
+
 class Logger {
-  constructor(service = 'unknown') {
+  /**
+   * Receive every entry any logger writes in this process, e.g. to export them
+   * @param {Function} listener - Called with (logEntry, logger)
+   * @returns {Function} Function that removes the listener
+   */
+  static subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  /**
+   * Run a function in a log context, so every entry any logger writes within it (including in
+   * its asynchronous continuations) carries the context's IDs and fields. Concurrent requests
+   * each keep their own. A nested context adds to the enclosing one.
+   * @param {Object} context - Log context
+   * @param {string} context.correlationId - ID shared by every service handling the request
+   * @param {string} context.requestId - ID of this invocation or request
+   * @param {Object} context.fields - Fields added to every entry
+   * @param {boolean} context.debugSampled - Whether debug entries are written; drawn from
+   *   LOG_DEBUG_SAMPLE_RATE when the context starts, so a request keeps all its debug entries or none
+   * @param {Function} fn - Function to run
+   * @returns {*} fn's return value
+   */
+  static runWithContext(context, fn) {
+    const parent = logContext.getStore();
+    const store = {
+      correlationId: context.correlationId ?? parent?.correlationId ?? null,
+      requestId: context.requestId ?? parent?.requestId ?? null,
+      fields: { ...parent?.fields, ...context.fields },
+      debugSampled: context.debugSampled ?? parent?.debugSampled
+        ?? Math.random() < parseSampleRate(process.env.LOG_DEBUG_SAMPLE_RATE)
+    };
+    return logContext.run(store, fn);
+  }
+
+  /**
+   * The log context the calling code runs in
+   * @returns {Object|null} { correlationId, requestId, fields, debugSampled }
+   */
+  static getContext() {
+    return logContext.getStore() || null;
+  }
+
+  /**
+   * @param {string} service - Service name on every entry
+   * @param {Object} options - Logger options
+   * @param {string} options.logLevel - error, warn, info or debug (LOG_LEVEL, default info)
+   * @param {number} options.debugSampleRate - Share of debug entries written outside any log
+   *   context (LOG_DEBUG_SAMPLE_RATE, default 1)
+   * @param {Array<string|RegExp>} options.redact - Fields redacted besides the defaults and
+   *   LOG_REDACT_FIELDS
+   */
+  constructor(service = 'unknown', options = {}) {
     this.service = service;
     this.correlationId = null;
-    this.logLevel = process.env.LOG_LEVEL || 'info';
+    this.traceId = null;
+    this.spanId = null;
+    this.context = {};
+    this.logLevel = options.logLevel || process.env.LOG_LEVEL || 'info';
+    this.debugSampleRate = parseSampleRate(options.debugSampleRate ?? process.env.LOG_DEBUG_SAMPLE_RATE);
+    this.redactRules = [
+      ...DEFAULT_REDACTED_FIELDS,
+      ...parseList(process.env.LOG_REDACT_FIELDS),
+      ...(options.redact || [])
+    ];
     this.logLevels = {
       error: 0,
       warn: 1,
@@ -17,11 +112,28 @@ class Logger {
   }
 
   /**
-   * Set correlation ID for request tracing
+   * Set correlation ID for request tracing. Within a log context it is set on the context,
+   * so it only applies to the current request; prefer passing it to Logger.runWithContext.
    * @param {string} correlationId - Unique request identifier
    */
   setCorrelationId(correlationId) {
-    this.correlationId = correlationId;
+    const context = logContext.getStore();
+    if (context) {
+      context.correlationId = correlationId;
+    } else {
+      this.correlationId = correlationId;
+    }
+  }
+
+  /**
+   * Set the trace and span the following entries belong to, overriding the active span
+   * (see shared/utils/tracing), e.g. for work done outside any traced call
+   * @param {string} traceId - 32 hex digit trace ID
+   * @param {string} spanId - 16 hex digit span ID
+   */
+  setTraceContext(traceId, spanId) {
+    this.traceId = traceId;
+    this.spanId = spanId;
   }
 
   /**
@@ -30,7 +142,14 @@ class Logger {
    * @returns {boolean} Whether to log
    */
   shouldLog(level) {
-    return this.logLevels[level] <= this.logLevels[this.logLevel];
+    if (this.logLevels[level] > this.logLevels[this.logLevel]) {
+      return false;
+    }
+    if (level !== 'debug') {
+      return true;
+    }
+    const context = logContext.getStore();
+    return context ? context.debugSampled : Math.random() < this.debugSampleRate;
   }
 
   /**
@@ -46,12 +165,18 @@ class Logger {
     }
 
     const timestamp = new Date().toISOString();
+    const context = logContext.getStore();
+    const span = this.traceId ? { traceId: this.traceId, spanId: this.spanId } : getActiveSpan();
     const logEntry = {
       timestamp,
       level: level.toUpperCase(),
       service: this.service,
       message,
-      correlationId: this.correlationId,
+      correlationId: context?.correlationId ?? this.correlationId,
+      ...(context?.requestId && { requestId: context.requestId }),
+      ...(span && { traceId: span.traceId, spanId: span.spanId }),
+      ...context?.fields,
+      ...this.context,
       ...additionalData
     };
 
@@ -77,7 +202,59 @@ class Logger {
     }
 
     // Output to console (CloudWatch Logs in AWS)
-    console.log(JSON.stringify(logEntry));
+    const redacted = this.redact(logEntry);
+    console.log(JSON.stringify(redacted));
+    listeners.forEach(listener => listener(redacted, this));
+  }
+
+  /**
+   * Copy a log entry with the values of sensitive fields replaced by [REDACTED]. A rule is a
+   * field name matched at any depth, a dotted path matched from the top of the entry, or a
+   * RegExp tested against field names.
+   * @param {Object} entry - Log entry
+   * @returns {Object} Redacted copy
+   */
+  redact(entry) {
+    const names = new Set();
+    const paths = new Set();
+    const patterns = [];
+    this.redactRules.forEach(rule => {
+      if (rule instanceof RegExp) {
+        patterns.push(rule);
+      } else if (rule.includes('.')) {
+        paths.add(rule.toLowerCase());
+      } else {
+        names.add(rule.toLowerCase());
+      }
+    });
+
+    // Objects being walked, to cut off circular references
+    const ancestors = new Set();
+    const walk = (value, path, depth) => {
+      if (!value || typeof value !== 'object') {
+        return value;
+      }
+      // Serialize dates, buffers and the like as JSON.stringify would
+      if (typeof value.toJSON === 'function') {
+        return walk(value.toJSON(), path, depth);
+      }
+      if (ancestors.has(value) || depth > MAX_REDACT_DEPTH) {
+        return '[Truncated]';
+      }
+
+      ancestors.add(value);
+      const copy = Array.isArray(value)
+        ? value.map(item => walk(item, path, depth + 1))
+        : Object.fromEntries(Object.entries(value).map(([key, field]) => {
+          const fieldPath = path ? `${path}.${key.toLowerCase()}` : key.toLowerCase();
+          const sensitive = names.has(key.toLowerCase()) || paths.has(fieldPath)
+            || patterns.some(pattern => pattern.test(key));
+          return [key, sensitive ? REDACTED : walk(field, fieldPath, depth + 1)];
+        }));
+      ancestors.delete(value);
+      return copy;
+    };
+    return walk(entry, '', 0);
   }
 
   /**
@@ -123,9 +300,14 @@ class Logger {
    * @returns {Logger} Child logger instance
    */
   child(context = {}) {
-    const childLogger = new Logger(this.service);
+    const childLogger = new Logger(this.service, {
+      logLevel: this.logLevel,
+      debugSampleRate: this.debugSampleRate
+    });
     childLogger.correlationId = this.correlationId;
-    childLogger.logLevel = this.logLevel;
+    childLogger.traceId = this.traceId;
+    childLogger.spanId = this.spanId;
+    childLogger.redactRules = [...this.redactRules];
     childLogger.context = { ...this.context, ...context };
     return childLogger;
   }
@@ -3,7 +3,336 @@
  * @module shared/utils/metrics
  */
 
+const { CloudWatchClient, PutMetricDataCommand } = require('@aws-sdk/client-cloudwatch');
+const { Histogram, SlidingWindowHistogram } = require('./histogram');
+
+// Listeners receiving metrics from every collector in the process (see MetricsCollector.subscribe)
+const listeners = new Set();
+
+// Metrics recorded by every collector since the last flush, as { namespace, metric }.
+// Only kept while a flush target is enabled; the oldest are dropped beyond MAX_PENDING.
+let pending = [];
+const MAX_PENDING = 10000;
+
+// PutMetricData data waiting for the next send (see METRICS_PUT_INTERVAL_MS)
+let unsent = [];
+let lastPut = 0;
+let cloudWatchClient = null;
+
+// CloudWatch limits: metrics per EMF document, values per metric (EMF and PutMetricData),
+// and the data per PutMetricData request that stays well below its 1MB payload limit
+const EMF_MAX_METRICS = 100;
+const MAX_VALUES = 100;
+const PUT_BATCH_SIZE = 200;
+
+// Tags that become CloudWatch dimensions, by metric name prefix (the longest matching prefix
+// wins). A dimension set is used when a metric has all of its tags. Every other tag is written
+// as an EMF property: queryable in Logs Insights without creating a metric per distinct value.
+const dimensionSets = new Map([
+  ['', [['service']]],
+  ['lambda.', [['service'], ['service', 'method']]],
+  ['s3.', [['service'], ['service', 'mode']]],
+  ['gateway.', [['service'], ['service', 'stage']]],
+  ['health.', [['service', 'component']]]
+]);
+
+// Latency histograms of every collector, by metric name and tags (see MetricsCollector.getHistograms)
+const histograms = new Map();
+const histogramOptions = () => ({
+  windowMs: parseInt(process.env.METRICS_HISTOGRAM_WINDOW_MS, 10) || 60000,
+  relativeAccuracy: parseFloat(process.env.METRICS_HISTOGRAM_ACCURACY) || 0.01
+});
+
+const emfEnabled = () =>
+  process.env.METRICS_EMF ? process.env.METRICS_EMF === 'true' : !!process.env.AWS_LAMBDA_FUNCTION_NAME;
+
+const putMetricDataEnabled = () => process.env.METRICS_PUT_METRIC_DATA === 'true';
+
+/**
+ * CloudWatch unit for a metric type
+ * @param {string} type - Metric type
+ * @param {string} unit - Custom unit
+ * @returns {string} CloudWatch unit
+ */
+function cloudWatchUnit(type, unit) {
+  if (unit) return unit === 'milliseconds' ? 'Milliseconds' : unit;
+
+  switch (type) {
+    case 'count':
+      return 'Count';
+    case 'gauge':
+      return 'None';
+    case 'histogram':
+      return 'Milliseconds';
+    default:
+      return 'None';
+  }
+}
+
+/**
+ * Dimension sets for a metric, keeping only those whose tags the metric has
+ * @param {string} name - Metric name without the namespace
+ * @param {Object} tags - Metric tags
+ * @returns {Array<Array<string>>} Dimension sets; `[[]]` (no dimensions) when none apply
+ */
+function dimensionSetsFor(name, tags) {
+  let prefix = '';
+  for (const candidate of dimensionSets.keys()) {
+    if (name.startsWith(candidate) && candidate.length > prefix.length) {
+      prefix = candidate;
+    }
+  }
+  const sets = dimensionSets.get(prefix).filter(set => set.every(tag => tags[tag] !== undefined));
+  return sets.length ? sets : [[]];
+}
+
+/**
+ * Group metrics that share their tags, so each group becomes one EMF document (or one
+ * PutMetricData datum per metric and dimension set) with the values batched together
+ * @param {Array<Object>} batch - Pending { namespace, metric } entries
+ * @returns {Array<Object>} Groups: { namespace, sets, tags, timestamp, metrics: Map<name, { unit, values }> }
+ */
+function groupMetrics(batch) {
+  const groups = new Map();
+
+  for (const { namespace, metric } of batch) {
+    const { unit, ...tags } = metric.tags;
+    const name = metric.name.startsWith(`${namespace}.`) ? metric.name.slice(namespace.length + 1) : metric.name;
+    const sets = dimensionSetsFor(name, tags);
+    const key = JSON.stringify([namespace, sets, Object.entries(tags).sort(([a], [b]) => a.localeCompare(b))]);
+
+    if (!groups.has(key)) {
+      groups.set(key, { namespace, sets, tags, timestamp: metric.timestamp, metrics: new Map() });
+    }
+    const group = groups.get(key);
+    if (!group.metrics.has(name)) {
+      group.metrics.set(name, { unit: cloudWatchUnit(metric.type, unit), values: [] });
+    }
+    group.metrics.get(name).values.push(metric.value);
+  }
+
+  return [...groups.values()];
+}
+
+/**
+ * Build CloudWatch Embedded Metric Format documents, one log line each
+ * @param {Array<Object>} groups - From groupMetrics
+ * @returns {Array<Object>} EMF documents
+ */
+function toEmfDocuments(groups) {
+  const documents = [];
+
+  for (const group of groups) {
+    // A group with more metrics or values than one document holds is spread over several
+    const parts = [];
+    for (const [name, { unit, values }] of group.metrics) {
+      for (let offset = 0; offset < values.length; offset += MAX_VALUES) {
+        let part = parts.find(candidate => !(name in candidate.values) && candidate.definitions.length < EMF_MAX_METRICS);
+        if (!part) {
+          part = { definitions: [], values: {} };
+          parts.push(part);
+        }
+        const chunk = values.slice(offset, offset + MAX_VALUES);
+        part.definitions.push({ Name: name, Unit: unit });
+        part.values[name] = chunk.length === 1 ? chunk[0] : chunk;
+      }
+    }
+
+    for (const part of parts) {
+      documents.push({
+        _aws: {
+          Timestamp: group.timestamp,
+          CloudWatchMetrics: [{
+            Namespace: group.namespace,
+            Dimensions: group.sets,
+            Metrics: part.definitions
+          }]
+        },
+        ...group.tags,
+        ...part.values
+      });
+    }
+  }
+
+  return documents;
+}
+
+/**
+ * Build PutMetricData data: one datum per metric and dimension set, with repeated values counted
+ * @param {Array<Object>} groups - From groupMetrics
+ * @returns {Array<Object>} { namespace, datum } entries
+ */
+function toMetricData(groups) {
+  const data = [];
+
+  for (const group of groups) {
+    for (const [name, { unit, values }] of group.metrics) {
+      const counts = new Map();
+      values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+      const distinct = [...counts.entries()];
+
+      for (const set of group.sets) {
+        for (let offset = 0; offset < distinct.length; offset += MAX_VALUES) {
+          const chunk = distinct.slice(offset, offset + MAX_VALUES);
+          data.push({
+            namespace: group.namespace,
+            datum: {
+              MetricName: name,
+              Unit: unit,
+              Timestamp: new Date(group.timestamp),
+              Dimensions: set.map(tag => ({ Name: tag, Value: String(group.tags[tag]) })),
+              Values: chunk.map(([value]) => value),
+              Counts: chunk.map(([, count]) => count)
+            }
+          });
+        }
+      }
+    }
+  }
+
+  return data;
+}
+
+/**
+ * Send the queued PutMetricData data to CloudWatch (METRICS_CLOUDWATCH_ENDPOINT, else ENDPOINT)
+ * @returns {Promise<number>} Data sent; data from failed requests is dropped
+ */
+async function putMetricData() {
+  const data = unsent;
+  unsent = [];
+  lastPut = Date.now();
+
+  if (!cloudWatchClient) {
+    cloudWatchClient = new CloudWatchClient({
+      region: process.env.AWS_REGION || 'us-east-1',
+      endpoint: process.env.METRICS_CLOUDWATCH_ENDPOINT || process.env.ENDPOINT,
+      credentials: {
+        accessKeyId: process.env.AWS_ACCESS_KEY_ID || 'test',
+        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY || 'test'
+      }
+    });
+  }
+
+  const byNamespace = new Map();
+  data.forEach(({ namespace, datum }) => {
+    if (!byNamespace.has(namespace)) {
+      byNamespace.set(namespace, []);
+    }
+    byNamespace.get(namespace).push(datum);
+  });
+
+  let sent = 0;
+  for (const [namespace, metricData] of byNamespace) {
+    for (let offset = 0; offset < metricData.length; offset += PUT_BATCH_SIZE) {
+      const batch = metricData.slice(offset, offset + PUT_BATCH_SIZE);
+      try {
+        await cloudWatchClient.send(new PutMetricDataCommand({ Namespace: namespace, MetricData: batch }));
+        sent += batch.length;
+      } catch (error) {
+        console.error(`PutMetricData failed, dropped ${batch.length} metric data: ${error.message}`);
+      }
+    }
+  }
+  return sent;
+}
+
 class MetricsCollector {
+  /**
+   * Receive every metric recorded by any collector in this process, e.g. to export them
+   * @param {Function} listener - Called with (metric, collector)
+   * @returns {Function} Function that removes the listener
+   */
+  static subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  /**
+   * Write out what every collector recorded since the last flush. Call at the end of each invocation.
+   * - METRICS_EMF: one CloudWatch Embedded Metric Format line per group of metrics sharing their
+   *   tags. On by default inside Lambda, where CloudWatch Logs extracts the metrics.
+   * - METRICS_PUT_METRIC_DATA=true: PutMetricData, e.g. to LocalStack. Data is queued and sent at
+   *   most every METRICS_PUT_INTERVAL_MS (default 10000), so invocations do not each pay for a call.
+   * @param {Object} options - { force } sends queued PutMetricData data now, e.g. before exiting
+   * @returns {Promise<Object>} { metrics, documents, sent } - metrics flushed, EMF lines written, data sent
+   */
+  static async flush({ force = false } = {}) {
+    const batch = pending;
+    pending = [];
+    const groups = groupMetrics(batch);
+    const result = { metrics: batch.length, documents: 0, sent: 0 };
+
+    if (emfEnabled()) {
+      for (const document of toEmfDocuments(groups)) {
+        console.log(JSON.stringify(document));
+        result.documents++;
+      }
+    }
+
+    if (putMetricDataEnabled()) {
+      unsent.push(...toMetricData(groups));
+      const interval = parseInt(process.env.METRICS_PUT_INTERVAL_MS, 10) || 10000;
+      if (unsent.length && (force || Date.now() - lastPut >= interval)) {
+        result.sent = await putMetricData();
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Add a value to the latency histogram of a name and tag set without recording a metric,
+   * for latencies exported by other means (e.g. the gateway's request latency in Prometheus)
+   * @param {string} name - Metric name, without the namespace
+   * @param {number} value - Latency in milliseconds
+   * @param {Object} tags - Tags identifying the histogram
+   */
+  static observe(name, value, tags = {}) {
+    const key = `${name}${JSON.stringify(Object.entries(tags).sort(([a], [b]) => a.localeCompare(b)))}`;
+    if (!histograms.has(key)) {
+      histograms.set(key, { name, tags, histogram: new SlidingWindowHistogram(histogramOptions()) });
+    }
+    histograms.get(key).histogram.record(value);
+  }
+
+  /**
+   * Latency histograms recorded in this process, one per metric name and tag set
+   * @param {Object} options - { name } to select one metric
+   * @returns {Array<Object>} { name, tags, since, windowMs, total, window } where total (since the last
+   *   reset) and window (the last METRICS_HISTOGRAM_WINDOW_MS) are Histograms
+   */
+  static getHistograms({ name } = {}) {
+    return [...histograms.values()]
+      .filter(entry => !name || entry.name === name)
+      .map(entry => ({
+        name: entry.name,
+        tags: entry.tags,
+        since: new Date(entry.histogram.resetAt).toISOString(),
+        windowMs: entry.histogram.windowMs,
+        total: entry.histogram.total,
+        window: entry.histogram.window()
+      }));
+  }
+
+  /**
+   * Clear the latency histograms, e.g. before a load test
+   * @returns {number} Histograms cleared
+   */
+  static resetHistograms() {
+    const cleared = histograms.size;
+    histograms.clear();
+    return cleared;
+  }
+
+  /**
+   * Choose the tags that become dimensions for metrics whose name starts with a prefix
+   * @param {string} prefix - Metric name prefix without the namespace, e.g. `s3.`; `''` for all others
+   * @param {Array<Array<string>>} sets - Dimension sets, each a list of tag names
+   */
+  static setDimensionSets(prefix, sets) {
+    dimensionSets.set(prefix, sets);
+  }
+
   constructor() {
     this.metrics = [];
     this.startTime = Date.now();
@@ -62,13 +391,21 @@ class MetricsCollector {
     };
 
     this.metrics.push(metric);
+    listeners.forEach(listener => listener(metric, this));
 
-    // Log metric for CloudWatch (in AWS Lambda environment)
-    if (process.env.AWS_LAMBDA_FUNCTION_NAME) {
-      console.log(JSON.stringify({
-        metricType: 'METRIC',
-        ...metric
-      }));
+    if (type === 'histogram') {
+      // The unit is implied by the metric, so it does not tell histograms apart
+      const histogramTags = { ...tags };
+      delete histogramTags.unit;
+      MetricsCollector.observe(name, value, histogramTags);
+    }
+
+    // Held for the next flush, which writes them out for CloudWatch
+    if (emfEnabled() || putMetricDataEnabled()) {
+      pending.push({ namespace: this.namespace, metric });
+      if (pending.length > MAX_PENDING) {
+        pending.shift();
+      }
     }
 
     // Keep only last 1000 metrics in memory
@@ -106,42 +443,50 @@ class MetricsCollector {
 
   /**
    * Get current metrics summary
-   * @returns {Object} Metrics summary
+   * @returns {Object} Metrics summary; `latency` has the percentiles of each latency metric this
+   *   collector recorded, across its tag sets, since the last histogram reset and within the window
    */
   getSummary() {
     const summary = {
       totalMetrics: this.metrics.length,
       uptime: Date.now() - this.startTime,
       byType: {},
-      byName: {}
+      byName: {},
+      latency: {}
     };
 
+    const latencyNames = new Set();
     this.metrics.forEach(metric => {
       // Count by type
       summary.byType[metric.type] = (summary.byType[metric.type] || 0) + 1;
       
       // Count by name
       summary.byName[metric.name] = (summary.byName[metric.name] || 0) + 1;
+
+      if (metric.type === 'histogram') {
+        latencyNames.add(metric.name.slice(this.namespace.length + 1));
+      }
+    });
+
+    latencyNames.forEach(name => {
+      const series = MetricsCollector.getHistograms({ name });
+      const merge = (field) => series.reduce(
+        (merged, entry) => merged.merge(entry[field]),
+        new Histogram({ relativeAccuracy: histogramOptions().relativeAccuracy })
+      );
+      summary.latency[name] = { total: merge('total').summary(), window: merge('window').summary() };
     });
 
     return summary;
   }
 
   /**
-   * Export metrics in CloudWatch format
+   * Export this collector's metrics as PutMetricData data, with their dimension sets as dimensions
    * @returns {Array} CloudWatch metric data
    */
   exportCloudWatchMetrics() {
-    return this.metrics.map(metric => ({
-      MetricName: metric.name,
-      Value: metric.value,
-      Unit: this.getCloudWatchUnit(metric.type, metric.tags.unit),
-      Timestamp: new Date(metric.timestamp),
-      Dimensions: Object.entries(metric.tags).map(([Name, Value]) => ({
-        Name,
-        Value: String(Value)
-      }))
-    }));
+    const batch = this.metrics.map(metric => ({ namespace: this.namespace, metric }));
+    return toMetricData(groupMetrics(batch)).map(({ datum }) => datum);
   }
 
   /**
@@ -151,18 +496,7 @@ class MetricsCollector {
    * @returns {string} CloudWatch unit
    */
   getCloudWatchUnit(type, unit) {
-    if (unit) return unit === 'milliseconds' ? 'Milliseconds' : unit;
-    
-    switch (type) {
-      case 'count':
-        return 'Count';
-      case 'gauge':
-        return 'None';
-      case 'histogram':
-        return 'Milliseconds';
-      default:
-        return 'None';
-    }
+    return cloudWatchUnit(type, unit);
   }
 
   /**
@@ -0,0 +1,474 @@
+/**
+ * OpenTelemetry export - MetricsCollector metrics, Logger entries and tracing spans sent to an
+ * OTLP/HTTP collector as OTLP JSON
+ * @module shared/utils/otel
+ */
+
+const http = require('http');
+const https = require('https');
+const os = require('os');
+const { MetricsCollector } = require('./metrics');
+const { Logger } = require('./logger');
+const tracing = require('./tracing');
+
+// OTLP enum values: cumulative aggregation temporality, log severity numbers by Logger level,
+// and span kinds and status codes by their tracing names
+const AGGREGATION_TEMPORALITY_CUMULATIVE = 2;
+const SEVERITY_NUMBERS = { ERROR: 17, WARN: 13, INFO: 9, DEBUG: 5 };
+const SPAN_KINDS = { INTERNAL: 1, SERVER: 2, CLIENT: 3, PRODUCER: 4, CONSUMER: 5 };
+const STATUS_CODES = { UNSET: 0, OK: 1, ERROR: 2 };
+
+// Histogram bucket bounds in milliseconds, the OpenTelemetry SDK defaults
+const DEFAULT_BOUNDS = [0, 5, 10, 25, 50, 75, 100, 250, 500, 750, 1000, 2500, 5000, 7500, 10000];
+
+// MetricsCollector tags describing the process rather than the metric: the resource has them
+const RESOURCE_TAGS = ['environment', 'region', 'unit'];
+
+// Log records and spans held between exports; the oldest are dropped beyond this
+const MAX_LOG_RECORDS = 2048;
+const MAX_SPANS = 2048;
+
+const TRACE_ID = /^[0-9a-f]{32}$/;
+const SPAN_ID = /^[0-9a-f]{16}$/;
+
+// The exporter shared by everything in this process (see startOtlpExport)
+let shared = null;
+
+const toNanos = (ms) => (BigInt(Math.round(ms)) * 1000000n).toString();
+const attributeKey = (attributes) => JSON.stringify(Object.entries(attributes).sort(([a], [b]) => a.localeCompare(b)));
+
+/**
+ * Parse a `key=value,key=value` list, the format of OTEL_EXPORTER_OTLP_HEADERS and OTEL_RESOURCE_ATTRIBUTES
+ * @param {string} text - List, values URL-encoded
+ * @returns {Object} Keys to values
+ */
+function parseKeyValues(text = '') {
+  return Object.fromEntries(
+    text.split(',')
+      .map(pair => pair.split('='))
+      .filter(([key, ...value]) => key.trim() && value.length)
+      .map(([key, ...value]) => [key.trim(), decodeURIComponent(value.join('=').trim())])
+  );
+}
+
+/**
+ * OTLP AnyValue for a JavaScript value; objects are sent as their JSON
+ * @param {*} value - Attribute value
+ * @returns {Object} AnyValue
+ */
+function anyValue(value) {
+  switch (typeof value) {
+    case 'string':
+      return { stringValue: value };
+    case 'boolean':
+      return { boolValue: value };
+    case 'number':
+      return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+    default:
+      return { stringValue: JSON.stringify(value) };
+  }
+}
+
+/**
+ * OTLP attribute list, leaving out null and undefined values
+ * @param {Object} values - Attribute names to values
+ * @returns {Array<Object>} [{ key, value: AnyValue }]
+ */
+function toAttributes(values) {
+  return Object.entries(values)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ({ key, value: anyValue(value) }));
+}
+
+/**
+ * Maps MetricsCollector metrics to OpenTelemetry instruments and Logger entries to log records,
+ * and sends them with the tracing module's spans to an OTLP/HTTP collector (`/v1/metrics`,
+ * `/v1/logs` and `/v1/traces`, JSON encoding):
+ * - counts become monotonic Sums, gauges Gauges and latencies explicit-bucket Histograms, named
+ *   without the MetricsCollector namespace, which is the instrumentation scope. Aggregation is
+ *   cumulative since the exporter started, as the OpenTelemetry SDKs do by default.
+ * - log entries become log records with the entry's level as severity, its message as body and
+ *   its other fields as attributes. The logger's service is the instrumentation scope, and the
+ *   entry's traceId and spanId link the record to its span.
+ * A failed export is logged to stderr and its data dropped, apart from the cumulative metrics.
+ */
+class OtlpExporter {
+  /**
+   * @param {Object} options - Exporter options, each defaulting to its environment variable
+   * @param {string} options.endpoint - Collector base URL (OTEL_EXPORTER_OTLP_ENDPOINT, default http://localhost:4318)
+   * @param {Object} options.headers - Extra request headers (OTEL_EXPORTER_OTLP_HEADERS)
+   * @param {number} options.timeoutMs - Request timeout (OTEL_EXPORTER_OTLP_TIMEOUT, default 10000)
+   * @param {number} options.intervalMs - Time between exports (OTEL_METRIC_EXPORT_INTERVAL, default 10000)
+   * @param {string} options.serviceName - service.name resource attribute (OTEL_SERVICE_NAME)
+   * @param {Array<number>} options.bounds - Histogram bucket bounds in milliseconds
+   */
+  constructor(options = {}) {
+    this.endpoint = (options.endpoint || process.env.OTEL_EXPORTER_OTLP_ENDPOINT || 'http://localhost:4318').replace(/\/+$/, '');
+    this.headers = options.headers || parseKeyValues(process.env.OTEL_EXPORTER_OTLP_HEADERS);
+    this.timeoutMs = options.timeoutMs || parseInt(process.env.OTEL_EXPORTER_OTLP_TIMEOUT, 10) || 10000;
+    this.intervalMs = options.intervalMs || parseInt(process.env.OTEL_METRIC_EXPORT_INTERVAL, 10) || 10000;
+    this.bounds = options.bounds || DEFAULT_BOUNDS;
+    this.resource = {
+      'service.name': options.serviceName || process.env.OTEL_SERVICE_NAME ||
+        process.env.AWS_LAMBDA_FUNCTION_NAME || 'aws-k6-localstack',
+      // Cumulative series must not be shared between processes, e.g. cluster workers
+      'service.instance.id': `${os.hostname()}-${process.pid}`,
+      'deployment.environment': process.env.NODE_ENV || 'development',
+      'cloud.region': process.env.AWS_REGION || 'us-east-1',
+      ...parseKeyValues(process.env.OTEL_RESOURCE_ATTRIBUTES)
+    };
+
+    this.startTime = Date.now();
+    this.lastExport = 0;
+    this.instruments = new Map();
+    this.logRecords = [];
+    this.spans = [];
+    this.subscriptions = [];
+    this.timer = null;
+  }
+
+  /**
+   * Start receiving metrics, log entries and ended spans from everything in this process
+   * @param {Object} options - { periodic } also exports every intervalMs in the background,
+   *   for long-running processes; otherwise call flush, e.g. at the end of each invocation
+   * @returns {OtlpExporter} This exporter
+   */
+  start({ periodic = false } = {}) {
+    if (this.subscriptions.length === 0) {
+      this.subscriptions = [
+        MetricsCollector.subscribe((metric, collector) => this.recordMetric(metric, collector)),
+        Logger.subscribe(entry => this.recordLog(entry)),
+        tracing.subscribe(span => this.recordSpan(span))
+      ];
+    }
+    if (periodic && !this.timer) {
+      this.timer = setInterval(() => this.export(), this.intervalMs);
+      this.timer.unref();
+    }
+    return this;
+  }
+
+  /**
+   * Add a MetricsCollector metric to its instrument
+   * @param {Object} metric - Metric as recorded by MetricsCollector#recordMetric
+   * @param {MetricsCollector} collector - Collector that recorded it
+   */
+  recordMetric(metric, collector) {
+    const scope = collector.namespace;
+    const name = metric.name.startsWith(`${scope}.`) ? metric.name.slice(scope.length + 1) : metric.name;
+    const attributes = Object.fromEntries(
+      Object.entries(metric.tags).filter(([tag]) => !RESOURCE_TAGS.includes(tag))
+    );
+
+    const key = JSON.stringify([scope, name]);
+    if (!this.instruments.has(key)) {
+      this.instruments.set(key, {
+        scope,
+        name,
+        type: metric.type,
+        unit: metric.tags.unit === 'milliseconds' ? 'ms' : '1',
+        points: new Map()
+      });
+    }
+    const instrument = this.instruments.get(key);
+    if (instrument.type !== metric.type) {
+      // One name, one instrument: OpenTelemetry cannot mix types under a name
+      return;
+    }
+
+    const pointKey = attributeKey(attributes);
+    if (!instrument.points.has(pointKey)) {
+      instrument.points.set(pointKey, instrument.type === 'histogram'
+        ? { attributes, count: 0, sum: 0, min: Infinity, max: -Infinity, bucketCounts: new Array(this.bounds.length + 1).fill(0) }
+        : { attributes, value: 0 });
+    }
+    const point = instrument.points.get(pointKey);
+    point.time = metric.timestamp;
+
+    if (instrument.type === 'count') {
+      point.value += metric.value;
+    } else if (instrument.type === 'gauge') {
+      point.value = metric.value;
+    } else if (instrument.type === 'histogram') {
+      // Bucket i holds values in (bounds[i - 1], bounds[i]]; the last one everything above
+      const bucket = this.bounds.findIndex(bound => metric.value <= bound);
+      point.bucketCounts[bucket === -1 ? this.bounds.length : bucket]++;
+      point.count++;
+      point.sum += metric.value;
+      point.min = Math.min(point.min, metric.value);
+      point.max = Math.max(point.max, metric.value);
+    }
+  }
+
+  /**
+   * Queue a Logger entry as a log record
+   * @param {Object} entry - Entry as written by Logger#log
+   */
+  recordLog(entry) {
+    const { timestamp, level, service, message, traceId, spanId, error, ...fields } = entry;
+    const record = {
+      timeUnixNano: toNanos(Date.parse(timestamp) || Date.now()),
+      observedTimeUnixNano: toNanos(Date.now()),
+      severityNumber: SEVERITY_NUMBERS[level] || 0,
+      severityText: level,
+      body: { stringValue: message },
+      attributes: toAttributes({
+        ...fields,
+        // Semantic convention names, which collectors and backends recognise
+        ...(error && { 'exception.type': error.name, 'exception.message': error.message, 'exception.stacktrace': error.stack })
+      })
+    };
+    if (TRACE_ID.test(traceId) && SPAN_ID.test(spanId)) {
+      record.traceId = traceId;
+      record.spanId = spanId;
+    }
+
+    this.logRecords.push({ scope: service, record });
+    if (this.logRecords.length > MAX_LOG_RECORDS) {
+      this.logRecords.shift();
+    }
+  }
+
+  /**
+   * Queue an ended span
+   * @param {Span} span - Span from shared/utils/tracing
+   */
+  recordSpan(span) {
+    const otlpSpan = {
+      traceId: span.traceId,
+      spanId: span.spanId,
+      name: span.name,
+      kind: SPAN_KINDS[span.kind],
+      startTimeUnixNano: toNanos(span.startTime),
+      endTimeUnixNano: toNanos(span.endTime),
+      attributes: toAttributes(span.attributes),
+      events: span.events.map(event => ({
+        timeUnixNano: toNanos(event.time),
+        name: event.name,
+        attributes: toAttributes(event.attributes)
+      })),
+      status: { code: STATUS_CODES[span.status.code], ...(span.status.message && { message: span.status.message }) }
+    };
+    if (span.parentSpanId) {
+      otlpSpan.parentSpanId = span.parentSpanId;
+    }
+
+    this.spans.push(otlpSpan);
+    if (this.spans.length > MAX_SPANS) {
+      this.spans.shift();
+    }
+  }
+
+  /**
+   * OTLP ExportMetricsServiceRequest with the current value of every instrument
+   * @returns {Object} Request body; null when nothing was recorded
+   */
+  metricsRequest() {
+    const scopes = new Map();
+    const now = toNanos(Date.now());
+    const startTimeUnixNano = toNanos(this.startTime);
+
+    this.instruments.forEach(instrument => {
+      const dataPoints = [...instrument.points.values()].map(point => {
+        const attributes = toAttributes(point.attributes);
+        const timeUnixNano = point.time ? toNanos(point.time) : now;
+        if (instrument.type === 'histogram') {
+          return {
+            attributes,
+            startTimeUnixNano,
+            timeUnixNano,
+            count: String(point.count),
+            sum: point.sum,
+            min: point.min,
+            max: point.max,
+            bucketCounts: point.bucketCounts.map(String),
+            explicitBounds: this.bounds
+          };
+        }
+        return instrument.type === 'count'
+          ? { attributes, startTimeUnixNano, timeUnixNano, asDouble: point.value }
+          : { attributes, timeUnixNano, asDouble: point.value };
+      });
+
+      const otelMetric = { name: instrument.name, unit: instrument.unit };
+      if (instrument.type === 'count') {
+        otelMetric.sum = { aggregationTemporality: AGGREGATION_TEMPORALITY_CUMULATIVE, isMonotonic: true, dataPoints };
+      } else if (instrument.type === 'gauge') {
+        otelMetric.gauge = { dataPoints };
+      } else {
+        otelMetric.histogram = { aggregationTemporality: AGGREGATION_TEMPORALITY_CUMULATIVE, dataPoints };
+      }
+
+      if (!scopes.has(instrument.scope)) {
+        scopes.set(instrument.scope, []);
+      }
+      scopes.get(instrument.scope).push(otelMetric);
+    });
+
+    if (scopes.size === 0) {
+      return null;
+    }
+    return {
+      resourceMetrics: [{
+        resource: { attributes: toAttributes(this.resource) },
+        scopeMetrics: [...scopes].map(([name, metrics]) => ({ scope: { name }, metrics }))
+      }]
+    };
+  }
+
+  /**
+   * OTLP ExportLogsServiceRequest
+   * @param {Array<Object>} logRecords - Queued { scope, record } entries
+   * @returns {Object} Request body
+   */
+  logsRequest(logRecords) {
+    const scopes = new Map();
+    logRecords.forEach(({ scope, record }) => {
+      if (!scopes.has(scope)) {
+        scopes.set(scope, []);
+      }
+      scopes.get(scope).push(record);
+    });
+
+    return {
+      resourceLogs: [{
+        resource: { attributes: toAttributes(this.resource) },
+        scopeLogs: [...scopes].map(([name, records]) => ({ scope: { name }, logRecords: records }))
+      }]
+    };
+  }
+
+  /**
+   * OTLP ExportTraceServiceRequest
+   * @param {Array<Object>} spans - Queued OTLP spans
+   * @returns {Object} Request body
+   */
+  tracesRequest(spans) {
+    return {
+      resourceSpans: [{
+        resource: { attributes: toAttributes(this.resource) },
+        scopeSpans: [{ scope: { name: 'shared/utils/tracing' }, spans }]
+      }]
+    };
+  }
+
+  /**
+   * POST a request body to the collector
+   * @param {string} path - Signal path, e.g. /v1/metrics
+   * @param {Object} body - OTLP JSON request
+   * @returns {Promise<void>} Rejects if the request fails or the collector rejects it
+   */
+  post(path, body) {
+    const url = new URL(`${this.endpoint}${path}`);
+    const payload = JSON.stringify(body);
+    const transport = url.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload), ...this.headers },
+        timeout: this.timeoutMs
+      }, (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => {
+          if (res.statusCode >= 200 && res.statusCode < 300) {
+            resolve();
+          } else {
+            reject(new Error(`HTTP ${res.statusCode} ${Buffer.concat(chunks).toString('utf8')}`.trim()));
+          }
+        });
+      });
+      req.on('timeout', () => req.destroy(new Error(`Timed out after ${this.timeoutMs}ms`)));
+      req.on('error', reject);
+      req.end(payload);
+    });
+  }
+
+  /**
+   * Send the metrics and the queued log records and spans now
+   * @returns {Promise<Object>} { metrics, logs, spans } - data points, log records and spans sent
+   */
+  async export() {
+    this.lastExport = Date.now();
+    const result = { metrics: 0, logs: 0, spans: 0 };
+
+    const metricsRequest = this.metricsRequest();
+    if (metricsRequest) {
+      const points = [...this.instruments.values()].reduce((total, instrument) => total + instrument.points.size, 0);
+      try {
+        await this.post('/v1/metrics', metricsRequest);
+        result.metrics = points;
+      } catch (error) {
+        // Not the Logger: its entries would come back here
+        console.error(`OTLP metrics export to ${this.endpoint} failed: ${error.message}`);
+      }
+    }
+
+    const logRecords = this.logRecords;
+    this.logRecords = [];
+    if (logRecords.length) {
+      try {
+        await this.post('/v1/logs', this.logsRequest(logRecords));
+        result.logs = logRecords.length;
+      } catch (error) {
+        console.error(`OTLP logs export to ${this.endpoint} failed, dropped ${logRecords.length} log records: ${error.message}`);
+      }
+    }
+
+    const spans = this.spans;
+    this.spans = [];
+    if (spans.length) {
+      try {
+        await this.post('/v1/traces', this.tracesRequest(spans));
+        result.spans = spans.length;
+      } catch (error) {
+        console.error(`OTLP traces export to ${this.endpoint} failed, dropped ${spans.length} spans: ${error.message}`);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Export if intervalMs has passed since the last export, so invocations do not each pay for it
+   * @param {Object} options - { force } exports now, e.g. before exiting
+   * @returns {Promise<Object>} { metrics, logs, spans } sent
+   */
+  async flush({ force = false } = {}) {
+    if (!force && Date.now() - this.lastExport < this.intervalMs) {
+      return { metrics: 0, logs: 0, spans: 0 };
+    }
+    return this.export();
+  }
+
+  /**
+   * Stop receiving metrics, log entries and spans, and send what is left
+   * @returns {Promise<Object>} { metrics, logs, spans } sent
+   */
+  async shutdown() {
+    this.subscriptions.forEach(unsubscribe => unsubscribe());
+    this.subscriptions = [];
+    clearInterval(this.timer);
+    this.timer = null;
+    return this.export();
+  }
+}
+
+/**
+ * Start the process's OTLP export when OTEL_EXPORTER_OTLP_ENDPOINT is set. Every caller gets
+ * the same exporter, so a handler loaded by the gateway simulator does not export twice.
+ * @param {Object} options - Options for OtlpExporter#start
+ * @returns {OtlpExporter|null} The exporter; null when OTLP export is not configured
+ */
+function startOtlpExport(options = {}) {
+  if (!process.env.OTEL_EXPORTER_OTLP_ENDPOINT) {
+    return null;
+  }
+  if (!shared) {
+    shared = new OtlpExporter();
+  }
+  return shared.start(options);
+}
+
+module.exports = { OtlpExporter, startOtlpExport, parseKeyValues };
@@ -0,0 +1,297 @@
+/**
+ * Distributed tracing - spans with W3C Trace Context (traceparent) propagation
+ * @module shared/utils/tracing
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+// The span code runs in, so child spans and log entries find their parent (see withSpan)
+const activeSpan = new AsyncLocalStorage();
+
+// Listeners receiving every sampled span when it ends (see subscribe)
+const listeners = new Set();
+
+// version-traceId-parentId-flags, https://www.w3.org/TR/trace-context/#traceparent-header
+const TRACEPARENT = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(?:-.*)?$/;
+const INVALID_TRACE_ID = '0'.repeat(32);
+const INVALID_SPAN_ID = '0'.repeat(16);
+const FLAG_SAMPLED = 0x01;
+
+const SPAN_KINDS = ['INTERNAL', 'SERVER', 'CLIENT', 'PRODUCER', 'CONSUMER'];
+
+const randomId = (bytes) => crypto.randomBytes(bytes).toString('hex');
+
+/**
+ * Parse a traceparent header
+ * @param {string} header - Header value
+ * @returns {Object|null} { traceId, spanId, sampled }; null when missing or invalid
+ */
+function parseTraceparent(header) {
+  const value = String(header || '').trim().toLowerCase();
+  const match = TRACEPARENT.exec(value);
+  if (!match) {
+    return null;
+  }
+
+  const [, version, traceId, spanId, flags] = match;
+  // Version ff is forbidden; version 00 has no fields after the flags
+  if (version === 'ff' || (version === '00' && value.length !== 55)) {
+    return null;
+  }
+  if (traceId === INVALID_TRACE_ID || spanId === INVALID_SPAN_ID) {
+    return null;
+  }
+  return { traceId, spanId, sampled: (parseInt(flags, 16) & FLAG_SAMPLED) === FLAG_SAMPLED };
+}
+
+/**
+ * Format a traceparent header
+ * @param {Object} context - { traceId, spanId, sampled }
+ * @returns {string} Header value
+ */
+function formatTraceparent({ traceId, spanId, sampled = true }) {
+  return `00-${traceId}-${spanId}-${sampled ? '01' : '00'}`;
+}
+
+/**
+ * A timed operation within a trace. Ending a sampled span hands it to every listener.
+ */
+class Span {
+  /**
+   * @param {string} name - Operation name, e.g. `GET /download` or `S3.GetObject`
+   * @param {Object} options - Span options
+   * @param {Object} options.parent - Parent span or parsed traceparent; none starts a new trace
+   * @param {string} options.kind - INTERNAL, SERVER (handling a request), CLIENT (making one), PRODUCER or CONSUMER
+   * @param {Object} options.attributes - Initial attributes
+   */
+  constructor(name, { parent = null, kind = 'INTERNAL', attributes = {} } = {}) {
+    if (!SPAN_KINDS.includes(kind)) {
+      throw new Error(`Unknown span kind ${kind}, expected one of ${SPAN_KINDS.join(', ')}`);
+    }
+
+    this.name = name;
+    this.kind = kind;
+    this.traceId = parent?.traceId || randomId(16);
+    this.spanId = randomId(8);
+    this.parentSpanId = parent?.spanId || null;
+    this.sampled = parent ? parent.sampled !== false : true;
+    this.attributes = { ...attributes };
+    this.events = [];
+    this.status = { code: 'UNSET' };
+    this.startTime = Date.now();
+    this.start = process.hrtime.bigint();
+    this.endTime = null;
+    this.duration = null;
+  }
+
+  /**
+   * Set attributes, ignoring undefined values
+   * @param {Object} attributes - Attribute names to values
+   * @returns {Span} This span
+   */
+  setAttributes(attributes) {
+    Object.entries(attributes).forEach(([key, value]) => {
+      if (value !== undefined) {
+        this.attributes[key] = value;
+      }
+    });
+    return this;
+  }
+
+  /**
+   * Mark the span as failed and record the error as an `exception` event
+   * @param {Error} error - Error that ended the operation
+   * @returns {Span} This span
+   */
+  recordError(error) {
+    this.status = { code: 'ERROR', message: error.message };
+    this.events.push({
+      name: 'exception',
+      time: Date.now(),
+      attributes: {
+        'exception.type': error.name,
+        'exception.message': error.message,
+        'exception.stacktrace': error.stack
+      }
+    });
+    return this;
+  }
+
+  /**
+   * Mark the span as failed without an error, e.g. for a 5xx response
+   * @param {string} message - Description
+   * @returns {Span} This span
+   */
+  setError(message) {
+    this.status = { code: 'ERROR', message };
+    return this;
+  }
+
+  /**
+   * End the span; later calls do nothing
+   */
+  end() {
+    if (this.endTime !== null) {
+      return;
+    }
+    this.duration = Number(process.hrtime.bigint() - this.start) / 1e6;
+    this.endTime = this.startTime + this.duration;
+    if (this.sampled) {
+      listeners.forEach(listener => listener(this));
+    }
+  }
+
+  /**
+   * @returns {string} traceparent header naming this span as the parent
+   */
+  get traceparent() {
+    return formatTraceparent(this);
+  }
+
+  /**
+   * Plain-object form, e.g. for the simulator's trace store
+   * @returns {Object} { traceId, spanId, parentSpanId, name, kind, startTime, durationMs, status, attributes, events }
+   */
+  toJSON() {
+    return {
+      traceId: this.traceId,
+      spanId: this.spanId,
+      parentSpanId: this.parentSpanId,
+      name: this.name,
+      kind: this.kind,
+      startTime: new Date(this.startTime).toISOString(),
+      durationMs: this.duration,
+      status: this.status,
+      attributes: this.attributes,
+      events: this.events
+    };
+  }
+}
+
+/**
+ * Receive every sampled span when it ends, e.g. to export them
+ * @param {Function} listener - Called with (span)
+ * @returns {Function} Function that removes the listener
+ */
+function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * The span the calling code runs in
+ * @returns {Span|null} Active span
+ */
+function getActiveSpan() {
+  return activeSpan.getStore() || null;
+}
+
+/**
+ * Run a function with a span active, so spans started and entries logged within it
+ * (including in its asynchronous continuations) belong to that span
+ * @param {Span} span - Span to activate
+ * @param {Function} fn - Function to run
+ * @returns {*} fn's return value
+ */
+function withSpan(span, fn) {
+  return activeSpan.run(span, fn);
+}
+
+/**
+ * Start a span, a child of the active span unless a parent is given. The span is not activated.
+ * @param {string} name - Operation name
+ * @param {Object} options - See Span; a null or missing parent means the active span
+ * @returns {Span} Started span
+ */
+function startSpan(name, options = {}) {
+  return new Span(name, { ...options, parent: options.parent || getActiveSpan() });
+}
+
+/**
+ * Run an async function in a new active span, ending it when the function settles. A thrown
+ * error is recorded on the span and rethrown.
+ * @param {string} name - Operation name
+ * @param {Object} options - See startSpan
+ * @param {Function} fn - Called with (span)
+ * @returns {Promise<*>} fn's result
+ */
+async function startActiveSpan(name, options, fn) {
+  const span = startSpan(name, options);
+  try {
+    return await withSpan(span, () => fn(span));
+  } catch (error) {
+    span.recordError(error);
+    throw error;
+  } finally {
+    span.end();
+  }
+}
+
+/**
+ * AWS SDK v3 middleware recording a CLIENT span per call made within a trace, named
+ * `<Service>.<Operation>`, e.g. `S3.GetObject`. Calls outside any trace (startup checks,
+ * background refreshes) are not recorded.
+ * @returns {Function} Middleware: (next, context) => async (args) => result
+ */
+function awsTracingMiddleware() {
+  return (next, context) => async (args) => {
+    if (!getActiveSpan()) {
+      return next(args);
+    }
+
+    const service = (context.clientName || 'AWS').replace(/Client$/, '');
+    const operation = (context.commandName || 'Unknown').replace(/Command$/, '');
+    const span = startSpan(`${service}.${operation}`, {
+      kind: 'CLIENT',
+      attributes: {
+        'rpc.system': 'aws-api',
+        'rpc.service': service,
+        'rpc.method': operation,
+        'aws.s3.bucket': args.input?.Bucket,
+        'aws.s3.key': args.input?.Key
+      }
+    });
+
+    try {
+      const result = await next(args);
+      span.setAttributes({
+        'aws.request_id': result.output?.$metadata?.requestId,
+        'http.response.status_code': result.response?.statusCode ?? result.output?.$metadata?.httpStatusCode
+      });
+      return result;
+    } catch (error) {
+      span.setAttributes({
+        'aws.request_id': error.$metadata?.requestId,
+        'http.response.status_code': error.$metadata?.httpStatusCode
+      });
+      span.recordError(error);
+      throw error;
+    } finally {
+      span.end();
+    }
+  };
+}
+
+/**
+ * Record a span for every call an AWS SDK v3 client makes within a trace (see awsTracingMiddleware)
+ * @param {Object} client - SDK client, e.g. an S3Client
+ * @returns {Object} The client
+ */
+function instrumentAwsClient(client) {
+  client.middlewareStack.add(awsTracingMiddleware(), { step: 'initialize', name: 'tracingMiddleware', override: true });
+  return client;
+}
+
+module.exports = {
+  Span,
+  parseTraceparent,
+  formatTraceparent,
+  subscribe,
+  getActiveSpan,
+  withSpan,
+  startSpan,
+  startActiveSpan,
+  awsTracingMiddleware,
+  instrumentAwsClient
+};
@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadAuthConfig, authorizeRequest, verifyJwt, signJwt } = require('../../../gateway/authorizer');
+const { buildRestEvent, buildHttpEvent } = require('../../../gateway/events');
+
+describe('Gateway authorizer', () => {
+  const SECRET = 'test-secret';
+  let tmpDir;
+  let config;
+  let rsaKey;
+
+  const now = () => Math.floor(Date.now() / 1000);
+  const claims = (overrides = {}) => ({
+    sub: 'user-1',
+    iss: 'https://issuer.test',
+    aud: 'gateway',
+    scope: 'files:read files:write',
+    exp: now() + 300,
+    ...overrides
+  });
+  const request = (headers = {}) => ({ headers });
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'authorizer-test-'));
+
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    rsaKey = privateKey;
+    const jwksFile = path.join(tmpDir, 'jwks.json');
+    fs.writeFileSync(jwksFile, JSON.stringify({
+      keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'test-key', alg: 'RS256', use: 'sig' }]
+    }));
+
+    const configFile = path.join(tmpDir, 'auth.json');
+    fs.writeFileSync(configFile, JSON.stringify({
+      apiKeys: [
+        { id: 'client', value: 'valid-key', usagePlan: 'all' },
+        { id: 'limited', value: 'legacy-key', usagePlan: 'legacy' },
+        { id: 'revoked', value: 'revoked-key', usagePlan: 'all', enabled: false }
+      ],
+      usagePlans: {
+        all: { stages: ['legacy', 'enterprise'] },
+        legacy: { stages: ['legacy'] }
+      },
+      jwt: { issuer: 'https://issuer.test', audience: 'gateway', hs256Secret: SECRET, jwksFile }
+    }));
+    config = loadAuthConfig(configFile);
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should skip routes that require neither an API key nor a JWT', () => {
+    expect(authorizeRequest(config, request(), { apiKeyRequired: false, authorizer: 'none', stage: 'legacy' })).toBeNull();
+  });
+
+  test('should accept API keys whose usage plan covers the stage', () => {
+    const context = authorizeRequest(config, request({ 'x-api-key': 'valid-key' }), {
+      apiKeyRequired: true, stage: 'enterprise'
+    });
+
+    expect(context).toMatchObject({ principalId: 'client', apiKeyId: 'client', usagePlan: 'all' });
+  });
+
+  test.each([
+    ['missing', undefined, 'legacy'],
+    ['unknown', 'nope', 'legacy'],
+    ['disabled', 'revoked-key', 'legacy'],
+    ['outside its usage plan', 'legacy-key', 'enterprise']
+  ])('should reject %s API keys with 403', (_, key, stage) => {
+    expect(() => authorizeRequest(config, request(key ? { 'x-api-key': key } : {}), {
+      apiKeyRequired: true, stage
+    })).toThrow(expect.objectContaining({ name: 'ForbiddenError' }));
+  });
+
+  test('should verify HS256 tokens and expose claims and scopes', () => {
+    const token = signJwt(claims(), { secret: SECRET });
+    const context = authorizeRequest(config, request({ authorization: `Bearer ${token}` }), {
+      authorizer: 'jwt', stage: 'legacy'
+    });
+
+    expect(context.principalId).toBe('user-1');
+    expect(context.claims.aud).toBe('gateway');
+    expect(context.scopes).toEqual(['files:read', 'files:write']);
+  });
+
+  test('should verify RS256 tokens against the JWKS file', () => {
+    const token = signJwt(claims(), { alg: 'RS256', privateKey: rsaKey, kid: 'test-key' });
+
+    expect(verifyJwt(token, config.jwt).sub).toBe('user-1');
+  });
+
+  test.each([
+    ['expired', () => signJwt(claims({ exp: now() - 60 }), { secret: SECRET }), 'expired'],
+    ['not yet valid', () => signJwt(claims({ nbf: now() + 60 }), { secret: SECRET }), 'not yet valid'],
+    ['wrongly signed', () => signJwt(claims(), { secret: 'other-secret' }), 'bad signature'],
+    ['for another audience', () => signJwt(claims({ aud: 'other' }), { secret: SECRET }), 'wrong audience'],
+    ['from another issuer', () => signJwt(claims({ iss: 'https://evil.test' }), { secret: SECRET }), 'wrong issuer'],
+    ['signed with an unknown key', () => signJwt(claims(), { alg: 'RS256', privateKey: rsaKey, kid: 'other' }), 'unknown signing key'],
+    ['unsigned', () => `${Buffer.from('{"alg":"none"}').toString('base64url')}.${Buffer.from(JSON.stringify(claims())).toString('base64url')}.`, 'unsupported algorithm'],
+    ['malformed', () => 'not-a-jwt', 'malformed']
+  ])('should reject %s tokens with 401', (_, makeToken, reason) => {
+    expect(() => verifyJwt(makeToken(), config.jwt))
+      .toThrow(expect.objectContaining({ name: 'UnauthorizedError', message: expect.stringContaining(reason) }));
+  });
+
+  test('should put the authorizer context into both event formats', () => {
+    const req = { method: 'GET', path: '/files', url: '/files', headers: {}, query: {} };
+    const authorizer = {
+      principalId: 'user-1', apiKeyId: 'client', apiKey: 'valid-key', usagePlan: 'all',
+      claims: { sub: 'user-1' }, scopes: ['files:read'], integrationLatency: 1
+    };
+
+    const rest = buildRestEvent(req, { authorizer });
+    expect(rest.requestContext.identity).toMatchObject({ apiKey: 'valid-key', apiKeyId: 'client' });
+    expect(rest.requestContext.authorizer).toEqual({
+      principalId: 'user-1', integrationLatency: 1, claims: { sub: 'user-1' }, scopes: ['files:read'],
+      apiKeyId: 'client', usagePlan: 'all'
+    });
+
+    const http = buildHttpEvent(req, { authorizer });
+    expect(http.requestContext.authorizer).toEqual({
+      jwt: { claims: { sub: 'user-1' }, scopes: ['files:read'] },
+      lambda: { principalId: 'user-1', apiKeyId: 'client', usagePlan: 'all' },
+      integrationLatency: 1
+    });
+  });
+});
@@ -0,0 +1,48 @@
+const os = require('os');
+const { resolveWorkerCount, checkSharedStorage, registerCommands, broadcast, sumStats } = require('../../../gateway/cluster');
+
+describe('Gateway cluster mode', () => {
+  test('should resolve the worker count', () => {
+    expect(resolveWorkerCount(undefined)).toBe(1);
+    expect(resolveWorkerCount('4')).toBe(4);
+    expect(resolveWorkerCount('auto')).toBe(os.availableParallelism());
+    expect(() => resolveWorkerCount('0')).toThrow('CLUSTER_WORKERS');
+    expect(() => resolveWorkerCount('many')).toThrow('CLUSTER_WORKERS');
+  });
+
+  test('should refuse the memory storage backend with more than one worker', () => {
+    expect(() => checkSharedStorage(4, 'memory')).toThrow('STORAGE_BACKEND=memory');
+    expect(() => checkSharedStorage(4, 'MEMORY')).toThrow('STORAGE_BACKEND=memory');
+    expect(() => checkSharedStorage(1, 'memory')).not.toThrow();
+    expect(() => checkSharedStorage(4, 'filesystem')).not.toThrow();
+    expect(() => checkSharedStorage(4, undefined)).not.toThrow();
+  });
+
+  test('broadcast should run the command in this process when not clustered', async () => {
+    registerCommands({
+      echo: (payload) => ({ payload }),
+      fail: () => {
+        const error = new Error('Rule x not found');
+        error.name = 'NotFoundError';
+        throw error;
+      }
+    });
+
+    await expect(broadcast('echo', 42)).resolves.toEqual([{ worker: process.pid, result: { payload: 42 } }]);
+    // Errors come back as data so they can cross process boundaries
+    await expect(broadcast('fail')).resolves.toEqual([
+      { worker: process.pid, error: { name: 'NotFoundError', message: 'Rule x not found' } }
+    ]);
+    await expect(broadcast('missing')).resolves.toEqual([
+      { worker: process.pid, error: { name: 'Error', message: 'Unknown command missing' } }
+    ]);
+  });
+
+  test('sumStats should add up numbers, recursively, and keep other values from the first worker', () => {
+    expect(sumStats([
+      { hits: 2, enabled: true, byRoute: { a: 1 } },
+      { hits: 3, enabled: false, byRoute: { a: 2, b: 5 } }
+    ])).toEqual({ hits: 5, enabled: true, byRoute: { a: 3, b: 5 } });
+    expect(sumStats([])).toEqual({});
+  });
+});
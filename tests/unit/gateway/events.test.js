@@ -0,0 +1,115 @@
+const { buildProxyEvent, buildRestEvent, buildHttpEvent, formatRequestTime } = require('../../../gateway/events');
+
+// Minimal stand-in for an Express request
+const createRequest = (overrides = {}) => ({
+  method: 'GET',
+  path: '/download',
+  originalUrl: '/download?filename=a.txt&tag=x&tag=y',
+  httpVersion: '1.1',
+  ip: '::ffff:10.0.0.7',
+  rawHeaders: [
+    'Host', 'localhost:3000',
+    'User-Agent', 'k6/0.50',
+    'Accept', 'text/plain',
+    'Cookie', 'session=abc; theme=dark',
+    'X-Forwarded-For', '1.1.1.1',
+    'X-Forwarded-For', '2.2.2.2'
+  ],
+  route: { path: '/download' },
+  body: {},
+  ...overrides
+});
+
+describe('API Gateway proxy events', () => {
+  describe('REST API (1.0) events', () => {
+    test('should carry single and multi-value headers and query parameters', () => {
+      const event = buildRestEvent(createRequest());
+
+      expect(event.httpMethod).toBe('GET');
+      expect(event.resource).toBe('/download');
+      expect(event.headers['X-Forwarded-For']).toBe('2.2.2.2');
+      expect(event.multiValueHeaders['X-Forwarded-For']).toEqual(['1.1.1.1', '2.2.2.2']);
+      expect(event.queryStringParameters).toEqual({ filename: 'a.txt', tag: 'y' });
+      expect(event.multiValueQueryStringParameters.tag).toEqual(['x', 'y']);
+      expect(event.pathParameters).toBeNull();
+      expect(event.body).toBeNull();
+      expect(event.isBase64Encoded).toBe(false);
+    });
+
+    test('should build requestContext with stage, identity and request id', () => {
+      const event = buildRestEvent(createRequest(), { stage: 'prod', requestId: 'req-1' });
+
+      expect(event.requestContext).toMatchObject({
+        stage: 'prod',
+        path: '/prod/download',
+        resourcePath: '/download',
+        requestId: 'req-1',
+        identity: { sourceIp: '10.0.0.7', userAgent: 'k6/0.50' }
+      });
+      expect(event.requestContext.requestTime).toMatch(/^\d{2}\/\w{3}\/\d{4}:\d{2}:\d{2}:\d{2} \+0000$/);
+    });
+
+    test('should replace headers and drop Content-Length when the body is overridden', () => {
+      const event = buildRestEvent(createRequest({
+        method: 'POST',
+        rawHeaders: ['Content-Type', 'multipart/form-data', 'Content-Length', '999']
+      }), {
+        headers: { 'content-type': 'application/json' },
+        body: '{"a":1}'
+      });
+
+      expect(event.headers).toEqual({ 'content-type': 'application/json' });
+      expect(event.body).toBe('{"a":1}');
+    });
+
+    test('should base64-encode raw binary bodies', () => {
+      const event = buildRestEvent(createRequest({ body: Buffer.from([0, 255]) }));
+
+      expect(event.isBase64Encoded).toBe(true);
+      expect(event.body).toBe('AP8=');
+    });
+  });
+
+  describe('HTTP API (2.0) events', () => {
+    test('should lowercase headers, join repeats and split out cookies', () => {
+      const event = buildHttpEvent(createRequest());
+
+      expect(event.version).toBe('2.0');
+      expect(event.routeKey).toBe('GET /download');
+      expect(event.headers['x-forwarded-for']).toBe('1.1.1.1,2.2.2.2');
+      expect(event.headers.cookie).toBeUndefined();
+      expect(event.cookies).toEqual(['session=abc', 'theme=dark']);
+      expect(event.rawQueryString).toBe('filename=a.txt&tag=x&tag=y');
+      expect(event.queryStringParameters).toEqual({ filename: 'a.txt', tag: 'x,y' });
+      expect(event.requestContext.http).toMatchObject({ method: 'GET', path: '/download', sourceIp: '10.0.0.7' });
+      expect(event.requestContext.stage).toBe('$default');
+      expect(event).not.toHaveProperty('body');
+    });
+
+    test('should include path parameters when given', () => {
+      const event = buildHttpEvent(createRequest(), {
+        resource: '/files/{name}',
+        pathParameters: { name: 'a.txt' }
+      });
+
+      expect(event.routeKey).toBe('GET /files/{name}');
+      expect(event.pathParameters).toEqual({ name: 'a.txt' });
+    });
+  });
+
+  test('should choose the payload format from options or API_GATEWAY_PAYLOAD_VERSION', () => {
+    expect(buildProxyEvent(createRequest())).toHaveProperty('httpMethod', 'GET');
+    expect(buildProxyEvent(createRequest(), { version: '2.0' })).toHaveProperty('version', '2.0');
+
+    process.env.API_GATEWAY_PAYLOAD_VERSION = '2.0';
+    try {
+      expect(buildProxyEvent(createRequest())).toHaveProperty('version', '2.0');
+    } finally {
+      delete process.env.API_GATEWAY_PAYLOAD_VERSION;
+    }
+  });
+
+  test('should format request times in UTC', () => {
+    expect(formatRequestTime(new Date(Date.UTC(2024, 0, 5, 3, 4, 5)))).toBe('05/Jan/2024:03:04:05 +0000');
+  });
+});
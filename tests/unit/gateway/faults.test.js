@@ -0,0 +1,146 @@
+const { S3Client, GetObjectCommand, PutObjectCommand } = require('@aws-sdk/client-s3');
+const { createFaultInjector, runWithRoute, validateRule, sampleLatency } = require('../../../gateway/faults');
+
+describe('Gateway fault injection', () => {
+  const scope = { stage: 'legacy', method: 'GET', path: '/download' };
+  // Deterministic random source cycling through the given values
+  const sequence = (...values) => {
+    let index = 0;
+    return () => values[index++ % values.length];
+  };
+
+  const fakeResponse = () => {
+    const res = { headers: {}, body: null };
+    res.set = jest.fn((name, value) => { res.headers[name] = value; return res; });
+    res.status = jest.fn((code) => { res.statusCode = code; return res; });
+    res.json = jest.fn((body) => { res.body = body; return res; });
+    return res;
+  };
+
+  test('should validate rules and fill in defaults', () => {
+    expect(validateRule({ type: 'reset', method: 'get' })).toMatchObject({
+      target: 'http', probability: 1, enabled: true, method: 'GET', id: expect.stringMatching(/^fault-/)
+    });
+
+    expect(() => validateRule({ type: 'network-error' })).toThrow('type for http faults');
+    expect(() => validateRule({ target: 's3', type: 'network-error', code: 'EPERM' })).toThrow('code must be one of');
+    expect(() => validateRule({ type: 'status', status: 200 })).toThrow('HTTP error status');
+    expect(() => validateRule({ type: 'latency', distribution: 'uniform', minMs: 10 })).toThrow('latency needs');
+    expect(() => validateRule({ type: 'reset', probability: 2 })).toThrow('between 0 and 1');
+  });
+
+  test.each([
+    [{ distribution: 'fixed', ms: 25 }, [0.3], 25],
+    [{ distribution: 'uniform', minMs: 10, maxMs: 30 }, [0.5], 20],
+    [{ distribution: 'exponential', meanMs: 100 }, [1 - Math.exp(-1)], 100],
+    [{ distribution: 'normal', meanMs: 100, stddevMs: 10 }, [1 - Math.exp(-0.5), 0], 110]
+  ])('should sample %o latency', (rule, randoms, expected) => {
+    expect(sampleLatency(rule, sequence(...randoms))).toBeCloseTo(expected, 5);
+  });
+
+  test('should inject nothing while disabled', () => {
+    const injector = createFaultInjector({ enabled: false, rules: [{ type: 'reset' }] });
+
+    expect(injector.sample('http', scope).failure).toBeNull();
+  });
+
+  test('should scope rules by route and roll each probability', () => {
+    const injector = createFaultInjector({
+      enabled: true,
+      rules: [
+        { id: 'slow', type: 'latency', ms: 40, path: '/download' },
+        { id: 'slower', type: 'latency', ms: 60, probability: 0.5 },
+        { id: 'other-stage', type: 'reset', stage: 'enterprise' },
+        { id: 'unavailable', type: 'status', status: 503, probability: 0.5 },
+        { id: 'also-failing', type: 'status', status: 500 }
+      ]
+    }, { random: sequence(0.9, 0.1, 0.2, 0.9) });
+
+    // slow always fires; slower rolls 0.1, unavailable 0.2, also-failing loses to the first failure
+    const faults = injector.sample('http', scope);
+    expect(faults.latencyMs).toBe(100);
+    expect(faults.failure.id).toBe('unavailable');
+    expect(faults.rules).toEqual(['slow', 'slower', 'unavailable']);
+    expect(injector.getState().injected).toEqual({ slow: 1, slower: 1, unavailable: 1 });
+
+    expect(injector.sample('http', { ...scope, path: '/files' }).rules).not.toContain('slow');
+  });
+
+  test('should answer with the injected status and Retry-After', async () => {
+    const injector = createFaultInjector({ enabled: true, rules: [{ id: 'busy', type: 'status', status: 429 }] });
+    const res = fakeResponse();
+
+    await expect(injector.httpFaults({}, res, scope)).resolves.toBe(true);
+    expect(res.statusCode).toBe(429);
+    expect(res.headers).toEqual({ 'X-Fault-Injected': 'busy', 'Retry-After': '1' });
+    expect(res.body.error.code).toBe('INJECTED_FAULT');
+  });
+
+  test('should reset the connection', async () => {
+    const injector = createFaultInjector({ enabled: true, rules: [{ type: 'reset' }] });
+    const req = { socket: { destroy: jest.fn() } };
+
+    await expect(injector.httpFaults(req, fakeResponse(), scope)).resolves.toBe(true);
+    expect(req.socket.destroy).toHaveBeenCalled();
+  });
+
+  test('should let requests through when no failure fires', async () => {
+    const injector = createFaultInjector({ enabled: true, rules: [{ type: 'latency', ms: 1 }] });
+
+    await expect(injector.httpFaults({}, fakeResponse(), scope)).resolves.toBe(false);
+  });
+
+  test('should change rules at runtime', () => {
+    const injector = createFaultInjector({ enabled: true, rules: [{ id: 'a', type: 'reset' }] });
+
+    injector.updateRule('a', { enabled: false });
+    expect(injector.sample('http', scope).failure).toBeNull();
+
+    injector.addRule({ id: 'b', type: 'status', status: 502 });
+    expect(injector.sample('http', scope).failure.id).toBe('b');
+    expect(() => injector.addRule({ id: 'b', type: 'reset' })).toThrow('already exists');
+
+    injector.removeRule('b');
+    expect(() => injector.removeRule('b')).toThrow('not found');
+    expect(() => injector.replaceRules([{ type: 'reset' }, { type: 'bogus' }])).toThrow('type for http faults');
+    expect(injector.getState().rules.map(rule => rule.id)).toEqual(['a']);
+  });
+
+  describe('S3 client middleware', () => {
+    const createClient = (injector, client = 'legacy-lambda') => {
+      const s3 = new S3Client({
+        region: 'us-east-1',
+        endpoint: 'http://127.0.0.1:1',
+        credentials: { accessKeyId: 'test', secretAccessKey: 'test' },
+        maxAttempts: 1
+      });
+      s3.middlewareStack.add(injector.s3Middleware(client), { step: 'finalizeRequest' });
+      return s3;
+    };
+
+    test.each(['ECONNREFUSED', 'EAI_AGAIN'])('should fail requests with %s', async (code) => {
+      const injector = createFaultInjector({
+        enabled: true,
+        rules: [{ target: 's3', type: 'network-error', code }]
+      });
+
+      await expect(createClient(injector).send(new GetObjectCommand({ Bucket: 'b', Key: 'k' })))
+        .rejects.toMatchObject({ code });
+    });
+
+    test('should fail with S3 service errors scoped by operation, client and route', async () => {
+      const injector = createFaultInjector({
+        enabled: true,
+        rules: [
+          { target: 's3', type: 'status', status: 503, operation: 'PutObjectCommand', client: 's3-service', path: '/upload' },
+          { target: 's3', type: 'network-error', code: 'ECONNRESET' }
+        ]
+      });
+      const put = () => createClient(injector, 's3-service').send(new PutObjectCommand({ Bucket: 'b', Key: 'k', Body: 'x' }));
+
+      await expect(runWithRoute({ stage: 'legacy', method: 'POST', path: '/upload' }, put))
+        .rejects.toMatchObject({ name: 'SlowDown', $metadata: { httpStatusCode: 503 } });
+      await expect(put()).rejects.toMatchObject({ code: 'ECONNRESET' });
+    });
+  });
+});
@@ -0,0 +1,91 @@
+const { createLambdaContext, invokeHandler, LambdaTimeoutError } = require('../../../gateway/lambda-runtime');
+const { buildProxyEvent } = require('../../../gateway/events');
+const { getStorage, resetStorage } = require('../../../lambda/storage');
+const legacyLambda = require('../../../lambda/index');
+const { LambdaS3Handler } = require('../../../services/lambda-s3/src/handler');
+
+describe('Lambda runtime emulation', () => {
+  test('should create a context with request id, ARN and remaining time', () => {
+    const context = createLambdaContext({ functionName: 'legacy-lambda', requestId: 'req-1', timeoutMs: 5000 });
+
+    expect(context.awsRequestId).toBe('req-1');
+    expect(context.invokedFunctionArn).toMatch(/:function:legacy-lambda$/);
+    expect(context.logGroupName).toBe('/aws/lambda/legacy-lambda');
+    expect(context.getRemainingTimeInMillis()).toBeGreaterThan(4000);
+    expect(context.getRemainingTimeInMillis()).toBeLessThanOrEqual(5000);
+  });
+
+  test('should pass event and context to the handler and return its result', async () => {
+    const handler = jest.fn(async (event, context) => ({ statusCode: 200, body: context.awsRequestId }));
+    const context = createLambdaContext({ requestId: 'req-2' });
+
+    const result = await invokeHandler(handler, { httpMethod: 'GET' }, context);
+
+    expect(result).toEqual({ statusCode: 200, body: 'req-2' });
+    expect(handler).toHaveBeenCalledWith({ httpMethod: 'GET' }, context);
+  });
+
+  test('should fail with LambdaTimeoutError when the handler outlives its timeout', async () => {
+    const handler = () => new Promise(resolve => setTimeout(resolve, 200));
+    const context = createLambdaContext({ timeoutMs: 20 });
+
+    await expect(invokeHandler(handler, {}, context)).rejects.toBeInstanceOf(LambdaTimeoutError);
+    expect(context.getRemainingTimeInMillis()).toBe(0);
+  });
+
+  describe('HTTP API (2.0) events', () => {
+    const originalBackend = process.env.STORAGE_BACKEND;
+    let logSpy;
+
+    // Invoke a handler the way the simulator does for a route with payloadFormatVersion 2.0
+    const invokeV2 = (handler, method, path, query = '') => invokeHandler(handler, buildProxyEvent({
+      method,
+      path,
+      originalUrl: `${path}${query}`,
+      httpVersion: '1.1',
+      ip: '127.0.0.1',
+      rawHeaders: ['Host', 'localhost:3000'],
+      route: { path },
+      body: {}
+    }, { version: '2.0', stage: 'prod' }), createLambdaContext());
+
+    beforeEach(() => {
+      logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+      process.env.STORAGE_BACKEND = 'memory';
+      resetStorage();
+    });
+
+    afterEach(() => {
+      logSpy.mockRestore();
+      process.env.STORAGE_BACKEND = originalBackend;
+      if (originalBackend === undefined) {
+        delete process.env.STORAGE_BACKEND;
+      }
+      resetStorage();
+    });
+
+    test('should route them in the legacy handler', async () => {
+      await getStorage({}).put('a.txt', Buffer.from('hello'));
+
+      const list = await invokeV2(legacyLambda.handler, 'GET', '/files');
+      expect(list.statusCode).toBe(200);
+      expect(JSON.parse(list.body).files.map(file => file.key)).toEqual(['a.txt']);
+
+      const download = await invokeV2(legacyLambda.handler, 'GET', '/download', '?filename=a.txt');
+      expect(download.statusCode).toBe(200);
+    });
+
+    test('should route them in the enterprise handler', async () => {
+      const lambdaHandler = new LambdaS3Handler();
+      lambdaHandler.s3Service.s3Client = {
+        send: jest.fn().mockResolvedValue({ Contents: [{ Key: 'a.txt', Size: 5, ETag: '"e"' }] })
+      };
+
+      const result = await invokeV2((event, context) => lambdaHandler.handler(event, context), 'GET', '/files');
+
+      expect(result.statusCode).toBe(200);
+      expect(JSON.parse(result.body).files[0].key).toBe('a.txt');
+      expect(lambdaHandler.s3Service.s3Client.send.mock.calls[0][0].constructor.name).toBe('ListObjectsV2Command');
+    });
+  });
+});
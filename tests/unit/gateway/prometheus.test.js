@@ -0,0 +1,109 @@
+const {
+  createRegistry,
+  mergeSnapshots,
+  renderSnapshot,
+  bridgeMetricsCollector,
+  parsePrometheusText,
+  histogramQuantile,
+  summarizeHistogram
+} = require('../../../gateway/prometheus');
+const { MetricsCollector } = require('../../../services/shared/utils/metrics');
+
+describe('Gateway Prometheus metrics', () => {
+  test('should render counters, gauges and cumulative histogram buckets', () => {
+    const registry = createRegistry();
+    registry.counter('requests_total', 'Requests').inc({ route: '/files', status: '200' }, 2);
+    registry.gauge('in_flight', 'In flight', () => [{ labels: {}, value: 3 }]);
+    const latency = registry.histogram('latency_seconds', 'Latency', [0.1, 1]);
+    latency.observe({ route: '/files' }, 0.05);
+    latency.observe({ route: '/files' }, 0.5);
+    latency.observe({ route: '/files' }, 5);
+
+    const text = registry.render();
+    expect(text).toContain('# TYPE requests_total counter\nrequests_total{route="/files",status="200"} 2\n');
+    expect(text).toContain('in_flight 3\n');
+    expect(text).toContain('latency_seconds_bucket{route="/files",le="0.1"} 1\n');
+    expect(text).toContain('latency_seconds_bucket{route="/files",le="1"} 2\n');
+    expect(text).toContain('latency_seconds_bucket{route="/files",le="+Inf"} 3\n');
+    expect(text).toContain('latency_seconds_sum{route="/files"} 5.55\n');
+    expect(text).toContain('latency_seconds_count{route="/files"} 3\n');
+  });
+
+  test('should escape label values', () => {
+    const registry = createRegistry();
+    registry.counter('odd_total', 'Odd labels').inc({ path: 'a"b\\c' });
+
+    expect(registry.render()).toContain('odd_total{path="a\\"b\\\\c"} 1');
+    expect(parsePrometheusText(registry.render())).toEqual([{ name: 'odd_total', labels: { path: 'a"b\\c' }, value: 1 }]);
+  });
+
+  test('should add up workers\' counters and histograms and keep their gauges apart', () => {
+    const worker = (requests, lag) => {
+      const registry = createRegistry();
+      registry.counter('requests_total', 'Requests').inc({}, requests);
+      registry.gauge('lag_seconds', 'Lag').set({}, lag);
+      registry.histogram('latency_seconds', 'Latency', [1]).observe({}, 0.5);
+      return registry.snapshot();
+    };
+
+    const text = renderSnapshot(mergeSnapshots([
+      { worker: 101, families: worker(2, 0.1) },
+      { worker: 102, families: worker(3, 0.2) }
+    ]));
+
+    expect(text).toContain('requests_total 5\n');
+    expect(text).toContain('lag_seconds{worker="101"} 0.1\nlag_seconds{worker="102"} 0.2\n');
+    expect(text).toContain('latency_seconds_bucket{le="1"} 2\n');
+    expect(text).toContain('latency_seconds_count 2\n');
+  });
+
+  test('should mirror MetricsCollector metrics', () => {
+    const registry = createRegistry();
+    const unsubscribe = MetricsCollector.subscribe(bridgeMetricsCollector(registry));
+    const collector = new MetricsCollector();
+    try {
+      collector.recordCount('s3.upload.success', 1, { mode: 'multipart' });
+      collector.recordLatency('s3.upload.duration', 250);
+      collector.recordGauge('s3.upload.size', 1024);
+    } finally {
+      unsubscribe();
+    }
+    collector.recordCount('s3.upload.success', 1, { mode: 'multipart' });
+
+    const text = registry.render();
+    expect(text).toContain('app_s3_upload_success_total{mode="multipart"} 1\n');
+    expect(text).toContain('app_s3_upload_duration_seconds_sum 0.25\n');
+    expect(text).toContain('app_s3_upload_size 1024\n');
+  });
+
+  test('histogramQuantile should interpolate within buckets', () => {
+    const buckets = [{ le: 0.1, count: 50 }, { le: 0.2, count: 100 }, { le: Infinity, count: 100 }];
+
+    expect(histogramQuantile(buckets, 0.5)).toBeCloseTo(0.1);
+    expect(histogramQuantile(buckets, 0.75)).toBeCloseTo(0.15);
+    expect(histogramQuantile([{ le: 1, count: 0 }, { le: Infinity, count: 0 }], 0.5)).toBeNaN();
+    // Observations past the last bound report that bound
+    expect(histogramQuantile([{ le: 1, count: 0 }, { le: Infinity, count: 4 }], 0.5)).toBe(1);
+  });
+
+  test('summarizeHistogram should report the change between scrapes for the selected series', () => {
+    const scrape = (files, metrics) => parsePrometheusText([
+      `latency_seconds_bucket{route="/files",le="0.1"} ${files}`,
+      `latency_seconds_bucket{route="/files",le="+Inf"} ${files}`,
+      `latency_seconds_sum{route="/files"} ${files * 0.05}`,
+      `latency_seconds_count{route="/files"} ${files}`,
+      `latency_seconds_bucket{route="/metrics",le="0.1"} ${metrics}`,
+      `latency_seconds_bucket{route="/metrics",le="+Inf"} ${metrics}`,
+      `latency_seconds_sum{route="/metrics"} 0`,
+      `latency_seconds_count{route="/metrics"} ${metrics}`
+    ].join('\n'));
+
+    const summary = summarizeHistogram('latency_seconds', scrape(30, 2), {
+      before: scrape(10, 1),
+      filter: (labels) => labels.route !== '/metrics'
+    });
+
+    expect(summary).toMatchObject({ count: 20, sum: 1, mean: 0.05 });
+    expect(summary.p50).toBeCloseTo(0.05);
+  });
+});
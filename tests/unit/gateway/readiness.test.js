@@ -0,0 +1,61 @@
+const {
+  createReadinessProbe,
+  s3Check,
+  dynamoTableCheck,
+  stateMachineCheck
+} = require('../../../gateway/readiness');
+
+describe('Gateway readiness probe', () => {
+  test('should report each check with its status and latency', async () => {
+    const probe = createReadinessProbe({
+      s3: async () => ({ bucket: 'test-bucket' }),
+      dynamodb: async () => { throw new Error('Requested resource not found'); }
+    });
+
+    const { ready, checks } = await probe();
+
+    expect(ready).toBe(false);
+    expect(checks.s3).toMatchObject({ status: 'up', bucket: 'test-bucket' });
+    expect(checks.dynamodb).toMatchObject({ status: 'down', error: 'Requested resource not found' });
+    expect(typeof checks.s3.latencyMs).toBe('number');
+  });
+
+  test('should be ready with no checks configured', async () => {
+    await expect(createReadinessProbe({})()).resolves.toEqual({ ready: true, checks: {} });
+  });
+
+  test('should fail checks that exceed the timeout', async () => {
+    const probe = createReadinessProbe({ slow: () => new Promise(() => {}) }, { timeoutMs: 20 });
+
+    const { checks } = await probe();
+
+    expect(checks.slow).toMatchObject({ status: 'down', error: 'Timed out after 20ms' });
+  });
+
+  test('should reuse a recent result', async () => {
+    let now = 0;
+    const check = jest.fn(async () => ({}));
+    const probe = createReadinessProbe({ s3: check }, { cacheMs: 1000, now: () => now });
+
+    await Promise.all([probe(), probe()]);
+    await probe();
+    expect(check).toHaveBeenCalledTimes(1);
+
+    now = 1000;
+    await probe();
+    expect(check).toHaveBeenCalledTimes(2);
+  });
+
+  test('dependency checks should describe the table, state machine and bucket', async () => {
+    const send = jest.fn(async (command) => (command.constructor.name === 'DescribeTableCommand'
+      ? { Table: { TableStatus: 'CREATING' } }
+      : { status: 'ACTIVE' }));
+
+    await expect(dynamoTableCheck({ send }, 'workflow-results')()).rejects.toThrow('Table workflow-results is CREATING');
+    await expect(stateMachineCheck({ send }, 'arn:sm')()).resolves.toEqual({ stateMachineArn: 'arn:sm' });
+    expect(send.mock.calls[0][0].input).toEqual({ TableName: 'workflow-results' });
+
+    const service = { bucketName: 'b', healthCheck: async () => ({ healthy: false, error: 'NotFound' }) };
+    await expect(s3Check(() => service)()).rejects.toThrow('NotFound');
+  });
+});
@@ -0,0 +1,95 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadRouteTable, splitStage, matchRoute, compilePath, resolveHandler } = require('../../../gateway/routes');
+
+const CONFIG = path.join(__dirname, '../../../config/gateway-routes.json');
+
+describe('Gateway route table', () => {
+  let tmpDir;
+
+  const writeTable = (table) => {
+    const file = path.join(tmpDir, `routes-${Math.random().toString(36).slice(2)}.json`);
+    fs.writeFileSync(file, JSON.stringify(table));
+    return file;
+  };
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'routes-test-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should load the shipped table with the legacy stage as default', () => {
+    const table = loadRouteTable(CONFIG);
+
+    expect(table.defaultStage).toBe('legacy');
+    expect(Object.keys(table.stages)).toEqual(['legacy', 'enterprise']);
+    expect(table.stages.legacy[0]).toMatchObject({ method: 'POST', path: '/upload', request: 'multipart-json' });
+    expect(typeof table.stages.enterprise[0].invoke).toBe('function');
+  });
+
+  test('should let the caller override the default stage', () => {
+    expect(loadRouteTable(CONFIG, { defaultStage: 'enterprise' }).defaultStage).toBe('enterprise');
+    expect(() => loadRouteTable(CONFIG, { defaultStage: 'missing' })).toThrow('is not defined');
+  });
+
+  test('should compile path parameters and greedy parameters', () => {
+    const single = compilePath('/files/{name}');
+    expect(single.params).toEqual(['name']);
+    expect(single.regex.test('/files/a.txt')).toBe(true);
+    expect(single.regex.test('/files/a/b.txt')).toBe(false);
+
+    const greedy = compilePath('/files/{key+}');
+    expect(greedy.regex.exec('/files/a/b.txt')[1]).toBe('a/b.txt');
+  });
+
+  test('should match routes by method and decode path parameters', () => {
+    const table = loadRouteTable(writeTable({
+      stages: {
+        prod: [
+          { method: 'GET', path: '/files/{name}', handler: 'lambda/index.handler' },
+          { method: 'ANY', path: '/{proxy+}', handler: 'lambda/index.handler' }
+        ]
+      }
+    }));
+
+    const match = matchRoute(table, 'GET', '/files/my%20file.txt');
+    expect(match).toMatchObject({ stage: 'prod', pathParameters: { name: 'my file.txt' } });
+    expect(match.route.path).toBe('/files/{name}');
+
+    expect(matchRoute(table, 'DELETE', '/files/a.txt').route.path).toBe('/{proxy+}');
+    expect(matchRoute(table, 'GET', '/upload', 'other')).toBeNull();
+  });
+
+  test('should reject malformed percent-encoding in path parameters as a validation error', () => {
+    const table = loadRouteTable(CONFIG);
+
+    expect(() => matchRoute(table, 'HEAD', '/files/%ZZ')).toThrow(expect.objectContaining({
+      name: 'ValidationError',
+      message: expect.stringContaining('Malformed percent-encoding')
+    }));
+  });
+
+  test('should split stage prefixes only for known stages', () => {
+    const table = loadRouteTable(CONFIG);
+
+    expect(splitStage(table, '/enterprise/download')).toEqual({ stage: 'enterprise', path: '/download', prefixed: true });
+    expect(splitStage(table, '/enterprise')).toEqual({ stage: 'enterprise', path: '/', prefixed: true });
+    expect(splitStage(table, '/download')).toEqual({ stage: 'legacy', path: '/download', prefixed: false });
+  });
+
+  test('should reject invalid routes and handlers', () => {
+    expect(() => loadRouteTable(writeTable({ stages: {} }))).toThrow('defines no stages');
+    expect(() => loadRouteTable(writeTable({
+      stages: { prod: [{ method: 'FETCH', path: '/x', handler: 'lambda/index.handler' }] }
+    }))).toThrow('Unsupported method');
+    expect(() => loadRouteTable(writeTable({
+      stages: { prod: [{ method: 'GET', path: '/x', handler: 'lambda/index.handler', request: 'xml' }] }
+    }))).toThrow('Unknown request mode');
+    expect(() => resolveHandler('lambda/index.missing')).toThrow('does not export a function');
+    expect(() => resolveHandler('handler')).toThrow('expected <module>.<export>');
+  });
+});
@@ -0,0 +1,62 @@
+const { EventEmitter } = require('events');
+const { createDrainer } = require('../../../gateway/shutdown');
+
+describe('Gateway graceful shutdown', () => {
+  const fakeServer = () => ({
+    close: jest.fn(),
+    closeIdleConnections: jest.fn(),
+    closeAllConnections: jest.fn()
+  });
+  const fakeResponse = () => Object.assign(new EventEmitter(), { set: jest.fn() });
+
+  const startRequest = (drainer) => {
+    const res = fakeResponse();
+    const next = jest.fn();
+    drainer.middleware({}, res, next);
+    expect(next).toHaveBeenCalled();
+    return res;
+  };
+
+  test('should wait for in-flight requests before resolving', async () => {
+    const server = fakeServer();
+    const drainer = createDrainer({ timeoutMs: 1000 });
+    drainer.attach(server);
+    const res = startRequest(drainer);
+
+    const drained = drainer.drain();
+    expect(server.close).toHaveBeenCalled();
+    expect(server.closeIdleConnections).toHaveBeenCalled();
+    expect(drainer.isDraining()).toBe(true);
+    expect(drainer.getInFlight()).toBe(1);
+
+    // finish and close both fire for a completed response; it only counts once
+    res.emit('finish');
+    res.emit('close');
+    await expect(drained).resolves.toEqual({ drained: true, abandoned: 0 });
+    expect(drainer.getInFlight()).toBe(0);
+    expect(server.closeAllConnections).not.toHaveBeenCalled();
+  });
+
+  test('should ask clients to close keep-alive connections while draining', () => {
+    const drainer = createDrainer();
+    drainer.attach(fakeServer());
+    drainer.drain();
+
+    expect(startRequest(drainer).set).toHaveBeenCalledWith('Connection', 'close');
+  });
+
+  test('should cut remaining connections after the timeout', async () => {
+    jest.useFakeTimers();
+    const server = fakeServer();
+    const drainer = createDrainer({ timeoutMs: 500 });
+    drainer.attach(server);
+    startRequest(drainer);
+    startRequest(drainer);
+
+    const drained = drainer.drain();
+    jest.advanceTimersByTime(500);
+    await expect(drained).resolves.toEqual({ drained: false, abandoned: 2 });
+    expect(server.closeAllConnections).toHaveBeenCalled();
+    jest.useRealTimers();
+  });
+});
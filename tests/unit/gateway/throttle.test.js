@@ -0,0 +1,110 @@
+const { createThrottler, createTokenBucket, createDailyQuota } = require('../../../gateway/throttle');
+const { ErrorHandler } = require('../../../services/shared/utils/error-handler');
+
+describe('Gateway throttling', () => {
+  const T0 = Date.UTC(2024, 0, 1, 12, 0, 0);
+  const route = (overrides = {}) => ({ stage: 'legacy', method: 'GET', path: '/files', ...overrides });
+
+  test('token bucket should allow a burst, then refill at the rate limit', () => {
+    const bucket = createTokenBucket({ rateLimit: 2, burstLimit: 3 }, T0);
+
+    expect([1, 2, 3].map(() => bucket.take(T0).allowed)).toEqual([true, true, true]);
+    expect(bucket.take(T0)).toEqual({ allowed: false, retryAfterMs: 500 });
+    expect(bucket.take(T0 + 500).allowed).toBe(true);
+    // Never refills past the burst limit
+    const refilled = [1, 2, 3, 4].map(() => bucket.take(T0 + 60000).allowed);
+    expect(refilled).toEqual([true, true, true, false]);
+  });
+
+  test('daily quota should reset at midnight UTC', () => {
+    const quota = createDailyQuota({ limit: 2 });
+
+    expect(quota.take(T0).remaining).toBe(1);
+    expect(quota.take(T0).remaining).toBe(0);
+    expect(quota.take(T0)).toEqual({ allowed: false, remaining: 0, resetAt: Date.UTC(2024, 0, 2) });
+    expect(quota.take(Date.UTC(2024, 0, 2)).allowed).toBe(true);
+  });
+
+  test('should throttle each route separately', () => {
+    const throttler = createThrottler();
+    const limited = route({ throttle: { rateLimit: 1, burstLimit: 1 } });
+
+    expect(throttler.check(limited, null, T0).allowed).toBe(true);
+    expect(throttler.check(limited, null, T0)).toEqual({
+      allowed: false, reason: 'rate', scope: 'route', retryAfterSeconds: 1
+    });
+    expect(throttler.check(route({ path: '/download', throttle: limited.throttle }), null, T0).allowed).toBe(true);
+    expect(throttler.check(route(), null, T0).allowed).toBe(true);
+  });
+
+  test('should apply the default route throttle to routes without one', () => {
+    const throttler = createThrottler({ defaultRouteThrottle: { rateLimit: 1 } });
+
+    throttler.check(route(), null, T0);
+    expect(throttler.check(route(), null, T0).allowed).toBe(false);
+  });
+
+  test('should throttle and meter each API key by its usage plan', () => {
+    const throttler = createThrottler({
+      usagePlans: { basic: { throttle: { rateLimit: 10, burstLimit: 2 }, quota: { limit: 3, period: 'DAY' } } }
+    });
+    const keyA = { apiKeyId: 'a', usagePlan: 'basic' };
+    const keyB = { apiKeyId: 'b', usagePlan: 'basic' };
+
+    expect(throttler.check(route(), keyA, T0).allowed).toBe(true);
+    expect(throttler.check(route(), keyA, T0).allowed).toBe(true);
+    expect(throttler.check(route(), keyA, T0)).toMatchObject({ allowed: false, reason: 'rate', scope: 'api-key' });
+    expect(throttler.check(route(), keyB, T0).allowed).toBe(true);
+
+    // Throttled requests do not count towards the quota
+    expect(throttler.check(route(), keyA, T0 + 1000).allowed).toBe(true);
+    const exhausted = throttler.check(route(), keyA, T0 + 2000);
+    expect(exhausted).toMatchObject({ allowed: false, reason: 'quota', scope: 'api-key' });
+    expect(exhausted.retryAfterSeconds).toBe(12 * 60 * 60 - 2);
+
+    expect(throttler.getStats()).toMatchObject({
+      allowed: 4, throttled: 1, quotaExceeded: 1, byApiKey: { a: 2 }, byRoute: { 'legacy GET /files': 2 }
+    });
+  });
+
+  test('reset should refill buckets and clear counters', () => {
+    const throttler = createThrottler({ defaultRouteThrottle: { rateLimit: 1 } });
+    throttler.check(route(), null, T0);
+    throttler.check(route(), null, T0);
+
+    throttler.reset();
+
+    expect(throttler.getStats()).toMatchObject({ allowed: 0, throttled: 0 });
+    expect(throttler.check(route(), null, T0).allowed).toBe(true);
+  });
+
+  test('should enforce its share of every limit when several processes split them', () => {
+    const throttler = createThrottler({
+      defaultRouteThrottle: { rateLimit: 10, burstLimit: 4 },
+      usagePlans: { basic: { quota: { limit: 3, period: 'DAY' } } },
+      shares: 2
+    });
+
+    expect([1, 2, 3].map(() => throttler.check(route(), null, T0).allowed)).toEqual([true, true, false]);
+    // Half the rate: one token every 200ms
+    expect(throttler.check(route(), null, T0).retryAfterSeconds).toBe(1);
+    expect(throttler.check(route({ path: '/a' }), { apiKeyId: 'a', usagePlan: 'basic' }, T0).allowed).toBe(true);
+    expect(throttler.check(route({ path: '/b' }), { apiKeyId: 'a', usagePlan: 'basic' }, T0).allowed).toBe(true);
+    expect(throttler.check(route({ path: '/c' }), { apiKeyId: 'a', usagePlan: 'basic' }, T0).reason).toBe('quota');
+  });
+
+  test('should reject invalid limits', () => {
+    expect(() => createThrottler({ defaultRouteThrottle: { rateLimit: 0 } })).toThrow('positive rateLimit');
+    expect(() => createThrottler({ usagePlans: { p: { quota: { limit: 10, period: 'WEEK' } } } })).toThrow('period DAY');
+  });
+
+  test('throttling errors should map to 429 with Retry-After', () => {
+    const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const response = ErrorHandler.handleError(ErrorHandler.createThrottlingError('Too Many Requests', 3));
+    consoleSpy.mockRestore();
+
+    expect(response.statusCode).toBe(429);
+    expect(response.headers['Retry-After']).toBe('3');
+    expect(JSON.parse(response.body).error).toMatchObject({ code: 'TOO_MANY_REQUESTS', message: 'Too Many Requests' });
+  });
+});
@@ -0,0 +1,46 @@
+const { createTraceStore } = require('../../../gateway/traces');
+
+describe('Gateway trace store', () => {
+  const span = (traceId, spanId, parentSpanId, startTime, durationMs, status = 'UNSET') => ({
+    traceId,
+    spanId,
+    parentSpanId,
+    name: `span-${spanId}`,
+    startTime: new Date(startTime).toISOString(),
+    durationMs,
+    status: { code: status }
+  });
+
+  test('should group spans by trace and summarize the slowest traces', () => {
+    const store = createTraceStore();
+    // Children end before their parents
+    store.record(span('a', 'a2', 'a1', 1010, 40));
+    store.record(span('a', 'a1', 'remote', 1000, 50));
+    store.record(span('b', 'b1', null, 2000, 500, 'ERROR'));
+
+    expect(store.size()).toBe(3);
+    expect(store.get('A').map(entry => entry.spanId)).toEqual(['a1', 'a2']);
+    expect(store.get('missing')).toEqual([]);
+
+    expect(store.list()).toEqual([
+      { traceId: 'b', name: 'span-b1', startTime: new Date(2000).toISOString(), durationMs: 500, status: 'ERROR', spans: 1 },
+      { traceId: 'a', name: 'span-a1', startTime: new Date(1000).toISOString(), durationMs: 50, status: 'UNSET', spans: 2 }
+    ]);
+    expect(store.list({ minDurationMs: 100 }).map(trace => trace.traceId)).toEqual(['b']);
+    expect(store.list({ limit: 1 })).toHaveLength(1);
+
+    expect(store.clear()).toBe(3);
+    expect(store.list()).toEqual([]);
+  });
+
+  test('should drop the oldest spans beyond maxSpans', () => {
+    const store = createTraceStore({ maxSpans: 2 });
+    store.record(span('a', 'a1', null, 1000, 10));
+    store.record(span('b', 'b1', null, 2000, 10));
+    store.record(span('b', 'b2', 'b1', 2001, 5));
+
+    expect(store.size()).toBe(2);
+    expect(store.get('a')).toEqual([]);
+    expect(store.list().map(trace => trace.traceId)).toEqual(['b']);
+  });
+});
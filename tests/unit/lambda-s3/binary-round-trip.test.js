@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const lambdaModule = require('../../../lambda/index');
+const { LambdaS3Handler } = require('../../../services/lambda-s3/src/handler');
+const { ValidationService } = require('../../../services/lambda-s3/src/services/validation-service');
+
+// Minimal in-memory S3 that returns bodies the way the SDK does
+const createMemoryS3 = () => {
+  const objects = new Map();
+  return {
+    objects,
+    send: jest.fn(async (command) => {
+      const { Key, Body, ContentType } = command.input;
+      switch (command.constructor.name) {
+        case 'PutObjectCommand':
+          objects.set(Key, { body: Buffer.from(Body), contentType: ContentType });
+          return { ETag: `"${crypto.createHash('md5').update(Buffer.from(Body)).digest('hex')}"` };
+        case 'GetObjectCommand': {
+          const object = objects.get(Key);
+          const bytes = new Uint8Array(object.body);
+          return {
+            Body: {
+              transformToByteArray: async () => bytes,
+              [Symbol.asyncIterator]: async function* () { yield bytes; }
+            },
+            ContentType: object.contentType,
+            ContentLength: object.body.length
+          };
+        }
+        default:
+          return {};
+      }
+    })
+  };
+};
+
+// Bytes that are not valid UTF-8, so any text decoding along the way would corrupt them
+const binaryPayload = () => Buffer.concat([
+  Buffer.from([0x00, 0xff, 0xfe, 0x80, 0xc3, 0x28, 0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  crypto.randomBytes(4096)
+]);
+
+const { allowedExtensions } = new ValidationService();
+
+describe('Binary round trip', () => {
+  describe('enterprise lambda-s3 handler', () => {
+    let lambdaHandler;
+    const context = { awsRequestId: 'round-trip' };
+
+    beforeEach(() => {
+      lambdaHandler = new LambdaS3Handler();
+      lambdaHandler.s3Service.s3Client = createMemoryS3();
+    });
+
+    test.each(allowedExtensions)('should return .%s files byte for byte', async (extension) => {
+      const filename = `sample.${extension}`;
+      const payload = binaryPayload();
+
+      const upload = await lambdaHandler.handler({
+        httpMethod: 'POST',
+        queryStringParameters: { filename },
+        body: payload.toString('base64'),
+        isBase64Encoded: true
+      }, context);
+      expect(upload.statusCode).toBe(200);
+
+      const download = await lambdaHandler.handler({
+        httpMethod: 'GET',
+        queryStringParameters: { filename }
+      }, context);
+
+      expect(download.statusCode).toBe(200);
+      expect(download.isBase64Encoded).toBe(true);
+      expect(Buffer.from(download.body, 'base64').equals(payload)).toBe(true);
+    });
+  });
+
+  describe('legacy lambda in binary mode', () => {
+    beforeEach(() => {
+      lambdaModule.s3Client = createMemoryS3();
+    });
+
+    test.each(allowedExtensions)('should return .%s files byte for byte', async (extension) => {
+      const filename = `sample.${extension}`;
+      const payload = binaryPayload();
+
+      const upload = await lambdaModule.handler({
+        httpMethod: 'POST',
+        body: JSON.stringify({ filename, content: payload.toString('base64') })
+      });
+      expect(upload.statusCode).toBe(200);
+
+      const download = await lambdaModule.handler({
+        httpMethod: 'GET',
+        headers: { Accept: 'application/octet-stream' },
+        queryStringParameters: { filename }
+      });
+
+      expect(download.statusCode).toBe(200);
+      expect(download.isBase64Encoded).toBe(true);
+      expect(download.headers['Content-Type']).toBe('application/octet-stream');
+      expect(Buffer.from(download.body, 'base64').equals(payload)).toBe(true);
+    });
+  });
+});
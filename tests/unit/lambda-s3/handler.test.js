@@ -0,0 +1,301 @@
+const { LambdaS3Handler } = require('../../../services/lambda-s3/src/handler');
+
+describe('LambdaS3Handler', () => {
+  let lambdaHandler;
+  const context = { awsRequestId: 'test-request-id' };
+
+  beforeEach(() => {
+    lambdaHandler = new LambdaS3Handler();
+    lambdaHandler.s3Service.s3Client = { send: jest.fn() };
+  });
+
+  describe('presigned URLs', () => {
+    test('should sign content type and length into upload URLs', async () => {
+      const result = await lambdaHandler.handler({
+        httpMethod: 'GET',
+        path: '/presign/upload',
+        queryStringParameters: { filename: 'report.pdf', contentLength: '2048', expiresIn: '60' }
+      }, context);
+
+      expect(result.statusCode).toBe(200);
+      const body = JSON.parse(result.body);
+      expect(body.method).toBe('PUT');
+      expect(body.expiresIn).toBe(60);
+      expect(body.headers).toEqual({ 'Content-Type': 'application/pdf', 'Content-Length': '2048' });
+      expect(body.url).toContain('X-Amz-Expires=60');
+      expect(body.url).toContain('X-Amz-SignedHeaders=content-length%3Bcontent-type%3Bhost');
+    });
+
+    test('should reject uploads above the maximum file size', async () => {
+      const result = await lambdaHandler.handler({
+        httpMethod: 'GET',
+        path: '/presign/upload',
+        queryStringParameters: { filename: 'huge.zip', contentLength: String(50 * 1024 * 1024) }
+      }, context);
+
+      expect(result.statusCode).toBe(400);
+      expect(JSON.parse(result.body).error.message).toMatch(/File too large/);
+    });
+
+    test('should require the exact upload size', async () => {
+      for (const contentLength of [undefined, '-5', '1.5']) {
+        const result = await lambdaHandler.handler({
+          httpMethod: 'GET',
+          path: '/presign/upload',
+          queryStringParameters: { filename: 'report.pdf', ...(contentLength && { contentLength }) }
+        }, context);
+
+        expect(result.statusCode).toBe(400);
+        expect(JSON.parse(result.body).error.message).toMatch(/exact size of the upload/);
+      }
+    });
+
+    test('should reject filenames that fail validation', async () => {
+      const result = await lambdaHandler.handler({
+        httpMethod: 'GET',
+        path: '/presign/download',
+        queryStringParameters: { filename: '../secret.txt' }
+      }, context);
+
+      expect(result.statusCode).toBe(400);
+    });
+
+    test('should use the default expiry for download URLs', async () => {
+      const result = await lambdaHandler.handler({
+        httpMethod: 'GET',
+        path: '/presign/download',
+        queryStringParameters: { filename: 'report.pdf' }
+      }, context);
+
+      expect(result.statusCode).toBe(200);
+      const body = JSON.parse(result.body);
+      expect(body.expiresIn).toBe(900);
+      expect(body.url).toContain('X-Amz-Expires=900');
+    });
+
+    test('should reject expiry outside the allowed range', async () => {
+      const result = await lambdaHandler.handler({
+        httpMethod: 'GET',
+        path: '/presign/download',
+        queryStringParameters: { filename: 'report.pdf', expiresIn: '999999999' }
+      }, context);
+
+      expect(result.statusCode).toBe(400);
+    });
+  });
+
+  describe('file listing', () => {
+    test('should pass prefix, delimiter and pagination through to ListObjectsV2', async () => {
+      lambdaHandler.s3Service.s3Client.send.mockResolvedValue({
+        Contents: [{ Key: 'docs/a.txt', Size: 5, ETag: '"e"', LastModified: new Date('2025-01-01T00:00:00Z') }],
+        CommonPrefixes: [{ Prefix: 'docs/archive/' }],
+        IsTruncated: false
+      });
+
+      const result = await lambdaHandler.handler({
+        httpMethod: 'GET',
+        path: '/files',
+        queryStringParameters: { prefix: 'docs/', delimiter: '/', continuationToken: 'abc', maxKeys: '50' }
+      }, context);
+
+      expect(result.statusCode).toBe(200);
+      const body = JSON.parse(result.body);
+      expect(body.files[0]).toEqual({
+        key: 'docs/a.txt', size: 5, etag: '"e"', lastModified: '2025-01-01T00:00:00.000Z'
+      });
+      expect(body.folders).toEqual(['docs/archive/']);
+      expect(body.nextContinuationToken).toBeNull();
+
+      const [command] = lambdaHandler.s3Service.s3Client.send.mock.calls[0];
+      expect(command.input).toMatchObject({
+        Prefix: 'docs/', Delimiter: '/', ContinuationToken: 'abc', MaxKeys: 50
+      });
+    });
+
+    test('should reject an invalid page size', async () => {
+      const result = await lambdaHandler.handler({
+        httpMethod: 'GET',
+        path: '/files',
+        queryStringParameters: { maxKeys: '0' }
+      }, context);
+
+      expect(result.statusCode).toBe(400);
+    });
+  });
+
+  describe('downloads', () => {
+    test('should return partial content for range requests', async () => {
+      lambdaHandler.s3Service.s3Client.send.mockResolvedValue({
+        Body: 'hello',
+        ContentLength: 5,
+        ContentRange: 'bytes 0-4/20',
+        ETag: '"etag"',
+        LastModified: new Date('2025-01-01T00:00:00Z')
+      });
+
+      const result = await lambdaHandler.handler({
+        httpMethod: 'GET',
+        headers: { Range: 'bytes=0-4' },
+        queryStringParameters: { filename: 'notes.txt' }
+      }, context);
+
+      expect(result.statusCode).toBe(206);
+      expect(result.headers['Content-Range']).toBe('bytes 0-4/20');
+      expect(result.headers['Last-Modified']).toBe('Wed, 01 Jan 2025 00:00:00 GMT');
+      expect(result.headers['Accept-Ranges']).toBe('bytes');
+    });
+
+    test('should return 304 when S3 reports the object unchanged', async () => {
+      const notModified = new Error('NotModified');
+      notModified.$metadata = { httpStatusCode: 304 };
+      notModified.$response = { headers: { etag: '"etag"' } };
+      lambdaHandler.s3Service.s3Client.send.mockRejectedValue(notModified);
+
+      const result = await lambdaHandler.handler({
+        httpMethod: 'GET',
+        headers: { 'If-None-Match': '"etag"' },
+        queryStringParameters: { filename: 'notes.txt' }
+      }, context);
+
+      expect(result.statusCode).toBe(304);
+      expect(result.headers.ETag).toBe('"etag"');
+    });
+
+    test('should map invalid ranges to 416', async () => {
+      const invalidRange = new Error('InvalidRange');
+      invalidRange.name = 'InvalidRange';
+      invalidRange.$metadata = { httpStatusCode: 416 };
+      lambdaHandler.s3Service.s3Client.send.mockRejectedValue(invalidRange);
+
+      const result = await lambdaHandler.handler({
+        httpMethod: 'GET',
+        headers: { Range: 'bytes=50-60' },
+        queryStringParameters: { filename: 'notes.txt' }
+      }, context);
+
+      expect(result.statusCode).toBe(416);
+      expect(JSON.parse(result.body).error.code).toBe('RANGE_NOT_SATISFIABLE');
+    });
+  });
+
+  describe('metadata and deletion', () => {
+    test('should answer HEAD with the object headers and no body', async () => {
+      lambdaHandler.s3Service.s3Client.send.mockResolvedValue({
+        ContentLength: 2048,
+        ContentType: 'application/pdf',
+        ETag: '"etag"',
+        LastModified: new Date('2025-01-01T00:00:00Z')
+      });
+
+      const result = await lambdaHandler.handler({
+        httpMethod: 'HEAD',
+        path: '/files/reports/q1.pdf',
+        pathParameters: { name: 'reports/q1.pdf' }
+      }, context);
+
+      expect(result.statusCode).toBe(200);
+      expect(result.body).toBe('');
+      expect(result.headers['Content-Length']).toBe('2048');
+      expect(result.headers.ETag).toBe('"etag"');
+      const [command] = lambdaHandler.s3Service.s3Client.send.mock.calls[0];
+      expect(command.constructor.name).toBe('HeadObjectCommand');
+      expect(command.input.Key).toBe('reports/q1.pdf');
+    });
+
+    test('should map a missing object to 404', async () => {
+      const notFound = new Error('NotFound');
+      notFound.name = 'NotFound';
+      notFound.$metadata = { httpStatusCode: 404 };
+      lambdaHandler.s3Service.s3Client.send.mockRejectedValue(notFound);
+
+      const result = await lambdaHandler.handler({
+        httpMethod: 'HEAD',
+        pathParameters: { name: 'missing.txt' }
+      }, context);
+
+      expect(result.statusCode).toBe(404);
+    });
+
+    test('should answer a missing event with 400', async () => {
+      const result = await lambdaHandler.handler(null, context);
+
+      expect(result.statusCode).toBe(400);
+      expect(JSON.parse(result.body).error.message).toBe('Event object is required');
+    });
+
+    test('should delete the file named in the path', async () => {
+      lambdaHandler.s3Service.s3Client.send.mockResolvedValue({});
+
+      const result = await lambdaHandler.handler({
+        httpMethod: 'DELETE',
+        pathParameters: { name: 'notes.txt' }
+      }, context);
+
+      expect(result.statusCode).toBe(200);
+      expect(JSON.parse(result.body).filename).toBe('notes.txt');
+      expect(lambdaHandler.s3Service.s3Client.send.mock.calls[0][0].input.Key).toBe('notes.txt');
+    });
+  });
+
+  describe('integrity checks', () => {
+    test('should reject a malformed Content-MD5 header before uploading', async () => {
+      const result = await lambdaHandler.handler({
+        httpMethod: 'POST',
+        headers: { 'Content-MD5': 'not-a-digest' },
+        queryStringParameters: { filename: 'notes.txt' },
+        body: 'hello'
+      }, context);
+
+      expect(result.statusCode).toBe(400);
+      expect(lambdaHandler.s3Service.s3Client.send).not.toHaveBeenCalled();
+    });
+
+    test('should report a checksum mismatch as 400', async () => {
+      const badDigest = new Error('The Content-MD5 you specified did not match what we received.');
+      badDigest.name = 'BadDigest';
+      badDigest.$metadata = { httpStatusCode: 400 };
+      lambdaHandler.s3Service.s3Client.send.mockRejectedValue(badDigest);
+
+      const result = await lambdaHandler.handler({
+        httpMethod: 'POST',
+        headers: { 'Content-MD5': 'XUFAKrxLKna5cZ2REBfFkg==' },
+        queryStringParameters: { filename: 'notes.txt' },
+        body: 'hello'
+      }, context);
+
+      expect(result.statusCode).toBe(400);
+      expect(JSON.parse(result.body).error.code).toBe('CHECKSUM_MISMATCH');
+      expect(lambdaHandler.s3Service.s3Client.send.mock.calls[0][0].input.ContentMD5).toBe('XUFAKrxLKna5cZ2REBfFkg==');
+    });
+  });
+
+    describe('versions', () => {
+    test('should download a specific version and report its id', async () => {
+      lambdaHandler.s3Service.s3Client.send.mockResolvedValue({
+        Body: 'old',
+        ContentLength: 3,
+        VersionId: 'v1'
+      });
+
+      const result = await lambdaHandler.handler({
+        httpMethod: 'GET',
+        queryStringParameters: { filename: 'notes.txt', versionId: 'v1' }
+      }, context);
+
+      expect(result.statusCode).toBe(200);
+      expect(result.headers['x-amz-version-id']).toBe('v1');
+      expect(lambdaHandler.s3Service.s3Client.send.mock.calls[0][0].input.VersionId).toBe('v1');
+    });
+
+    test('should require a version id to restore', async () => {
+      const result = await lambdaHandler.handler({
+        httpMethod: 'POST',
+        path: '/restore',
+        queryStringParameters: { filename: 'notes.txt' }
+      }, context);
+
+      expect(result.statusCode).toBe(400);
+      expect(lambdaHandler.s3Service.s3Client.send).not.toHaveBeenCalled();
+    });
+  });
+});
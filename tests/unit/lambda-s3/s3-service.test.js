@@ -0,0 +1,342 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { S3Service } = require('../../../services/lambda-s3/src/services/s3-service');
+
+const MB = 1024 * 1024;
+
+describe('S3Service', () => {
+  let service;
+  let mockSend;
+
+  beforeEach(() => {
+    service = new S3Service({ partSize: 5 * MB, queueSize: 2, multipartThreshold: 6 * MB });
+    mockSend = jest.fn();
+    service.s3Client = { send: mockSend };
+  });
+
+  const commandsSent = (name) =>
+    mockSend.mock.calls.map(([command]) => command).filter((command) => command.constructor.name === name);
+
+  describe('multipart uploads', () => {
+    beforeEach(() => {
+      mockSend.mockImplementation(async (command) => {
+        switch (command.constructor.name) {
+          case 'CreateMultipartUploadCommand':
+            return { UploadId: 'upload-1' };
+          case 'UploadPartCommand':
+            return { ETag: `"etag-${command.input.PartNumber}"` };
+          case 'CompleteMultipartUploadCommand':
+            return { ETag: '"final"' };
+          default:
+            return {};
+        }
+      });
+    });
+
+    test('should use a single PutObject below the multipart threshold', async () => {
+      await service.uploadFile('small.txt', 'hello');
+
+      expect(commandsSent('PutObjectCommand')).toHaveLength(1);
+      expect(commandsSent('CreateMultipartUploadCommand')).toHaveLength(0);
+    });
+
+    test('should split large buffers into ordered parts', async () => {
+      const result = await service.uploadFile('large.zip', Buffer.alloc(12 * MB));
+
+      expect(result.UploadId).toBe('upload-1');
+      expect(commandsSent('UploadPartCommand').map((c) => c.input.Body.length))
+        .toEqual([5 * MB, 5 * MB, 2 * MB]);
+
+      const [complete] = commandsSent('CompleteMultipartUploadCommand');
+      expect(complete.input.MultipartUpload.Parts).toEqual([
+        { PartNumber: 1, ETag: '"etag-1"' },
+        { PartNumber: 2, ETag: '"etag-2"' },
+        { PartNumber: 3, ETag: '"etag-3"' }
+      ]);
+    });
+
+    test('should re-chunk readable streams into part-sized bodies', async () => {
+      const chunks = Array.from({ length: 11 }, () => Buffer.alloc(MB));
+
+      await service.uploadMultipart('stream.zip', Readable.from(chunks));
+
+      expect(commandsSent('UploadPartCommand').map((c) => c.input.Body.length))
+        .toEqual([5 * MB, 5 * MB, MB]);
+    });
+
+    test('should skip parts already uploaded when resuming', async () => {
+      mockSend.mockImplementation(async (command) => {
+        switch (command.constructor.name) {
+          case 'ListPartsCommand':
+            return { Parts: [{ PartNumber: 1, ETag: '"stored-1"', Size: 5 * MB }] };
+          case 'UploadPartCommand':
+            return { ETag: `"etag-${command.input.PartNumber}"` };
+          default:
+            return {};
+        }
+      });
+
+      await service.uploadMultipart('resume.zip', Buffer.alloc(7 * MB), { uploadId: 'upload-9' });
+
+      expect(commandsSent('CreateMultipartUploadCommand')).toHaveLength(0);
+      expect(commandsSent('UploadPartCommand').map((c) => c.input.PartNumber)).toEqual([2]);
+      const [complete] = commandsSent('CompleteMultipartUploadCommand');
+      expect(complete.input.UploadId).toBe('upload-9');
+      expect(complete.input.MultipartUpload.Parts[0]).toEqual({ PartNumber: 1, ETag: '"stored-1"' });
+    });
+
+    test('should abort the upload when a part fails', async () => {
+      mockSend.mockImplementation(async (command) => {
+        if (command.constructor.name === 'CreateMultipartUploadCommand') return { UploadId: 'upload-2' };
+        if (command.constructor.name === 'UploadPartCommand') throw new Error('part failed');
+        return {};
+      });
+
+      await expect(service.uploadMultipart('fail.zip', Buffer.alloc(6 * MB))).rejects.toThrow('part failed');
+
+      const [abort] = commandsSent('AbortMultipartUploadCommand');
+      expect(abort.input.UploadId).toBe('upload-2');
+    });
+
+    test('should complete with each part under its own number when responses arrive out of order', async () => {
+      // Later parts answer first
+      mockSend.mockImplementation(async (command) => {
+        switch (command.constructor.name) {
+          case 'CreateMultipartUploadCommand':
+            return { UploadId: 'upload-4' };
+          case 'UploadPartCommand':
+            await new Promise(resolve => setTimeout(resolve, (5 - command.input.PartNumber) * 10));
+            return { ETag: `"etag-${command.input.PartNumber}"` };
+          default:
+            return {};
+        }
+      });
+
+      await service.uploadMultipart('late.zip', Buffer.alloc(16 * MB));
+
+      const [complete] = commandsSent('CompleteMultipartUploadCommand');
+      expect(complete.input.MultipartUpload.Parts).toEqual([
+        { PartNumber: 1, ETag: '"etag-1"' },
+        { PartNumber: 2, ETag: '"etag-2"' },
+        { PartNumber: 3, ETag: '"etag-3"' },
+        { PartNumber: 4, ETag: '"etag-4"' }
+      ]);
+    });
+
+    test('should stop reading the source and abort when a part fails mid-stream', async () => {
+      mockSend.mockImplementation(async (command) => {
+        if (command.constructor.name === 'CreateMultipartUploadCommand') return { UploadId: 'upload-5' };
+        if (command.constructor.name === 'UploadPartCommand') {
+          // Part 1 fails while the next part is still being read, so nothing is waiting on it
+          if (command.input.PartNumber === 1) throw new Error('part 1 failed');
+          await new Promise(resolve => setTimeout(resolve, 10));
+          return { ETag: `"etag-${command.input.PartNumber}"` };
+        }
+        return {};
+      });
+      let chunksRead = 0;
+      const source = Readable.from((async function* () {
+        for (let i = 0; i < 40; i++) {
+          chunksRead++;
+          await new Promise(resolve => setTimeout(resolve, 1));
+          yield Buffer.alloc(MB);
+        }
+      })());
+
+      await expect(service.uploadMultipart('mid.zip', source)).rejects.toThrow('part 1 failed');
+
+      expect(chunksRead).toBeLessThan(40);
+      expect(commandsSent('CompleteMultipartUploadCommand')).toHaveLength(0);
+      const [abort] = commandsSent('AbortMultipartUploadCommand');
+      expect(abort.input.UploadId).toBe('upload-5');
+    });
+
+    test('should keep parts and expose the upload id when resumable', async () => {
+      mockSend.mockImplementation(async (command) => {
+        if (command.constructor.name === 'CreateMultipartUploadCommand') return { UploadId: 'upload-3' };
+        if (command.constructor.name === 'UploadPartCommand') throw new Error('part failed');
+        return {};
+      });
+
+      const error = await service
+        .uploadMultipart('keep.zip', Buffer.alloc(6 * MB), { leavePartsOnError: true })
+        .catch((e) => e);
+
+      expect(error.uploadId).toBe('upload-3');
+      expect(commandsSent('AbortMultipartUploadCommand')).toHaveLength(0);
+    });
+  });
+
+  describe('batch operations', () => {
+    test('should upload files with at most batchConcurrency in flight and report each result', async () => {
+      service.batchConcurrency = 2;
+      let inFlight = 0;
+      let maxInFlight = 0;
+      mockSend.mockImplementation(async (command) => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise(resolve => setTimeout(resolve, 1));
+        inFlight--;
+        if (command.input.Key === 'bad.txt') {
+          throw new Error('Access Denied');
+        }
+        return { ETag: `"${command.input.Key}"` };
+      });
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      const results = await service.uploadFiles(['a.txt', 'bad.txt', 'c.txt', 'd.txt']
+        .map(filename => ({ filename, content: 'data' })));
+      consoleSpy.mockRestore();
+
+      expect(maxInFlight).toBe(2);
+      expect(results).toEqual([
+        { filename: 'a.txt', status: 'uploaded', etag: '"a.txt"' },
+        { filename: 'bad.txt', status: 'failed', error: 'Access Denied' },
+        { filename: 'c.txt', status: 'uploaded', etag: '"c.txt"' },
+        { filename: 'd.txt', status: 'uploaded', etag: '"d.txt"' }
+      ]);
+    });
+
+    test('should delete in DeleteObjects requests of up to 1000 keys', async () => {
+      mockSend.mockImplementation(async (command) => ({
+        Errors: command.input.Delete.Objects.some(({ Key }) => Key === 'file-1500.txt')
+          ? [{ Key: 'file-1500.txt', Code: 'AccessDenied', Message: 'Access Denied' }]
+          : []
+      }));
+      const filenames = Array.from({ length: 2001 }, (_, i) => `file-${i}.txt`);
+
+      const results = await service.deleteFiles(filenames);
+
+      expect(commandsSent('DeleteObjectsCommand').map(command => command.input.Delete.Objects.length))
+        .toEqual([1000, 1000, 1]);
+      expect(results[1500]).toEqual({ filename: 'file-1500.txt', status: 'failed', error: 'AccessDenied: Access Denied' });
+      expect(results.filter(result => result.status === 'deleted')).toHaveLength(2000);
+    });
+  });
+
+  describe('versioning', () => {
+    test('should list the versions and delete markers of exactly one key, newest first', async () => {
+      mockSend.mockResolvedValue({
+        Versions: [
+          { Key: 'notes.txt', VersionId: 'v2', IsLatest: false, Size: 5, LastModified: new Date('2025-01-02T00:00:00Z') },
+          { Key: 'notes.txt', VersionId: 'v1', IsLatest: false, Size: 4, LastModified: new Date('2025-01-01T00:00:00Z') },
+          { Key: 'notes.txt.bak', VersionId: 'b1', IsLatest: true, Size: 4, LastModified: new Date('2025-01-05T00:00:00Z') }
+        ],
+        DeleteMarkers: [
+          { Key: 'notes.txt', VersionId: 'd1', IsLatest: true, LastModified: new Date('2025-01-03T00:00:00Z') }
+        ],
+        IsTruncated: false
+      });
+
+      const result = await service.listVersions('notes.txt');
+
+      expect(commandsSent('ListObjectVersionsCommand')[0].input.Prefix).toBe('notes.txt');
+      expect(result.versions.map(version => [version.versionId, version.deleteMarker])).toEqual([
+        ['d1', true],
+        ['v2', false],
+        ['v1', false]
+      ]);
+      expect(result.nextKeyMarker).toBeNull();
+    });
+
+    test('should restore a version by copying it over the current one', async () => {
+      mockSend.mockResolvedValue({ VersionId: 'v3' });
+
+      const result = await service.restoreVersion('reports/q1 final.pdf', 'v1');
+
+      expect(result.VersionId).toBe('v3');
+      expect(commandsSent('CopyObjectCommand')[0].input).toMatchObject({
+        Key: 'reports/q1 final.pdf',
+        CopySource: `${service.bucketName}/reports%2Fq1%20final.pdf?versionId=v1`
+      });
+    });
+  });
+
+  describe('encryption and checksums', () => {
+    const sha256 = (content) => crypto.createHash('sha256').update(content).digest('base64');
+
+    test('should encrypt with KMS and send a SHA-256 checksum for S3 to check', async () => {
+      service = new S3Service({ encryption: 'aws:kms', kmsKeyId: 'alias/lambda-s3', checksumAlgorithm: 'sha256' });
+      service.s3Client = { send: mockSend };
+      mockSend.mockResolvedValue({ ETag: '"etag"' });
+
+      await service.uploadFile('notes.txt', 'hello');
+
+      const { input } = commandsSent('PutObjectCommand')[0];
+      expect(input).toMatchObject({
+        ServerSideEncryption: 'aws:kms',
+        SSEKMSKeyId: 'alias/lambda-s3',
+        ChecksumAlgorithm: 'SHA256',
+        ChecksumSHA256: sha256('hello')
+      });
+      expect(input.Metadata['content-sha256']).toBe(sha256('hello'));
+    });
+
+    test('should reject a download that does not match the checksum stored at upload', async () => {
+      mockSend.mockResolvedValue({
+        Body: Buffer.from('tampered'),
+        ContentLength: 8,
+        Metadata: { 'content-sha256': sha256('hello') }
+      });
+
+      await expect(service.downloadFile('notes.txt')).rejects.toMatchObject({ name: 'ChecksumMismatchError' });
+
+      mockSend.mockResolvedValue({
+        Body: Buffer.from('hello'),
+        ContentLength: 5,
+        Metadata: { 'content-sha256': sha256('hello') }
+      });
+      await expect(service.downloadFile('notes.txt')).resolves.toMatchObject({ ContentLength: 5 });
+    });
+
+    test('should check client checksums of uploads above the multipart threshold before sending parts', async () => {
+      const content = Buffer.alloc(7 * MB, 1);
+      mockSend.mockImplementation(async (command) => {
+        switch (command.constructor.name) {
+          case 'CreateMultipartUploadCommand':
+            return { UploadId: 'upload-6' };
+          case 'UploadPartCommand':
+            return { ETag: `"etag-${command.input.PartNumber}"` };
+          default:
+            return {};
+        }
+      });
+
+      await expect(service.uploadFile('large.bin', content, { checksumSha256: sha256('other') }))
+        .rejects.toMatchObject({ name: 'ChecksumMismatchError' });
+      expect(mockSend).not.toHaveBeenCalled();
+
+      await service.uploadFile('large.bin', content, { checksumSha256: sha256(content) });
+      const [create] = commandsSent('CreateMultipartUploadCommand');
+      expect(create.input.Metadata['content-sha256']).toBe(sha256(content));
+    });
+
+    test('should refuse an unknown encryption mode', () => {
+      expect(() => new S3Service({ encryption: 'rot13' })).toThrow('Unsupported S3_SSE');
+    });
+  });
+
+    describe('healthCheck', () => {
+    test('should check bucket access with HeadBucket', async () => {
+      mockSend.mockResolvedValue({});
+
+      const result = await service.healthCheck();
+
+      expect(result).toMatchObject({ healthy: true });
+      expect(commandsSent('HeadBucketCommand')[0].input.Bucket).toBe(service.bucketName);
+    });
+
+    test('should report why the bucket is unavailable', async () => {
+      const error = new Error('NotFound');
+      error.name = 'NotFound';
+      mockSend.mockRejectedValue(error);
+      // The logger writes errors with console.log
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      const result = await service.healthCheck();
+      consoleSpy.mockRestore();
+
+      expect(result).toMatchObject({ healthy: false, error: 'NotFound' });
+    });
+  });
+});
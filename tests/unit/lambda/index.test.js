@@ -2,6 +2,7 @@
 const lambdaModule = require('../../../lambda/index');
 const { handler } = lambdaModule;
 const { S3Client, PutObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+const { MetricsCollector } = require('../../../services/shared/utils/metrics');
 
 // Don't mock the AWS SDK completely, just create a mock client
 console.log('Setting up test environment');
@@ -95,4 +96,279 @@ describe('Lambda Handler Tests', () => {
       console.log('GET test completed successfully');
     });
   });
+
+  describe('HEAD and DELETE /files/{name}', () => {
+    test('should return object metadata without a body', async () => {
+      mockSend.mockResolvedValue({
+        ETag: '"v1"',
+        ContentLength: 12,
+        ContentType: 'text/plain',
+        LastModified: new Date('2025-01-01T00:00:00Z')
+      });
+
+      const result = await handler({ httpMethod: 'HEAD', pathParameters: { name: 'reports/test.txt' } });
+
+      expect(result.statusCode).toBe(200);
+      expect(result.body).toBe('');
+      expect(result.headers).toMatchObject({
+        'Content-Length': '12',
+        'Content-Type': 'text/plain',
+        'ETag': '"v1"',
+        'Last-Modified': 'Wed, 01 Jan 2025 00:00:00 GMT'
+      });
+      expect(mockSend.mock.calls[0][0].input.Key).toBe('reports/test.txt');
+    });
+
+    test('should return 404 for a missing object', async () => {
+      const notFound = new Error('NotFound');
+      notFound.name = 'NotFound';
+      notFound.$metadata = { httpStatusCode: 404 };
+      mockSend.mockRejectedValue(notFound);
+
+      const result = await handler({ httpMethod: 'HEAD', pathParameters: { name: 'missing.txt' } });
+
+      expect(result.statusCode).toBe(404);
+    });
+
+    test('should delete the object and its cached copy', async () => {
+      mockSend.mockResolvedValue({});
+      lambdaModule.cache.set('old.txt', { content: 'b2xk', etag: '"v1"', validatedAt: Date.now() });
+      const before = lambdaModule.getCacheStats().invalidations;
+
+      const result = await handler({ httpMethod: 'DELETE', pathParameters: { name: 'old.txt' } });
+
+      expect(result.statusCode).toBe(200);
+      expect(JSON.parse(result.body)).toEqual({ message: 'File deleted', filename: 'old.txt' });
+      expect(mockSend.mock.calls[0][0].constructor.name).toBe('DeleteObjectCommand');
+      expect(lambdaModule.cache.has('old.txt')).toBe(false);
+      expect(lambdaModule.getCacheStats().invalidations).toBe(before + 1);
+    });
+  });
+
+  describe('GET /files (listing)', () => {
+    test('should return a page of files with pagination state', async () => {
+      const event = {
+        httpMethod: 'GET',
+        path: '/files',
+        queryStringParameters: { prefix: 'logs/', maxKeys: '2' }
+      };
+
+      mockSend.mockResolvedValue({
+        Contents: [
+          { Key: 'logs/a.txt', Size: 10, ETag: '"a"', LastModified: new Date('2025-01-01T00:00:00Z') },
+          { Key: 'logs/b.txt', Size: 20, ETag: '"b"', LastModified: new Date('2025-01-02T00:00:00Z') }
+        ],
+        IsTruncated: true,
+        NextContinuationToken: 'token-2'
+      });
+
+      const result = await handler(event);
+
+      expect(result.statusCode).toBe(200);
+      const body = JSON.parse(result.body);
+      expect(body.files).toEqual([
+        { key: 'logs/a.txt', size: 10, etag: '"a"', lastModified: '2025-01-01T00:00:00.000Z' },
+        { key: 'logs/b.txt', size: 20, etag: '"b"', lastModified: '2025-01-02T00:00:00.000Z' }
+      ]);
+      expect(body.isTruncated).toBe(true);
+      expect(body.nextContinuationToken).toBe('token-2');
+      expect(mockSend.mock.calls[0][0].input).toMatchObject({ Prefix: 'logs/', MaxKeys: 2 });
+    });
+
+    test('should reject page sizes above 1000', async () => {
+      const result = await handler({
+        httpMethod: 'GET',
+        path: '/files',
+        queryStringParameters: { maxKeys: '5000' }
+      });
+
+      expect(result.statusCode).toBe(400);
+      expect(mockSend).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET requests with Range and conditional headers', () => {
+    test('should return 206 with Content-Range for range requests', async () => {
+      mockSend.mockResolvedValue({
+        Body: Buffer.from('test'),
+        ETag: '"abc"',
+        ContentRange: 'bytes 0-3/12'
+      });
+
+      const result = await handler({
+        httpMethod: 'GET',
+        headers: { Range: 'bytes=0-3' },
+        queryStringParameters: { filename: 'test.txt' }
+      });
+
+      expect(result.statusCode).toBe(206);
+      expect(result.headers['Content-Range']).toBe('bytes 0-3/12');
+      expect(result.headers.ETag).toBe('"abc"');
+      expect(mockSend.mock.calls[0][0].input.Range).toBe('bytes=0-3');
+    });
+
+    test('should return 304 when the ETag still matches', async () => {
+      const notModified = new Error('Not Modified');
+      notModified.$metadata = { httpStatusCode: 304 };
+      mockSend.mockRejectedValue(notModified);
+
+      const result = await handler({
+        httpMethod: 'GET',
+        headers: { 'if-none-match': '"abc"' },
+        queryStringParameters: { filename: 'test.txt' }
+      });
+
+      expect(result.statusCode).toBe(304);
+      expect(result.headers.ETag).toBe('"abc"');
+      expect(result.body).toBe('');
+      expect(mockSend.mock.calls[0][0].input.IfNoneMatch).toBe('"abc"');
+    });
+
+    test('should return 416 for ranges outside the object', async () => {
+      const invalidRange = new Error('The requested range is not satisfiable');
+      invalidRange.name = 'InvalidRange';
+      invalidRange.$metadata = { httpStatusCode: 416 };
+      invalidRange.ActualObjectSize = 12;
+      mockSend.mockRejectedValue(invalidRange);
+
+      const result = await handler({
+        httpMethod: 'GET',
+        headers: { range: 'bytes=100-200' },
+        queryStringParameters: { filename: 'test.txt' }
+      });
+
+      expect(result.statusCode).toBe(416);
+      expect(result.headers['Content-Range']).toBe('bytes */12');
+    });
+
+    test('should ignore an unparseable If-Modified-Since date', async () => {
+      mockSend.mockResolvedValue({ Body: Buffer.from('test content') });
+
+      const result = await handler({
+        httpMethod: 'GET',
+        headers: { 'If-Modified-Since': 'not a date' },
+        queryStringParameters: { filename: 'test.txt' }
+      });
+
+      expect(result.statusCode).toBe(200);
+      expect(mockSend.mock.calls[0][0].input.IfModifiedSince).toBeUndefined();
+    });
+  });
+
+  describe('Download cache', () => {
+    const objects = {};
+    const download = () => handler({
+      httpMethod: 'GET',
+      queryStringParameters: { filename: 'cached.txt' }
+    });
+    const commandsSent = () => mockSend.mock.calls.map(([command]) => command.constructor.name);
+
+    beforeEach(() => {
+      objects['cached.txt'] = { Body: Buffer.from('version 1'), ETag: '"v1"' };
+      mockSend.mockImplementation(async (command) => {
+        const object = objects[command.input.Key];
+        switch (command.constructor.name) {
+          case 'GetObjectCommand':
+            return { ...object };
+          case 'HeadObjectCommand':
+            return { ETag: object.ETag };
+          default:
+            return {};
+        }
+      });
+      lambdaModule.setCacheEnabled(true);
+      // Check the ETag on every hit
+      lambdaModule.setCacheRevalidateMs(0);
+    });
+
+    afterEach(() => {
+      lambdaModule.setCacheEnabled(false);
+      lambdaModule.setCacheRevalidateMs(5000);
+      lambdaModule.attachMetrics(null);
+    });
+
+    test('should serve a repeat download from the cache after an ETag check', async () => {
+      const first = await download();
+      const second = await download();
+
+      expect(first.headers['X-Cache']).toBe('MISS');
+      expect(second.headers['X-Cache']).toBe('HIT');
+      expect(JSON.parse(second.body).content).toBe(Buffer.from('version 1').toString('base64'));
+      expect(commandsSent()).toEqual(['GetObjectCommand', 'HeadObjectCommand']);
+    });
+
+    test('should skip the ETag check for entries checked within the revalidation window', async () => {
+      lambdaModule.setCacheRevalidateMs(5000);
+
+      await download();
+      const result = await download();
+
+      expect(result.headers['X-Cache']).toBe('HIT');
+      expect(commandsSent()).toEqual(['GetObjectCommand']);
+    });
+
+    test('should not cache a body read before an overwrite that finished during the read', async () => {
+      lambdaModule.setCacheRevalidateMs(5000);
+      let releaseRead;
+      const readStarted = new Promise(resolve => {
+        mockSend.mockImplementationOnce(async (command) => {
+          const object = { ...objects[command.input.Key] };
+          resolve();
+          await new Promise(release => { releaseRead = release; });
+          return object;
+        });
+      });
+
+      const slowDownload = download();
+      await readStarted;
+      objects['cached.txt'] = { Body: Buffer.from('version 2'), ETag: '"v2"' };
+      await handler({
+        httpMethod: 'POST',
+        body: JSON.stringify({ filename: 'cached.txt', content: Buffer.from('version 2').toString('base64') })
+      });
+      releaseRead();
+
+      expect(JSON.parse((await slowDownload).body).content).toBe(Buffer.from('version 1').toString('base64'));
+      expect(lambdaModule.cache.has('cached.txt')).toBe(false);
+      const result = await download();
+      expect(result.headers['X-Cache']).toBe('MISS');
+      expect(JSON.parse(result.body).content).toBe(Buffer.from('version 2').toString('base64'));
+    });
+
+    test('should refetch when storage holds a newer version', async () => {
+      await download();
+      objects['cached.txt'] = { Body: Buffer.from('version 2'), ETag: '"v2"' };
+
+      const before = lambdaModule.getCacheStats();
+      const result = await download();
+
+      expect(result.headers['X-Cache']).toBe('MISS');
+      expect(JSON.parse(result.body).content).toBe(Buffer.from('version 2').toString('base64'));
+      expect(lambdaModule.getCacheStats().stale).toBe(before.stale + 1);
+    });
+
+    test('should invalidate the cached copy when a POST overwrites the file', async () => {
+      await download();
+      await handler({
+        httpMethod: 'POST',
+        body: JSON.stringify({ filename: 'cached.txt', content: 'bmV3' })
+      });
+
+      expect(lambdaModule.cache.has('cached.txt')).toBe(false);
+      const result = await download();
+      expect(result.headers['X-Cache']).toBe('MISS');
+    });
+
+    test('should report cache events through an attached MetricsCollector', async () => {
+      const metrics = new MetricsCollector();
+      lambdaModule.attachMetrics(metrics);
+
+      await download();
+      await download();
+
+      const summary = metrics.getSummary();
+      expect(summary.byName[`${metrics.namespace}.cache.misses`]).toBe(1);
+      expect(summary.byName[`${metrics.namespace}.cache.hits`]).toBe(1);
+    });
+  });
 });
@@ -0,0 +1,180 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const lambdaModule = require('../../../lambda/index');
+const {
+  getStorage,
+  getBackendName,
+  resetStorage,
+  MemoryStorageAdapter,
+  FilesystemStorageAdapter
+} = require('../../../lambda/storage');
+
+describe('Storage adapters', () => {
+  let tmpDir;
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe.each([
+    ['memory', () => new MemoryStorageAdapter()],
+    ['filesystem', () => new FilesystemStorageAdapter({ rootDir: fs.mkdtempSync(path.join(tmpDir, 'fs-')) })]
+  ])('%s adapter', (name, createAdapter) => {
+    let storage;
+
+    beforeEach(() => {
+      storage = createAdapter();
+    });
+
+    test('should round-trip object content', async () => {
+      const body = Buffer.from([0x00, 0xff, 0x10, 0x80]);
+      const { etag } = await storage.put('data/file.bin', body);
+
+      const object = await storage.get('data/file.bin');
+      expect(object.body.equals(body)).toBe(true);
+      expect(object.etag).toBe(etag);
+      expect(object.lastModified).toBeInstanceOf(Date);
+    });
+
+    test('should return the requested byte range', async () => {
+      await storage.put('range.txt', Buffer.from('0123456789'));
+
+      const object = await storage.get('range.txt', { range: 'bytes=2-5' });
+      expect(object.body.toString()).toBe('2345');
+      expect(object.contentRange).toBe('bytes 2-5/10');
+
+      const suffix = await storage.get('range.txt', { range: 'bytes=-3' });
+      expect(suffix.body.toString()).toBe('789');
+    });
+
+    test('should reject ranges beyond the object', async () => {
+      await storage.put('short.txt', Buffer.from('abc'));
+
+      await expect(storage.get('short.txt', { range: 'bytes=10-' })).rejects.toMatchObject({
+        name: 'InvalidRange',
+        ActualObjectSize: 3
+      });
+    });
+
+    test('should report not modified for a matching ETag', async () => {
+      const { etag } = await storage.put('etag.txt', Buffer.from('v1'));
+
+      const object = await storage.get('etag.txt', { ifNoneMatch: etag });
+      expect(object).toMatchObject({ notModified: true, etag });
+    });
+
+    test('should report the content MD5 as the ETag of same-size overwrites', async () => {
+      const md5 = content => `"${crypto.createHash('md5').update(content).digest('hex')}"`;
+      await storage.put('overwrite.txt', Buffer.from('v1'));
+      const { etag } = await storage.put('overwrite.txt', Buffer.from('v2'));
+
+      expect(etag).toBe(md5('v2'));
+      expect((await storage.get('overwrite.txt')).etag).toBe(etag);
+      expect((await storage.head('overwrite.txt')).etag).toBe(etag);
+      expect((await storage.list({ prefix: 'overwrite' })).files[0].etag).toBe(etag);
+    });
+
+    test('should throw NoSuchKey for missing and deleted objects', async () => {
+      await storage.put('gone.txt', Buffer.from('x'));
+      await storage.delete('gone.txt');
+
+      await expect(storage.get('gone.txt')).rejects.toMatchObject({
+        name: 'NoSuchKey',
+        $metadata: { httpStatusCode: 404 }
+      });
+    });
+
+    test('should paginate listings and group by delimiter', async () => {
+      for (const key of ['logs/a.txt', 'logs/b.txt', 'logs/c.txt', 'logs/2024/d.txt', 'other.txt']) {
+        await storage.put(key, Buffer.from(key));
+      }
+
+      const first = await storage.list({ prefix: 'logs/', delimiter: '/', maxKeys: 2 });
+      expect(first.folders).toEqual(['logs/2024/']);
+      expect(first.files.map(file => file.key)).toEqual(['logs/a.txt']);
+      expect(first.isTruncated).toBe(true);
+
+      const second = await storage.list({
+        prefix: 'logs/',
+        delimiter: '/',
+        maxKeys: 2,
+        continuationToken: first.nextContinuationToken
+      });
+      expect(second.files.map(file => file.key)).toEqual(['logs/b.txt', 'logs/c.txt']);
+      expect(second.isTruncated).toBe(false);
+      expect(second.nextContinuationToken).toBeNull();
+    });
+  });
+
+  test('filesystem adapter should hash files written by another adapter on the same root', async () => {
+    const rootDir = fs.mkdtempSync(path.join(tmpDir, 'shared-'));
+    const reader = new FilesystemStorageAdapter({ rootDir });
+    const writer = new FilesystemStorageAdapter({ rootDir });
+
+    await writer.put('shared.txt', Buffer.from('v1'));
+    const first = await reader.head('shared.txt');
+    const { etag } = await writer.put('shared.txt', Buffer.from('v2'));
+
+    expect((await reader.head('shared.txt')).etag).toBe(etag);
+    expect(etag).not.toBe(first.etag);
+    const object = await reader.get('shared.txt', { ifNoneMatch: first.etag });
+    expect(object.notModified).toBeUndefined();
+    expect(object.body.toString()).toBe('v2');
+  });
+
+  test('filesystem adapter should refuse keys outside its root', async () => {
+    const storage = new FilesystemStorageAdapter({ rootDir: path.join(tmpDir, 'root') });
+
+    await expect(storage.put('../escape.txt', Buffer.from('x'))).rejects.toMatchObject({
+      name: 'InvalidKey',
+      $metadata: { httpStatusCode: 400 }
+    });
+  });
+
+  describe('backend selection', () => {
+    afterEach(() => {
+      delete process.env.STORAGE_BACKEND;
+      resetStorage();
+    });
+
+    test('should default to S3 and accept fs as an alias', () => {
+      expect(getBackendName()).toBe('s3');
+      process.env.STORAGE_BACKEND = 'fs';
+      expect(getBackendName()).toBe('filesystem');
+    });
+
+    test('should reject unknown backends', () => {
+      process.env.STORAGE_BACKEND = 'gcs';
+      expect(() => getStorage()).toThrow('Unknown STORAGE_BACKEND');
+    });
+
+    test('should serve lambda requests from the memory backend without S3', async () => {
+      process.env.STORAGE_BACKEND = 'memory';
+      const mockSend = jest.fn();
+      lambdaModule.s3Client = { send: mockSend };
+
+      const upload = await lambdaModule.handler({
+        httpMethod: 'POST',
+        body: JSON.stringify({ filename: 'memory.txt', content: 'aGVsbG8=' })
+      });
+      expect(upload.statusCode).toBe(200);
+
+      const download = await lambdaModule.handler({
+        httpMethod: 'GET',
+        queryStringParameters: { filename: 'memory.txt' }
+      });
+      expect(download.statusCode).toBe(200);
+      expect(JSON.parse(download.body).content).toBe('aGVsbG8=');
+
+      const listing = await lambdaModule.handler({ httpMethod: 'GET', path: '/files' });
+      expect(JSON.parse(listing.body).files.map(file => file.key)).toEqual(['memory.txt']);
+      expect(mockSend).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -86,4 +86,23 @@ describe('Lambda1 - ValidateInput', () => {
       message: 'Input validated'
     });
   });
+
+  test('should pass on a traceparent naming its own span as the parent', async () => {
+    // Arrange
+    const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const traceId = '4bf92f3577b34da6a3ce929d0e0e4736';
+    const event = { inputValue: 10, traceparent: `00-${traceId}-00f067aa0ba902b7-01` };
+
+    // Act
+    const result = await handler(event);
+
+    // Assert
+    const [, resultTraceId, spanId, flags] = result.traceparent.split('-');
+    expect(resultTraceId).toBe(traceId);
+    expect(spanId).not.toBe('00f067aa0ba902b7');
+    expect(flags).toBe('01');
+    const spanLog = JSON.parse(logSpy.mock.calls.find(([line]) => String(line).includes('"span"'))[0]);
+    expect(spanLog).toMatchObject({ span: 'ValidateInput', traceId, spanId, parentSpanId: '00f067aa0ba902b7', status: 'OK' });
+    logSpy.mockRestore();
+  });
 });
@@ -0,0 +1,52 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { generateReports } = require('../../../scripts/generate-report');
+
+describe('generate-report', () => {
+  let tmpDir;
+  let logSpy;
+
+  // k6 --out json lines for a run of three requests
+  const k6Results = () => [
+    { type: 'Metric', metric: 'http_req_duration', data: { type: 'trend', contains: 'time' } },
+    ...[120, 80, 200].map((value, i) => ({
+      type: 'Point',
+      metric: 'http_req_duration',
+      data: { time: new Date(Date.UTC(2024, 0, 1, 0, 0, i)).toISOString(), value, tags: { status: '200' } }
+    }))
+  ].map(line => JSON.stringify(line)).join('\n');
+
+  // The simulator's /metrics scrape, as CI saves it next to the results
+  const serverMetrics = (count) => [
+    `gateway_request_duration_seconds_bucket{route="/upload",le="0.1"} ${count}`,
+    `gateway_request_duration_seconds_bucket{route="/upload",le="+Inf"} ${count}`,
+    `gateway_request_duration_seconds_sum{route="/upload"} ${count * 0.05}`,
+    `gateway_request_duration_seconds_count{route="/upload"} ${count}`
+  ].join('\n');
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'report-test-'));
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should include server latency when server metrics were saved with the results', async () => {
+    ['post', 'get'].forEach(name => {
+      fs.writeFileSync(path.join(tmpDir, `${name}-results.json`), k6Results());
+      fs.writeFileSync(path.join(tmpDir, `${name}-server-metrics-before.prom`), serverMetrics(10));
+      fs.writeFileSync(path.join(tmpDir, `${name}-server-metrics.prom`), serverMetrics(40));
+    });
+    const reportsDir = path.join(tmpDir, 'reports');
+
+    await generateReports({ resultsDir: tmpDir, reportsDir });
+
+    const html = fs.readFileSync(path.join(reportsDir, 'post', 'index.html'), 'utf8');
+    expect(html).toContain('"server_latency":{"source":"buckets","count":30');
+    expect(fs.existsSync(path.join(reportsDir, 'get', 'index.html'))).toBe(true);
+  });
+});
@@ -0,0 +1,61 @@
+const { Histogram, SlidingWindowHistogram } = require('../../../services/shared/utils/histogram');
+
+describe('Histogram', () => {
+  // Exact quantile with the same rank rule as the histogram
+  const exactQuantile = (sorted, quantile) => sorted[Math.floor(quantile * (sorted.length - 1))];
+
+  test('should report percentiles within the relative accuracy', () => {
+    const histogram = new Histogram({ relativeAccuracy: 0.01 });
+    // Long-tailed, like request latencies: mostly a few ms, some in the seconds
+    const values = Array.from({ length: 5000 }, (_, i) => 2 + Math.pow(i / 100, 3));
+    values.forEach(value => histogram.record(value));
+
+    const summary = histogram.summary();
+    const sorted = [...values].sort((a, b) => a - b);
+    expect(summary.count).toBe(5000);
+    expect(summary.min).toBe(sorted[0]);
+    expect(summary.max).toBe(sorted[sorted.length - 1]);
+    for (const [key, quantile] of [['p50', 0.5], ['p90', 0.9], ['p95', 0.95], ['p99', 0.99]]) {
+      const exact = exactQuantile(sorted, quantile);
+      expect(Math.abs(summary[key] - exact) / exact).toBeLessThanOrEqual(0.01);
+    }
+  });
+
+  test('should merge, and subtract an earlier snapshot', () => {
+    const first = new Histogram();
+    [1, 2, 3].forEach(value => first.record(value));
+    const before = Histogram.fromJSON(JSON.parse(JSON.stringify(first)));
+
+    [100, 200].forEach(value => first.record(value));
+    const run = first.subtract(before);
+
+    expect(run.count).toBe(2);
+    expect(run.sum).toBe(300);
+    expect(run.summary().p50).toBeCloseTo(100, -1);
+    expect(run.min).toBeGreaterThan(3);
+
+    const other = new Histogram();
+    other.record(0);
+    expect(run.merge(other).summary()).toMatchObject({ count: 3, min: 0 });
+    expect(() => run.merge(new Histogram({ relativeAccuracy: 0.05 }))).toThrow('relative accuracy');
+  });
+
+  test('should return NaN statistics when empty', () => {
+    expect(new Histogram().summary()).toMatchObject({ count: 0, p50: NaN, mean: NaN });
+  });
+});
+
+describe('SlidingWindowHistogram', () => {
+  test('should drop values older than the window but keep them in the total until reset', () => {
+    const histogram = new SlidingWindowHistogram({ windowMs: 60000, slots: 6 });
+    histogram.record(500, 0);
+    histogram.record(10, 65000);
+
+    expect(histogram.window(75000).summary()).toMatchObject({ count: 1, max: 10 });
+    expect(histogram.total.summary()).toMatchObject({ count: 2, max: 500 });
+
+    histogram.reset();
+    expect(histogram.total.count).toBe(0);
+    expect(histogram.window(75000).count).toBe(0);
+  });
+});
@@ -0,0 +1,98 @@
+const { Logger } = require('../../../services/shared/utils/logger');
+
+describe('Logger', () => {
+  let logSpy;
+  const entries = () => logSpy.mock.calls.map(([line]) => JSON.parse(line));
+
+  beforeEach(() => {
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+    delete process.env.LOG_DEBUG_SAMPLE_RATE;
+    delete process.env.LOG_REDACT_FIELDS;
+  });
+
+  test('should keep the log context of concurrent requests apart', async () => {
+    const logger = new Logger('logger-test');
+    const handle = (id, delayMs) => Logger.runWithContext({ correlationId: `corr-${id}`, requestId: `req-${id}` }, async () => {
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+      logger.info('Handled', { id });
+    });
+
+    await Promise.all([handle(1, 20), handle(2, 0)]);
+    logger.info('Outside any request');
+
+    const [second, first, outside] = entries();
+    expect(first).toMatchObject({ id: 1, correlationId: 'corr-1', requestId: 'req-1' });
+    expect(second).toMatchObject({ id: 2, correlationId: 'corr-2', requestId: 'req-2' });
+    expect(outside.correlationId).toBeNull();
+    expect(outside.requestId).toBeUndefined();
+  });
+
+  test('should add child and nested context fields to every entry', () => {
+    const logger = new Logger('logger-test').child({ component: 'upload' }).child({ bucket: 'test-bucket' });
+
+    Logger.runWithContext({ correlationId: 'corr-1', fields: { tenant: 'a' } }, () =>
+      Logger.runWithContext({ requestId: 'req-1', fields: { route: 'POST /upload' } }, () => {
+        logger.setCorrelationId('corr-2');
+        logger.info('Uploaded', { size: 3 });
+      }));
+
+    expect(entries()[0]).toMatchObject({
+      service: 'logger-test',
+      correlationId: 'corr-2',
+      requestId: 'req-1',
+      tenant: 'a',
+      route: 'POST /upload',
+      component: 'upload',
+      bucket: 'test-bucket',
+      size: 3
+    });
+    // The correlation ID was set on the request's context, not the logger
+    expect(logger.correlationId).toBeNull();
+  });
+
+  test('should sample debug entries per request', () => {
+    const logger = new Logger('logger-test', { logLevel: 'debug' });
+
+    Logger.runWithContext({ debugSampled: false }, () => {
+      logger.debug('Dropped');
+      logger.info('Kept');
+    });
+    Logger.runWithContext({ debugSampled: true }, () => logger.debug('Sampled'));
+    process.env.LOG_DEBUG_SAMPLE_RATE = '0';
+    Logger.runWithContext({}, () => logger.debug('Dropped by rate'));
+    new Logger('logger-test', { logLevel: 'debug', debugSampleRate: 0 }).debug('Dropped outside a request');
+    new Logger('logger-test', { logLevel: 'info', debugSampleRate: 1 }).debug('Dropped by level');
+
+    expect(entries().map(entry => entry.message)).toEqual(['Kept', 'Sampled']);
+  });
+
+  test('should redact sensitive body fields', () => {
+    process.env.LOG_REDACT_FIELDS = 'ssn, request.body.email';
+    const logger = new Logger('logger-test', { redact: [/^x-secret-/i] });
+    const body = { password: 'hunter2', email: 'a@example.com', items: [{ ssn: '123' }] };
+    body.self = body;
+
+    logger.info('Request', {
+      request: { body, headers: { 'X-Secret-Key': 'k' } },
+      contact: { email: 'kept@example.com' },
+      at: new Date(0)
+    });
+
+    const [entry] = entries();
+    expect(entry.request.body).toEqual({
+      password: '[REDACTED]',
+      email: '[REDACTED]',
+      items: [{ ssn: '[REDACTED]' }],
+      self: '[Truncated]'
+    });
+    expect(entry.request.headers['X-Secret-Key']).toBe('[REDACTED]');
+    expect(entry.contact.email).toBe('kept@example.com');
+    expect(entry.at).toBe('1970-01-01T00:00:00.000Z');
+    // The caller's object is left alone
+    expect(body.password).toBe('hunter2');
+  });
+});
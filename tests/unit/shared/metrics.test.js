@@ -0,0 +1,122 @@
+const { CloudWatchClient } = require('@aws-sdk/client-cloudwatch');
+const { MetricsCollector } = require('../../../services/shared/utils/metrics');
+
+describe('MetricsCollector', () => {
+  const originalEnv = process.env;
+  let logSpy;
+
+  beforeEach(async () => {
+    process.env = { ...originalEnv, METRICS_EMF: 'true', METRICS_NAMESPACE: 'test-ns' };
+    delete process.env.METRICS_PUT_METRIC_DATA;
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    // Start from an empty buffer
+    await MetricsCollector.flush();
+    logSpy.mockClear();
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    logSpy.mockRestore();
+  });
+
+  const emfDocuments = () => logSpy.mock.calls.map(([line]) => JSON.parse(line));
+
+  test('should batch metrics that share tags into one EMF document per flush', async () => {
+    const collector = new MetricsCollector();
+    collector.recordLatency('s3.upload.duration', 12);
+    collector.recordLatency('s3.upload.duration', 30);
+    collector.recordCount('s3.upload.success', 1);
+    collector.recordCount('s3.upload.success', 1, { mode: 'multipart' });
+
+    expect(logSpy).not.toHaveBeenCalled();
+    const result = await MetricsCollector.flush();
+
+    expect(result).toMatchObject({ metrics: 4, documents: 2 });
+    const [single, multipart] = emfDocuments();
+    expect(single._aws.CloudWatchMetrics[0]).toEqual({
+      Namespace: 'test-ns',
+      Dimensions: [['service']],
+      Metrics: [
+        { Name: 's3.upload.duration', Unit: 'Milliseconds' },
+        { Name: 's3.upload.success', Unit: 'Count' }
+      ]
+    });
+    expect(single['s3.upload.duration']).toEqual([12, 30]);
+    expect(single['s3.upload.success']).toBe(1);
+    expect(multipart._aws.CloudWatchMetrics[0].Dimensions).toEqual([['service'], ['service', 'mode']]);
+    expect(multipart.mode).toBe('multipart');
+
+    // Nothing is written twice
+    await MetricsCollector.flush();
+    expect(logSpy).toHaveBeenCalledTimes(2);
+  });
+
+  test('should keep tags outside the dimension sets as properties', async () => {
+    const collector = new MetricsCollector();
+    collector.recordCount('lambda.errors', 1, { method: 'GET', errorType: 'TypeError' });
+
+    await MetricsCollector.flush();
+
+    const [document] = emfDocuments();
+    expect(document._aws.CloudWatchMetrics[0].Dimensions).toEqual([['service'], ['service', 'method']]);
+    expect(document.errorType).toBe('TypeError');
+
+    const [byService, byMethod] = collector.exportCloudWatchMetrics();
+    expect(byService.Dimensions).toEqual([{ Name: 'service', Value: 'lambda-s3' }]);
+    expect(byMethod.Dimensions.map(dimension => dimension.Name)).toEqual(['service', 'method']);
+  });
+
+  test('should send queued metrics through PutMetricData with repeated values counted', async () => {
+    process.env.METRICS_EMF = 'false';
+    process.env.METRICS_PUT_METRIC_DATA = 'true';
+    const send = jest.spyOn(CloudWatchClient.prototype, 'send').mockResolvedValue({});
+
+    try {
+      const collector = new MetricsCollector();
+      collector.recordLatency('gateway.authorizer.duration', 5, { stage: 'legacy' });
+      collector.recordLatency('gateway.authorizer.duration', 5, { stage: 'legacy' });
+      collector.recordLatency('gateway.authorizer.duration', 9, { stage: 'legacy' });
+
+      const result = await MetricsCollector.flush({ force: true });
+
+      expect(result.sent).toBe(2);
+      const { input } = send.mock.calls[0][0];
+      expect(input.Namespace).toBe('test-ns');
+      expect(input.MetricData[1]).toMatchObject({
+        MetricName: 'gateway.authorizer.duration',
+        Unit: 'Milliseconds',
+        Dimensions: [{ Name: 'service', Value: 'lambda-s3' }, { Name: 'stage', Value: 'legacy' }],
+        Values: [5, 9],
+        Counts: [2, 1]
+      });
+    } finally {
+      send.mockRestore();
+    }
+  });
+
+  test('should summarize latency percentiles per metric across tag sets', () => {
+    MetricsCollector.resetHistograms();
+    const collector = new MetricsCollector();
+    for (let i = 1; i <= 100; i++) {
+      collector.recordLatency('s3.download.duration', i, { partial: String(i % 2 === 0) });
+    }
+
+    const { latency } = collector.getSummary();
+
+    expect(latency['s3.download.duration'].total).toMatchObject({ count: 100, min: 1, max: 100 });
+    expect(latency['s3.download.duration'].total.p90).toBeCloseTo(90, -1);
+    expect(latency['s3.download.duration'].window.count).toBe(100);
+    expect(MetricsCollector.getHistograms({ name: 's3.download.duration' })).toHaveLength(2);
+
+    expect(MetricsCollector.resetHistograms()).toBeGreaterThanOrEqual(2);
+    expect(collector.getSummary().latency['s3.download.duration'].total.count).toBe(0);
+  });
+
+  test('should not buffer metrics when no flush target is enabled', async () => {
+    process.env.METRICS_EMF = 'false';
+    new MetricsCollector().recordCount('s3.head.success', 1);
+
+    process.env.METRICS_EMF = 'true';
+    expect((await MetricsCollector.flush()).metrics).toBe(0);
+  });
+});
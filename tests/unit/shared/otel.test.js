@@ -0,0 +1,127 @@
+const http = require('http');
+const { OtlpExporter, parseKeyValues } = require('../../../services/shared/utils/otel');
+const { MetricsCollector } = require('../../../services/shared/utils/metrics');
+const { Logger } = require('../../../services/shared/utils/logger');
+
+describe('OtlpExporter', () => {
+  let server;
+  let requests;
+  let status;
+  let exporter;
+  let logSpy;
+
+  beforeAll(async () => {
+    // Collector stub recording every request
+    server = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        requests.push({ path: req.url, headers: req.headers, body: JSON.parse(Buffer.concat(chunks).toString()) });
+        res.writeHead(status).end('{}');
+      });
+    });
+    await new Promise(resolve => server.listen(0, resolve));
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    requests = [];
+    status = 200;
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    exporter = new OtlpExporter({
+      endpoint: `http://localhost:${server.address().port}/`,
+      headers: { 'x-tenant': 'k6' },
+      serviceName: 'test-service',
+      bounds: [10, 100]
+    }).start();
+  });
+
+  afterEach(async () => {
+    await exporter.shutdown();
+    logSpy.mockRestore();
+  });
+
+  const metricsBody = () => requests.find(request => request.path === '/v1/metrics').body;
+  const findMetric = (name) => metricsBody().resourceMetrics[0].scopeMetrics
+    .flatMap(scope => scope.metrics)
+    .find(metric => metric.name === name);
+
+  test('should map counts, gauges and latencies to sums, gauges and histograms', async () => {
+    const collector = new MetricsCollector();
+    collector.recordCount('s3.upload.success', 1, { mode: 'single' });
+    collector.recordCount('s3.upload.success', 2, { mode: 'single' });
+    collector.recordGauge('health.s3', 1, { component: 's3' });
+    [5, 50, 500].forEach(value => collector.recordLatency('s3.upload.duration', value));
+
+    const result = await exporter.export();
+
+    expect(result.metrics).toBe(3);
+    const request = requests.find(({ path }) => path === '/v1/metrics');
+    expect(request.headers['x-tenant']).toBe('k6');
+    const resource = metricsBody().resourceMetrics[0].resource.attributes;
+    expect(resource).toContainEqual({ key: 'service.name', value: { stringValue: 'test-service' } });
+    expect(metricsBody().resourceMetrics[0].scopeMetrics[0].scope.name).toBe(collector.namespace);
+
+    const counter = findMetric('s3.upload.success');
+    expect(counter.sum).toMatchObject({ aggregationTemporality: 2, isMonotonic: true });
+    expect(counter.sum.dataPoints[0].asDouble).toBe(3);
+    expect(counter.sum.dataPoints[0].attributes).toEqual([
+      { key: 'service', value: { stringValue: 'lambda-s3' } },
+      { key: 'mode', value: { stringValue: 'single' } }
+    ]);
+    expect(findMetric('health.s3').gauge.dataPoints[0].asDouble).toBe(1);
+
+    const histogram = findMetric('s3.upload.duration');
+    expect(histogram.unit).toBe('ms');
+    expect(histogram.histogram.dataPoints[0]).toMatchObject({
+      count: '3', sum: 555, min: 5, max: 500, bucketCounts: ['1', '1', '1'], explicitBounds: [10, 100]
+    });
+  });
+
+  test('should export log entries with their severity and trace context', async () => {
+    const logger = new Logger('otel-test');
+    logger.setTraceContext('4bf92f3577b34da6a3ce929d0e0e4736', '00f067aa0ba902b7');
+    logger.info('Upload complete', { filename: 'a.txt', size: 12 });
+    logger.error('Upload failed', new Error('boom'));
+
+    const result = await exporter.export();
+
+    expect(result.logs).toBe(2);
+    const { scopeLogs } = requests.find(({ path }) => path === '/v1/logs').body.resourceLogs[0];
+    expect(scopeLogs[0].scope.name).toBe('otel-test');
+    const [info, error] = scopeLogs[0].logRecords;
+    expect(info).toMatchObject({
+      severityNumber: 9,
+      severityText: 'INFO',
+      body: { stringValue: 'Upload complete' },
+      traceId: '4bf92f3577b34da6a3ce929d0e0e4736',
+      spanId: '00f067aa0ba902b7'
+    });
+    expect(info.attributes).toContainEqual({ key: 'size', value: { intValue: '12' } });
+    expect(error.severityNumber).toBe(17);
+    expect(error.attributes).toContainEqual({ key: 'exception.message', value: { stringValue: 'boom' } });
+  });
+
+  test('should drop log records the collector rejects and keep exporting', async () => {
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    try {
+      status = 503;
+      new Logger('otel-test').warn('Slow download');
+
+      expect(await exporter.export()).toEqual({ metrics: 0, logs: 0, spans: 0 });
+      expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining('dropped 1 log records'));
+
+      status = 200;
+      expect((await exporter.flush()).logs).toBe(0);
+      new Logger('otel-test').warn('Slow download');
+      expect((await exporter.flush({ force: true })).logs).toBe(1);
+    } finally {
+      errorSpy.mockRestore();
+    }
+  });
+
+  test('should parse OTEL_EXPORTER_OTLP_HEADERS style lists', () => {
+    expect(parseKeyValues('api-key=a%3Db, tenant = k6,invalid')).toEqual({ 'api-key': 'a=b', tenant: 'k6' });
+  });
+});
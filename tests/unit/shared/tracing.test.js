@@ -0,0 +1,102 @@
+const tracing = require('../../../services/shared/utils/tracing');
+const { Logger } = require('../../../services/shared/utils/logger');
+
+describe('Tracing', () => {
+  const TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736';
+  const SPAN_ID = '00f067aa0ba902b7';
+  let ended;
+  let unsubscribe;
+
+  beforeEach(() => {
+    ended = [];
+    unsubscribe = tracing.subscribe(span => ended.push(span));
+  });
+
+  afterEach(() => unsubscribe());
+
+  test('should parse valid traceparent headers and reject invalid ones', () => {
+    expect(tracing.parseTraceparent(`00-${TRACE_ID}-${SPAN_ID}-01`)).toEqual({ traceId: TRACE_ID, spanId: SPAN_ID, sampled: true });
+    expect(tracing.parseTraceparent(`00-${TRACE_ID.toUpperCase()}-${SPAN_ID}-00`)).toEqual({ traceId: TRACE_ID, spanId: SPAN_ID, sampled: false });
+    // Later versions may append fields
+    expect(tracing.parseTraceparent(`01-${TRACE_ID}-${SPAN_ID}-01-extra`)).not.toBeNull();
+
+    expect(tracing.parseTraceparent(undefined)).toBeNull();
+    expect(tracing.parseTraceparent(`00-${TRACE_ID}-${SPAN_ID}-01-extra`)).toBeNull();
+    expect(tracing.parseTraceparent(`ff-${TRACE_ID}-${SPAN_ID}-01`)).toBeNull();
+    expect(tracing.parseTraceparent(`00-${'0'.repeat(32)}-${SPAN_ID}-01`)).toBeNull();
+    expect(tracing.parseTraceparent(`00-${TRACE_ID}-${'0'.repeat(16)}-01`)).toBeNull();
+  });
+
+  test('should parent spans on the active span and record errors', async () => {
+    const root = new tracing.Span('GET /download', { parent: tracing.parseTraceparent(`00-${TRACE_ID}-${SPAN_ID}-01`), kind: 'SERVER' });
+
+    await expect(tracing.withSpan(root, () => tracing.startActiveSpan('S3.GetObject', { kind: 'CLIENT' }, async (span) => {
+      expect(tracing.getActiveSpan()).toBe(span);
+      throw new Error('NoSuchKey');
+    }))).rejects.toThrow('NoSuchKey');
+    root.end();
+    root.end();
+
+    const [child, parent] = ended;
+    expect(ended).toHaveLength(2);
+    expect(parent).toBe(root);
+    expect(parent.parentSpanId).toBe(SPAN_ID);
+    expect(child).toMatchObject({ traceId: TRACE_ID, parentSpanId: root.spanId, kind: 'CLIENT' });
+    expect(child.status).toEqual({ code: 'ERROR', message: 'NoSuchKey' });
+    expect(child.events[0].attributes['exception.message']).toBe('NoSuchKey');
+    expect(child.traceparent).toBe(`00-${TRACE_ID}-${child.spanId}-01`);
+    expect(tracing.getActiveSpan()).toBeNull();
+  });
+
+  test('should not hand unsampled spans to listeners', () => {
+    const span = tracing.startSpan('GET /files', { parent: tracing.parseTraceparent(`00-${TRACE_ID}-${SPAN_ID}-00`) });
+    span.end();
+
+    expect(span.duration).not.toBeNull();
+    expect(span.traceparent).toMatch(/-00$/);
+    expect(ended).toHaveLength(0);
+  });
+
+  test('should record a span per AWS SDK call made within a trace', async () => {
+    const middleware = tracing.awsTracingMiddleware();
+    const context = { clientName: 'S3Client', commandName: 'PutObjectCommand' };
+    const next = jest.fn().mockResolvedValue({
+      response: { statusCode: 200 },
+      output: { $metadata: { requestId: 'req-1' } }
+    });
+    const args = { input: { Bucket: 'test-bucket', Key: 'a.txt' } };
+
+    await middleware(next, context)(args);
+    expect(ended).toHaveLength(0);
+
+    const root = new tracing.Span('POST /upload');
+    await tracing.withSpan(root, () => middleware(next, context)(args));
+
+    expect(next).toHaveBeenCalledTimes(2);
+    expect(ended).toHaveLength(1);
+    expect(ended[0].name).toBe('S3.PutObject');
+    expect(ended[0].parentSpanId).toBe(root.spanId);
+    expect(ended[0].attributes).toMatchObject({
+      'rpc.method': 'PutObject',
+      'aws.s3.bucket': 'test-bucket',
+      'aws.s3.key': 'a.txt',
+      'aws.request_id': 'req-1',
+      'http.response.status_code': 200
+    });
+  });
+
+  test('should add the active span to log entries', () => {
+    const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    try {
+      const span = new tracing.Span('GET /files');
+      tracing.withSpan(span, () => new Logger('tracing-test').info('Listing files'));
+      new Logger('tracing-test').info('Outside any trace');
+
+      const [inside, outside] = logSpy.mock.calls.map(([line]) => JSON.parse(line));
+      expect(inside).toMatchObject({ traceId: span.traceId, spanId: span.spanId });
+      expect(outside.traceId).toBeUndefined();
+    } finally {
+      logSpy.mockRestore();
+    }
+  });
+});